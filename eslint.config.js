@@ -13,6 +13,12 @@ export default [
         __dirname: 'readonly',
         __filename: 'readonly',
         URLSearchParams: 'readonly',
+        fetch: 'readonly',
+        AbortController: 'readonly',
+        TextDecoder: 'readonly',
+        Request: 'readonly',
+        Response: 'readonly',
+        Headers: 'readonly',
       },
     },
     rules: {
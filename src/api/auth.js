@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Authentication providers for the I14Y API client.
+ * Supplies bearer tokens for protected endpoints (e.g. publicationLevel `Internal`) from
+ * a static token, a token file, or an OAuth2 client-credentials grant with caching and refresh.
+ *
+ * @see ./i14y-client.js
+ * @see https://datatracker.ietf.org/doc/html/rfc6749#section-4.4
+ */
+import { readFile } from 'fs/promises';
+import ky from 'ky';
+import config from '../config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Seconds subtracted from the OAuth2 token lifetime so tokens are renewed before they expire
+ * @constant {number}
+ */
+const TOKEN_EXPIRY_SKEW_SECONDS = 30;
+
+/**
+ * Token lifetime assumed when the token endpoint does not return `expires_in`
+ * @constant {number}
+ */
+const DEFAULT_TOKEN_LIFETIME_SECONDS = 300;
+
+/**
+ * @typedef {Object} AuthProvider
+ * @property {string} type - Provider type: "static", "file" or "oauth2"
+ * @property {boolean} refreshable - Whether invalidating the token can yield a different one
+ * @property {function(): Promise<string>} getToken - Resolve the current bearer token
+ * @property {function(): void} invalidate - Drop the cached token so the next call fetches a fresh one
+ */
+
+/**
+ * Create a provider returning a fixed token.
+ *
+ * @param {string} token Bearer token
+ * @returns {AuthProvider}
+ */
+export function createStaticTokenProvider(token) {
+	return {
+		type: 'static',
+		refreshable: false,
+		getToken: async () => token,
+		invalidate: () => {},
+	};
+}
+
+/**
+ * Create a provider reading the token from a file (e.g. a mounted Kubernetes/Docker secret).
+ * The file is read lazily and re-read after invalidation, so rotated secrets are picked up.
+ *
+ * @param {string} path Path of the file containing the token
+ * @returns {AuthProvider}
+ */
+export function createTokenFileProvider(path) {
+	let token = null;
+
+	return {
+		type: 'file',
+		refreshable: true,
+		async getToken() {
+			if (!token) {
+				let contents;
+				try {
+					contents = await readFile(path, 'utf8');
+				} catch (error) {
+					throw new Error(`Failed to read API token file ${path}: ${error.message}`);
+				}
+				token = contents.trim();
+				if (!token) {
+					throw new Error(`API token file ${path} is empty`);
+				}
+			}
+			return token;
+		},
+		invalidate() {
+			token = null;
+		},
+	};
+}
+
+/**
+ * Create a provider obtaining tokens through the OAuth2 client-credentials grant.
+ * Tokens are cached until shortly before they expire; concurrent callers share one token request.
+ *
+ * @param {Object} options OAuth2 settings
+ * @param {string} options.tokenUrl Token endpoint URL
+ * @param {string} options.clientId Client ID
+ * @param {string} options.clientSecret Client secret
+ * @param {string} [options.scope] Requested scope
+ * @param {number} [options.timeout=30000] Token request timeout in milliseconds
+ * @returns {AuthProvider}
+ */
+export function createClientCredentialsProvider({
+	tokenUrl,
+	clientId,
+	clientSecret,
+	scope,
+	timeout = 30000,
+}) {
+	if (!clientId || !clientSecret) {
+		throw new Error('OAuth2 client credentials require a client ID and client secret');
+	}
+
+	let cached = null;
+	let pending = null;
+
+	async function requestToken() {
+		const body = new URLSearchParams({
+			grant_type: 'client_credentials',
+			client_id: clientId,
+			client_secret: clientSecret,
+		});
+		if (scope) body.set('scope', scope);
+
+		let result;
+		try {
+			result = await ky.post(tokenUrl, { body, timeout, retry: 0 }).json();
+		} catch (error) {
+			logger.error(
+				{ tokenUrl, status: error.response?.status },
+				'Failed to obtain OAuth2 access token'
+			);
+			throw new Error(`Failed to obtain OAuth2 access token: ${error.message}`);
+		}
+
+		if (!result?.access_token) {
+			throw new Error('OAuth2 token response did not contain an access_token');
+		}
+
+		const lifetime = Number(result.expires_in) || DEFAULT_TOKEN_LIFETIME_SECONDS;
+		cached = {
+			token: result.access_token,
+			expiresAt: Date.now() + Math.max(lifetime - TOKEN_EXPIRY_SKEW_SECONDS, 0) * 1000,
+		};
+		logger.debug({ tokenUrl, expiresIn: lifetime }, 'Obtained OAuth2 access token');
+		return cached.token;
+	}
+
+	return {
+		type: 'oauth2',
+		refreshable: true,
+		async getToken() {
+			if (cached && Date.now() < cached.expiresAt) {
+				return cached.token;
+			}
+			if (!pending) {
+				pending = requestToken().finally(() => {
+					pending = null;
+				});
+			}
+			return pending;
+		},
+		invalidate() {
+			cached = null;
+		},
+	};
+}
+
+/**
+ * Create the authentication provider selected by the configuration.
+ * OAuth2 client credentials take precedence over a token file, which takes precedence
+ * over a static token.
+ *
+ * @param {Object} [options=config] Configuration object
+ * @returns {AuthProvider|null} Provider, or null when no authentication is configured
+ * @example
+ * const auth = createAuthProvider();
+ * if (auth) request.headers.set('Authorization', `Bearer ${await auth.getToken()}`);
+ */
+export function createAuthProvider(options = config) {
+	if (options.oauthTokenUrl) {
+		return createClientCredentialsProvider({
+			tokenUrl: options.oauthTokenUrl,
+			clientId: options.oauthClientId,
+			clientSecret: options.oauthClientSecret,
+			scope: options.oauthScope,
+			timeout: options.apiTimeout,
+		});
+	}
+	if (options.apiTokenFile) {
+		return createTokenFileProvider(options.apiTokenFile);
+	}
+	if (options.apiToken) {
+		return createStaticTokenProvider(options.apiToken);
+	}
+	return null;
+}
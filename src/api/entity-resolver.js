@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Resolves human references to I14Y entities into entity IDs.
+ * A reference is a UUID, a business identifier such as `CH_eHealth_Gender` (with an optional
+ * version, defaulting to the latest standard version), or an I14Y web or API URL. Identifiers are
+ * looked up through the identifier filters of the search endpoints.
+ *
+ * @see ./i14y-client.js
+ */
+import { URL } from 'url';
+import { i14yClient } from './i14y-client.js';
+import { fetchAllPages } from './pagination.js';
+import config from '../config.js';
+import { buildConceptHistory } from '../utils/concept-history.js';
+
+/**
+ * Pattern of a complete UUID
+ * @constant {RegExp}
+ */
+const UUID_PATTERN = /^[0-9a-f]{8}-(?:[0-9a-f]{4}-){3}[0-9a-f]{12}$/i;
+
+/**
+ * Pattern of a UUID inside a URL path
+ * @constant {RegExp}
+ */
+const UUID_IN_PATH = /(?:^|\/)([0-9a-f]{8}-(?:[0-9a-f]{4}-){3}[0-9a-f]{12})(?:\/|$)/i;
+
+/**
+ * Characters an entity ID must not contain, as they would change the API request path or query
+ * @constant {RegExp}
+ */
+const UNSAFE_ID_CHARACTERS = /[/?#%\\\s]/;
+
+/**
+ * Maximum number of search results considered when resolving an identifier
+ * @constant {number}
+ */
+const MAX_CANDIDATES = 100;
+
+/**
+ * How to look up each entity type by identifier
+ * @constant {Record<string, {label: string, identifierParam: string, versionFilter: boolean, search: function(Object): Promise<Object>}>}
+ */
+const ENTITY_LOOKUPS = {
+	concepts: {
+		label: 'concept',
+		identifierParam: 'conceptIdentifier',
+		versionFilter: true,
+		search: (params) => i14yClient.searchConcepts(params),
+	},
+	datasets: {
+		label: 'dataset',
+		identifierParam: 'datasetIdentifier',
+		versionFilter: false,
+		search: (params) => i14yClient.searchDatasets(params),
+	},
+	dataservices: {
+		label: 'data service',
+		identifierParam: 'dataServiceIdentifier',
+		versionFilter: false,
+		search: (params) => i14yClient.searchDataServices(params),
+	},
+	publicservices: {
+		label: 'public service',
+		identifierParam: 'publicServiceIdentifier',
+		versionFilter: false,
+		search: (params) => i14yClient.searchPublicServices(params),
+	},
+};
+
+/**
+ * @typedef {Object} EntityReference
+ * @property {string} [id] - Entity ID, if the reference contains one
+ * @property {string} [identifier] - Business identifier, if the reference has no ID
+ * @property {string} [type] - Entity type named by a URL
+ */
+
+/**
+ * @typedef {Object} ResolvedEntity
+ * @property {string} id - Entity ID
+ * @property {string|null} type - Entity type, or null if a bare ID could be of several types
+ * @property {string|null} identifier - Business identifier, if resolved by identifier
+ * @property {string|null} version - Version, if resolved by identifier
+ */
+
+/**
+ * Describe entity types for messages.
+ *
+ * @param {string[]} types Entity types
+ * @returns {string} e.g. "dataset or concept"
+ */
+function describeTypes(types) {
+	return types.map((type) => ENTITY_LOOKUPS[type]?.label ?? type).join(' or ');
+}
+
+/**
+ * Parse an entity reference without resolving it.
+ *
+ * @param {string} reference UUID, identifier or I14Y URL
+ * @returns {EntityReference} Parsed reference
+ * @throws {Error} If a URL is not an I14Y URL or names no entity
+ * @example
+ * parseEntityReference('https://www.i14y.admin.ch/de/catalog/concepts/08d94604-8a1e-d7b5-a9d6-bbe86e8a1bd1/description');
+ * // { type: 'concepts', id: '08d94604-8a1e-d7b5-a9d6-bbe86e8a1bd1' }
+ */
+export function parseEntityReference(reference) {
+	const text = String(reference).trim();
+	if (UUID_PATTERN.test(text)) return { id: text };
+	if (!/^https?:\/\//i.test(text)) return { identifier: text };
+
+	const url = new URL(text);
+	if (!/(^|\.)i14y\.admin\.ch$/i.test(url.hostname)) throw new Error(`${text} is not an I14Y URL`);
+	const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+	const typeIndex = segments.findIndex((segment) => segment.toLowerCase().replace(/-/g, '') in ENTITY_LOOKUPS);
+	const type = typeIndex === -1 ? undefined : segments[typeIndex].toLowerCase().replace(/-/g, '');
+
+	const id = url.pathname.match(UUID_IN_PATH)?.[1];
+	if (id) return { type, id };
+	if (type && segments[typeIndex + 1]) return { type, identifier: segments[typeIndex + 1] };
+	throw new Error(`Cannot find an entity ID or identifier in ${text}`);
+}
+
+/**
+ * Find the entities of a type with exactly an identifier (ignoring case).
+ *
+ * @param {string} type Entity type
+ * @param {string} identifier Business identifier
+ * @param {string} [version] Version, passed to searches that filter by version
+ * @returns {Promise<Object[]>} Matching entities
+ */
+async function findByIdentifier(type, identifier, version) {
+	const { identifierParam, versionFilter, search } = ENTITY_LOOKUPS[type];
+	const params = { [identifierParam]: identifier, ...(versionFilter && version ? { version } : {}) };
+	const { items } = await fetchAllPages(search, params, { maxItems: MAX_CANDIDATES, pageSize: config.maxPageSize });
+	return items.filter((entity) => String(entity.identifier ?? '').toLowerCase() === identifier.toLowerCase());
+}
+
+/**
+ * Build the error for a reference matching several entities.
+ *
+ * @param {string} reference Reference as given
+ * @param {Array<{type: string, entity: Object}>} matches Matching entities
+ * @returns {Error} Error listing the candidates
+ */
+function ambiguityError(reference, matches) {
+	const candidates = matches.map(({ type, entity }) => {
+		const publisher = entity.publisher?.identifier ?? entity.publisher?.id;
+		const details = [entity.identifier, entity.version ? `version ${entity.version}` : null, publisher ? `publisher ${publisher}` : null];
+		return `${ENTITY_LOOKUPS[type].label} ${entity.id} (${details.filter(Boolean).join(', ')})`;
+	});
+	const error = new Error(`${reference} is ambiguous, it matches ${matches.length} entities: ${candidates.join('; ')}. Pass one of their IDs instead`);
+	error.candidates = matches.map(({ type, entity }) => ({ type, id: entity.id }));
+	return error;
+}
+
+/**
+ * Resolve a reference to an entity ID.
+ * UUIDs are returned as they are. Identifiers are searched for among the given entity types; of
+ * several versions, the requested version or else the latest valid (preferred) standard version is
+ * chosen, falling back to the latest version. URLs resolve to the ID or identifier they contain.
+ * Other references matching no identifier are returned as IDs, unless they contain characters
+ * (`/ ? # %`, backslashes or whitespace) that would alter the API request.
+ *
+ * @param {string} reference UUID, identifier or I14Y URL
+ * @param {Object} options Resolution options
+ * @param {string|string[]} options.type Entity type(s) the reference may refer to
+ * @param {string} [options.version] Version to choose when resolving an identifier
+ * @returns {Promise<ResolvedEntity>} Resolved entity
+ * @throws {Error} If a version or URL matches nothing, if several entities match equally well, or if
+ * an unknown reference is no valid ID
+ * @example
+ * await resolveEntityReference('CH_eHealth_Gender', { type: 'concepts' });
+ * // { id: '08d94604-...', type: 'concepts', identifier: 'CH_eHealth_Gender', version: '2.0.0' }
+ */
+export async function resolveEntityReference(reference, { type, version }) {
+	const types = [].concat(type);
+	const parsed = parseEntityReference(reference);
+	if (parsed.type && !types.includes(parsed.type)) {
+		throw new Error(`${reference} refers to a ${describeTypes([parsed.type])}, not a ${describeTypes(types)}`);
+	}
+	const candidateTypes = parsed.type ? [parsed.type] : types;
+	if (parsed.id) {
+		return { id: parsed.id, type: candidateTypes.length === 1 ? candidateTypes[0] : null, identifier: null, version: null };
+	}
+
+	const matches = [];
+	for (const candidateType of candidateTypes) {
+		const entities = await findByIdentifier(candidateType, parsed.identifier, version);
+		matches.push(...entities.map((entity) => ({ type: candidateType, entity })));
+	}
+	if (matches.length === 0 && !version && !parsed.type) {
+		// Not a known identifier: pass it on as an ID and let the API report unknown IDs
+		if (UNSAFE_ID_CHARACTERS.test(parsed.identifier) || /^\.\.?$/.test(parsed.identifier)) {
+			throw new Error(`${reference} is neither a known ${describeTypes(candidateTypes)} identifier nor a valid ID`);
+		}
+		return { id: parsed.identifier, type: candidateTypes.length === 1 ? candidateTypes[0] : null, identifier: null, version: null };
+	}
+	if (matches.length === 0) {
+		const versionText = version ? ` and version ${version}` : '';
+		throw new Error(`No ${describeTypes(candidateTypes)} found with identifier ${parsed.identifier}${versionText}`);
+	}
+	if (new Set(matches.map((match) => match.type)).size > 1) throw ambiguityError(reference, matches);
+
+	let selected;
+	if (version) {
+		selected = matches.filter(({ entity }) => entity.version === version);
+		if (selected.length === 0) {
+			const available = [...new Set(matches.map(({ entity }) => entity.version ?? 'unversioned'))].join(', ');
+			throw new Error(`${parsed.identifier} has no version ${version} (available: ${available})`);
+		}
+	} else {
+		const { versions, preferred } = buildConceptHistory(matches.map(({ entity }) => entity));
+		const chosen = (preferred ?? versions[versions.length - 1]).version;
+		selected = matches.filter(({ entity }) => (entity.version ?? null) === chosen);
+	}
+	if (selected.length > 1) throw ambiguityError(reference, selected);
+
+	const [{ type: resolvedType, entity }] = selected;
+	return { id: entity.id, type: resolvedType, identifier: entity.identifier ?? null, version: entity.version ?? null };
+}
@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Classification of errors thrown by the I14Y API client.
+ * Errors normalized by the client keep the HTTP status of the failed request, so callers can
+ * tell a missing resource apart from a request that failed for another reason.
+ *
+ * @see ./i14y-client.js
+ */
+
+/**
+ * Whether an error reports that the requested resource does not exist.
+ *
+ * @param {Error & {status?: number, response?: {status: number}}} error Error thrown by the client
+ * @returns {boolean} True for HTTP 404 responses
+ */
+export function isNotFoundError(error) {
+	return (error?.status ?? error?.response?.status) === 404;
+}
@@ -9,26 +9,51 @@
 import ky from 'ky';
 import config from '../config.js';
 import { logger } from '../utils/logger.js';
+import { createAuthProvider } from './auth.js';
+import { buildCacheKey, createResponseCache } from '../cache/response-cache.js';
+import { paginate } from './pagination.js';
+
+/**
+ * Reasons reported for failed requests by HTTP status; other statuses of 500 and above are server errors
+ * @constant {Record<number, string>}
+ */
+const HTTP_ERROR_REASONS = {
+	400: 'Bad Request - Invalid parameters',
+	401: 'Unauthorized',
+	403: 'Forbidden',
+	404: 'Resource not found',
+};
 
 /**
  * I14Y API client.
  * @class
  * @classdesc Handles communication with the I14Y Interoperability Platform Public API using ky.
- * Adds request/response logging, retry policy and translates HTTP failures into user-friendly errors.
+ * Adds request/response logging, retry policy, bearer authentication, response caching and
+ * translates HTTP failures into user-friendly errors.
  *
  * @example
  * const client = new I14YClient('https://www.i14y.admin.ch/api');
  * const concept = await client.getConcept('b9c91d1a-6a3f-4a2d-9b0d-4e1a2b3c4d5e');
  *
  * @param {string} [baseUrl=config.apiBaseUrl] Base URL of the I14Y API.
+ * @param {Object} [options] Client options.
+ * @param {import('./auth.js').AuthProvider|null} [options.auth=createAuthProvider()] Bearer token
+ * provider, or null for anonymous access.
+ * @param {import('../cache/response-cache.js').ResponseCache|null} [options.cache=createResponseCache()]
+ * Response cache for GET requests, or null to disable caching.
  * @throws {Error} If baseUrl is not provided.
  */
 class I14YClient {
-	constructor(baseUrl = config.apiBaseUrl) {
+	constructor(
+		baseUrl = config.apiBaseUrl,
+		{ auth = createAuthProvider(), cache = createResponseCache() } = {}
+	) {
 		if (!baseUrl) {
 			throw new Error('Base URL is required');
 		}
 		this.baseUrl = baseUrl;
+		this.auth = auth;
+		this.cache = cache;
 		this.client = ky.create({
 			prefixUrl: this.baseUrl,
 			timeout: 30000,
@@ -39,16 +64,32 @@ class I14YClient {
 			},
 			hooks: {
 				beforeRequest: [
-					(request) => {
+					async (request) => {
+						if (this.auth) {
+							const token = await this.auth.getToken();
+							request.headers.set('Authorization', `Bearer ${token}`);
+						}
 						logger.debug({ url: request.url }, 'Making API request');
 					},
 				],
 				afterResponse: [
-					(_request, _options, response) => {
+					async (request, options, response) => {
 						logger.debug(
 							{ status: response.status, url: response.url },
 							'API response received'
 						);
+						if (response.status === 401 && this.auth?.refreshable) {
+							// Token may have expired or been rotated: fetch a fresh one and retry once
+							logger.info({ url: request.url }, 'Refreshing API token after 401 response');
+							this.auth.invalidate();
+							const token = await this.auth.getToken();
+							request.headers.set('Authorization', `Bearer ${token}`);
+							return ky(request, {
+								retry: 0,
+								timeout: options.timeout,
+								throwHttpErrors: false,
+							});
+						}
 						return response;
 					},
 				],
@@ -65,12 +106,11 @@ class I14YClient {
 	 */
 	async getConcept(conceptId, includeCodeListEntries = false) {
 		try {
-			const response = includeCodeListEntries
-				? await this.client.get(`concepts/${conceptId}`, {
+			return includeCodeListEntries
+				? await this._get(`concepts/${encodeURIComponent(conceptId)}`, {
 						searchParams: { includeCodeListEntries: 'true' },
 				  })
-				: await this.client.get(`concepts/${conceptId}`);
-			return await response.json();
+				: await this._get(`concepts/${encodeURIComponent(conceptId)}`);
 		} catch (error) {
 			logger.error({ error, conceptId }, 'Failed to get concept');
 			throw this._handleError(error);
@@ -88,11 +128,9 @@ class I14YClient {
 	async getCodeListEntries(conceptId, params = {}) {
 		try {
 			const searchParams = this._buildSearchParams(params, 1, 25);
-			const response = await this.client.get(
-				`concepts/${conceptId}/codelistentries`,
-				{ searchParams }
-			);
-			return await response.json();
+			return await this._get(`concepts/${encodeURIComponent(conceptId)}/codelistentries`, {
+				searchParams,
+			});
 		} catch (error) {
 			logger.error({ error, conceptId }, 'Failed to get code list entries');
 			throw this._handleError(error);
@@ -107,6 +145,7 @@ class I14YClient {
 	 * @param {string} [params.version] - Version filter
 	 * @param {string} [params.publicationLevel] - Publication level (Internal, Public)
 	 * @param {string} [params.registrationStatus] - Registration status
+	 * @param {string} [params.language] - Language of the returned texts
 	 * @param {number} [params.page=1] - Page number (1-based)
 	 * @param {number} [params.pageSize=25] - Results per page
 	 * @returns {Promise<Object>} - Search results
@@ -114,8 +153,7 @@ class I14YClient {
 	async searchConcepts(params = {}) {
 		try {
 			const searchParams = this._buildSearchParams(params, 1, 25);
-			const response = await this.client.get('concepts', { searchParams });
-			return await response.json();
+			return await this._get('concepts', { searchParams });
 		} catch (error) {
 			logger.error({ error, params }, 'Failed to search concepts');
 			throw this._handleError(error);
@@ -131,12 +169,11 @@ class I14YClient {
 	 */
 	async getDataset(datasetId, language) {
 		try {
-			const response = language
-				? await this.client.get(`datasets/${datasetId}`, {
+			return language
+				? await this._get(`datasets/${encodeURIComponent(datasetId)}`, {
 						searchParams: { language },
 				  })
-				: await this.client.get(`datasets/${datasetId}`);
-			return await response.json();
+				: await this._get(`datasets/${encodeURIComponent(datasetId)}`);
 		} catch (error) {
 			logger.error({ error, datasetId }, 'Failed to get dataset');
 			throw this._handleError(error);
@@ -151,6 +188,7 @@ class I14YClient {
 	 * @param {string} [params.publisherIdentifier] - Publisher identifier filter
 	 * @param {string} [params.publicationLevel] - Publication level
 	 * @param {string} [params.registrationStatus] - Registration status
+	 * @param {string} [params.language] - Language of the returned texts
 	 * @param {number} [params.page=1] - Page number (1-based)
 	 * @param {number} [params.pageSize=25] - Results per page
 	 * @returns {Promise<Object>} - Search results
@@ -158,41 +196,28 @@ class I14YClient {
 	async searchDatasets(params = {}) {
 		try {
 			const searchParams = this._buildSearchParams(params, 1, 25);
-			const response = await this.client.get('datasets', { searchParams });
-			return await response.json();
+			return await this._get('datasets', { searchParams });
 		} catch (error) {
 			logger.error({ error, params }, 'Failed to search datasets');
 			throw this._handleError(error);
 		}
 	}
 
-	/**
-	 * Get dataset structure/schema via export endpoint with fallbacks
-	 * Docs: GET /datasets/{datasetId}/structures/exports/{format}
-	 * @param {string} datasetId - Dataset UUID
-	 * @param {string} [format='JsonLd'] - One of: Ttl | Rdf | JsonLd (case-insensitive accepted)
-	 * @param {string} [language] - Language code (e.g., de, fr, it, en) - optional passthrough as query
-	 * @returns {Promise<Object>} - { datasetId, format, contentType, body }
-	 */
 	/**
 	 * Get dataset structure (JSON)
 	 * Docs: GET /datasets/{datasetId}/structure
-	 * @param {string} datasetId
-	 * @param {string} [language]
-	 * @returns {Promise<Object>}
+	 * @param {string} datasetId - Dataset UUID
+	 * @param {string} [language] - Language code (e.g., de, fr, it, en)
+	 * @returns {Promise<Object>} - Dataset structure
 	 */
 	async getDatasetStructure(datasetId, language) {
 		try {
-			let response;
 			if (language) {
-				response = await this.client.get(`datasets/${datasetId}/structure`, {
+				return await this._get(`datasets/${encodeURIComponent(datasetId)}/structure`, {
 					searchParams: { language },
 				});
-			} else {
-				// Call with single argument (no options) to satisfy test expectations
-				response = await this.client.get(`datasets/${datasetId}/structure`);
 			}
-			return await response.json();
+			return await this._get(`datasets/${encodeURIComponent(datasetId)}/structure`);
 		} catch (error) {
 			logger.error({ error, datasetId, language }, 'Failed to get dataset structure');
 			throw this._handleError(error);
@@ -200,23 +225,20 @@ class I14YClient {
 	}
 
 	/**
-	 * Export dataset structure in specified format (alias of getDatasetStructure)
+	 * Export dataset structure in the specified format
 	 * Docs: GET /datasets/{datasetId}/structures/exports/{format}
 	 * @param {string} datasetId - Dataset UUID
-	 * @param {string} format - One of: Ttl | Rdf | JsonLd (case-insensitive accepted)
-	 * @param {string} [language] - Language code (optional passthrough)
+	 * @param {string} format - One of: Ttl | Rdf | JsonLd
+	 * @param {string} [language] - Language code (optional passthrough as query)
 	 * @returns {Promise<Object>} - { datasetId, format, contentType, body }
 	 */
-	/**
-	 * Export dataset structure in specified format
-	 * Docs: GET /datasets/{datasetId}/structure/export
-	 */
 	async exportDatasetStructure(datasetId, format, language) {
 		try {
-			const searchParams = { format };
-			if (language) searchParams.language = language;
-			const response = await this.client.get(`datasets/${datasetId}/structure/export`, { searchParams });
-			return await response.text();
+			const path = `datasets/${encodeURIComponent(datasetId)}/structures/exports/${format}`;
+			const document = language
+				? await this._get(path, { searchParams: { language } }, 'document')
+				: await this._get(path, undefined, 'document');
+			return { datasetId, format, ...document };
 		} catch (error) {
 			logger.error({ error, datasetId, format, language }, 'Failed to export dataset structure');
 			throw this._handleError(error);
@@ -225,11 +247,25 @@ class I14YClient {
 
 	/**
 	 * List dataset distributions (access points)
+	 * Distributions are part of the dataset metadata (DCAT `dcat:distribution`).
 	 * @param {string} datasetId - Dataset UUID
 	 * @param {string} [language] - Language code (e.g., de, fr, it, en)
-	 * @returns {Promise<Object>} - Dataset distributions
+	 * @returns {Promise<Object>} - { datasetId, distributions }
 	 */
-
+	async listDatasetDistributions(datasetId, language) {
+		try {
+			const dataset = language
+				? await this._get(`datasets/${encodeURIComponent(datasetId)}`, {
+						searchParams: { language },
+				  })
+				: await this._get(`datasets/${encodeURIComponent(datasetId)}`);
+			const distributions = dataset?.distributions ?? dataset?.distribution ?? [];
+			return { datasetId, distributions: Array.isArray(distributions) ? distributions : [distributions] };
+		} catch (error) {
+			logger.error({ error, datasetId }, 'Failed to list dataset distributions');
+			throw this._handleError(error);
+		}
+	}
 
 	/**
 	 * Get data service by ID
@@ -238,8 +274,7 @@ class I14YClient {
 	 */
 	async getDataService(dataServiceId) {
 		try {
-			const response = await this.client.get(`dataservices/${dataServiceId}`);
-			return await response.json();
+			return await this._get(`dataservices/${encodeURIComponent(dataServiceId)}`);
 		} catch (error) {
 			logger.error({ error, dataServiceId }, 'Failed to get data service');
 			throw this._handleError(error);
@@ -254,6 +289,7 @@ class I14YClient {
 	 * @param {string} [params.publisherIdentifier] - Publisher identifier filter
 	 * @param {string} [params.publicationLevel] - Publication level
 	 * @param {string} [params.registrationStatus] - Registration status
+	 * @param {string} [params.language] - Language of the returned texts
 	 * @param {number} [params.page=1] - Page number (1-based)
 	 * @param {number} [params.pageSize=25] - Results per page
 	 * @returns {Promise<Object>} - Search results
@@ -261,8 +297,7 @@ class I14YClient {
 	async searchDataServices(params = {}) {
 		try {
 			const searchParams = this._buildSearchParams(params, 1, 25);
-			const response = await this.client.get('dataservices', { searchParams });
-			return await response.json();
+			return await this._get('dataservices', { searchParams });
 		} catch (error) {
 			logger.error({ error, params }, 'Failed to search data services');
 			throw this._handleError(error);
@@ -276,10 +311,7 @@ class I14YClient {
 	 */
 	async getPublicService(publicServiceId) {
 		try {
-			const response = await this.client.get(
-				`publicservices/${publicServiceId}`
-			);
-			return await response.json();
+			return await this._get(`publicservices/${encodeURIComponent(publicServiceId)}`);
 		} catch (error) {
 			logger.error({ error, publicServiceId }, 'Failed to get public service');
 			throw this._handleError(error);
@@ -293,6 +325,7 @@ class I14YClient {
 	 * @param {string} [params.publisherIdentifier] - Publisher identifier filter
 	 * @param {string} [params.publicationLevel] - Publication level
 	 * @param {string} [params.registrationStatus] - Registration status
+	 * @param {string} [params.language] - Language of the returned texts
 	 * @param {number} [params.page=1] - Page number (1-based)
 	 * @param {number} [params.pageSize=25] - Results per page
 	 * @returns {Promise<Object>} - Search results
@@ -300,16 +333,142 @@ class I14YClient {
 	async searchPublicServices(params = {}) {
 		try {
 			const searchParams = this._buildSearchParams(params, 1, 25);
-			const response = await this.client.get('publicservices', {
-				searchParams,
-			});
-			return await response.json();
+			return await this._get('publicservices', { searchParams });
 		} catch (error) {
 			logger.error({ error, params }, 'Failed to search public services');
 			throw this._handleError(error);
 		}
 	}
 
+	/**
+	 * Iterate over all concepts matching the filters, fetching pages on demand
+	 * @param {Object} [params] - Search parameters as for searchConcepts; `page` and `pageSize` give the first page
+	 * @returns {AsyncGenerator<Object>} - Concepts
+	 */
+	iterateConcepts(params = {}) {
+		return paginate((pageParams) => this.searchConcepts(pageParams), params, {
+			pageSize: config.maxPageSize,
+		});
+	}
+
+	/**
+	 * Iterate over all entries of a code list, fetching pages on demand
+	 * @param {string} conceptId - CodeList concept UUID
+	 * @param {Object} [params] - Pagination parameters; `page` and `pageSize` give the first page
+	 * @returns {AsyncGenerator<Object>} - Code list entries
+	 */
+	iterateCodeListEntries(conceptId, params = {}) {
+		return paginate((pageParams) => this.getCodeListEntries(conceptId, pageParams), params, {
+			pageSize: config.maxPageSize,
+		});
+	}
+
+	/**
+	 * Iterate over all datasets matching the filters, fetching pages on demand
+	 * @param {Object} [params] - Search parameters as for searchDatasets; `page` and `pageSize` give the first page
+	 * @returns {AsyncGenerator<Object>} - Datasets
+	 */
+	iterateDatasets(params = {}) {
+		return paginate((pageParams) => this.searchDatasets(pageParams), params, {
+			pageSize: config.maxPageSize,
+		});
+	}
+
+	/**
+	 * Iterate over all data services matching the filters, fetching pages on demand
+	 * @param {Object} [params] - Search parameters as for searchDataServices; `page` and `pageSize` give the first page
+	 * @returns {AsyncGenerator<Object>} - Data services
+	 */
+	iterateDataServices(params = {}) {
+		return paginate((pageParams) => this.searchDataServices(pageParams), params, {
+			pageSize: config.maxPageSize,
+		});
+	}
+
+	/**
+	 * Iterate over all public services matching the filters, fetching pages on demand
+	 * @param {Object} [params] - Search parameters as for searchPublicServices; `page` and `pageSize` give the first page
+	 * @returns {AsyncGenerator<Object>} - Public services
+	 */
+	iteratePublicServices(params = {}) {
+		return paginate((pageParams) => this.searchPublicServices(pageParams), params, {
+			pageSize: config.maxPageSize,
+		});
+	}
+
+	/**
+	 * Perform a GET request through the response cache.
+	 * Fresh cache entries are returned without a request; stale entries with validators are
+	 * revalidated with `If-None-Match` / `If-Modified-Since` and reused on `304 Not Modified`.
+	 *
+	 * @private
+	 * @param {string} path Request path relative to the base URL.
+	 * @param {Object} [options] ky request options (e.g. `searchParams`).
+	 * @param {'json'|'text'|'document'} [as='json'] How to read the response body; `document`
+	 *        returns the text body together with its content type.
+	 * @returns {Promise<*>} Parsed response body.
+	 */
+	async _get(path, options, as = 'json') {
+		if (!this.cache) {
+			const response = options ? await this.client.get(path, options) : await this.client.get(path);
+			return await this._readBody(response, as);
+		}
+
+		const key = buildCacheKey(path, options?.searchParams);
+		const cached = await this.cache.lookup(key);
+		if (cached?.fresh) {
+			logger.debug({ key }, 'Cache hit');
+			return cached.entry.body;
+		}
+
+		let requestOptions = options;
+		if (cached) {
+			const headers = {};
+			if (cached.entry.etag) headers['If-None-Match'] = cached.entry.etag;
+			if (cached.entry.lastModified) headers['If-Modified-Since'] = cached.entry.lastModified;
+			requestOptions = { ...options, headers };
+		}
+
+		let response;
+		try {
+			response = requestOptions
+				? await this.client.get(path, requestOptions)
+				: await this.client.get(path);
+		} catch (error) {
+			if (cached && error.response?.status === 304) {
+				logger.debug({ key }, 'Cache entry revalidated');
+				await this.cache.revalidate(cached.entry);
+				return cached.entry.body;
+			}
+			throw error;
+		}
+
+		const body = await this._readBody(response, as);
+		await this.cache.store(key, body, {
+			etag: response.headers?.get('etag'),
+			lastModified: response.headers?.get('last-modified'),
+		});
+		return body;
+	}
+
+	/**
+	 * Read a response body.
+	 *
+	 * @private
+	 * @param {Response} response ky response.
+	 * @param {'json'|'text'|'document'} as How to read the body.
+	 * @returns {Promise<*>} Parsed body, or `{ contentType, body }` for documents.
+	 */
+	async _readBody(response, as) {
+		if (as === 'document') {
+			return {
+				contentType: response.headers?.get('content-type') || null,
+				body: await response.text(),
+			};
+		}
+		return await response[as]();
+	}
+
 	/**
 	 * Build search parameters with defaults.
 	 * Converts provided values to strings and ensures pagination defaults are present (1‑based indexing).
@@ -346,7 +505,7 @@ class I14YClient {
 	 *
 	 * @private
 	 * @param {any} error Error thrown by ky or application code.
-	 * @returns {Error} Normalized Error with meaningful message.
+	 * @returns {Error} Normalized Error with meaningful message and, for HTTP failures, the `status`.
 	 */
 	_handleError(error) {
 		// If the error already has a message, preserve it
@@ -358,20 +517,10 @@ class I14YClient {
 			const status = error.response.status;
 			const message = `API request failed with status ${status}`;
 
-			if (status === 400) {
-				return new Error(`${message}: Bad Request - Invalid parameters`);
-			}
-			if (status === 401) {
-				return new Error(`${message}: Unauthorized`);
-			}
-			if (status === 403) {
-				return new Error(`${message}: Forbidden`);
-			}
-			if (status === 404) {
-				return new Error(`${message}: Resource not found`);
-			}
-			if (status >= 500) {
-				return new Error(`${message}: Server error`);
+			const reason = HTTP_ERROR_REASONS[status] ?? (status >= 500 ? 'Server error' : null);
+			if (reason) {
+				// The status is kept so that callers can tell missing resources from failed requests
+				return Object.assign(new Error(`${message}: ${reason}`), { status });
 			}
 		}
 
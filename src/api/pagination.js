@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Pagination helpers for the paginated I14Y search endpoints.
+ * Walks 1-based pages of a search function until the result set is exhausted, either lazily
+ * as an async iterator or eagerly with a safety cap on the number of items fetched.
+ *
+ * @see ./i14y-client.js
+ */
+
+/**
+ * Default number of items fetched when fetching all pages without an explicit `maxItems`
+ * @constant {number}
+ */
+export const DEFAULT_FETCH_ALL_ITEMS = 1000;
+
+/**
+ * Hard upper limit of items fetched by one fetch-all operation
+ * @constant {number}
+ */
+export const MAX_FETCH_ALL_ITEMS = 10000;
+
+/**
+ * Extract the items of one result page.
+ * Accepts `{ items }`, `{ data }` and plain array responses.
+ *
+ * @param {Object|Array} page Result page returned by the API
+ * @returns {Array} Items of the page
+ */
+export function extractItems(page) {
+	if (Array.isArray(page)) return page;
+	if (Array.isArray(page?.items)) return page.items;
+	if (Array.isArray(page?.data)) return page.data;
+	return [];
+}
+
+/**
+ * Extract the total number of items reported by a result page.
+ *
+ * @param {Object|Array} page Result page returned by the API
+ * @returns {number|undefined} Total item count, if the API reports one
+ */
+export function extractTotal(page) {
+	const total = page?.totalCount ?? page?.total ?? page?.totalItems;
+	return typeof total === 'number' ? total : undefined;
+}
+
+/**
+ * Iterate over all items of a paginated search, page by page.
+ * Stops when a page is empty or shorter than the page size, or when the reported total is reached.
+ * The walk starts at the first item of the caller's page: `page` and `pageSize` in the params are
+ * converted into the matching page of the walk, and the items before it on that page are skipped.
+ *
+ * @param {function(Object): Promise<Object>} fetchPage Function fetching one page for the given params
+ * @param {Object} [params={}] Search parameters; `page` (default 1) of `pageSize` items (default: the
+ *        walk's page size) is the first page
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=100] Items per page fetched by the walk
+ * @yields {*} Items in API order
+ * @example
+ * for await (const concept of paginate((p) => client.searchConcepts(p), { publisherIdentifier: 'CH1' })) {
+ *   console.log(concept.identifier);
+ * }
+ */
+export async function* paginate(fetchPage, params = {}, { pageSize = 100 } = {}) {
+	const { page: firstPage, pageSize: firstPageSize, ...search } = params;
+	const offset = ((firstPage || 1) - 1) * (firstPageSize || pageSize);
+	let page = Math.floor(offset / pageSize) + 1;
+	let skip = offset % pageSize;
+	let seen = (page - 1) * pageSize;
+
+	while (true) {
+		const result = await fetchPage({ ...search, page, pageSize });
+		const items = extractItems(result);
+		const total = extractTotal(result);
+
+		for (const item of items.slice(skip)) {
+			yield item;
+		}
+		skip = 0;
+		seen += items.length;
+
+		if (items.length === 0 || items.length < pageSize) return;
+		if (total !== undefined && seen >= total) return;
+		page++;
+	}
+}
+
+/**
+ * Fetch all items of a paginated search up to a safety cap.
+ *
+ * @param {function(Object): Promise<Object>} fetchPage Function fetching one page for the given params
+ * @param {Object} [params={}] Search parameters
+ * @param {Object} [options]
+ * @param {number} [options.maxItems=DEFAULT_FETCH_ALL_ITEMS] Maximum number of items to fetch
+ *        (capped at {@link MAX_FETCH_ALL_ITEMS})
+ * @param {number} [options.pageSize=100] Items per page
+ * @returns {Promise<{items: Array, fetched: number, pages: number, totalCount: (number|undefined), truncated: boolean}>}
+ *          Collected items with a summary of the walk
+ */
+export async function fetchAllPages(fetchPage, params = {}, { maxItems = DEFAULT_FETCH_ALL_ITEMS, pageSize = 100 } = {}) {
+	const limit = Math.min(maxItems, MAX_FETCH_ALL_ITEMS);
+	const items = [];
+	let pages = 0;
+	let totalCount;
+
+	const countingFetch = async (pageParams) => {
+		const result = await fetchPage(pageParams);
+		pages++;
+		totalCount = extractTotal(result) ?? totalCount;
+		return result;
+	};
+
+	let truncated = false;
+	for await (const item of paginate(countingFetch, params, { pageSize })) {
+		if (items.length >= limit) {
+			truncated = true;
+			break;
+		}
+		items.push(item);
+	}
+
+	return {
+		items,
+		fetched: items.length,
+		pages,
+		totalCount,
+		truncated,
+	};
+}
+
+/**
+ * Describe the result of {@link fetchAllPages} in one sentence.
+ *
+ * @param {{fetched: number, pages: number, totalCount: (number|undefined), truncated: boolean}} result
+ * @param {string} itemType Plural item type, e.g. "concepts"
+ * @returns {string} Summary, e.g. "Fetched 230 of 230 concepts across 3 pages"
+ */
+export function summarizeFetchAll({ fetched, pages, totalCount, truncated }, itemType) {
+	const of = totalCount !== undefined ? ` of ${totalCount}` : '';
+	const summary = `Fetched ${fetched}${of} ${itemType} across ${pages} page${pages === 1 ? '' : 's'}`;
+	return truncated ? `${summary} (stopped at the limit of ${fetched} items; raise maxItems to fetch more)` : summary;
+}
@@ -0,0 +1,487 @@
+/**
+ * Zod schemas for I14Y tool responses.
+ * Used as tool `outputSchema`s and to validate the `structuredContent` returned by the tools.
+ * The schemas describe the fields clients can rely on and let all other API fields pass through.
+ * @module api/response-schemas
+ */
+
+import { z } from "zod";
+
+/**
+ * Common schemas
+ */
+export const LocalizedTextSchema = z.union([
+  z.string().describe("Text collapsed to the requested language"),
+  z
+    .object({
+      de: z.string().nullish(),
+      fr: z.string().nullish(),
+      it: z.string().nullish(),
+      en: z.string().nullish(),
+      rm: z.string().nullish(),
+    })
+    .passthrough(),
+]);
+
+export const EntitySchema = z
+  .object({
+    id: z.string().optional().describe("Entity UUID"),
+    identifier: z.string().nullish().describe("Business identifier"),
+    name: LocalizedTextSchema.nullish(),
+    title: LocalizedTextSchema.nullish(),
+    description: LocalizedTextSchema.nullish(),
+    publicationLevel: z.string().nullish(),
+    registrationStatus: z.string().nullish(),
+  })
+  .passthrough();
+
+export const CodeListEntrySchema = z
+  .object({
+    code: z.string().nullish().describe("Code value"),
+    name: LocalizedTextSchema.nullish(),
+    description: LocalizedTextSchema.nullish(),
+  })
+  .passthrough();
+
+/**
+ * Fields added to a result when all pages were fetched
+ */
+export const FetchAllResultSchema = z.object({
+  summary: z.string().describe("Human-readable summary of the fetch"),
+  fetched: z.number().int().describe("Number of items fetched"),
+  pages: z.number().int().describe("Number of pages requested"),
+  truncated: z.boolean().describe("Whether fetching stopped at maxItems"),
+});
+
+/**
+ * Create the response schema of a paginated search returning items of the given schema.
+ * Covers both single-page results and results of fetching all pages.
+ *
+ * @param {z.ZodTypeAny} itemSchema Schema of one result item
+ * @returns {z.ZodObject} Search response schema
+ */
+export function createSearchResponseSchema(itemSchema) {
+  return z
+    .object({
+      items: z.array(itemSchema).optional(),
+      data: z.array(itemSchema).optional(),
+      totalCount: z.number().int().nullish().describe("Total number of matching items"),
+    })
+    .merge(FetchAllResultSchema.partial())
+    .passthrough();
+}
+
+/**
+ * Tool response schemas
+ */
+export const searchConceptsResponseSchema = createSearchResponseSchema(EntitySchema);
+
+export const conceptResponseSchema = EntitySchema;
+
+export const codeListEntriesResponseSchema = createSearchResponseSchema(CodeListEntrySchema);
+
+export const searchDatasetsResponseSchema = createSearchResponseSchema(EntitySchema);
+
+export const datasetResponseSchema = EntitySchema;
+
+export const DistributionSchema = z.object({
+  identifier: z.string().nullable(),
+  title: LocalizedTextSchema.nullable(),
+  description: LocalizedTextSchema.nullable(),
+  accessUrl: z.string().nullable().describe("URL giving access to the data (e.g. a landing page or API)"),
+  downloadUrl: z.string().nullable().describe("URL of a downloadable file"),
+  mediaType: z.string().nullable().describe("IANA media type, e.g. text/csv"),
+  format: z.string().nullable().describe("File format"),
+  license: z.string().nullable(),
+  byteSize: z.number().nullable().describe("Size in bytes"),
+});
+
+export const datasetDistributionsResponseSchema = createSearchResponseSchema(DistributionSchema).extend({
+  datasetId: z.string(),
+});
+
+export const StructurePropertySchema = z.object({
+  path: z.string().nullable().describe("Property path or identifier"),
+  name: LocalizedTextSchema.nullable(),
+  description: LocalizedTextSchema.nullable(),
+  datatype: z.string().nullable(),
+  required: z.boolean(),
+  minCount: z.number().int().describe("Minimum number of values"),
+  maxCount: z.number().int().nullable().describe("Maximum number of values; null when unbounded"),
+  concept: z
+    .object({
+      id: z.string().nullable(),
+      identifier: z.string().nullable(),
+      name: LocalizedTextSchema.nullable(),
+    })
+    .nullable()
+    .describe("Linked I14Y concept"),
+});
+
+export const datasetStructureResponseSchema = z.object({
+  datasetId: z.string(),
+  propertyCount: z.number().int(),
+  linkedConceptCount: z.number().int(),
+  properties: z.array(StructurePropertySchema),
+  structure: z.unknown().describe("Structure as returned by the API"),
+});
+
+export const datasetStructureExportResponseSchema = z.object({
+  datasetId: z.string(),
+  format: z.string().describe("Export format (Ttl, Rdf or JsonLd)"),
+  contentType: z.string().nullable().describe("Content type returned by the API"),
+  body: z.string().describe("Exported document"),
+});
+
+export const searchDataServicesResponseSchema = createSearchResponseSchema(EntitySchema);
+
+export const dataServiceResponseSchema = EntitySchema;
+
+export const searchPublicServicesResponseSchema = createSearchResponseSchema(EntitySchema);
+
+export const publicServiceResponseSchema = EntitySchema;
+
+export const catalogExportResponseSchema = z.object({
+  summary: z.string().describe("Human-readable summary of the export"),
+  format: z.string().describe("Export format (rdf, ttl or jsonld)"),
+  contentType: z.string(),
+  datasetCount: z.number().int(),
+  dataServiceCount: z.number().int(),
+  completedDatasetCount: z
+    .number()
+    .int()
+    .describe("Datasets fetched in full because the search results lacked their distributions"),
+  truncated: z.boolean().describe("Whether the export stopped at maxItems"),
+  bytes: z.number().int().describe("Size of the document in bytes"),
+  path: z.string().nullable().describe("File the document was written to, if not returned inline"),
+  body: z.string().nullable().describe("Exported document, if returned inline"),
+});
+
+export const codeListExportResponseSchema = z.object({
+  summary: z.string().describe("Human-readable summary of the export"),
+  conceptId: z.string(),
+  format: z.string().describe("Export format (csv, json or skos)"),
+  contentType: z.string(),
+  entryCount: z.number().int().describe("Number of exported entries"),
+  truncated: z.boolean().describe("Whether the export stopped at maxItems"),
+  bytes: z.number().int().describe("Size of the document in bytes"),
+  path: z.string().nullable().describe("File the document was written to, if not returned inline"),
+  body: z.string().nullable().describe("Exported document, if returned inline"),
+});
+
+export const jsonSchemaResponseSchema = z.object({
+  summary: z.string().describe("Human-readable summary of the generated schema"),
+  datasetId: z.string(),
+  propertyCount: z.number().int(),
+  requiredCount: z.number().int().describe("Number of required properties"),
+  enumPropertyCount: z.number().int().describe("Number of properties restricted to code list codes"),
+  skippedCodeListConceptIds: z
+    .array(z.string())
+    .describe("Linked concepts whose code list entries could not be fetched and were left out"),
+  bytes: z.number().int().describe("Size of the document in bytes"),
+  path: z.string().nullable().describe("File the document was written to, if not returned inline"),
+  body: z.string().nullable().describe("JSON Schema document, if returned inline"),
+});
+
+export const codeArtifactResponseSchema = z.object({
+  summary: z.string().describe("Human-readable summary of the generated artifact"),
+  datasetId: z.string(),
+  target: z.string().describe("Generated artifact (postgresql, sqlite or typescript)"),
+  propertyCount: z.number().int(),
+  codeListCount: z.number().int().describe("Number of code lists included"),
+  skippedCodeListConceptIds: z
+    .array(z.string())
+    .describe("Linked concepts whose code list entries could not be fetched and were left out"),
+  bytes: z.number().int().describe("Size of the document in bytes"),
+  path: z.string().nullable().describe("File the document was written to, if not returned inline"),
+  body: z.string().nullable().describe("Generated source, if returned inline"),
+});
+
+export const codeLookupResponseSchema = z.object({
+  conceptId: z.string(),
+  summary: z.string().describe("Human-readable summary of the lookup"),
+  matchCount: z.number().int().describe("Number of entries above the match threshold"),
+  searchedEntries: z.number().int().describe("Number of code list entries searched"),
+  truncated: z.boolean().describe("Whether the code list was larger than the searched entries"),
+  items: z.array(
+    CodeListEntrySchema.extend({
+      parentCode: z.string().nullable(),
+      parent: z.object({ code: z.string().nullish(), name: LocalizedTextSchema.nullish() }).nullable(),
+      match: z.object({
+        score: z.number().describe("Match score between 0 and 1"),
+        field: z.string().describe("Matched field"),
+        language: z.string().nullable().describe("Language of the matched text"),
+        text: z.string().describe("Matched text"),
+      }),
+    })
+  ),
+});
+
+export const codeListValidationResponseSchema = z.object({
+  conceptId: z.string(),
+  summary: z.string().describe("Human-readable summary of the validation"),
+  totalValues: z.number().int(),
+  distinctValues: z.number().int(),
+  validCount: z.number().int().describe("Values matching a code, including deprecated codes"),
+  invalidCount: z.number().int().describe("Values matching no code"),
+  emptyCount: z.number().int(),
+  deprecatedCount: z.number().int().describe("Values matching a retired or superseded code"),
+  unknownValues: z.array(
+    z.object({
+      value: z.string(),
+      count: z.number().int(),
+      suggestions: z.array(
+        z.object({ code: z.string(), name: LocalizedTextSchema.nullable(), score: z.number() })
+      ),
+    })
+  ),
+  deprecatedValues: z.array(
+    z.object({
+      value: z.string(),
+      code: z.string(),
+      count: z.number().int(),
+      status: z.string().describe("retired or superseded"),
+      replacedBy: z.string().nullable(),
+    })
+  ),
+  truncated: z.boolean().describe("Whether more distinct values exist than were reported"),
+  entriesTruncated: z.boolean().describe("Whether the code list had more entries than were fetched"),
+});
+
+export const conceptUsagesResponseSchema = z.object({
+  summary: z.string().describe("Human-readable summary of the scan"),
+  conceptIds: z.array(z.string()).describe("Concept IDs looked for"),
+  conceptIdentifier: z.string().nullable(),
+  scannedDatasets: z.number().int(),
+  datasetsWithoutStructure: z.number().int().describe("Scanned datasets without a published structure"),
+  failedDatasetIds: z
+    .array(z.string())
+    .describe("Scanned datasets whose structure could not be fetched; they may still reference the concept"),
+  truncated: z.boolean().describe("Whether more datasets matched the filters than were scanned"),
+  usages: z.array(
+    z.object({
+      datasetId: z.string(),
+      identifier: z.string().nullable(),
+      title: LocalizedTextSchema.nullable(),
+      publisher: z.object({ identifier: z.string().nullable(), name: LocalizedTextSchema.nullable() }).nullable(),
+      properties: z.array(
+        z.object({
+          path: z.string().nullable(),
+          name: LocalizedTextSchema.nullable(),
+          conceptId: z.string().nullable(),
+        })
+      ),
+    })
+  ),
+  dataServices: z.array(
+    z.object({
+      id: z.string(),
+      identifier: z.string().nullable(),
+      title: LocalizedTextSchema.nullable(),
+      datasetIds: z.array(z.string()).describe("Referencing datasets served by the data service"),
+    })
+  ),
+});
+
+const CodeListVersionSchema = z.object({
+  id: z.string(),
+  version: z.string().nullable(),
+});
+
+export const codeListDiffResponseSchema = z.object({
+  conceptIdentifier: z.string(),
+  summary: z.string().describe("Human-readable summary of the changes"),
+  from: CodeListVersionSchema.describe("Older version"),
+  to: CodeListVersionSchema.describe("Newer version"),
+  fromEntryCount: z.number().int(),
+  toEntryCount: z.number().int(),
+  truncated: z.boolean().describe("Whether a version had more entries than were compared"),
+  unchangedCount: z.number().int().describe("Codes present in both versions without any change"),
+  added: z.array(z.object({ code: z.string(), name: LocalizedTextSchema.nullable() })),
+  removed: z.array(z.object({ code: z.string(), name: LocalizedTextSchema.nullable() })),
+  relabelled: z.array(
+    z.object({
+      code: z.string(),
+      changes: z.array(
+        z.object({
+          field: z.string().describe("Changed field: name or description"),
+          language: z.string().nullable().describe("Language of the text; null for untranslated text"),
+          from: z.string().nullable(),
+          to: z.string().nullable(),
+        })
+      ),
+    })
+  ),
+  moved: z.array(
+    z.object({
+      code: z.string(),
+      from: z.string().nullable().describe("Previous parent code"),
+      to: z.string().nullable().describe("New parent code"),
+    })
+  ),
+  annotationChanges: z.array(
+    z.object({
+      code: z.string(),
+      added: z.array(z.unknown()),
+      removed: z.array(z.unknown()),
+    })
+  ),
+});
+
+const ConceptVersionSchema = z.object({
+  id: z.string(),
+  version: z.string().nullable(),
+  title: LocalizedTextSchema.nullable(),
+  registrationStatus: z.string().nullable(),
+  publicationLevel: z.string().nullable(),
+  validFrom: z.string().nullable(),
+  validTo: z.string().nullable(),
+  valid: z.boolean().describe("Whether the validity period includes today"),
+});
+
+export const conceptHistoryResponseSchema = z.object({
+  conceptIdentifier: z.string(),
+  summary: z.string().describe("Human-readable summary of the history"),
+  versions: z.array(ConceptVersionSchema).describe("Versions, oldest first"),
+  statusChanges: z
+    .array(
+      z.object({
+        fromVersion: z.string().nullable(),
+        toVersion: z.string().nullable(),
+        from: z.string().nullable(),
+        to: z.string().nullable(),
+      })
+    )
+    .describe(
+      "Consecutive versions whose current registration statuses differ; the API keeps no status history"
+    ),
+  preferred: ConceptVersionSchema.nullable().describe("Version that currently is the preferred standard"),
+});
+
+export const catalogSearchResponseSchema = z.object({
+  summary: z.string().describe("Human-readable summary of the search"),
+  query: z.string(),
+  totalCount: z.number().int().describe("Number of results above the match threshold"),
+  page: z.number().int(),
+  pageSize: z.number().int(),
+  scanned: z.record(z.number().int()).describe("Number of entities ranked per entity type"),
+  truncated: z.boolean().describe("Whether an entity type had more entities than were ranked"),
+  items: z.array(
+    z.object({
+      type: z.string().describe("Entity type: concepts, datasets, dataservices or publicservices"),
+      id: z.string(),
+      identifier: z.string().nullable(),
+      title: LocalizedTextSchema.nullable(),
+      description: LocalizedTextSchema.nullable(),
+      publisher: z.object({ identifier: z.string().nullable(), name: LocalizedTextSchema.nullable() }).nullable(),
+      registrationStatus: z.string().nullable(),
+      match: z.object({
+        score: z.number().describe("Match score between 0 and 1"),
+        field: z.string().describe("Matched field"),
+        language: z.string().nullable().describe("Language of the matched text"),
+        text: z.string().describe("Matched text"),
+      }),
+    })
+  ),
+});
+
+const IndexHarvestStatsSchema = z.object({
+  harvested: z.number().int().describe("Entities listed by the API"),
+  added: z.number().int().describe("Entities indexed for the first time"),
+  updated: z.number().int().describe("Changed entities re-indexed"),
+  removed: z.number().int().describe("Entities removed because the API no longer lists them"),
+  unchanged: z.number().int().describe("Entities left as they were"),
+});
+
+export const indexSearchResponseSchema = z.object({
+  summary: z.string().describe("Human-readable summary of the search"),
+  query: z.string(),
+  terms: z.array(z.string()).describe("Searched terms after tokenization and compound splitting"),
+  totalCount: z.number().int().describe("Number of matching entities"),
+  page: z.number().int(),
+  pageSize: z.number().int(),
+  documentCount: z.number().int().describe("Number of indexed entities"),
+  refreshedAt: z.string().nullable().describe("When the index was last refreshed (ISO 8601)"),
+  items: z.array(
+    z.object({
+      type: z.string().describe("Entity type: concepts, datasets, dataservices or publicservices"),
+      id: z.string(),
+      identifier: z.string().nullable(),
+      version: z.string().nullable(),
+      title: LocalizedTextSchema.nullable(),
+      description: LocalizedTextSchema.nullable(),
+      publisher: z.object({ identifier: z.string().nullable(), name: LocalizedTextSchema.nullable() }).nullable(),
+      registrationStatus: z.string().nullable(),
+      score: z.number().describe("BM25 score"),
+      matchedTerms: z.array(z.string()).describe("Searched terms found in the entity"),
+    })
+  ),
+});
+
+export const indexRebuildResponseSchema = IndexHarvestStatsSchema.extend({
+  summary: z.string().describe("Human-readable summary of the rebuild"),
+  mode: z.enum(["full", "incremental"]),
+  path: z.string().describe("Index file"),
+  bytes: z.number().int().describe("Size of the index file"),
+  documentCount: z.number().int().describe("Number of indexed entities"),
+  counts: z.record(z.number().int()).describe("Number of indexed entities per entity type"),
+  builtAt: z.string().nullable().describe("When the index was last built from scratch (ISO 8601)"),
+  refreshedAt: z.string().nullable().describe("When the index was last refreshed (ISO 8601)"),
+  byType: z.record(IndexHarvestStatsSchema).describe("Harvest statistics per entity type"),
+});
+
+export const structureValidationResponseSchema = z.object({
+  datasetId: z.string(),
+  path: z.string().describe("Validated data file"),
+  fileFormat: z.string().describe("Data file format (csv or json)"),
+  summary: z.string().describe("Human-readable summary of the validation"),
+  recordCount: z.number().int(),
+  validRecordCount: z.number().int().describe("Records without errors"),
+  errorCount: z.number().int().describe("Number of errors found, including those not reported"),
+  columnMapping: z.array(z.object({ column: z.string(), property: z.string().nullable() })),
+  unmappedColumns: z.array(z.string()).describe("Columns matching no structure property"),
+  missingProperties: z.array(z.string()).describe("Structure properties matching no column"),
+  codeListConceptIds: z.array(z.string()).describe("Linked concepts whose code lists were checked"),
+  skippedCodeListConceptIds: z
+    .array(z.string())
+    .describe("Linked concepts whose code list entries could not be fetched so their codes were not checked"),
+  errors: z.array(
+    z.object({
+      line: z.number().int().nullable().describe("CSV line or JSON record number; null for file-level errors"),
+      column: z.string().nullable(),
+      property: z.string().nullable(),
+      value: z.string().nullable(),
+      rule: z.string().describe("missingColumn, required, maxCount, datatype or codeList"),
+      message: z.string(),
+    })
+  ),
+  truncated: z.boolean().describe("Whether more errors exist than were reported"),
+});
+
+export const entityGraphResponseSchema = z.object({
+  start: z.string().describe("Key of the start node (<type>/<id>)"),
+  summary: z.string().describe("Human-readable summary of the graph"),
+  nodes: z.array(
+    z.object({
+      key: z.string().describe("Unique node key (<type>/<id>)"),
+      type: z.string().describe("datasets, concepts, codelists, dataservices, publicservices or publishers"),
+      id: z.string(),
+      label: z.string(),
+      identifier: z.string().nullable(),
+      depth: z.number().int().describe("Number of link hops from the start entity"),
+      expanded: z.boolean().describe("Whether the links of the entity were walked"),
+      error: z.string().nullable().describe("Error fetching the entity, if any"),
+    })
+  ),
+  edges: z.array(
+    z.object({
+      source: z.string(),
+      target: z.string(),
+      relation: z.string().describe("usesConcept, hasCodeList, servesDataset or publishedBy"),
+      label: z.string().nullable(),
+    })
+  ),
+  truncated: z.boolean().describe("Whether nodes were left out because of maxNodes"),
+  graphFormat: z.string().nullable().describe("Format of the rendered diagram (mermaid or graphml)"),
+  diagram: z.string().nullable().describe("Rendered diagram, if requested"),
+});
@@ -4,6 +4,17 @@
  */
 
 import { z } from "zod";
+import { DEFAULT_FETCH_ALL_ITEMS, MAX_FETCH_ALL_ITEMS } from "./pagination.js";
+import { OUTPUT_FORMATS } from "../utils/formatting.js";
+import { DEFAULT_LOOKUP_THRESHOLD } from "../utils/code-lists.js";
+import { DEFAULT_MAX_REPORTED } from "../utils/code-list-validation.js";
+import { DATA_FILE_FORMATS } from "../utils/data-files.js";
+import { DEFAULT_MAX_ERRORS } from "../utils/structure-validation.js";
+import { CODE_ARTIFACT_TARGETS, SQL_CODE_LIST_MODES } from "../export/code-artifacts.js";
+import { DEFAULT_GRAPH_DEPTH, DEFAULT_GRAPH_MAX_NODES, GRAPH_ENTITY_TYPES } from "../utils/entity-graph.js";
+import { GRAPH_FORMATS } from "../export/graph.js";
+import { DEFAULT_USAGE_CONCURRENCY } from "../utils/concept-usages.js";
+import { DEFAULT_SEARCH_THRESHOLD, SEARCHABLE_ENTITY_TYPES } from "../utils/catalog-search.js";
 
 /**
  * Common schemas
@@ -15,6 +26,57 @@ export const PaginationSchema = z.object({
   pageSize: z.number().int().min(1).max(100).default(20),
 });
 
+export const FetchAllSchema = z.object({
+  all: z
+    .boolean()
+    .default(false)
+    .describe("Fetch all pages until the results are exhausted (up to maxItems) instead of a single page, starting at the first item of page"),
+  maxItems: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_FETCH_ALL_ITEMS)
+    .default(DEFAULT_FETCH_ALL_ITEMS)
+    .describe(`Maximum number of items to fetch when all is true (at most ${MAX_FETCH_ALL_ITEMS})`),
+});
+
+export const LanguageOptionSchema = z.object({
+  language: LanguageSchema.optional().describe(
+    "Collapse multilingual fields to this language (de, fr, it, en, rm); all translations are returned when omitted"
+  ),
+});
+
+export const EntityReferenceSchema = z
+  .string()
+  .trim()
+  .min(1)
+  .describe("Entity UUID, business identifier (e.g. CH_eHealth_Gender) or I14Y web URL");
+
+export const EntityVersionSchema = z
+  .string()
+  .min(1)
+  .optional()
+  .describe("Version to use when the entity is given by identifier; the latest standard version when omitted");
+
+export const OutputFormatSchema = z
+  .enum(OUTPUT_FORMATS)
+  .default("json")
+  .describe(
+    "Format of the text block: full JSON, readable markdown, or compact one line per item; structured content always holds the full result"
+  );
+
+export const FormatSchema = z.object({
+  format: OutputFormatSchema,
+});
+
+export const ExportOutputSchema = z.object({
+  outputPath: z
+    .string()
+    .min(1)
+    .optional()
+    .describe("File to write the export to, relative to the export directory; large exports are always written to a file"),
+});
+
 export const MultilingualTextSchema = z.object({
   de: z.string().optional(),
   fr: z.string().optional(),
@@ -30,15 +92,83 @@ export const CatalogIdSchema = z.string().min(1);
 
 export const SearchQuerySchema = z.object({
   query: z.string().min(1).describe("Search query text"),
-  page: z.number().int().min(0).default(1),
-  pageSize: z.number().int().min(1).max(100).default(20),
+  page: z.number().int().min(1).default(1).describe("Page of the ranked results (1-indexed)"),
+  pageSize: z.number().int().min(1).max(100).default(20).describe("Results per page"),
 });
 
-export const ExportCatalogSchema = z.object({
-  format: z.enum(["rdf", "ttl"]).describe("Export format (RDF or Turtle)"),
-  language: LanguageSchema.optional().describe("Language for the export"),
+export const searchCatalogSchema = SearchQuerySchema.extend({
+  types: z
+    .array(z.enum(SEARCHABLE_ENTITY_TYPES))
+    .min(1)
+    .optional()
+    .describe("Entity types to search (concepts, datasets, dataservices, publicservices); all when omitted"),
+  publisherIdentifier: z.string().optional().describe("Only search entities of this publisher"),
+  threshold: z
+    .number()
+    .min(0)
+    .max(1)
+    .default(DEFAULT_SEARCH_THRESHOLD)
+    .describe("Minimum match score between 0 and 1; lower values allow more typos and weaker matches"),
+  maxScan: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_FETCH_ALL_ITEMS)
+    .default(DEFAULT_FETCH_ALL_ITEMS)
+    .describe(`Maximum number of entities fetched and ranked per type (at most ${MAX_FETCH_ALL_ITEMS})`),
+}).merge(LanguageOptionSchema).merge(FormatSchema);
+
+export const searchIndexSchema = SearchQuerySchema.extend({
+  query: z.string().min(1).describe("Keywords to search the local catalog index for"),
+  types: z
+    .array(z.enum(SEARCHABLE_ENTITY_TYPES))
+    .min(1)
+    .optional()
+    .describe("Entity types to search (concepts, datasets, dataservices, publicservices); all when omitted"),
+  publisherIdentifier: z.string().optional().describe("Only search entities of this publisher"),
+}).merge(LanguageOptionSchema).merge(FormatSchema);
+
+export const rebuildIndexSchema = z.object({
+  full: z
+    .boolean()
+    .default(false)
+    .describe("Re-index every harvested entity; by default only new and changed entities are indexed"),
+  types: z
+    .array(z.enum(SEARCHABLE_ENTITY_TYPES))
+    .min(1)
+    .optional()
+    .describe("Entity types to harvest (concepts, datasets, dataservices, publicservices); all when omitted"),
 });
 
+export const CATALOG_EXPORT_FORMATS = ["rdf", "ttl", "jsonld"];
+
+export const CATALOG_EXPORT_ENTITY_TYPES = ["datasets", "dataservices"];
+
+export const ExportCatalogSchema = z.object({
+  format: z.enum(CATALOG_EXPORT_FORMATS).describe("Export format: rdf (RDF/XML), ttl (Turtle) or jsonld (JSON-LD)"),
+  language: LanguageSchema.optional().describe("Only export texts in this language; all languages when omitted"),
+  publisherIdentifier: z.string().optional().describe("Export the catalog of this publisher"),
+  include: z
+    .array(z.enum(CATALOG_EXPORT_ENTITY_TYPES))
+    .min(1)
+    .default(CATALOG_EXPORT_ENTITY_TYPES)
+    .describe("Entity types to export"),
+  datasetIds: z.array(z.string().min(1)).optional().describe("Export only these datasets instead of searching"),
+  dataServiceIds: z
+    .array(z.string().min(1))
+    .optional()
+    .describe("Export only these data services instead of searching"),
+  publicationLevel: z.string().optional().describe("Publication level filter"),
+  registrationStatus: z.string().optional().describe("Registration status filter"),
+  maxItems: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_FETCH_ALL_ITEMS)
+    .default(DEFAULT_FETCH_ALL_ITEMS)
+    .describe(`Maximum number of datasets and of data services to export (at most ${MAX_FETCH_ALL_ITEMS} each)`),
+}).merge(ExportOutputSchema);
+
 /**
  * Concept schemas
  */
@@ -67,14 +197,16 @@ export const searchConceptsSchema = z.object({
     .max(100)
     .default(25)
     .describe("Items per page"),
-});
+}).merge(FetchAllSchema).merge(LanguageOptionSchema).merge(FormatSchema);
 
 export const getConceptSchema = z.object({
-  id: z.string().uuid().describe("Concept ID"),
-});
+  id: EntityReferenceSchema.describe("Concept UUID, identifier or I14Y web URL"),
+  version: EntityVersionSchema,
+}).merge(LanguageOptionSchema).merge(FormatSchema);
 
 export const getCodeListEntriesSchema = z.object({
-  id: z.string().uuid().describe("Code list concept ID"),
+  id: EntityReferenceSchema.describe("Code list concept UUID, identifier or I14Y web URL"),
+  version: EntityVersionSchema,
   page: z.number().int().min(1).default(1).describe("Page number"),
   pageSize: z
     .number()
@@ -83,14 +215,117 @@ export const getCodeListEntriesSchema = z.object({
     .max(100)
     .default(25)
     .describe("Items per page"),
+}).merge(FetchAllSchema).merge(LanguageOptionSchema).merge(FormatSchema);
+
+export const lookupCodeSchema = z.object({
+  id: z.string().uuid().describe("Code list concept ID"),
+  code: z.string().min(1).optional().describe("Code to look up, e.g. 8100"),
+  label: z.string().min(1).optional().describe("Label fragment to look up in any language"),
+  threshold: z
+    .number()
+    .min(0)
+    .max(1)
+    .default(DEFAULT_LOOKUP_THRESHOLD)
+    .describe("Minimum match score between 0 and 1; lower values allow more typos"),
+  limit: z.number().int().min(1).max(100).default(10).describe("Maximum number of matches"),
+}).merge(LanguageOptionSchema).merge(FormatSchema).refine((args) => args.code || args.label, {
+  message: "Either code or label is required",
+  path: ["code"],
 });
 
-export const ExportConceptSchema = z.object({
-  id: z.string().describe("Concept ID to export"),
-  format: z.enum(["json", "csv"]).describe("Export format"),
-  language: LanguageSchema.optional().describe("Language for export"),
+export const validateAgainstCodeListSchema = z.object({
+  id: z.string().uuid().describe("Code list concept ID"),
+  values: z
+    .array(z.union([z.string(), z.number()]).nullable())
+    .max(100000)
+    .optional()
+    .describe("Values to validate"),
+  csvPath: z.string().min(1).optional().describe("Local CSV file to read the values from"),
+  column: z
+    .union([z.string().min(1), z.number().int().min(0)])
+    .default(0)
+    .describe("CSV column to validate: header name or 0-based index (default: first column)"),
+  delimiter: z.string().length(1).optional().describe("CSV delimiter; detected when omitted"),
+  hasHeader: z.boolean().default(true).describe("Whether the CSV file has a header row"),
+  ignoreCase: z.boolean().default(false).describe("Match codes case-insensitively"),
+  maxReported: z
+    .number()
+    .int()
+    .min(1)
+    .max(1000)
+    .default(DEFAULT_MAX_REPORTED)
+    .describe("Maximum number of distinct unknown and deprecated values reported"),
+}).merge(LanguageOptionSchema).merge(FormatSchema).refine((args) => args.values || args.csvPath, {
+  message: "Either values or csvPath is required",
+  path: ["values"],
 });
 
+export const findConceptUsagesSchema = z.object({
+  conceptId: z.string().uuid().optional().describe("Concept ID to look for"),
+  conceptIdentifier: z
+    .string()
+    .min(1)
+    .optional()
+    .describe("Concept identifier to look for; matches every version of the concept"),
+  publisherIdentifier: z.string().optional().describe("Only scan datasets of this publisher"),
+  publicationLevel: z.string().optional().describe("Publication level filter for the scanned datasets"),
+  registrationStatus: z.string().optional().describe("Registration status filter for the scanned datasets"),
+  maxDatasets: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_FETCH_ALL_ITEMS)
+    .default(DEFAULT_FETCH_ALL_ITEMS)
+    .describe(`Maximum number of datasets to scan (at most ${MAX_FETCH_ALL_ITEMS})`),
+  concurrency: z
+    .number()
+    .int()
+    .min(1)
+    .max(20)
+    .default(DEFAULT_USAGE_CONCURRENCY)
+    .describe("Number of dataset structures fetched at the same time"),
+  includeDataServices: z.boolean().default(true).describe("Also list the data services serving the referencing datasets"),
+}).merge(LanguageOptionSchema).merge(FormatSchema).refine((args) => args.conceptId || args.conceptIdentifier, {
+  message: "Either conceptId or conceptIdentifier is required",
+  path: ["conceptId"],
+});
+
+export const getConceptHistorySchema = z.object({
+  id: EntityReferenceSchema.optional().describe("UUID or I14Y web URL of any version of the concept"),
+  conceptIdentifier: z.string().min(1).optional().describe("Concept identifier"),
+}).merge(LanguageOptionSchema).merge(FormatSchema).refine((args) => args.id || args.conceptIdentifier, {
+  message: "Either id or conceptIdentifier is required",
+  path: ["id"],
+});
+
+export const diffCodeListVersionsSchema = z.object({
+  conceptIdentifier: z.string().min(1).describe("Identifier of the code list concept, e.g. CL_NOGA"),
+  fromVersion: z
+    .string()
+    .min(1)
+    .optional()
+    .describe("Older version to compare; the version before toVersion when omitted"),
+  toVersion: z.string().min(1).optional().describe("Newer version to compare; the latest version when omitted"),
+  language: LanguageSchema.optional().describe("Only report text changes in this language; all languages when omitted"),
+}).merge(FormatSchema);
+
+export const CODE_LIST_EXPORT_FORMATS = ["csv", "json", "skos"];
+
+export const ExportConceptSchema = z.object({
+  id: z.string().uuid().describe("Code list concept ID to export"),
+  format: z
+    .enum(CODE_LIST_EXPORT_FORMATS)
+    .describe("Export format: csv (one column per language), json (flat records) or skos (SKOS Turtle)"),
+  language: LanguageSchema.optional().describe("Only export texts in this language; all languages when omitted"),
+  maxItems: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_FETCH_ALL_ITEMS)
+    .default(MAX_FETCH_ALL_ITEMS)
+    .describe(`Maximum number of entries to export (at most ${MAX_FETCH_ALL_ITEMS})`),
+}).merge(ExportOutputSchema);
+
 /**
  * Dataset schemas
  */
@@ -110,28 +345,84 @@ export const searchDatasetsSchema = z.object({
     .max(100)
     .default(25)
     .describe("Items per page"),
-});
+}).merge(FetchAllSchema).merge(LanguageOptionSchema).merge(FormatSchema);
 
 export const getDatasetSchema = z.object({
-  id: z.string().describe("Dataset ID"),
-  language: z.string().optional().describe("Language code (e.g., de, fr, it, en)"),
-});
+  id: EntityReferenceSchema.describe("Dataset UUID, identifier or I14Y web URL"),
+  version: EntityVersionSchema,
+  language: LanguageSchema.optional().describe("Language code (de, fr, it, en, rm)"),
+}).merge(FormatSchema);
 
 export const getDatasetStructureSchema = z.object({
-  id: z.string().describe("Dataset ID"),
-  language: z.string().optional().describe("Language code (e.g., de, fr, it, en)"),
-});
+  id: EntityReferenceSchema.describe("Dataset UUID, identifier or I14Y web URL"),
+  version: EntityVersionSchema,
+  language: LanguageSchema.optional().describe("Language code (de, fr, it, en, rm)"),
+}).merge(FormatSchema);
+
+/**
+ * Structure export formats supported by the I14Y API
+ */
+export const STRUCTURE_EXPORT_FORMATS = ["Ttl", "Rdf", "JsonLd"];
+
+export const StructureExportFormatSchema = z.preprocess(
+  (value) =>
+    typeof value === "string"
+      ? STRUCTURE_EXPORT_FORMATS.find((format) => format.toLowerCase() === value.toLowerCase()) ?? value
+      : value,
+  z.enum(STRUCTURE_EXPORT_FORMATS)
+);
 
 export const exportDatasetStructureSchema = z.object({
   id: z.string().describe("Dataset ID"),
-  format: z.string().describe("Export format (e.g., json, xml)"),
-  language: z.string().optional().describe("Language code (e.g., de, fr, it, en)"),
+  format: StructureExportFormatSchema.describe("Export format: Ttl (Turtle), Rdf (RDF/XML) or JsonLd (JSON-LD)"),
+  language: LanguageSchema.optional().describe("Language code (de, fr, it, en, rm)"),
 });
 
+export const validateDataAgainstStructureSchema = z.object({
+  id: z.string().describe("Dataset ID"),
+  path: z.string().min(1).describe("Local CSV or JSON data file to validate"),
+  fileFormat: z
+    .enum(DATA_FILE_FORMATS)
+    .optional()
+    .describe("Data file format; detected from the file extension when omitted"),
+  delimiter: z.string().length(1).optional().describe("CSV delimiter; detected when omitted"),
+  maxErrors: z
+    .number()
+    .int()
+    .min(1)
+    .max(10000)
+    .default(DEFAULT_MAX_ERRORS)
+    .describe("Maximum number of errors reported"),
+}).merge(LanguageOptionSchema).merge(FormatSchema);
+
+export const generateJsonSchemaSchema = z.object({
+  id: z.string().describe("Dataset ID"),
+  language: LanguageSchema.optional().describe("Language of titles and descriptions; defaults to I14Y_DEFAULT_LANGUAGE"),
+  includeCodeLists: z
+    .boolean()
+    .default(true)
+    .describe("Restrict properties linked to code lists to their codes with enum"),
+  additionalProperties: z.boolean().default(false).describe("Allow record properties not in the structure"),
+}).merge(ExportOutputSchema);
+
+export const generateCodeArtifactsSchema = z.object({
+  id: z.string().describe("Dataset ID"),
+  target: z
+    .enum(Object.keys(CODE_ARTIFACT_TARGETS))
+    .describe("Artifact to generate: postgresql or sqlite (CREATE TABLE statements) or typescript (interface and enums)"),
+  name: z.string().min(1).optional().describe("Table or type name; defaults to dataset_<id>"),
+  codeListMode: z
+    .enum(SQL_CODE_LIST_MODES)
+    .default("check")
+    .describe("SQL only: enforce code lists with CHECK constraints or with lookup tables and foreign keys"),
+  includeCodeLists: z.boolean().default(true).describe("Fetch the code lists of linked concepts"),
+  language: LanguageSchema.optional().describe("Language of comments and enum member names; defaults to I14Y_DEFAULT_LANGUAGE"),
+}).merge(ExportOutputSchema);
+
 export const listDatasetDistributionsSchema = z.object({
   id: z.string().describe("Dataset ID"),
-  language: z.string().optional().describe("Language code (e.g., de, fr, it, en)"),
-});
+  language: LanguageSchema.optional().describe("Language code (de, fr, it, en, rm)"),
+}).merge(FormatSchema);
 
 /**
  * Data Service schemas
@@ -146,11 +437,12 @@ export const searchDataServicesSchema = z.object({
   registrationStatus: z.string().optional(),
   page: z.number().int().min(1).default(1),
   pageSize: z.number().int().min(1).max(100).default(25),
-});
+}).merge(FetchAllSchema).merge(LanguageOptionSchema).merge(FormatSchema);
 
 export const getDataServiceSchema = z.object({
-  id: z.string().uuid().describe("Data service UUID"),
-});
+  id: EntityReferenceSchema.describe("Data service UUID, identifier or I14Y web URL"),
+  version: EntityVersionSchema,
+}).merge(LanguageOptionSchema).merge(FormatSchema);
 
 /**
  * Public Service schemas
@@ -164,8 +456,39 @@ export const searchPublicServicesSchema = z.object({
   registrationStatus: z.string().optional(),
   page: z.number().int().min(1).default(1),
   pageSize: z.number().int().min(1).max(100).default(25),
-});
+}).merge(FetchAllSchema).merge(LanguageOptionSchema).merge(FormatSchema);
 
 export const getPublicServiceSchema = z.object({
-  id: z.string().uuid().describe("Public service UUID"),
-});
+  id: EntityReferenceSchema.describe("Public service UUID, identifier or I14Y web URL"),
+  version: EntityVersionSchema,
+}).merge(LanguageOptionSchema).merge(FormatSchema);
+
+/**
+ * Entity graph schemas
+ */
+export const getEntityGraphSchema = z.object({
+  id: EntityReferenceSchema.describe("UUID, identifier or I14Y web URL of the entity to start from"),
+  version: EntityVersionSchema,
+  type: z
+    .enum(GRAPH_ENTITY_TYPES)
+    .optional()
+    .describe("Type of the start entity; detected by trying datasets, concepts, data services and public services when omitted"),
+  depth: z
+    .number()
+    .int()
+    .min(0)
+    .max(5)
+    .default(DEFAULT_GRAPH_DEPTH)
+    .describe("Number of link hops to walk from the start entity"),
+  maxNodes: z
+    .number()
+    .int()
+    .min(1)
+    .max(1000)
+    .default(DEFAULT_GRAPH_MAX_NODES)
+    .describe("Maximum number of nodes in the graph"),
+  graphFormat: z
+    .enum(GRAPH_FORMATS)
+    .optional()
+    .describe("Also render the graph as a Mermaid flowchart or a GraphML document"),
+}).merge(LanguageOptionSchema).merge(FormatSchema);
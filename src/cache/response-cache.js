@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Response cache for I14Y API GET requests.
+ * Caches parsed responses keyed by path and search parameters, with per-entity-type TTLs,
+ * pluggable storage (in-memory LRU or on-disk JSON files) and ETag / Last-Modified validators
+ * so stale entries can be revalidated with conditional requests instead of re-downloaded.
+ *
+ * @see ../api/i14y-client.js
+ */
+import { createHash } from 'crypto';
+import { mkdir, readFile, readdir, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import config from '../config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Default time-to-live in seconds per entity type.
+ * `search` applies to list endpoints, `codelists` to code list entries.
+ * @constant {Record<string, number>}
+ */
+export const DEFAULT_TTLS = {
+	search: 300,
+	concepts: 3600,
+	codelists: 3600,
+	datasets: 1800,
+	dataservices: 1800,
+	publicservices: 1800,
+};
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} key - Cache key
+ * @property {string} type - Entity type used to select the TTL
+ * @property {*} body - Parsed response body
+ * @property {string} [etag] - ETag validator returned by the API
+ * @property {string} [lastModified] - Last-Modified validator returned by the API
+ * @property {number} storedAt - Timestamp (ms) when the entry was stored or revalidated
+ * @property {number} expiresAt - Timestamp (ms) after which the entry is stale
+ */
+
+/**
+ * Build a cache key from a request path and its search parameters.
+ * Parameters are sorted so that equivalent requests share one entry.
+ *
+ * @param {string} path Request path relative to the API base URL
+ * @param {Record<string, string>} [searchParams] Query parameters
+ * @returns {string} Cache key, e.g. `concepts?page=1&pageSize=25`
+ */
+export function buildCacheKey(path, searchParams) {
+	const params = Object.entries(searchParams || {})
+		.filter(([, value]) => value !== undefined && value !== null)
+		.sort(([a], [b]) => a.localeCompare(b))
+		.map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`);
+	return params.length > 0 ? `${path}?${params.join('&')}` : path;
+}
+
+/**
+ * Derive the entity type of a request path, used to select its TTL.
+ *
+ * @param {string} path Request path, e.g. `concepts/{id}/codelistentries`
+ * @returns {string} Entity type (search, concepts, codelists, datasets, dataservices, publicservices)
+ */
+export function getEntityType(path) {
+	const segments = path.split('?')[0].split('/').filter(Boolean);
+	if (segments.length <= 1) return 'search';
+	if (segments[0] === 'concepts' && segments[2] === 'codelistentries') return 'codelists';
+	return segments[0];
+}
+
+/**
+ * In-memory LRU cache store.
+ * @class
+ * @classdesc Keeps up to `maxEntries` entries in insertion/access order and evicts the least
+ * recently used entry when full.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=500] Maximum number of entries
+ */
+export class MemoryCacheStore {
+	constructor({ maxEntries = 500 } = {}) {
+		this.type = 'memory';
+		this.maxEntries = maxEntries;
+		this.entries = new Map();
+	}
+
+	async get(key) {
+		const entry = this.entries.get(key);
+		if (entry) {
+			// Move to the most recently used position
+			this.entries.delete(key);
+			this.entries.set(key, entry);
+		}
+		return entry;
+	}
+
+	async set(key, entry) {
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		while (this.entries.size > this.maxEntries) {
+			this.entries.delete(this.entries.keys().next().value);
+		}
+	}
+
+	async delete(key) {
+		this.entries.delete(key);
+	}
+
+	async clear() {
+		this.entries.clear();
+	}
+
+	async size() {
+		return this.entries.size;
+	}
+}
+
+/**
+ * On-disk cache store.
+ * @class
+ * @classdesc Persists each entry as a JSON file named after the SHA-256 hash of its key,
+ * so cached responses survive server restarts. Entries are only removed by `delete`/`clear`.
+ *
+ * @param {Object} options
+ * @param {string} options.directory Directory holding the cache files
+ */
+export class FileCacheStore {
+	constructor({ directory }) {
+		if (!directory) {
+			throw new Error('Cache directory is required');
+		}
+		this.type = 'file';
+		this.directory = directory;
+	}
+
+	_file(key) {
+		return join(this.directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+	}
+
+	async get(key) {
+		try {
+			const entry = JSON.parse(await readFile(this._file(key), 'utf8'));
+			return entry.key === key ? entry : undefined;
+		} catch (error) {
+			if (error.code !== 'ENOENT') {
+				logger.warn({ error: error.message, key }, 'Failed to read cache entry');
+			}
+			return undefined;
+		}
+	}
+
+	async set(key, entry) {
+		await mkdir(this.directory, { recursive: true });
+		await writeFile(this._file(key), JSON.stringify(entry));
+	}
+
+	async delete(key) {
+		await rm(this._file(key), { force: true });
+	}
+
+	async _files() {
+		try {
+			return (await readdir(this.directory)).filter((name) => name.endsWith('.json'));
+		} catch (error) {
+			if (error.code === 'ENOENT') return [];
+			throw error;
+		}
+	}
+
+	async clear() {
+		const files = await this._files();
+		await Promise.all(files.map((name) => rm(join(this.directory, name), { force: true })));
+	}
+
+	async size() {
+		return (await this._files()).length;
+	}
+}
+
+/**
+ * Response cache with per-entity-type TTLs and hit/miss statistics.
+ * @class
+ * @classdesc Wraps a cache store. Stale entries that carry validators are kept so the client
+ * can revalidate them with `If-None-Match` / `If-Modified-Since`.
+ *
+ * @example
+ * const cache = new ResponseCache({ store: new MemoryCacheStore() });
+ * const cached = await cache.lookup('concepts/123');
+ * if (!cached?.fresh) await cache.store('concepts/123', body, { etag });
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.store=new MemoryCacheStore()] Cache store implementation
+ * @param {Record<string, number>} [options.ttls] TTL overrides in seconds per entity type
+ * @param {number} [options.defaultTtl=300] TTL in seconds for unknown entity types
+ */
+export class ResponseCache {
+	constructor({ store = new MemoryCacheStore(), ttls = {}, defaultTtl = 300 } = {}) {
+		this.cacheStore = store;
+		this.ttls = { ...DEFAULT_TTLS, ...ttls };
+		this.defaultTtl = defaultTtl;
+		this.counters = { hits: 0, misses: 0, revalidations: 0, stores: 0 };
+	}
+
+	/**
+	 * TTL in milliseconds for a cache key.
+	 *
+	 * @param {string} key Cache key
+	 * @returns {number} TTL in milliseconds
+	 */
+	ttlFor(key) {
+		return (this.ttls[getEntityType(key)] ?? this.defaultTtl) * 1000;
+	}
+
+	/**
+	 * Look up an entry. Fresh entries count as hits; stale entries with validators are
+	 * returned for revalidation; everything else counts as a miss.
+	 *
+	 * @param {string} key Cache key
+	 * @returns {Promise<{entry: CacheEntry, fresh: boolean}|null>} Cached entry, or null on miss
+	 */
+	async lookup(key) {
+		const entry = await this.cacheStore.get(key);
+		if (entry && Date.now() < entry.expiresAt) {
+			this.counters.hits++;
+			return { entry, fresh: true };
+		}
+		this.counters.misses++;
+		if (entry && (entry.etag || entry.lastModified)) {
+			return { entry, fresh: false };
+		}
+		return null;
+	}
+
+	/**
+	 * Store a response body.
+	 *
+	 * @param {string} key Cache key
+	 * @param {*} body Parsed response body
+	 * @param {Object} [validators]
+	 * @param {string} [validators.etag] ETag header value
+	 * @param {string} [validators.lastModified] Last-Modified header value
+	 * @returns {Promise<void>}
+	 */
+	async store(key, body, { etag, lastModified } = {}) {
+		const now = Date.now();
+		await this.cacheStore.set(key, {
+			key,
+			type: getEntityType(key),
+			body,
+			etag: etag || undefined,
+			lastModified: lastModified || undefined,
+			storedAt: now,
+			expiresAt: now + this.ttlFor(key),
+		});
+		this.counters.stores++;
+	}
+
+	/**
+	 * Mark a stale entry as fresh again after the API confirmed it is unchanged (304).
+	 *
+	 * @param {CacheEntry} entry Revalidated entry
+	 * @returns {Promise<void>}
+	 */
+	async revalidate(entry) {
+		const now = Date.now();
+		await this.cacheStore.set(entry.key, {
+			...entry,
+			storedAt: now,
+			expiresAt: now + this.ttlFor(entry.key),
+		});
+		this.counters.revalidations++;
+	}
+
+	/**
+	 * Remove all entries and reset the statistics.
+	 *
+	 * @returns {Promise<number>} Number of entries removed
+	 */
+	async clear() {
+		const removed = await this.cacheStore.size();
+		await this.cacheStore.clear();
+		this.counters = { hits: 0, misses: 0, revalidations: 0, stores: 0 };
+		return removed;
+	}
+
+	/**
+	 * Cache statistics.
+	 *
+	 * @returns {Promise<Object>} Store type, entry count, counters, hit rate and TTLs in seconds
+	 */
+	async stats() {
+		const lookups = this.counters.hits + this.counters.misses;
+		return {
+			store: this.cacheStore.type,
+			entries: await this.cacheStore.size(),
+			...this.counters,
+			hitRate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(3)) : 0,
+			ttls: { ...this.ttls },
+		};
+	}
+}
+
+/**
+ * Parse TTL overrides of the form `concepts=3600,search=60`.
+ *
+ * @param {string} value Comma-separated `type=seconds` pairs
+ * @returns {Record<string, number>} TTLs in seconds per entity type
+ * @throws {Error} If a pair is malformed
+ */
+export function parseTtls(value) {
+	const ttls = {};
+	for (const pair of (value || '').split(',').map((part) => part.trim()).filter(Boolean)) {
+		const [type, seconds] = pair.split('=').map((part) => part.trim());
+		const ttl = Number(seconds);
+		if (!type || !Number.isFinite(ttl) || ttl < 0) {
+			throw new Error(`Invalid cache TTL "${pair}" (expected <type>=<seconds>)`);
+		}
+		ttls[type] = ttl;
+	}
+	return ttls;
+}
+
+/**
+ * Create the response cache selected by the configuration.
+ *
+ * @param {Object} [options=config] Configuration object
+ * @returns {ResponseCache|null} Cache, or null when caching is disabled
+ */
+export function createResponseCache(options = config) {
+	if (!options.cacheEnabled) {
+		return null;
+	}
+	const store = options.cacheDir
+		? new FileCacheStore({ directory: options.cacheDir })
+		: new MemoryCacheStore({ maxEntries: options.cacheMaxEntries });
+	return new ResponseCache({
+		store,
+		ttls: parseTtls(options.cacheTtls),
+		defaultTtl: options.cacheDefaultTtl,
+	});
+}
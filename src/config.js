@@ -4,12 +4,30 @@
  * 
  * Environment variables:
  * - I14Y_API_BASE_URL: Base URL for the I14Y API (required)
- * - I14Y_API_TOKEN: Optional authentication token for the I14Y API
+ * - I14Y_API_TOKEN: Optional bearer token for the I14Y API
+ * - I14Y_API_TOKEN_FILE: Optional path of a file containing the bearer token (takes precedence over I14Y_API_TOKEN)
+ * - I14Y_OAUTH_TOKEN_URL: Optional OAuth2 token endpoint; enables the client-credentials grant (takes precedence over tokens)
+ * - I14Y_OAUTH_CLIENT_ID: OAuth2 client ID
+ * - I14Y_OAUTH_CLIENT_SECRET: OAuth2 client secret
+ * - I14Y_OAUTH_SCOPE: Optional OAuth2 scope
  * - I14Y_API_TIMEOUT: Request timeout in milliseconds (default: 30000)
- * - I14Y_DEFAULT_LANGUAGE: Default language for API responses (default: "de")
+ * - I14Y_DEFAULT_LANGUAGE: Language of rendered texts when none is requested (default: "de")
  * - I14Y_DEFAULT_PAGE_SIZE: Default number of results per page (default: 20)
  * - I14Y_MAX_PAGE_SIZE: Maximum number of results per page (default: 100)
+ * - I14Y_CACHE_ENABLED: Cache API GET responses (default: "true")
+ * - I14Y_CACHE_DIR: Optional directory for a persistent on-disk cache (default: in-memory LRU)
+ * - I14Y_CACHE_MAX_ENTRIES: Maximum number of entries in the in-memory cache (default: 500)
+ * - I14Y_CACHE_TTL: Default cache TTL in seconds (default: 300)
+ * - I14Y_CACHE_TTLS: Per-entity-type TTL overrides, e.g. "concepts=86400,search=60"
+ * - I14Y_EXPORT_DIR: Directory export tools write files to (default: "<tmpdir>/i14y-exports")
+ * - I14Y_MAX_RESPONSE_BYTES: Size budget of inline export results; larger exports are written to a file (default: 100000)
+ * - I14Y_DATA_DIR: Directory local data files (e.g. CSV files to validate) must be inside (default: "<tmpdir>/i14y-data";
+ *   in HTTP mode local data files can only be read when it is set)
+ * - I14Y_INDEX_DIR: Directory of the local full-text index of the catalog (default: "<tmpdir>/i14y-index")
  * - LOG_LEVEL: Logging level (default: "info")
+ * - MCP_TRANSPORT: Transport to serve MCP clients on: "stdio" or "http" (default: "stdio")
+ * - MCP_HTTP_HOST: Interface the HTTP transport binds to (default: "127.0.0.1")
+ * - MCP_HTTP_PORT: Port the HTTP transport listens on (default: 3000)
  * 
  * @module config
  * @see {@link https://www.i14y.admin.ch/|I14Y Interoperability Platform}
@@ -21,6 +39,8 @@
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
+import { parseArgs } from "util";
+import { tmpdir } from "os";
 
 // Load environment variables
 const __filename = fileURLToPath(import.meta.url);
@@ -34,12 +54,30 @@ if (process.env.NODE_ENV !== 'test') {
  * 
  * @constant {Object} config
  * @property {string} apiBaseUrl - Base URL for the I14Y API (e.g., "https://www.i14y.admin.ch/api")
- * @property {string} apiToken - Optional authentication token for the I14Y API
+ * @property {string} apiToken - Optional bearer token for the I14Y API
+ * @property {string} apiTokenFile - Optional path of a file containing the bearer token
+ * @property {string} oauthTokenUrl - Optional OAuth2 token endpoint for the client-credentials grant
+ * @property {string} oauthClientId - OAuth2 client ID
+ * @property {string} oauthClientSecret - OAuth2 client secret
+ * @property {string} oauthScope - Optional OAuth2 scope
  * @property {number} apiTimeout - Request timeout in milliseconds (default: 30000)
- * @property {string} defaultLanguage - Default language for API responses: "de", "fr", "it", or "en" (default: "de")
+ * @property {string} defaultLanguage - Language of rendered texts when none is requested: "de", "fr", "it", "en" or "rm" (default: "de")
  * @property {number} defaultPageSize - Default number of results per page (default: 20)
  * @property {number} maxPageSize - Maximum number of results per page (default: 100)
+ * @property {boolean} cacheEnabled - Whether API GET responses are cached (default: true)
+ * @property {string} cacheDir - Directory of the on-disk cache; empty for the in-memory cache
+ * @property {number} cacheMaxEntries - Maximum number of entries in the in-memory cache (default: 500)
+ * @property {number} cacheDefaultTtl - Default cache TTL in seconds (default: 300)
+ * @property {string} cacheTtls - Per-entity-type TTL overrides as "type=seconds" pairs
+ * @property {string} exportDir - Directory export tools write files to (default: "<tmpdir>/i14y-exports")
+ * @property {number} maxResponseBytes - Size budget in bytes of inline export results (default: 100000)
+ * @property {string} dataDir - Directory local data files must be inside; empty to disable reading local data files (default: "<tmpdir>/i14y-data")
+ * @property {boolean} dataDirConfigured - Whether I14Y_DATA_DIR was set explicitly
+ * @property {string} indexDir - Directory of the local full-text index of the catalog (default: "<tmpdir>/i14y-index")
  * @property {string} logLevel - Logging level: "trace", "debug", "info", "warn", "error", or "fatal" (default: "info")
+ * @property {string} transport - MCP transport: "stdio" or "http" (default: "stdio")
+ * @property {string} httpHost - Interface the HTTP transport binds to (default: "127.0.0.1")
+ * @property {number} httpPort - Port the HTTP transport listens on (default: 3000)
  */
 const apiBaseUrl = process.env.I14Y_API_BASE_URL;
 // Only validate in production, not in test environment
@@ -50,19 +88,93 @@ if (!apiBaseUrl && process.env.NODE_ENV !== 'test') {
 const config = {
   apiBaseUrl,
   apiToken: process.env.I14Y_API_TOKEN || "",
+  apiTokenFile: process.env.I14Y_API_TOKEN_FILE || "",
+  oauthTokenUrl: process.env.I14Y_OAUTH_TOKEN_URL || "",
+  oauthClientId: process.env.I14Y_OAUTH_CLIENT_ID || "",
+  oauthClientSecret: process.env.I14Y_OAUTH_CLIENT_SECRET || "",
+  oauthScope: process.env.I14Y_OAUTH_SCOPE || "",
   apiTimeout: parseInt(process.env.I14Y_API_TIMEOUT || "30000", 10),
   defaultLanguage: process.env.I14Y_DEFAULT_LANGUAGE || "de",
   defaultPageSize: parseInt(process.env.I14Y_DEFAULT_PAGE_SIZE || "20", 10),
   maxPageSize: parseInt(process.env.I14Y_MAX_PAGE_SIZE || "100", 10),
+  cacheEnabled: (process.env.I14Y_CACHE_ENABLED || "true").toLowerCase() !== "false",
+  cacheDir: process.env.I14Y_CACHE_DIR || "",
+  cacheMaxEntries: parseInt(process.env.I14Y_CACHE_MAX_ENTRIES || "500", 10),
+  cacheDefaultTtl: parseInt(process.env.I14Y_CACHE_TTL || "300", 10),
+  cacheTtls: process.env.I14Y_CACHE_TTLS || "",
+  exportDir: process.env.I14Y_EXPORT_DIR || join(tmpdir(), "i14y-exports"),
+  maxResponseBytes: parseInt(process.env.I14Y_MAX_RESPONSE_BYTES || "100000", 10),
+  dataDir: process.env.I14Y_DATA_DIR || join(tmpdir(), "i14y-data"),
+  dataDirConfigured: Boolean(process.env.I14Y_DATA_DIR),
+  indexDir: process.env.I14Y_INDEX_DIR || join(tmpdir(), "i14y-index"),
   logLevel: process.env.LOG_LEVEL || "info",
+  transport: process.env.MCP_TRANSPORT || "stdio",
+  httpHost: process.env.MCP_HTTP_HOST || "127.0.0.1",
+  httpPort: parseInt(process.env.MCP_HTTP_PORT || "3000", 10),
 };
 
+/**
+ * Supported content languages
+ * @constant {string[]}
+ */
+export const LANGUAGES = ["de", "fr", "it", "en", "rm"];
+
+/**
+ * Supported MCP transports
+ * @constant {string[]}
+ */
+export const TRANSPORTS = ["stdio", "http"];
+
+/**
+ * Resolves the transport settings from command-line flags, falling back to the
+ * environment-based configuration. Flags take precedence over environment variables.
+ *
+ * Supported flags: `--transport <stdio|http>`, `--http` (shorthand for `--transport http`),
+ * `--host <host>` and `--port <port>`.
+ *
+ * @function resolveServerOptions
+ * @param {string[]} [argv=process.argv.slice(2)] - Command-line arguments
+ * @returns {{transport: string, host: string, port: number}} Transport settings
+ * @throws {Error} If the transport or port is invalid
+ * @example
+ * resolveServerOptions(['--transport', 'http', '--port', '8080']);
+ * // { transport: 'http', host: '127.0.0.1', port: 8080 }
+ */
+export function resolveServerOptions(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      transport: { type: "string" },
+      http: { type: "boolean" },
+      host: { type: "string" },
+      port: { type: "string" },
+    },
+    strict: false,
+  });
+
+  const transport = values.http ? "http" : values.transport || config.transport;
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`Unsupported transport "${transport}" (expected one of: ${TRANSPORTS.join(", ")})`);
+  }
+
+  const port = values.port !== undefined ? parseInt(values.port, 10) : config.httpPort;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port "${values.port ?? config.httpPort}"`);
+  }
+
+  return {
+    transport,
+    host: values.host || config.httpHost,
+    port,
+  };
+}
+
 /**
  * Validates that all required configuration values are present.
  * Throws an error if any required configuration is missing.
  * 
  * @function validateConfig
- * @throws {Error} If I14Y_API_BASE_URL is not set
+ * @throws {Error} If I14Y_API_BASE_URL is not set, or OAuth2 is enabled without client credentials
  * @example
  * import { validateConfig } from './config.js';
  * try {
@@ -79,6 +191,14 @@ export function validateConfig() {
     errors.push("I14Y_API_BASE_URL is required");
   }
 
+  if (!LANGUAGES.includes(config.defaultLanguage)) {
+    errors.push(`I14Y_DEFAULT_LANGUAGE must be one of: ${LANGUAGES.join(", ")}`);
+  }
+
+  if (config.oauthTokenUrl && (!config.oauthClientId || !config.oauthClientSecret)) {
+    errors.push("I14Y_OAUTH_CLIENT_ID and I14Y_OAUTH_CLIENT_SECRET are required when I14Y_OAUTH_TOKEN_URL is set");
+  }
+
   if (errors.length > 0) {
     throw new Error(`Configuration errors:\n${errors.join("\n")}`);
   }
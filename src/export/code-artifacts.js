@@ -0,0 +1,354 @@
+/**
+ * @fileoverview Generates SQL DDL and TypeScript types from I14Y dataset structures.
+ * SQL targets (PostgreSQL, SQLite) emit one `CREATE TABLE` per dataset with one column per
+ * structure property; code lists become CHECK constraints or lookup tables referenced by foreign
+ * keys. The TypeScript target emits an interface per dataset record and an enum per code list.
+ * Property keys and multi-valued properties follow the JSON Schema generator.
+ *
+ * @see ./json-schema.js
+ */
+import { datatypeSchema, propertyKeys } from './json-schema.js';
+import { formatMultilingualText } from '../utils/formatting.js';
+import { readDatatypeName } from '../utils/dataset-structure.js';
+
+/**
+ * Code artifact targets with their file extensions
+ * @constant {Record<string, {extension: string}>}
+ */
+export const CODE_ARTIFACT_TARGETS = {
+	postgresql: { extension: 'sql' },
+	sqlite: { extension: 'sql' },
+	typescript: { extension: 'ts' },
+};
+
+/**
+ * SQL representations of code lists: CHECK constraints or lookup tables
+ * @constant {string[]}
+ */
+export const SQL_CODE_LIST_MODES = ['check', 'lookup'];
+
+/**
+ * SQL column types by XSD datatype local name, for PostgreSQL and SQLite; other datatypes are TEXT
+ * @constant {Record<string, {postgresql: string, sqlite: string}>}
+ */
+const SQL_TYPES = {
+	integer: { postgresql: 'BIGINT', sqlite: 'INTEGER' },
+	long: { postgresql: 'BIGINT', sqlite: 'INTEGER' },
+	int: { postgresql: 'INTEGER', sqlite: 'INTEGER' },
+	short: { postgresql: 'SMALLINT', sqlite: 'INTEGER' },
+	byte: { postgresql: 'SMALLINT', sqlite: 'INTEGER' },
+	nonNegativeInteger: { postgresql: 'BIGINT', sqlite: 'INTEGER' },
+	positiveInteger: { postgresql: 'BIGINT', sqlite: 'INTEGER' },
+	nonPositiveInteger: { postgresql: 'BIGINT', sqlite: 'INTEGER' },
+	negativeInteger: { postgresql: 'BIGINT', sqlite: 'INTEGER' },
+	unsignedInt: { postgresql: 'BIGINT', sqlite: 'INTEGER' },
+	unsignedLong: { postgresql: 'NUMERIC(20)', sqlite: 'INTEGER' },
+	decimal: { postgresql: 'NUMERIC', sqlite: 'NUMERIC' },
+	double: { postgresql: 'DOUBLE PRECISION', sqlite: 'REAL' },
+	float: { postgresql: 'REAL', sqlite: 'REAL' },
+	boolean: { postgresql: 'BOOLEAN', sqlite: 'INTEGER' },
+	date: { postgresql: 'DATE', sqlite: 'TEXT' },
+	dateTime: { postgresql: 'TIMESTAMPTZ', sqlite: 'TEXT' },
+	time: { postgresql: 'TIME', sqlite: 'TEXT' },
+	gYear: { postgresql: 'INTEGER', sqlite: 'INTEGER' },
+};
+
+/**
+ * SQL column types holding numbers; codes of such columns are written as numeric literals
+ * @constant {RegExp}
+ */
+const NUMERIC_SQL_TYPE = /^(BIGINT|INTEGER|SMALLINT|NUMERIC|DOUBLE PRECISION|REAL)\b/;
+
+/**
+ * @typedef {Object} CodeList
+ * @property {string} name - Name of the code list, e.g. its concept identifier
+ * @property {object[]} entries - Code list entries
+ */
+
+/**
+ * @typedef {Object} ArtifactOptions
+ * @property {string} name - Name of the table or record type
+ * @property {import('../utils/dataset-structure.js').StructureProperty[]} properties - Structure properties
+ * @property {Map<string, CodeList>} [codeLists] - Code lists by linked concept ID
+ * @property {string} [language='de'] - Language of comments and enum member names
+ */
+
+/**
+ * Split text into ASCII words, without diacritics.
+ *
+ * @param {*} text
+ * @returns {string[]}
+ */
+function asciiWords(text) {
+	return String(text ?? '')
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.replace(/ß/g, 'ss')
+		.split(/[^A-Za-z0-9]+|(?<=[a-z0-9])(?=[A-Z])/)
+		.filter(Boolean);
+}
+
+/**
+ * Convert text to a snake_case identifier.
+ *
+ * @param {*} text
+ * @param {string} [fallback='unnamed'] Identifier for text without letters or digits
+ * @returns {string}
+ */
+export function snakeCase(text, fallback = 'unnamed') {
+	const name = asciiWords(text).join('_').toLowerCase() || fallback;
+	return /^\d/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Convert text to a PascalCase identifier.
+ *
+ * @param {*} text
+ * @param {string} [fallback='Unnamed'] Identifier for text without letters or digits
+ * @returns {string}
+ */
+export function pascalCase(text, fallback = 'Unnamed') {
+	const name =
+		asciiWords(text)
+			.map((word) => word[0].toUpperCase() + (word === word.toUpperCase() ? word.slice(1).toLowerCase() : word.slice(1)))
+			.join('') || fallback;
+	return /^\d/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Whether a property holds several values (see the JSON Schema generator).
+ *
+ * @param {import('../utils/dataset-structure.js').StructureProperty} property
+ * @returns {boolean}
+ */
+function isMultiValued(property) {
+	return (property.maxCount ?? 1) > 1 || property.minCount > 1;
+}
+
+/**
+ * Whether codes of a property are numbers in the JSON Schema (and TypeScript) representation.
+ * SQL columns are numeric by their column type instead, see {@link NUMERIC_SQL_TYPE}.
+ *
+ * @param {import('../utils/dataset-structure.js').StructureProperty} property
+ * @returns {boolean}
+ */
+function isNumeric(property) {
+	const { type } = datatypeSchema(property.datatype);
+	return type === 'integer' || type === 'number';
+}
+
+/**
+ * Get the distinct codes of a code list.
+ *
+ * @param {CodeList} codeList
+ * @returns {object[]} Entries with a code, first occurrence of each code
+ */
+function codeEntries(codeList) {
+	const seen = new Set();
+	return codeList.entries.filter((entry) => {
+		if (entry.code === undefined || entry.code === null || seen.has(String(entry.code))) return false;
+		seen.add(String(entry.code));
+		return true;
+	});
+}
+
+/**
+ * Comment text of a property in the chosen language.
+ *
+ * @param {import('../utils/dataset-structure.js').StructureProperty} property
+ * @param {string} language
+ * @returns {string}
+ */
+function propertyComment(property, language) {
+	return [formatMultilingualText(property.name, language), formatMultilingualText(property.description, language)]
+		.filter(Boolean)
+		.join(': ')
+		.replace(/\s+/g, ' ');
+}
+
+/**
+ * Make an identifier unique among those already taken by appending a numeric suffix.
+ * Different names can map to the same identifier (`firstName` and `first_name` are both `first_name`).
+ *
+ * @param {string} name Identifier
+ * @param {Set<string>} taken Identifiers in use; the returned identifier is added
+ * @param {string} [separator=''] Separator before the suffix
+ * @returns {string} `name`, or `name2`, `name3`, ... if it is taken
+ */
+function uniqueName(name, taken, separator = '') {
+	let unique = name;
+	for (let suffix = 2; taken.has(unique); suffix++) unique = `${name}${separator}${suffix}`;
+	taken.add(unique);
+	return unique;
+}
+
+/**
+ * Quote an SQL identifier.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function quoteIdentifier(name) {
+	return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Render a value as an SQL literal.
+ *
+ * @param {*} value
+ * @param {boolean} [numeric=false] Whether numeric values are unquoted
+ * @returns {string}
+ */
+function sqlLiteral(value, numeric = false) {
+	const text = String(value);
+	if (numeric && text.trim() !== '' && !Number.isNaN(Number(text))) return text;
+	return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Generate SQL DDL for a dataset structure.
+ * Multi-valued properties are arrays in PostgreSQL and JSON text in SQLite; their code lists are not enforced.
+ *
+ * @param {ArtifactOptions & {dialect: ('postgresql'|'sqlite'), codeListMode?: ('check'|'lookup')}} options
+ * @yields {string} SQL statements
+ * @example
+ * [...structureToSql({ name: 'persons', properties, dialect: 'sqlite' })].join('');
+ * // 'CREATE TABLE "persons" (\n  "age" INTEGER\n);\n'
+ */
+export function* structureToSql({ name, properties, codeLists = new Map(), language = 'de', dialect, codeListMode = 'check' }) {
+	const keys = propertyKeys(properties);
+	const tableName = snakeCase(name);
+	const columnNames = new Set();
+	const tableNames = new Set([tableName]);
+	const lookupNames = new Map();
+	const lookupTables = new Map();
+
+	const columns = properties.map((property, index) => {
+		const column = quoteIdentifier(uniqueName(snakeCase(keys[index]), columnNames, '_'));
+		const baseType = SQL_TYPES[readDatatypeName(property.datatype)]?.[dialect] ?? 'TEXT';
+		const numeric = NUMERIC_SQL_TYPE.test(baseType);
+		const multiValued = isMultiValued(property);
+		const type = multiValued ? (dialect === 'postgresql' ? `${baseType}[]` : 'TEXT') : baseType;
+		const constraints = property.minCount > 0 ? [' NOT NULL'] : [];
+
+		const codeList = multiValued ? undefined : codeLists.get(property.concept?.id);
+		if (codeList && codeListMode === 'lookup') {
+			let lookupName = lookupNames.get(property.concept.id);
+			if (!lookupName) {
+				lookupName = uniqueName(`${tableName}_${snakeCase(codeList.name)}`, tableNames, '_');
+				lookupNames.set(property.concept.id, lookupName);
+				lookupTables.set(lookupName, { codeList, type: baseType, numeric });
+			}
+			constraints.push(` REFERENCES ${quoteIdentifier(lookupName)} ("code")`);
+		} else if (codeList) {
+			const codes = codeEntries(codeList).map((entry) => sqlLiteral(entry.code, numeric));
+			if (codes.length > 0) constraints.push(` CHECK (${column} IN (${codes.join(', ')}))`);
+		}
+
+		const comment = propertyComment(property, language);
+		return `${comment ? `  -- ${comment}\n` : ''}  ${column} ${type}${constraints.join('')}`;
+	});
+
+	for (const [lookupName, { codeList, type, numeric }] of lookupTables) {
+		yield `CREATE TABLE ${quoteIdentifier(lookupName)} (\n  "code" ${type} PRIMARY KEY,\n  "name" TEXT\n);\n`;
+		const rows = codeEntries(codeList).map(
+			(entry) => `  (${sqlLiteral(entry.code, numeric)}, ${sqlLiteral(formatMultilingualText(entry.name, language))})`
+		);
+		if (rows.length > 0) yield `INSERT INTO ${quoteIdentifier(lookupName)} ("code", "name") VALUES\n${rows.join(',\n')};\n`;
+		yield '\n';
+	}
+	yield `CREATE TABLE ${quoteIdentifier(tableName)} (\n${columns.join(',\n')}\n);\n`;
+}
+
+/**
+ * TypeScript type of a JSON Schema type.
+ *
+ * @param {string} [type]
+ * @returns {string}
+ */
+function typeScriptType(type) {
+	if (type === 'integer' || type === 'number') return 'number';
+	if (type === 'string' || type === 'boolean') return type;
+	return 'unknown';
+}
+
+/**
+ * Render a JSDoc comment.
+ *
+ * @param {string} text
+ * @param {string} indent
+ * @returns {string}
+ */
+function docComment(text, indent) {
+	return text ? `${indent}/** ${text.replace(/\*\//g, '*\\/')} */\n` : '';
+}
+
+/**
+ * Render the TypeScript enum of a code list. Members are named after the code labels.
+ * Codes of numeric properties are numbers unless that would change them (`"01"`, `"1.0"`).
+ *
+ * @param {string} enumName
+ * @param {CodeList} codeList
+ * @param {boolean} numeric Whether codes are numbers
+ * @param {string} language
+ * @returns {string}
+ */
+function typeScriptEnum(enumName, codeList, numeric, language) {
+	const used = new Set();
+	const members = codeEntries(codeList).map((entry) => {
+		const label = formatMultilingualText(entry.name, language);
+		let member = pascalCase(label || `Code ${entry.code}`, `Code${entry.code}`);
+		if (used.has(member)) member = `${member}_${pascalCase(String(entry.code), 'Code')}`;
+		used.add(member);
+		const code = String(entry.code);
+		const value = numeric && String(Number(code)) === code ? code : JSON.stringify(code);
+		return `  ${member} = ${value},`;
+	});
+	return `export enum ${enumName} {\n${members.join('\n')}\n}\n`;
+}
+
+/**
+ * Generate TypeScript declarations for a dataset structure: an enum per code list and an
+ * interface describing one record. Properties without minimum count are optional.
+ *
+ * @param {ArtifactOptions} options
+ * @yields {string} Declarations
+ */
+export function* structureToTypeScript({ name, properties, codeLists = new Map(), language = 'de' }) {
+	const keys = propertyKeys(properties);
+	const interfaceName = pascalCase(name);
+	const typeNames = new Set([interfaceName]);
+	const enums = new Map();
+
+	const fields = properties.map((property, index) => {
+		const codeList = codeLists.get(property.concept?.id);
+		let type = typeScriptType(datatypeSchema(property.datatype).type);
+		if (codeList) {
+			if (!enums.has(property.concept.id)) {
+				const enumName = uniqueName(pascalCase(codeList.name), typeNames);
+				enums.set(property.concept.id, { enumName, declaration: typeScriptEnum(enumName, codeList, isNumeric(property), language) });
+			}
+			type = enums.get(property.concept.id).enumName;
+		}
+		const key = /^[A-Za-z_$][\w$]*$/.test(keys[index]) ? keys[index] : JSON.stringify(keys[index]);
+		const optional = property.minCount > 0 ? '' : '?';
+		return `${docComment(propertyComment(property, language), '  ')}  ${key}${optional}: ${type}${isMultiValued(property) ? '[]' : ''};`;
+	});
+
+	for (const { declaration } of enums.values()) yield `${declaration}\n`;
+	yield `export interface ${interfaceName} {\n${fields.join('\n')}\n}\n`;
+}
+
+/**
+ * Generate a code artifact for a dataset structure.
+ *
+ * @param {string} target One of {@link CODE_ARTIFACT_TARGETS}
+ * @param {ArtifactOptions & {codeListMode?: string}} options
+ * @returns {Iterable<string>} Document chunks
+ * @throws {Error} If the target is not supported
+ */
+export function generateCodeArtifact(target, options) {
+	if (target === 'typescript') return structureToTypeScript(options);
+	if (target === 'postgresql' || target === 'sqlite') return structureToSql({ ...options, dialect: target });
+	throw new Error(`Unsupported code artifact target: ${target}`);
+}
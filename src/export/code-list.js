@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Renders I14Y code lists as CSV, flat JSON or SKOS.
+ * Entries are flattened to one field per language (`name_de`, `name_fr`, ...), so they can be
+ * loaded into tables directly; the SKOS rendering keeps the code hierarchy as `skos:broader`.
+ *
+ * @see https://www.w3.org/TR/skos-reference/
+ * @see ./rdf.js
+ */
+import { iri, literal } from './rdf.js';
+import { I14Y_RESOURCE_BASE } from './dcat.js';
+import { LANGUAGES } from '../config.js';
+import { readParentCode } from '../utils/code-lists.js';
+
+// Re-exported for existing importers of the code list export
+export { readParentCode };
+
+/**
+ * Code list export formats with their content types and file extensions
+ * @constant {Record<string, {contentType: string, extension: string}>}
+ */
+export const CODE_LIST_FORMATS = {
+	csv: { contentType: 'text/csv', extension: 'csv' },
+	json: { contentType: 'application/json', extension: 'json' },
+	skos: { contentType: 'text/turtle', extension: 'ttl' },
+};
+
+/**
+ * Multilingual entry fields exported with one column per language
+ * @constant {string[]}
+ */
+const TEXT_FIELDS = ['name', 'description'];
+
+/**
+ * Read one translation of a multilingual value.
+ * Plain strings are treated as texts in the first exported language.
+ *
+ * @param {*} value Multilingual object or plain string
+ * @param {string} language Language code
+ * @param {string[]} languages Exported languages
+ * @returns {string} Translation, or an empty string
+ */
+function readTranslation(value, language, languages) {
+	if (!value) return '';
+	if (typeof value === 'string') return language === languages[0] ? value : '';
+	return value[language] ?? '';
+}
+
+/**
+ * Get the column names of a flattened code list.
+ *
+ * @param {string[]} [languages=LANGUAGES] Languages to export
+ * @returns {string[]} Column names
+ */
+export function codeListColumns(languages = LANGUAGES) {
+	return ['code', 'parentCode', ...TEXT_FIELDS.flatMap((field) => languages.map((language) => `${field}_${language}`))];
+}
+
+/**
+ * Flatten a code list entry to one field per language.
+ *
+ * @param {object} entry Code list entry
+ * @param {string[]} [languages=LANGUAGES] Languages to export
+ * @returns {Record<string, string|null>} Flat entry
+ * @example
+ * flattenCodeListEntry({ code: '1', name: { de: 'Mann', fr: 'Homme' } }, ['de', 'fr']);
+ * // { code: '1', parentCode: null, name_de: 'Mann', name_fr: 'Homme', description_de: '', description_fr: '' }
+ */
+export function flattenCodeListEntry(entry, languages = LANGUAGES) {
+	const flat = { code: entry.code ?? null, parentCode: readParentCode(entry) };
+	for (const field of TEXT_FIELDS) {
+		for (const language of languages) {
+			flat[`${field}_${language}`] = readTranslation(entry[field], language, languages);
+		}
+	}
+	return flat;
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180).
+ *
+ * @param {*} value Field value
+ * @returns {string}
+ */
+function csvField(value) {
+	const text = value === null || value === undefined ? '' : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render code list entries as CSV with a header row.
+ *
+ * @param {object[]} entries Code list entries
+ * @param {string[]} [languages=LANGUAGES] Languages to export
+ * @yields {string} CSV lines
+ */
+export function* codeListToCsv(entries, languages = LANGUAGES) {
+	const columns = codeListColumns(languages);
+	yield `${columns.join(',')}\r\n`;
+	for (const entry of entries) {
+		const flat = flattenCodeListEntry(entry, languages);
+		yield `${columns.map((column) => csvField(flat[column])).join(',')}\r\n`;
+	}
+}
+
+/**
+ * Render code list entries as a flat JSON array.
+ *
+ * @param {object[]} entries Code list entries
+ * @param {string[]} [languages=LANGUAGES] Languages to export
+ * @yields {string} Document chunks
+ */
+export function* codeListToJson(entries, languages = LANGUAGES) {
+	yield '[';
+	let first = true;
+	for (const entry of entries) {
+		yield `${first ? '' : ','}\n  ${JSON.stringify(flattenCodeListEntry(entry, languages))}`;
+		first = false;
+	}
+	yield '\n]\n';
+}
+
+/**
+ * Build language-tagged literals for the requested languages.
+ *
+ * @param {*} value Multilingual object or plain string
+ * @param {string[]} languages Languages to export
+ * @returns {import('./rdf.js').RdfTerm[]}
+ */
+function textLiterals(value, languages) {
+	return languages
+		.map((language) => [language, readTranslation(value, language, languages)])
+		.filter(([, text]) => text)
+		.map(([language, text]) => literal(text, { language }));
+}
+
+/**
+ * IRI of a code list concept.
+ *
+ * @param {object} concept Code list concept
+ * @returns {string}
+ */
+export function conceptSchemeIri(concept) {
+	return `${I14Y_RESOURCE_BASE}/concepts/${concept.id}`;
+}
+
+/**
+ * Build the SKOS nodes of a code list: a `skos:ConceptScheme` followed by one `skos:Concept` per code.
+ * Codes with a parent get `skos:broader`; the others are top concepts of the scheme.
+ *
+ * @param {object} concept Code list concept
+ * @param {object[]} entries Code list entries
+ * @param {string[]} [languages=LANGUAGES] Languages to export
+ * @returns {import('./rdf.js').RdfNode[]} Nodes for {@link serializeTurtle}
+ */
+export function codeListToSkos(concept, entries, languages = LANGUAGES) {
+	const schemeIri = conceptSchemeIri(concept);
+	const codeIri = (code) => `${schemeIri}/codes/${encodeURIComponent(code)}`;
+	const codes = entries.filter((entry) => entry.code !== undefined && entry.code !== null);
+
+	const scheme = {
+		id: schemeIri,
+		types: ['skos:ConceptScheme'],
+		properties: [
+			['dct:identifier', literal(concept.identifier || concept.id)],
+			...textLiterals(concept.name ?? concept.title, languages).map((label) => ['skos:prefLabel', label]),
+			...textLiterals(concept.description, languages).map((text) => ['skos:definition', text]),
+			...codes
+				.filter((entry) => !readParentCode(entry))
+				.map((entry) => ['skos:hasTopConcept', iri(codeIri(entry.code))]),
+		],
+	};
+
+	const concepts = codes.map((entry) => {
+		const parentCode = readParentCode(entry);
+		return {
+			id: codeIri(entry.code),
+			types: ['skos:Concept'],
+			properties: [
+				['skos:notation', literal(entry.code)],
+				...textLiterals(entry.name, languages).map((label) => ['skos:prefLabel', label]),
+				...textLiterals(entry.description, languages).map((text) => ['skos:definition', text]),
+				['skos:inScheme', iri(schemeIri)],
+				parentCode ? ['skos:broader', iri(codeIri(parentCode))] : ['skos:topConceptOf', iri(schemeIri)],
+			],
+		};
+	});
+
+	return [scheme, ...concepts];
+}
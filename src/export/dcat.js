@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Maps I14Y datasets and data services to DCAT-AP CH catalog nodes.
+ * The resulting nodes can be serialized with the serializers in ./rdf.js.
+ *
+ * @see https://www.dcat-ap.ch/
+ * @see ./rdf.js
+ */
+import { blankNode, iri, literal } from './rdf.js';
+import { normalizeDistribution } from '../utils/distributions.js';
+import { isMultilingualText } from '../utils/formatting.js';
+
+/**
+ * Base IRI of I14Y catalog resources
+ * @constant {string}
+ */
+export const I14Y_RESOURCE_BASE = 'https://www.i14y.admin.ch/catalog';
+
+/**
+ * Language fallback order for single-language exports (after the requested language)
+ * @constant {string[]}
+ */
+const FALLBACK_LANGUAGES = ['de', 'en', 'fr', 'it', 'rm'];
+
+/**
+ * Build language-tagged literals for a multilingual value.
+ * With a language, only the best available translation is kept.
+ *
+ * @param {*} value Multilingual object (`{ de, fr, ... }`) or plain string
+ * @param {string} [language] Language to restrict the export to
+ * @returns {import('./rdf.js').RdfTerm[]} Literals
+ */
+function textLiterals(value, language) {
+	if (!value) return [];
+	if (typeof value === 'string') return [literal(value)];
+	if (Array.isArray(value)) return value.flatMap((item) => textLiterals(item, language));
+	if (!isMultilingualText(value)) return [];
+
+	const translations = Object.entries(value).filter(([, text]) => text);
+	if (!language) {
+		return translations.map(([lang, text]) => literal(text, { language: lang }));
+	}
+	for (const lang of [language, ...FALLBACK_LANGUAGES]) {
+		if (value[lang]) return [literal(value[lang], { language: lang })];
+	}
+	return [];
+}
+
+/**
+ * Build a term for a value that may be an IRI or a plain code.
+ *
+ * @param {*} value IRI, code, or `{ code }` / `{ uri }` object
+ * @returns {import('./rdf.js').RdfTerm|null} IRI for absolute URLs, otherwise a literal
+ */
+function codeTerm(value) {
+	if (!value) return null;
+	const code = typeof value === 'object' ? (value.uri ?? value.code ?? null) : String(value);
+	if (!code) return null;
+	return /^https?:\/\//.test(code) ? iri(code) : literal(code);
+}
+
+/**
+ * Build a typed date literal.
+ *
+ * @param {*} value ISO date or date-time string
+ * @returns {import('./rdf.js').RdfTerm|null}
+ */
+function dateTerm(value) {
+	if (!value) return null;
+	const text = String(value);
+	return literal(text, { datatype: text.includes('T') ? 'xsd:dateTime' : 'xsd:date' });
+}
+
+/**
+ * Collect predicate/object pairs, skipping empty objects.
+ *
+ * @param {Array<[string, (import('./rdf.js').RdfTerm|import('./rdf.js').RdfTerm[]|null)]>} entries
+ * @returns {Array<[string, import('./rdf.js').RdfTerm]>}
+ */
+function properties(entries) {
+	return entries.flatMap(([predicate, objects]) =>
+		(Array.isArray(objects) ? objects : [objects]).filter(Boolean).map((object) => [predicate, object])
+	);
+}
+
+/**
+ * Build the common properties of datasets and data services.
+ *
+ * @param {object} entity I14Y dataset or data service
+ * @param {string} [language] Language to restrict the export to
+ * @returns {Array<[string, import('./rdf.js').RdfTerm]>}
+ */
+function resourceProperties(entity, language) {
+	const publisher = entity.publisher;
+	return properties([
+		['dct:identifier', literal(entity.identifier || entity.id)],
+		['dct:title', textLiterals(entity.title ?? entity.name, language)],
+		['dct:description', textLiterals(entity.description, language)],
+		[
+			'dct:publisher',
+			publisher
+				? blankNode(
+						['foaf:Agent'],
+						properties([
+							['dct:identifier', publisher.identifier ? literal(publisher.identifier) : null],
+							['foaf:name', textLiterals(publisher.name, language)],
+						])
+				  )
+				: null,
+		],
+		['dcat:keyword', textLiterals(entity.keywords, language)],
+		['dct:accessRights', codeTerm(entity.accessRights)],
+		['dct:issued', dateTerm(entity.issued)],
+		['dct:modified', dateTerm(entity.modified)],
+		['dcat:landingPage', (entity.landingPages ?? []).map((page) => codeTerm(page))],
+	]);
+}
+
+/**
+ * Build a DCAT distribution node.
+ *
+ * @param {object} distribution I14Y distribution
+ * @param {string} [language] Language to restrict the export to
+ * @returns {import('./rdf.js').RdfTerm}
+ */
+function distributionNode(distribution, language) {
+	const normalized = normalizeDistribution(distribution);
+	return blankNode(
+		['dcat:Distribution'],
+		properties([
+			['dct:identifier', normalized.identifier ? literal(normalized.identifier) : null],
+			['dct:title', textLiterals(normalized.title, language)],
+			['dct:description', textLiterals(normalized.description, language)],
+			['dcat:accessURL', normalized.accessUrl ? iri(normalized.accessUrl) : null],
+			['dcat:downloadURL', normalized.downloadUrl ? iri(normalized.downloadUrl) : null],
+			['dcat:mediaType', codeTerm(normalized.mediaType)],
+			['dct:format', codeTerm(normalized.format)],
+			['dct:license', codeTerm(normalized.license)],
+			[
+				'dcat:byteSize',
+				normalized.byteSize !== null ? literal(normalized.byteSize, { datatype: 'xsd:decimal' }) : null,
+			],
+		])
+	);
+}
+
+/**
+ * IRI of an I14Y dataset.
+ *
+ * @param {object} dataset
+ * @returns {string}
+ */
+export function datasetIri(dataset) {
+	return `${I14Y_RESOURCE_BASE}/datasets/${dataset.id}`;
+}
+
+/**
+ * IRI of an I14Y data service.
+ *
+ * @param {object} service
+ * @returns {string}
+ */
+export function dataServiceIri(service) {
+	return `${I14Y_RESOURCE_BASE}/dataservices/${service.id}`;
+}
+
+/**
+ * Map an I14Y dataset to a `dcat:Dataset` node.
+ *
+ * @param {object} dataset I14Y dataset
+ * @param {string} [language] Language to restrict the export to
+ * @returns {import('./rdf.js').RdfNode}
+ */
+export function datasetNode(dataset, language) {
+	const distributions = dataset.distributions ?? dataset.distribution ?? [];
+	return {
+		id: datasetIri(dataset),
+		types: ['dcat:Dataset'],
+		properties: [
+			...resourceProperties(dataset, language),
+			...distributions.filter(Boolean).map((distribution) => ['dcat:distribution', distributionNode(distribution, language)]),
+		],
+	};
+}
+
+/**
+ * Map an I14Y data service to a `dcat:DataService` node.
+ *
+ * @param {object} service I14Y data service
+ * @param {string} [language] Language to restrict the export to
+ * @returns {import('./rdf.js').RdfNode}
+ */
+export function dataServiceNode(service, language) {
+	const endpoints = service.endpointUrls ?? service.endpointURLs ?? [service.endpointUrl ?? service.endpointURL];
+	return {
+		id: dataServiceIri(service),
+		types: ['dcat:DataService'],
+		properties: [
+			...resourceProperties(service, language),
+			...properties([
+				['dcat:endpointURL', endpoints.map((endpoint) => codeTerm(endpoint))],
+				['dcat:endpointDescription', (service.endpointDescriptions ?? []).map((description) => codeTerm(description))],
+			]),
+		],
+	};
+}
+
+/**
+ * Build the nodes of a DCAT-AP CH catalog export.
+ *
+ * @param {Object} options
+ * @param {string} [options.publisherIdentifier] Publisher whose catalog is exported
+ * @param {object[]} [options.datasets=[]] I14Y datasets
+ * @param {object[]} [options.dataServices=[]] I14Y data services
+ * @param {string} [options.language] Language to restrict the export to; all languages when omitted
+ * @returns {Generator<import('./rdf.js').RdfNode>} Catalog node followed by the dataset and data service nodes
+ * @example
+ * const nodes = buildCatalog({ publisherIdentifier: 'CH1', datasets });
+ * for (const chunk of serializeRdf(nodes, 'ttl')) process.stdout.write(chunk);
+ */
+export function* buildCatalog({ publisherIdentifier, datasets = [], dataServices = [], language } = {}) {
+	const catalogId = publisherIdentifier ? `publishers/${encodeURIComponent(publisherIdentifier)}` : 'i14y';
+	yield {
+		id: `${I14Y_RESOURCE_BASE}/${catalogId}`,
+		types: ['dcat:Catalog'],
+		properties: properties([
+			[
+				'dct:title',
+				literal(publisherIdentifier ? `I14Y catalog of publisher ${publisherIdentifier}` : 'I14Y catalog', {
+					language: 'en',
+				}),
+			],
+			['dct:publisher', publisherIdentifier ? literal(publisherIdentifier) : null],
+			['dcat:dataset', datasets.map((dataset) => iri(datasetIri(dataset)))],
+			['dcat:service', dataServices.map((service) => iri(dataServiceIri(service)))],
+		]),
+	};
+	for (const dataset of datasets) yield datasetNode(dataset, language);
+	for (const service of dataServices) yield dataServiceNode(service, language);
+}
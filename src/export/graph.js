@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Renders entity graphs as Mermaid flowcharts or GraphML documents.
+ * Node shapes (Mermaid) and `type` attributes (GraphML) distinguish the entity types; edges carry
+ * their relation and, where known, the structure property that links them.
+ *
+ * @see https://mermaid.js.org/syntax/flowchart.html
+ * @see http://graphml.graphdrawing.org/
+ * @see ../utils/entity-graph.js
+ */
+
+/**
+ * Graph rendering formats
+ * @constant {string[]}
+ */
+export const GRAPH_FORMATS = ['mermaid', 'graphml'];
+
+/**
+ * Mermaid node shape delimiters by entity type
+ * @constant {Record<string, [string, string]>}
+ */
+const MERMAID_SHAPES = {
+	datasets: ['[', ']'],
+	concepts: ['(', ')'],
+	codelists: ['[[', ']]'],
+	dataservices: ['{{', '}}'],
+	publicservices: ['[/', '/]'],
+	publishers: ['>', ']'],
+};
+
+/**
+ * Escape text for a quoted Mermaid label.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function mermaidText(text) {
+	return String(text).replace(/"/g, '#quot;').replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Render an entity graph as a Mermaid flowchart.
+ *
+ * @param {{nodes: import('../utils/entity-graph.js').GraphNode[], edges: import('../utils/entity-graph.js').GraphEdge[]}} graph
+ * @returns {string} Mermaid source
+ * @example
+ * graphToMermaid({ nodes: [{ key: 'datasets/ds-1', type: 'datasets', label: 'Persons' }], edges: [] });
+ * // 'flowchart LR\n  n0["Persons"]\n'
+ */
+export function graphToMermaid({ nodes, edges }) {
+	const ids = new Map(nodes.map((node, index) => [node.key, `n${index}`]));
+	const lines = ['flowchart LR'];
+	for (const node of nodes) {
+		const [open, close] = MERMAID_SHAPES[node.type] ?? ['[', ']'];
+		lines.push(`  ${ids.get(node.key)}${open}"${mermaidText(node.label)}"${close}`);
+	}
+	for (const edge of edges) {
+		const label = mermaidText(edge.label ? `${edge.relation}: ${edge.label}` : edge.relation);
+		lines.push(`  ${ids.get(edge.source)} -->|"${label}"| ${ids.get(edge.target)}`);
+	}
+	return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape text for XML content and attributes.
+ *
+ * @param {*} text
+ * @returns {string}
+ */
+function xmlText(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * Render GraphML `data` elements for the present values.
+ *
+ * @param {Array<[string, *]>} values Key and value pairs
+ * @returns {string}
+ */
+function graphMlData(values) {
+	return values
+		.filter(([, value]) => value !== null && value !== undefined)
+		.map(([key, value]) => `<data key="${key}">${xmlText(value)}</data>`)
+		.join('');
+}
+
+/**
+ * Render an entity graph as a GraphML document.
+ *
+ * @param {{nodes: import('../utils/entity-graph.js').GraphNode[], edges: import('../utils/entity-graph.js').GraphEdge[]}} graph
+ * @returns {string} GraphML document
+ */
+export function graphToGraphMl({ nodes, edges }) {
+	const keys = [
+		['type', 'node'],
+		['label', 'node'],
+		['identifier', 'node'],
+		['entityId', 'node'],
+		['depth', 'node'],
+		['relation', 'edge'],
+		['edgeLabel', 'edge'],
+	];
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+		...keys.map(
+			([name, scope]) =>
+				`  <key id="${name}" for="${scope}" attr.name="${name}" attr.type="${name === 'depth' ? 'int' : 'string'}"/>`
+		),
+		'  <graph id="i14y" edgedefault="directed">',
+		...nodes.map(
+			(node) =>
+				`    <node id="${xmlText(node.key)}">${graphMlData([
+					['type', node.type],
+					['label', node.label],
+					['identifier', node.identifier],
+					['entityId', node.id],
+					['depth', node.depth],
+				])}</node>`
+		),
+		...edges.map(
+			(edge, index) =>
+				`    <edge id="e${index}" source="${xmlText(edge.source)}" target="${xmlText(edge.target)}">${graphMlData([
+					['relation', edge.relation],
+					['edgeLabel', edge.label],
+				])}</edge>`
+		),
+		'  </graph>',
+		'</graphml>',
+		'',
+	].join('\n');
+}
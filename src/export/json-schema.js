@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Converts I14Y dataset structures to JSON Schema (Draft 2020-12).
+ * The schema describes one record of the dataset: each structure property becomes a schema
+ * property typed after its XSD datatype, with its name and description in the chosen language.
+ * Properties linked to code lists are restricted to the codes of the list with `enum`.
+ *
+ * @see https://json-schema.org/draft/2020-12/schema
+ * @see ../utils/dataset-structure.js
+ */
+import { I14Y_RESOURCE_BASE } from './dcat.js';
+import { formatMultilingualText } from '../utils/formatting.js';
+import { readDatatypeName } from '../utils/dataset-structure.js';
+
+/**
+ * JSON Schema dialect of generated schemas
+ * @constant {string}
+ */
+export const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * JSON Schema keywords by XSD datatype local name; other datatypes are unconstrained
+ * @constant {Record<string, object>}
+ */
+const DATATYPE_SCHEMAS = {
+	string: { type: 'string' },
+	normalizedString: { type: 'string' },
+	token: { type: 'string' },
+	langString: { type: 'string' },
+	integer: { type: 'integer' },
+	int: { type: 'integer' },
+	long: { type: 'integer' },
+	short: { type: 'integer' },
+	byte: { type: 'integer' },
+	nonNegativeInteger: { type: 'integer', minimum: 0 },
+	unsignedInt: { type: 'integer', minimum: 0 },
+	unsignedLong: { type: 'integer', minimum: 0 },
+	positiveInteger: { type: 'integer', minimum: 1 },
+	nonPositiveInteger: { type: 'integer', maximum: 0 },
+	negativeInteger: { type: 'integer', maximum: -1 },
+	decimal: { type: 'number' },
+	double: { type: 'number' },
+	float: { type: 'number' },
+	boolean: { type: 'boolean' },
+	date: { type: 'string', format: 'date' },
+	dateTime: { type: 'string', format: 'date-time' },
+	time: { type: 'string', format: 'time' },
+	duration: { type: 'string', format: 'duration' },
+	gYear: { type: 'string', pattern: '^-?\\d{4}$' },
+	gYearMonth: { type: 'string', pattern: '^-?\\d{4}-(0[1-9]|1[0-2])$' },
+	anyURI: { type: 'string', format: 'uri' },
+};
+
+/**
+ * Get the JSON Schema keywords of an XSD datatype.
+ *
+ * @param {string|null} datatype Datatype, e.g. `xsd:integer`
+ * @returns {object} Schema keywords; empty for unknown datatypes
+ */
+export function datatypeSchema(datatype) {
+	return { ...(DATATYPE_SCHEMAS[readDatatypeName(datatype)] ?? {}) };
+}
+
+/**
+ * Get unique record keys for structure properties.
+ * Keys are the last segment of the property path (after `#` or `/`); the full path is used when
+ * segments collide, and `property<n>` for properties without a path.
+ *
+ * @param {import('../utils/dataset-structure.js').StructureProperty[]} properties Structure properties
+ * @returns {string[]} Keys, in property order
+ */
+export function propertyKeys(properties) {
+	const shortKeys = properties.map((property, index) =>
+		property.path ? property.path.split(/[#/]/).pop() || property.path : `property${index + 1}`
+	);
+	return shortKeys.map((key, index) =>
+		shortKeys.indexOf(key) !== shortKeys.lastIndexOf(key) && properties[index].path ? properties[index].path : key
+	);
+}
+
+/**
+ * Convert a code to the JSON type of its property, so that numeric codes of integer properties are numbers.
+ *
+ * @param {*} code Code list entry code
+ * @param {string} [type] JSON Schema type of the property
+ * @returns {string|number}
+ */
+function typedCode(code, type) {
+	const text = String(code);
+	if ((type === 'integer' || type === 'number') && text.trim() !== '' && !Number.isNaN(Number(text))) return Number(text);
+	return text;
+}
+
+/**
+ * Build the schema of one structure property.
+ * Properties allowing more than one value (`maxCount` or `minCount` above 1) become arrays;
+ * unconstrained properties are single values, as in tabular data.
+ *
+ * @param {import('../utils/dataset-structure.js').StructureProperty} property Structure property
+ * @param {object} options
+ * @param {string} options.language Language of titles and descriptions
+ * @param {object[]} [options.codeList] Entries of the linked code list
+ * @returns {object} Property schema
+ */
+function propertySchema(property, { language, codeList }) {
+	const value = datatypeSchema(property.datatype);
+	if (codeList) {
+		const codes = codeList.filter((entry) => entry.code !== undefined && entry.code !== null);
+		value.enum = [...new Set(codes.map((entry) => typedCode(entry.code, value.type)))];
+	}
+
+	const annotations = {};
+	const title = formatMultilingualText(property.name, language);
+	const description = formatMultilingualText(property.description, language);
+	if (title) annotations.title = title;
+	if (description) annotations.description = description;
+	if (property.path) annotations.$comment = `I14Y property ${property.path}`;
+
+	if ((property.maxCount ?? 1) <= 1 && property.minCount <= 1) return { ...annotations, ...value };
+	return {
+		...annotations,
+		type: 'array',
+		items: value,
+		...(property.minCount > 0 ? { minItems: property.minCount } : {}),
+		...(property.maxCount !== null ? { maxItems: property.maxCount } : {}),
+	};
+}
+
+/**
+ * Build a JSON Schema describing one record of a dataset.
+ *
+ * @param {object} options
+ * @param {string} options.datasetId Dataset ID
+ * @param {import('../utils/dataset-structure.js').StructureProperty[]} options.properties Structure properties
+ * @param {Map<string, object[]>} [options.codeLists] Code list entries by linked concept ID
+ * @param {string} [options.language='de'] Language of titles and descriptions
+ * @param {*} [options.title] Schema title (plain or multilingual text)
+ * @param {boolean} [options.additionalProperties=false] Whether records may have other properties
+ * @returns {object} JSON Schema document
+ * @example
+ * structureToJsonSchema({ datasetId: 'ds-1', properties: [{ path: 'age', datatype: 'xsd:integer', minCount: 1, ... }] });
+ * // { $schema: '...', type: 'object', properties: { age: { type: 'integer', ... } }, required: ['age'], ... }
+ */
+export function structureToJsonSchema({
+	datasetId,
+	properties,
+	codeLists = new Map(),
+	language = 'de',
+	title,
+	additionalProperties = false,
+}) {
+	const keys = propertyKeys(properties);
+	const schema = {
+		$schema: JSON_SCHEMA_DIALECT,
+		$id: `${I14Y_RESOURCE_BASE}/datasets/${datasetId}/schema.json`,
+		title: formatMultilingualText(title, language) || `Dataset ${datasetId}`,
+		type: 'object',
+		properties: Object.fromEntries(
+			properties.map((property, index) => [
+				keys[index],
+				propertySchema(property, { language, codeList: codeLists.get(property.concept?.id) }),
+			])
+		),
+	};
+	const required = keys.filter((key, index) => properties[index].minCount > 0);
+	if (required.length > 0) schema.required = required;
+	schema.additionalProperties = additionalProperties;
+	return schema;
+}
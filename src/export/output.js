@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Delivers export documents either inline or as a file.
+ * Chunks are buffered until the response size budget is exceeded; the rest of the document is
+ * then streamed to a file in the export directory instead of being returned to the client.
+ * Export tools report the outcome with {@link formatExportResult}.
+ *
+ * @see ../config.js
+ */
+import { createWriteStream } from 'fs';
+import { mkdir } from 'fs/promises';
+import { dirname, isAbsolute, relative, resolve } from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import config from '../config.js';
+import { formatSuccess } from '../utils/formatting.js';
+
+/**
+ * Resolve the path of an export file inside the export directory.
+ *
+ * @param {string} directory Export directory
+ * @param {string} fileName Relative file path
+ * @returns {string} Absolute file path
+ * @throws {Error} If the path escapes the export directory
+ */
+export function resolveExportPath(directory, fileName) {
+	const root = resolve(directory);
+	const path = resolve(root, fileName);
+	const relativePath = relative(root, path);
+	if (!relativePath || relativePath.startsWith('..') || isAbsolute(relativePath)) {
+		throw new Error(`Export path must be a file inside the export directory: ${fileName}`);
+	}
+	return path;
+}
+
+/**
+ * Write an export document inline or to a file.
+ *
+ * @param {Iterable<string>|AsyncIterable<string>} chunks Document chunks
+ * @param {Object} options
+ * @param {string} options.fileName Default file name, relative to the export directory
+ * @param {string} [options.outputPath] File to write to, relative to the export directory; forces file output
+ * @param {number} [options.maxBytes=config.maxResponseBytes] Size budget of inline documents
+ * @param {string} [options.directory=config.exportDir] Export directory
+ * @returns {Promise<{content: string, bytes: number}|{path: string, bytes: number}>}
+ *          Inline document, or the path of the written file
+ * @throws {Error} If the output path is outside the export directory or the file cannot be written
+ */
+export async function writeExport(
+	chunks,
+	{ fileName, outputPath, maxBytes = config.maxResponseBytes, directory = config.exportDir }
+) {
+	const path = resolveExportPath(directory, outputPath || fileName);
+	const iterator = (async function* () {
+		yield* chunks;
+	})();
+	const buffered = [];
+	let bytes = 0;
+
+	while (!outputPath && bytes <= maxBytes) {
+		const { value, done } = await iterator.next();
+		if (done) return { content: buffered.join(''), bytes };
+		bytes += Buffer.byteLength(value);
+		buffered.push(value);
+	}
+
+	async function* remaining() {
+		yield buffered.join('');
+		for await (const chunk of iterator) {
+			bytes += Buffer.byteLength(chunk);
+			yield chunk;
+		}
+	}
+	await mkdir(dirname(path), { recursive: true });
+	// pipeline() handles stream errors (e.g. EACCES, ENOSPC) by rejecting instead of crashing the process
+	await pipeline(Readable.from(remaining()), createWriteStream(path));
+	return { path, bytes };
+}
+
+/**
+ * Format the result of {@link writeExport} as an MCP tool response.
+ * The text content holds the summary followed by the inline document, if any; the structured
+ * content adds the size, the file path and the inline document to the given fields.
+ *
+ * @param {Object} result
+ * @param {string} result.summary Human-readable summary of the export
+ * @param {{content?: string, path?: string, bytes: number}} result.output Result of {@link writeExport}
+ * @param {Object} fields Additional structured fields (format, counts, ...)
+ * @param {import('zod').ZodTypeAny} outputSchema Schema validating the structured content
+ * @returns {object} MCP-formatted response
+ */
+export function formatExportResult({ summary, output }, fields, outputSchema) {
+	const text = output.path ? `${summary}; written to ${output.path}` : summary;
+	const response = formatSuccess(
+		{
+			summary: text,
+			...fields,
+			bytes: output.bytes,
+			path: output.path ?? null,
+			body: output.content ?? null,
+		},
+		outputSchema
+	);
+	if (response.isError) return response;
+	response.content = [
+		{ type: 'text', text },
+		...(output.content !== undefined ? [{ type: 'text', text: output.content }] : []),
+	];
+	return response;
+}
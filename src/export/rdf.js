@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Minimal RDF model and streaming serializers (Turtle, RDF/XML, JSON-LD).
+ * Graphs are lists of nodes with prefixed predicate names; nested blank nodes are inlined.
+ * Serializers are generators yielding one chunk per top-level node, so large exports can be
+ * written to a stream without building the whole document in memory.
+ *
+ * @see https://www.w3.org/TR/turtle/
+ * @see https://www.w3.org/TR/rdf-syntax-grammar/
+ * @see https://www.w3.org/TR/json-ld11/
+ */
+
+/**
+ * Namespace prefixes used by the exports
+ * @constant {Record<string, string>}
+ */
+export const PREFIXES = {
+	rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+	rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+	xsd: 'http://www.w3.org/2001/XMLSchema#',
+	dcat: 'http://www.w3.org/ns/dcat#',
+	dct: 'http://purl.org/dc/terms/',
+	foaf: 'http://xmlns.com/foaf/0.1/',
+	vcard: 'http://www.w3.org/2006/vcard/ns#',
+	skos: 'http://www.w3.org/2004/02/skos/core#',
+};
+
+/**
+ * RDF formats with their content types and file extensions
+ * @constant {Record<string, {contentType: string, extension: string}>}
+ */
+export const RDF_FORMATS = {
+	ttl: { contentType: 'text/turtle', extension: 'ttl' },
+	rdf: { contentType: 'application/rdf+xml', extension: 'rdf' },
+	jsonld: { contentType: 'application/ld+json', extension: 'jsonld' },
+};
+
+/**
+ * @typedef {Object} RdfNode
+ * @property {string} [id] - Node IRI; omitted for blank nodes
+ * @property {string[]} types - Prefixed class names, e.g. `dcat:Dataset`
+ * @property {Array<[string, RdfTerm]>} properties - Prefixed predicate and object pairs
+ */
+
+/**
+ * @typedef {{iri: string}|{value: string, language?: string, datatype?: string}|{node: RdfNode}} RdfTerm
+ */
+
+/**
+ * Create an IRI term.
+ *
+ * @param {string} value IRI
+ * @returns {RdfTerm}
+ */
+export function iri(value) {
+	return { iri: value };
+}
+
+/**
+ * Create a literal term.
+ *
+ * @param {*} value Literal value
+ * @param {Object} [options]
+ * @param {string} [options.language] Language tag
+ * @param {string} [options.datatype] Prefixed datatype, e.g. `xsd:dateTime`
+ * @returns {RdfTerm}
+ */
+export function literal(value, { language, datatype } = {}) {
+	return { value: String(value), ...(language && { language }), ...(datatype && { datatype }) };
+}
+
+/**
+ * Create a blank node term.
+ *
+ * @param {string[]} types Prefixed class names
+ * @param {Array<[string, RdfTerm]>} properties Predicate and object pairs
+ * @returns {RdfTerm}
+ */
+export function blankNode(types, properties) {
+	return { node: { types, properties } };
+}
+
+/**
+ * Expand a prefixed name to a full IRI.
+ *
+ * @param {string} name Prefixed name, e.g. `dct:title`
+ * @returns {string} Full IRI
+ */
+export function expand(name) {
+	const [prefix, local] = name.split(/:(.*)/s);
+	return PREFIXES[prefix] ? PREFIXES[prefix] + local : name;
+}
+
+/**
+ * Group the properties of a node by predicate, keeping their order.
+ *
+ * @param {RdfNode} node
+ * @returns {Map<string, RdfTerm[]>}
+ */
+function groupProperties(node) {
+	const groups = new Map();
+	for (const [predicate, object] of node.properties) {
+		if (!groups.has(predicate)) groups.set(predicate, []);
+		groups.get(predicate).push(object);
+	}
+	return groups;
+}
+
+/**
+ * Escape a string for a Turtle literal.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeTurtle(value) {
+	return value
+		.replace(/\\/g, '\\\\')
+		.replace(/"/g, '\\"')
+		.replace(/\n/g, '\\n')
+		.replace(/\r/g, '\\r')
+		.replace(/\t/g, '\\t');
+}
+
+/**
+ * Serialize a term as Turtle.
+ *
+ * @param {RdfTerm} term
+ * @param {string} indent Current indentation
+ * @returns {string}
+ */
+function turtleTerm(term, indent) {
+	if (term.iri) return `<${term.iri}>`;
+	if (term.node) return `[\n${turtleBody(term.node, `${indent}    `)}\n${indent}]`;
+	const text = `"${escapeTurtle(term.value)}"`;
+	if (term.language) return `${text}@${term.language}`;
+	if (term.datatype) return `${text}^^${term.datatype}`;
+	return text;
+}
+
+/**
+ * Serialize the predicate list of a node as Turtle.
+ *
+ * @param {RdfNode} node
+ * @param {string} indent Indentation of the predicates
+ * @returns {string}
+ */
+function turtleBody(node, indent) {
+	const lines = [];
+	if (node.types.length > 0) lines.push(`${indent}a ${node.types.join(', ')}`);
+	for (const [predicate, objects] of groupProperties(node)) {
+		lines.push(`${indent}${predicate} ${objects.map((object) => turtleTerm(object, indent)).join(', ')}`);
+	}
+	return lines.join(' ;\n');
+}
+
+/**
+ * Serialize nodes as Turtle.
+ *
+ * @param {RdfNode[]} nodes Top-level nodes
+ * @yields {string} Document chunks
+ */
+export function* serializeTurtle(nodes) {
+	yield Object.entries(PREFIXES)
+		.map(([prefix, namespace]) => `@prefix ${prefix}: <${namespace}> .`)
+		.join('\n') + '\n';
+	for (const node of nodes) {
+		yield `\n<${node.id}>\n${turtleBody(node, '    ')} .\n`;
+	}
+}
+
+/**
+ * Escape a string for XML text or attribute content.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+	return value
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+/**
+ * Serialize a node element as RDF/XML.
+ *
+ * @param {RdfNode} node
+ * @param {string} indent Indentation of the node element
+ * @returns {string}
+ */
+function xmlNode(node, indent) {
+	const [type = 'rdf:Description', ...otherTypes] = node.types;
+	const about = node.id ? ` rdf:about="${escapeXml(node.id)}"` : '';
+	const inner = `${indent}  `;
+	const lines = [`${indent}<${type}${about}>`];
+
+	for (const otherType of otherTypes) {
+		lines.push(`${inner}<rdf:type rdf:resource="${escapeXml(expand(otherType))}"/>`);
+	}
+	for (const [predicate, object] of node.properties) {
+		if (object.iri) {
+			lines.push(`${inner}<${predicate} rdf:resource="${escapeXml(object.iri)}"/>`);
+		} else if (object.node) {
+			lines.push(`${inner}<${predicate}>`, xmlNode(object.node, `${inner}  `), `${inner}</${predicate}>`);
+		} else {
+			const attributes = object.language
+				? ` xml:lang="${escapeXml(object.language)}"`
+				: object.datatype
+					? ` rdf:datatype="${escapeXml(expand(object.datatype))}"`
+					: '';
+			lines.push(`${inner}<${predicate}${attributes}>${escapeXml(object.value)}</${predicate}>`);
+		}
+	}
+	lines.push(`${indent}</${type}>`);
+	return lines.join('\n');
+}
+
+/**
+ * Serialize nodes as RDF/XML.
+ *
+ * @param {RdfNode[]} nodes Top-level nodes
+ * @yields {string} Document chunks
+ */
+export function* serializeRdfXml(nodes) {
+	const namespaces = Object.entries(PREFIXES)
+		.map(([prefix, namespace]) => `\n    xmlns:${prefix}="${namespace}"`)
+		.join('');
+	yield `<?xml version="1.0" encoding="utf-8"?>\n<rdf:RDF${namespaces}>\n`;
+	for (const node of nodes) {
+		yield `${xmlNode(node, '  ')}\n`;
+	}
+	yield '</rdf:RDF>\n';
+}
+
+/**
+ * Convert a node to a JSON-LD object.
+ *
+ * @param {RdfNode} node
+ * @returns {Object}
+ */
+function jsonLdNode(node) {
+	const result = {};
+	if (node.id) result['@id'] = node.id;
+	if (node.types.length > 0) result['@type'] = node.types.length === 1 ? node.types[0] : node.types;
+	for (const [predicate, objects] of groupProperties(node)) {
+		const values = objects.map((object) => {
+			if (object.iri) return { '@id': object.iri };
+			if (object.node) return jsonLdNode(object.node);
+			if (object.language) return { '@value': object.value, '@language': object.language };
+			if (object.datatype) return { '@value': object.value, '@type': object.datatype };
+			return object.value;
+		});
+		result[predicate] = values.length === 1 ? values[0] : values;
+	}
+	return result;
+}
+
+/**
+ * Serialize nodes as JSON-LD with a `@graph`.
+ *
+ * @param {RdfNode[]} nodes Top-level nodes
+ * @yields {string} Document chunks
+ */
+export function* serializeJsonLd(nodes) {
+	yield `{\n  "@context": ${JSON.stringify(PREFIXES, null, 2).replace(/\n/g, '\n  ')},\n  "@graph": [`;
+	let first = true;
+	for (const node of nodes) {
+		const json = JSON.stringify(jsonLdNode(node), null, 2).replace(/\n/g, '\n    ');
+		yield `${first ? '' : ','}\n    ${json}`;
+		first = false;
+	}
+	yield '\n  ]\n}\n';
+}
+
+/**
+ * Serialize nodes in the given format.
+ *
+ * @param {RdfNode[]} nodes Top-level nodes
+ * @param {'ttl'|'rdf'|'jsonld'} format RDF format
+ * @returns {Iterable<string>} Document chunks
+ * @throws {Error} If the format is not supported
+ */
+export function serializeRdf(nodes, format) {
+	switch (format) {
+		case 'ttl':
+			return serializeTurtle(nodes);
+		case 'rdf':
+			return serializeRdfXml(nodes);
+		case 'jsonld':
+			return serializeJsonLd(nodes);
+		default:
+			throw new Error(`Unsupported RDF format: ${format}`);
+	}
+}
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview MCP prompts for common I14Y workflows on the Swiss I14Y Interoperability Platform.
+ * Each prompt turns a few typed arguments into step-by-step instructions that drive the
+ * existing search/get tools, so users can start a guided workflow from their client's prompt menu.
+ *
+ * @see https://www.i14y.admin.ch/
+ * @see ../tools/concept-tools.js
+ * @see ../tools/dataset-tools.js
+ */
+import { z } from 'zod';
+import { LanguageSchema } from '../api/schemas.js';
+import config from '../config.js';
+
+const exploreTopicSchema = z.object({
+	topic: z.string().min(1).describe('Topic to explore, e.g. "health" or "population"'),
+	publisherIdentifier: z
+		.string()
+		.optional()
+		.describe('Restrict the exploration to one publisher, e.g. "CH1"'),
+	language: LanguageSchema.optional().describe('Language for the answer (de, fr, it, en, rm)'),
+});
+
+const explainCodelistSchema = z.object({
+	conceptId: z.string().min(1).describe('UUID of the code list concept'),
+	language: LanguageSchema.optional().describe('Language for the answer (de, fr, it, en, rm)'),
+});
+
+const documentDatasetSchema = z.object({
+	datasetId: z.string().min(1).describe('UUID of the dataset to document'),
+	language: LanguageSchema.optional().describe('Language for the answer (de, fr, it, en, rm)'),
+});
+
+const compareConceptsSchema = z.object({
+	conceptIds: z
+		.string()
+		.min(1)
+		.describe('Comma-separated UUIDs of the concepts to compare (at least two)'),
+	language: LanguageSchema.optional().describe('Language for the answer (de, fr, it, en, rm)'),
+});
+
+/**
+ * Wrap prompt text into an MCP GetPrompt result with a single user message.
+ *
+ * @param {string} description Short description of the generated prompt
+ * @param {string[]} lines Prompt text lines
+ * @returns {{description: string, messages: Array<object>}} MCP prompt result
+ */
+function userPrompt(description, lines) {
+	return {
+		description,
+		messages: [
+			{
+				role: 'user',
+				content: { type: 'text', text: lines.join('\n') },
+			},
+		],
+	};
+}
+
+/**
+ * Build the "explore a topic" workflow prompt.
+ *
+ * @param {object} args Prompt arguments
+ * @returns {object} MCP prompt result
+ */
+function exploreTopic(args) {
+	const { topic, publisherIdentifier, language = config.defaultLanguage } = args;
+	const publisherFilter = publisherIdentifier
+		? ` with publisherIdentifier "${publisherIdentifier}"`
+		: '';
+
+	return userPrompt(`Explore I14Y data about "${topic}"`, [
+		`Help me find and understand the data available on the Swiss I14Y Interoperability Platform about "${topic}".`,
+		'',
+		`1. Call \`search_datasets\`${publisherFilter} and pick the datasets whose title or description relate to "${topic}".`,
+		'2. Call `get_dataset` for the most relevant datasets to learn about their publisher, distributions and related concepts.',
+		`3. Call \`search_concepts\`${publisherFilter} to find the concepts (code lists, data elements) used to describe "${topic}", and \`get_concept\` for the important ones.`,
+		'4. For code list concepts, call `get_code_list_entries` to list the valid codes and their meanings.',
+		`5. Call \`search_data_services\` and \`search_public_services\`${publisherFilter} to find APIs and public services related to "${topic}", then \`get_data_service\` / \`get_public_service\` for details.`,
+		'',
+		`Summarize the findings in language "${language}": relevant datasets, key concepts and code lists, and available APIs and services, always with their I14Y IDs.`,
+	]);
+}
+
+/**
+ * Build the "explain a code list" workflow prompt.
+ *
+ * @param {object} args Prompt arguments
+ * @returns {object} MCP prompt result
+ */
+function explainCodelist(args) {
+	const { conceptId, language = config.defaultLanguage } = args;
+
+	return userPrompt(`Explain the I14Y code list ${conceptId}`, [
+		`Explain the I14Y code list concept "${conceptId}".`,
+		'',
+		`1. Call \`get_concept\` with id "${conceptId}" to get its title, definition, publisher, version and registration status.`,
+		`2. Call \`get_code_list_entries\` with id "${conceptId}" (page through the results if there are more entries) to get all codes.`,
+		'',
+		`Answer in language "${language}": what the code list is used for, who maintains it, which version and status it has, and a table of the codes with their labels. Point out hierarchical codes and anything unusual.`,
+	]);
+}
+
+/**
+ * Build the "document a dataset" workflow prompt.
+ *
+ * @param {object} args Prompt arguments
+ * @returns {object} MCP prompt result
+ */
+function documentDataset(args) {
+	const { datasetId, language = config.defaultLanguage } = args;
+
+	return userPrompt(`Document the I14Y dataset ${datasetId}`, [
+		`Write documentation for the I14Y dataset "${datasetId}".`,
+		'',
+		`1. Call \`get_dataset\` with id "${datasetId}" and language "${language}" to get its metadata.`,
+		'2. For every concept or code list the dataset refers to, call `get_concept` (and `get_code_list_entries` for code lists) to explain the values.',
+		'3. If the dataset mentions APIs, call `search_data_services` to find the data services that provide it.',
+		'',
+		`Produce Markdown documentation in language "${language}" with: purpose and description, publisher and contact, access rights and license, distributions (formats and URLs), the data elements with their concepts and allowed codes, and related data services.`,
+	]);
+}
+
+/**
+ * Build the "compare concepts" workflow prompt.
+ *
+ * @param {object} args Prompt arguments
+ * @returns {object} MCP prompt result
+ */
+function compareConcepts(args) {
+	const { conceptIds, language = config.defaultLanguage } = args;
+	const ids = conceptIds
+		.split(',')
+		.map((id) => id.trim())
+		.filter(Boolean);
+
+	if (ids.length < 2) {
+		throw new Error('compare_concepts requires at least two concept IDs');
+	}
+
+	return userPrompt(`Compare ${ids.length} I14Y concepts`, [
+		`Compare the following I14Y concepts: ${ids.map((id) => `"${id}"`).join(', ')}.`,
+		'',
+		'1. Call `get_concept` for each concept ID to get its definition, type, publisher, version and registration status.',
+		'2. For code list concepts, call `get_code_list_entries` to get their codes.',
+		'',
+		`Answer in language "${language}" with a comparison table (definition, type, publisher, version, status) followed by the differences and overlaps, including codes present in only one of the code lists. Recommend which concept to use for new data and why.`,
+	]);
+}
+
+/**
+ * Register workflow prompts with the MCP server.
+ *
+ * @param {object} server MCP server instance
+ * @returns {void}
+ */
+export function registerWorkflowPrompts(server) {
+	server.prompt(
+		'explore_topic',
+		'Explore datasets, concepts and services on I14Y related to a topic',
+		exploreTopicSchema,
+		exploreTopic
+	);
+
+	server.prompt(
+		'explain_codelist',
+		'Explain a code list concept and all of its codes',
+		explainCodelistSchema,
+		explainCodelist
+	);
+
+	server.prompt(
+		'document_dataset',
+		'Write documentation for a dataset including its concepts and distributions',
+		documentDatasetSchema,
+		documentDataset
+	);
+
+	server.prompt(
+		'compare_concepts',
+		'Compare two or more concepts and their code lists',
+		compareConceptsSchema,
+		compareConcepts
+	);
+}
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview MCP resources for I14Y entities on the Swiss I14Y Interoperability Platform.
+ * Registers `i14y://` URI templates for concepts, code lists, datasets, data services and
+ * public services so that clients can attach catalog entries as context, and keeps track of
+ * recently accessed entities for `resources/list`.
+ *
+ * @see https://www.i14y.admin.ch/
+ * @see ../api/i14y-client.js
+ */
+import { i14yClient } from '../api/i14y-client.js';
+import { fetchAllPages, MAX_FETCH_ALL_ITEMS } from '../api/pagination.js';
+import config from '../config.js';
+import { formatMultilingualText } from '../utils/formatting.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Maximum number of recently accessed entities listed by `resources/list`
+ * @constant {number}
+ */
+export const RECENT_ENTITIES_LIMIT = 50;
+
+/**
+ * Display names of the entity types, keyed by their URI path segment
+ */
+const ENTITY_TYPE_NAMES = {
+	concepts: 'Concept',
+	datasets: 'Dataset',
+	dataservices: 'Data service',
+	publicservices: 'Public service',
+};
+
+/**
+ * Build the resource URI of an I14Y entity.
+ *
+ * @param {string} type Entity type path segment (concepts, datasets, dataservices, publicservices)
+ * @param {string} id Entity UUID
+ * @returns {string} Resource URI, e.g. `i14y://concepts/{id}`
+ */
+export function buildEntityUri(type, id) {
+	return `i14y://${type}/${encodeURIComponent(id)}`;
+}
+
+/**
+ * Recently accessed entities of one server instance, listed by `resources/list`.
+ * Each MCP session has its own server, so sessions do not see each other's entities.
+ * @class
+ */
+export class RecentEntities {
+	/**
+	 * @param {number} [limit=RECENT_ENTITIES_LIMIT] Maximum number of entities kept
+	 */
+	constructor(limit = RECENT_ENTITIES_LIMIT) {
+		this.limit = limit;
+		/** Entities keyed by resource URI, in access order (oldest first) */
+		this.entries = new Map();
+	}
+
+	/**
+	 * Remember an entity as recently accessed.
+	 * Re-accessing an entity moves it to the front; the oldest entries are evicted
+	 * once the limit is exceeded.
+	 *
+	 * @param {string} type Entity type path segment (concepts, datasets, dataservices, publicservices)
+	 * @param {string} id Entity UUID
+	 * @param {object} [entity] Entity data used to derive a human-readable name
+	 * @returns {void}
+	 */
+	remember(type, id, entity) {
+		const uri = buildEntityUri(type, id);
+		const typeName = ENTITY_TYPE_NAMES[type] || type;
+		const label = formatMultilingualText(
+			entity?.title || entity?.name,
+			config.defaultLanguage
+		);
+
+		this.entries.delete(uri);
+		this.entries.set(uri, {
+			uri,
+			name: label || entity?.identifier || id,
+			description: `${typeName} ${entity?.identifier || id}`,
+			mimeType: 'application/json',
+		});
+
+		if (this.entries.size > this.limit) {
+			this.entries.delete(this.entries.keys().next().value);
+		}
+	}
+
+	/**
+	 * List recently accessed entities, most recent first.
+	 *
+	 * @returns {Array<{uri: string, name: string, description: string, mimeType: string}>} MCP resource descriptors
+	 */
+	list() {
+		return Array.from(this.entries.values()).reverse();
+	}
+
+	/**
+	 * Forget all recently accessed entities.
+	 *
+	 * @returns {void}
+	 */
+	clear() {
+		this.entries.clear();
+	}
+}
+
+/**
+ * Decode the `id` variable of a resource URI, which is percent-encoded by {@link buildEntityUri}.
+ *
+ * @param {string} id URI template variable
+ * @returns {string} Entity ID
+ */
+function decodeEntityId(id) {
+	return decodeURIComponent(id);
+}
+
+/**
+ * Create a resource reader that fetches an entity and records the access.
+ *
+ * @param {RecentEntities} recentEntities Recently accessed entities of the server
+ * @param {string} type Entity type path segment
+ * @param {Function} fetchEntity Async function fetching the entity by ID
+ * @returns {Function} Resource handler receiving the URI template variables
+ */
+function entityReader(recentEntities, type, fetchEntity) {
+	return async (variables) => {
+		const id = decodeEntityId(variables.id);
+		logger.info({ type, id }, 'Reading entity resource');
+		const entity = await fetchEntity(id);
+		recentEntities.remember(type, id, entity);
+		return entity;
+	};
+}
+
+/**
+ * Register I14Y entity resource templates with the MCP server.
+ *
+ * @param {object} server MCP server instance
+ * @param {RecentEntities} recentEntities Recently accessed entities of the server
+ * @returns {void}
+ */
+export function registerEntityResources(server, recentEntities) {
+	server.resourceTemplate(
+		'concept',
+		'i14y://concepts/{id}',
+		'I14Y concept (code list, data element) by UUID',
+		entityReader(recentEntities, 'concepts', (id) => i14yClient.getConcept(id, false))
+	);
+
+	server.resourceTemplate(
+		'code_list',
+		'i14y://concepts/{id}/codelist',
+		'All entries of an I14Y code list concept by UUID; truncated is set if the code list exceeds the fetch limit',
+		async (variables) => {
+			const id = decodeEntityId(variables.id);
+			logger.info({ id }, 'Reading code list resource');
+			return fetchAllPages(
+				(pageParams) => i14yClient.getCodeListEntries(id, pageParams),
+				{},
+				{ maxItems: MAX_FETCH_ALL_ITEMS, pageSize: config.maxPageSize }
+			);
+		}
+	);
+
+	server.resourceTemplate(
+		'dataset',
+		'i14y://datasets/{id}',
+		'I14Y dataset metadata by UUID',
+		entityReader(recentEntities, 'datasets', (id) => i14yClient.getDataset(id))
+	);
+
+	server.resourceTemplate(
+		'data_service',
+		'i14y://dataservices/{id}',
+		'I14Y data service (API) metadata by UUID',
+		entityReader(recentEntities, 'dataservices', (id) => i14yClient.getDataService(id))
+	);
+
+	server.resourceTemplate(
+		'public_service',
+		'i14y://publicservices/{id}',
+		'I14Y public service metadata by UUID',
+		entityReader(recentEntities, 'publicservices', (id) => i14yClient.getPublicService(id))
+	);
+}
@@ -0,0 +1,375 @@
+/**
+ * @fileoverview Local full-text index of the I14Y catalog.
+ * Keeps concepts, datasets, data services and public services as documents of weighted terms
+ * (titles and identifiers count more than descriptions), ranks them against keyword queries with
+ * BM25 and persists them as one JSON file. Each document carries a fingerprint of its indexed
+ * fields so a refresh only re-indexes entities that changed.
+ *
+ * @see ./tokenizer.js
+ * @see ./harvester.js
+ */
+import { createHash } from 'crypto';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { logger } from '../utils/logger.js';
+import { readTexts } from '../utils/code-lists.js';
+import { COMPOUND_LANGUAGES, splitCompound, tokenize } from './tokenizer.js';
+
+/**
+ * Version of the index file format; files of other versions are ignored and must be rebuilt
+ * @constant {number}
+ */
+export const INDEX_FORMAT_VERSION = 1;
+
+/**
+ * Name of the index file inside the index directory
+ * @constant {string}
+ */
+export const INDEX_FILE_NAME = 'catalog-index.json';
+
+/**
+ * BM25 term frequency saturation
+ * @constant {number}
+ */
+const K1 = 1.2;
+
+/**
+ * BM25 document length normalization
+ * @constant {number}
+ */
+const B = 0.75;
+
+/**
+ * Indexed fields with the weight of their terms
+ * @constant {Array<[string, number]>}
+ */
+const FIELD_WEIGHTS = [
+	['title', 3],
+	['identifier', 2],
+	['keywords', 2],
+	['publisher', 1],
+	['description', 1],
+];
+
+/**
+ * @typedef {Object} IndexDocument
+ * @property {string} type - Entity type: concepts, datasets, dataservices or publicservices
+ * @property {string} id - Entity ID
+ * @property {string|null} identifier - Business identifier
+ * @property {string|null} version - Version
+ * @property {Object|string|null} title - Title or name, possibly multilingual
+ * @property {Object|string|null} description - Description, possibly multilingual
+ * @property {{identifier: string|null, name: Object|string|null}|null} publisher - Publisher
+ * @property {string|null} registrationStatus - Registration status
+ * @property {string} fingerprint - Hash of the indexed fields
+ * @property {Object<string, Array<[string|null, string]>>} [texts] - Texts per field, until indexed
+ * @property {string[]} [words] - Distinct words, the vocabulary compounds are split into
+ * @property {Object<string, number>} [terms] - Weighted term frequencies
+ * @property {number} [length] - Weighted number of terms
+ */
+
+/**
+ * Build the key of a document.
+ *
+ * @param {string} type Entity type
+ * @param {string} id Entity ID
+ * @returns {string} Key, e.g. `datasets/004d6183-...`
+ */
+export function documentKey(type, id) {
+	return `${type}/${id}`;
+}
+
+/**
+ * List the texts of a plain, multilingual or list value with their languages.
+ *
+ * @param {*} value Text, multilingual object, or list of them (e.g. dataset keywords)
+ * @returns {Array<[string|null, string]>} Language and text pairs
+ */
+function collectTexts(value) {
+	if (Array.isArray(value)) return value.flatMap(collectTexts);
+	if (value && typeof value === 'object') {
+		return Object.entries(value).flatMap(([language, text]) =>
+			Array.isArray(text) ? text.filter((item) => typeof item === 'string').map((item) => [language, item]) : readTexts({ [language]: text })
+		);
+	}
+	return readTexts(value);
+}
+
+/**
+ * Turn an entity returned by a search endpoint into an index document (not yet tokenized).
+ *
+ * @param {string} type Entity type
+ * @param {Object} entity Entity
+ * @returns {IndexDocument} Document with the texts to index
+ */
+export function toIndexDocument(type, entity) {
+	const publisher = entity.publisher
+		? { identifier: entity.publisher.identifier ?? entity.publisher.id ?? null, name: entity.publisher.name ?? null }
+		: null;
+	const fields = {
+		identifier: entity.identifier ?? null,
+		version: entity.version ?? null,
+		title: entity.title ?? entity.name ?? null,
+		description: entity.description ?? null,
+		keywords: entity.keywords ?? null,
+		publisher,
+		registrationStatus: entity.registrationStatus ?? null,
+	};
+	return {
+		type,
+		id: entity.id,
+		identifier: fields.identifier,
+		version: fields.version,
+		title: fields.title,
+		description: fields.description,
+		publisher,
+		registrationStatus: fields.registrationStatus,
+		fingerprint: createHash('sha256').update(JSON.stringify(fields)).digest('hex'),
+		texts: {
+			title: collectTexts(fields.title),
+			identifier: collectTexts(fields.identifier),
+			keywords: collectTexts(fields.keywords),
+			publisher: publisher ? [...collectTexts(publisher.name), ...collectTexts(publisher.identifier)] : [],
+			description: collectTexts(fields.description),
+		},
+	};
+}
+
+/**
+ * BM25 index of catalog entities.
+ * @class
+ * @classdesc Holds documents with their weighted term frequencies, the postings of each term and
+ * the vocabulary German compounds are split into. Compounds are split with the vocabulary known
+ * when a document is indexed, so a full rebuild may split more compounds than a refresh.
+ *
+ * @example
+ * const index = new CatalogIndex();
+ * index.upsert([toIndexDocument('datasets', dataset)]);
+ * index.search('gemeinde verzeichnis', { language: 'de' });
+ *
+ * @param {Object} [options]
+ * @param {string|null} [options.builtAt=null] When the index was last built from scratch (ISO 8601)
+ * @param {string|null} [options.refreshedAt=null] When the index was last refreshed (ISO 8601)
+ */
+export class CatalogIndex {
+	constructor({ builtAt = null, refreshedAt = null } = {}) {
+		this.builtAt = builtAt;
+		this.refreshedAt = refreshedAt;
+		this.documents = new Map();
+		this.postings = new Map();
+		this.vocabulary = new Map();
+		this.totalLength = 0;
+	}
+
+	/**
+	 * Number of indexed documents
+	 * @type {number}
+	 */
+	get size() {
+		return this.documents.size;
+	}
+
+	/**
+	 * Get an indexed document.
+	 *
+	 * @param {string} key Document key (see {@link documentKey})
+	 * @returns {IndexDocument|undefined} Document
+	 */
+	get(key) {
+		return this.documents.get(key);
+	}
+
+	/**
+	 * List the keys of the documents of an entity type.
+	 *
+	 * @param {string} type Entity type
+	 * @returns {string[]} Document keys
+	 */
+	keys(type) {
+		return [...this.documents.values()].filter((document) => document.type === type).map((document) => documentKey(document.type, document.id));
+	}
+
+	/**
+	 * Count the documents per entity type.
+	 *
+	 * @returns {Record<string, number>} Document count per entity type
+	 */
+	counts() {
+		const counts = {};
+		for (const { type } of this.documents.values()) counts[type] = (counts[type] ?? 0) + 1;
+		return counts;
+	}
+
+	_addDocument(key, document) {
+		this.documents.set(key, document);
+		for (const word of document.words) this.vocabulary.set(word, (this.vocabulary.get(word) ?? 0) + 1);
+		for (const [term, frequency] of Object.entries(document.terms)) {
+			if (!this.postings.has(term)) this.postings.set(term, new Map());
+			this.postings.get(term).set(key, frequency);
+		}
+		this.totalLength += document.length;
+	}
+
+	/**
+	 * Remove a document.
+	 *
+	 * @param {string} key Document key
+	 * @returns {boolean} Whether the document was indexed
+	 */
+	remove(key) {
+		const document = this.documents.get(key);
+		if (!document) return false;
+		this.documents.delete(key);
+		for (const word of document.words) {
+			const count = this.vocabulary.get(word) - 1;
+			if (count > 0) this.vocabulary.set(word, count);
+			else this.vocabulary.delete(word);
+		}
+		for (const term of Object.keys(document.terms)) {
+			const postings = this.postings.get(term);
+			postings.delete(key);
+			if (postings.size === 0) this.postings.delete(term);
+		}
+		this.totalLength -= document.length;
+		return true;
+	}
+
+	/**
+	 * Add or replace documents created by {@link toIndexDocument}.
+	 * The words of all given documents join the vocabulary before their compounds are split.
+	 *
+	 * @param {IndexDocument[]} documents Documents with texts
+	 * @returns {{added: number, updated: number}} Number of new and replaced documents
+	 */
+	upsert(documents) {
+		let updated = 0;
+		const batchWords = new Set();
+		const tokenized = documents.map(({ texts, ...document }) => {
+			const key = documentKey(document.type, document.id);
+			if (this.remove(key)) updated++;
+			const fields = FIELD_WEIGHTS.map(([field, weight]) => ({
+				weight,
+				tokens: texts[field].map(([language, text]) => ({ language, words: tokenize(text, { language }) })),
+			}));
+			const words = [...new Set(fields.flatMap(({ tokens }) => tokens.flatMap(({ words: fieldWords }) => fieldWords)))];
+			for (const word of words) batchWords.add(word);
+			return { key, document: { ...document, words }, fields };
+		});
+
+		// Documents of the same batch split each other's compounds
+		const isWord = (word) => this.vocabulary.has(word) || batchWords.has(word);
+		for (const { key, document, fields } of tokenized) {
+			const terms = {};
+			for (const { weight, tokens } of fields) {
+				for (const { language, words } of tokens) {
+					for (const word of words) {
+						const parts = COMPOUND_LANGUAGES.includes(language) ? splitCompound(word, isWord) ?? [] : [];
+						for (const term of [word, ...parts]) terms[term] = (terms[term] ?? 0) + weight;
+					}
+				}
+			}
+			this._addDocument(key, { ...document, terms, length: Object.values(terms).reduce((sum, count) => sum + count, 0) });
+		}
+		return { added: documents.length - updated, updated };
+	}
+
+	/**
+	 * Rank documents against a keyword query with BM25.
+	 * Query words are tokenized like the indexed texts; compounds are also searched by their parts.
+	 *
+	 * @param {string} query Keyword query
+	 * @param {Object} [options]
+	 * @param {string} [options.language] Language of the query, selecting its stop words
+	 * @param {string[]} [options.types] Only rank documents of these entity types
+	 * @param {string} [options.publisherIdentifier] Only rank documents of this publisher
+	 * @returns {{terms: string[], results: Array<{document: IndexDocument, score: number, matchedTerms: string[]}>}}
+	 * Searched terms and matching documents, best first
+	 */
+	search(query, { language, types, publisherIdentifier } = {}) {
+		const isWord = (word) => this.vocabulary.has(word);
+		const terms = [...new Set(tokenize(query, { language }).flatMap((word) => [word, ...(splitCompound(word, isWord) ?? [])]))];
+		const averageLength = this.totalLength / Math.max(this.documents.size, 1);
+		const matches = new Map();
+
+		for (const term of terms) {
+			const postings = this.postings.get(term);
+			if (!postings) continue;
+			const idf = Math.log(1 + (this.documents.size - postings.size + 0.5) / (postings.size + 0.5));
+			for (const [key, frequency] of postings) {
+				const document = this.documents.get(key);
+				if (types && !types.includes(document.type)) continue;
+				if (publisherIdentifier && document.publisher?.identifier !== publisherIdentifier) continue;
+				const score = (idf * frequency * (K1 + 1)) / (frequency + K1 * (1 - B + (B * document.length) / averageLength));
+				const match = matches.get(key) ?? { document, score: 0, matchedTerms: [] };
+				match.score += score;
+				match.matchedTerms.push(term);
+				matches.set(key, match);
+			}
+		}
+
+		const results = [...matches.values()].sort(
+			(a, b) => b.score - a.score || documentKey(a.document.type, a.document.id).localeCompare(documentKey(b.document.type, b.document.id))
+		);
+		return { terms, results };
+	}
+
+	toJSON() {
+		return {
+			formatVersion: INDEX_FORMAT_VERSION,
+			builtAt: this.builtAt,
+			refreshedAt: this.refreshedAt,
+			documents: [...this.documents.values()],
+		};
+	}
+
+	/**
+	 * Restore an index saved with `JSON.stringify(index)`.
+	 *
+	 * @param {Object} data Parsed index file
+	 * @returns {CatalogIndex} Index
+	 */
+	static fromJSON(data) {
+		const index = new CatalogIndex({ builtAt: data.builtAt, refreshedAt: data.refreshedAt });
+		for (const document of data.documents) {
+			index._addDocument(documentKey(document.type, document.id), document);
+		}
+		return index;
+	}
+}
+
+/**
+ * Load the index file.
+ *
+ * @param {string} file Index file path
+ * @returns {Promise<CatalogIndex|null>} Index, or null if there is no index file of this format version
+ */
+export async function loadCatalogIndex(file) {
+	let data;
+	try {
+		data = JSON.parse(await readFile(file, 'utf8'));
+	} catch (error) {
+		if (error.code === 'ENOENT') return null;
+		throw error;
+	}
+	if (data.formatVersion !== INDEX_FORMAT_VERSION) {
+		logger.warn({ file, formatVersion: data.formatVersion }, 'Ignoring catalog index of another format version');
+		return null;
+	}
+	return CatalogIndex.fromJSON(data);
+}
+
+/**
+ * Save the index file, replacing it only once the new file is completely written.
+ *
+ * @param {CatalogIndex} index Index
+ * @param {string} file Index file path
+ * @returns {Promise<number>} Size of the index file in bytes
+ */
+export async function saveCatalogIndex(index, file) {
+	const content = JSON.stringify(index);
+	const temporaryFile = `${file}.${process.pid}.tmp`;
+	await mkdir(dirname(file), { recursive: true });
+	await writeFile(temporaryFile, content);
+	await rename(temporaryFile, file);
+	return Buffer.byteLength(content);
+}
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Harvests the public I14Y catalog into the local full-text index.
+ * Walks the paginated search endpoints of each entity type and applies the differences to the
+ * index: new and changed entities are (re-)indexed, entities no longer listed are removed.
+ *
+ * @see ./catalog-index.js
+ * @see ../api/i14y-client.js
+ */
+import { i14yClient } from '../api/i14y-client.js';
+import { logger } from '../utils/logger.js';
+import { SEARCHABLE_ENTITY_TYPES } from '../utils/catalog-search.js';
+import { documentKey, toIndexDocument } from './catalog-index.js';
+
+/**
+ * Publication level of the harvested entities
+ * @constant {string}
+ */
+const HARVESTED_PUBLICATION_LEVEL = 'Public';
+
+/**
+ * Iterators over all entities of each type
+ * @constant {Record<string, function(Object): AsyncGenerator<Object>>}
+ */
+const HARVESTERS = {
+	concepts: (params) => i14yClient.iterateConcepts(params),
+	datasets: (params) => i14yClient.iterateDatasets(params),
+	dataservices: (params) => i14yClient.iterateDataServices(params),
+	publicservices: (params) => i14yClient.iteratePublicServices(params),
+};
+
+/**
+ * @typedef {Object} HarvestStats
+ * @property {number} harvested - Entities listed by the API
+ * @property {number} added - Entities indexed for the first time
+ * @property {number} updated - Changed entities re-indexed
+ * @property {number} removed - Entities removed because the API no longer lists them
+ * @property {number} unchanged - Entities left as they were
+ */
+
+/**
+ * Harvest public entities into an index.
+ * All types are fetched before the index is touched, so a failed harvest leaves it unchanged.
+ *
+ * @param {import('./catalog-index.js').CatalogIndex} index Index to update
+ * @param {Object} [options]
+ * @param {string[]} [options.types=SEARCHABLE_ENTITY_TYPES] Entity types to harvest
+ * @param {boolean} [options.full=false] Re-index unchanged entities too
+ * @returns {Promise<HarvestStats & {byType: Record<string, HarvestStats>}>} Totals and statistics per type
+ */
+export async function harvestCatalog(index, { types = SEARCHABLE_ENTITY_TYPES, full = false } = {}) {
+	const harvests = [];
+	for (const type of types) {
+		const documents = new Map();
+		for await (const entity of HARVESTERS[type]({ publicationLevel: HARVESTED_PUBLICATION_LEVEL })) {
+			if (entity?.id) documents.set(documentKey(type, entity.id), toIndexDocument(type, entity));
+		}
+		logger.debug({ type, count: documents.size }, 'Harvested catalog entities');
+		harvests.push({ type, documents });
+	}
+
+	const byType = {};
+	const changed = [];
+	for (const { type, documents } of harvests) {
+		const changedDocuments = [...documents].filter(([key, document]) => full || index.get(key)?.fingerprint !== document.fingerprint);
+		const added = changedDocuments.filter(([key]) => !index.get(key)).length;
+		const removed = index.keys(type).filter((key) => !documents.has(key) && index.remove(key)).length;
+		changed.push(...changedDocuments.map(([, document]) => document));
+		byType[type] = {
+			harvested: documents.size,
+			added,
+			updated: changedDocuments.length - added,
+			removed,
+			unchanged: documents.size - changedDocuments.length,
+		};
+	}
+	index.upsert(changed);
+	index.refreshedAt = new Date().toISOString();
+
+	const totals = { harvested: 0, added: 0, updated: 0, removed: 0, unchanged: 0 };
+	for (const stats of Object.values(byType)) {
+		for (const name of Object.keys(totals)) totals[name] += stats[name];
+	}
+	return { ...totals, byType };
+}
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Multilingual tokenizer of the local catalog index.
+ * Folds accents and case, splits text into words, drops the stop words of its language and splits
+ * German compounds after known words, so that "Gemeindeverzeichnis" also matches "Verzeichnis".
+ *
+ * @see ./catalog-index.js
+ */
+
+/**
+ * Stop words per language, in folded form
+ * @constant {Record<string, Set<string>>}
+ */
+export const STOPWORDS = {
+	de: new Set(
+		'aber als am an auch auf aus bei bis das dass dem den der des die ein eine einem einen einer eines es fur hat im in ist mit nach nicht oder pro sich sie sind so uber um und vom von vor wie wird zu zum zur'.split(' ')
+	),
+	fr: new Set(
+		'au aux avec ce ces dans de des du elle en est et il la le les leur ou par pas pour qui que sa se son sont sur un une'.split(' ')
+	),
+	it: new Set(
+		'agli ai al alla alle allo che con da dai dal dalla degli dei del della delle dello di e gli il in la le lo nel nella o per si su sul sulla un una uno'.split(' ')
+	),
+	en: new Set(
+		'a an and are as at be by for from has in is it of on or that the their this to was were which with'.split(' ')
+	),
+	rm: new Set('a da dal dals e en il in la las ils per u'.split(' ')),
+};
+
+/**
+ * Minimum length of a compound part
+ * @constant {number}
+ */
+const MIN_COMPOUND_PART = 4;
+
+/**
+ * Minimum length of an unknown last compound part
+ * @constant {number}
+ */
+const MIN_UNKNOWN_PART = 5;
+
+/**
+ * Linking elements (Fugenelemente) allowed between the parts of a German compound
+ * @constant {string[]}
+ */
+const COMPOUND_LINKS = ['', 's', 'es', 'n', 'en', 'e'];
+
+/**
+ * Languages whose words are split into compound parts; null stands for untagged text
+ * @constant {Array<string|null>}
+ */
+export const COMPOUND_LANGUAGES = ['de', null];
+
+/**
+ * Fold accents, ligatures and case.
+ *
+ * @param {string} text Text
+ * @returns {string} Folded text, e.g. "Bevölkerungsstatistik" -> "bevolkerungsstatistik"
+ */
+export function foldText(text) {
+	return String(text ?? '')
+		.replace(/ß/g, 'ss')
+		.replace(/æ/gi, 'ae')
+		.replace(/œ/gi, 'oe')
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.toLowerCase();
+}
+
+/**
+ * Split text into folded words without stop words.
+ * French and Italian elisions (l'adresse, dell'anno) are separated at the apostrophe.
+ *
+ * @param {string} text Text
+ * @param {Object} [options]
+ * @param {string|null} [options.language] Language of the text, selecting its stop words
+ * @returns {string[]} Words in text order
+ * @example
+ * tokenize("Répertoire des communes de l'OFS", { language: 'fr' });
+ * // ['repertoire', 'communes', 'ofs']
+ */
+export function tokenize(text, { language = null } = {}) {
+	const stopwords = STOPWORDS[language];
+	return foldText(text)
+		.split(/[^\p{L}\p{N}]+/u)
+		.filter((word) => word.length > 1 && !stopwords?.has(word));
+}
+
+/**
+ * Split a compound into known words, trying the longest first part first.
+ *
+ * @param {string} word Folded word
+ * @param {function(string): boolean} isWord Whether a string is a known word
+ * @returns {string[]|null} Parts, or null if the word is no compound of known words
+ */
+function splitKnownCompound(word, isWord) {
+	for (let end = word.length - MIN_COMPOUND_PART; end >= MIN_COMPOUND_PART; end--) {
+		const head = word.slice(0, end);
+		if (!isWord(head)) continue;
+		for (const link of COMPOUND_LINKS) {
+			if (!word.startsWith(link, end)) continue;
+			const tail = word.slice(end + link.length);
+			if (tail.length < MIN_COMPOUND_PART) continue;
+			if (isWord(tail)) return [head, tail];
+			const parts = splitKnownCompound(tail, isWord);
+			if (parts) return [head, ...parts];
+		}
+	}
+	return null;
+}
+
+/**
+ * Split a compound into its parts.
+ * Compounds of known words are preferred; otherwise a known first part may be followed by an
+ * unknown last part, as catalogs often use the last part of a compound only within compounds.
+ *
+ * @param {string} word Folded word
+ * @param {function(string): boolean} isWord Whether a string is a known word
+ * @returns {string[]|null} Parts, or null if the word does not start with a known word
+ * @example
+ * splitCompound('bevolkerungsstatistik', (w) => ['bevolkerung', 'statistik'].includes(w));
+ * // ['bevolkerung', 'statistik']
+ * splitCompound('gemeindeverzeichnis', (w) => w === 'gemeinde');
+ * // ['gemeinde', 'verzeichnis']
+ */
+export function splitCompound(word, isWord) {
+	const parts = splitKnownCompound(word, isWord);
+	if (parts) return parts;
+	for (let end = word.length - MIN_UNKNOWN_PART; end >= MIN_COMPOUND_PART; end--) {
+		const head = word.slice(0, end);
+		if (!isWord(head)) continue;
+		for (const link of COMPOUND_LINKS) {
+			if (word.startsWith(link, end) && word.length - end - link.length >= MIN_UNKNOWN_PART) {
+				return [head, word.slice(end + link.length)];
+			}
+		}
+	}
+	return null;
+}
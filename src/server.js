@@ -0,0 +1,381 @@
+/**
+ * @fileoverview MCP server factory for the Schwaizer I14Y MCP Server.
+ * Builds a fully configured MCP `Server` instance with the I14Y tool, resource and
+ * prompt registries and request handlers attached. Every transport (stdio, Streamable HTTP, legacy SSE)
+ * obtains its server from here, so tool behaviour and error formatting stay identical
+ * regardless of how clients connect.
+ *
+ * @module server
+ * @see {@link https://www.i14y.admin.ch/|I14Y Interoperability Platform}
+ */
+
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import {
+  CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { UriTemplate } from "@modelcontextprotocol/sdk/shared/uriTemplate.js";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import logger from "./utils/logger.js";
+import { registerCatalogTools } from "./tools/catalog-tools.js";
+import { registerConceptTools } from "./tools/concept-tools.js";
+import { registerDatasetTools } from "./tools/dataset-tools.js";
+import { registerDataServiceTools } from "./tools/data-service-tools.js";
+import { registerPublicServiceTools } from "./tools/public-service-tools.js";
+import { registerCacheTools } from "./tools/cache-tools.js";
+import { registerGraphTools } from "./tools/graph-tools.js";
+import { registerIndexTools } from "./tools/index-tools.js";
+import { RecentEntities, registerEntityResources } from "./resources/entity-resources.js";
+import { registerWorkflowPrompts } from "./prompts/workflow-prompts.js";
+
+/**
+ * Server identity advertised to MCP clients during initialization.
+ *
+ * @constant {{name: string, version: string}}
+ */
+export const SERVER_INFO = {
+  name: "schwaizer-i14y",
+  version: "1.0.0",
+};
+
+/**
+ * Create a new MCP server instance with all I14Y tools, resources and prompts registered.
+ * A server can only be connected to a single transport, so HTTP mode creates
+ * one instance per client session while stdio mode creates exactly one.
+ *
+ * @function createServer
+ * @returns {Server} Configured MCP server, ready to be connected to a transport
+ * @example
+ * const server = createServer();
+ * await server.connect(new StdioServerTransport());
+ */
+export function createServer() {
+  const server = new Server(SERVER_INFO, {
+    capabilities: {
+      tools: {},
+      resources: {},
+      prompts: {},
+    },
+  });
+
+  /**
+   * Tool registry
+   */
+  const tools = new Map();
+
+  /**
+   * Entities accessed through this server, listed by `resources/list`
+   */
+  const recentEntities = new RecentEntities();
+
+  /**
+   * Helper function to register a tool with the server.
+   * Extends the MCP Server instance with a convenient tool registration method
+   * that stores tools in the registry for later execution.
+   *
+   * @function
+   * @param {string} name - Unique tool identifier
+   * @param {string} description - Human-readable tool description
+   * @param {object} schema - Zod schema for validating tool inputs
+   * @param {Function} handler - Async function that executes the tool logic; receives the validated
+   *        arguments and a context with the server's `recentEntities`
+   * @param {object} [outputSchema] - Zod object schema of the tool's `structuredContent`
+   * @returns {void}
+   * @example
+   * server.tool(
+   *   'search_concepts',
+   *   'Search for concepts in I14Y',
+   *   z.object({ query: z.string() }),
+   *   async (args) => formatSuccess(result, searchConceptsResponseSchema),
+   *   searchConceptsResponseSchema
+   * );
+   */
+  server.tool = function (name, description, schema, handler, outputSchema) {
+    tools.set(name, {
+      name,
+      description,
+      schema,
+      handler,
+      outputSchema,
+    });
+  };
+
+  /**
+   * Resource template registry
+   */
+  const resourceTemplates = new Map();
+
+  /**
+   * Helper function to register a resource template with the server.
+   * Resources matching the URI template are read through the handler, whose
+   * result is returned to the client as a JSON document.
+   *
+   * @function
+   * @param {string} name - Unique resource template identifier
+   * @param {string} uriTemplate - RFC 6570 URI template, e.g. `i14y://concepts/{id}`
+   * @param {string} description - Human-readable resource description
+   * @param {Function} handler - Async function receiving the template variables and the URI
+   * @returns {void}
+   * @example
+   * server.resourceTemplate(
+   *   'concept',
+   *   'i14y://concepts/{id}',
+   *   'I14Y concept by UUID',
+   *   async ({ id }) => { ... }
+   * );
+   */
+  server.resourceTemplate = function (name, uriTemplate, description, handler) {
+    resourceTemplates.set(name, {
+      name,
+      uriTemplate: new UriTemplate(uriTemplate),
+      description,
+      handler,
+    });
+  };
+
+  /**
+   * Prompt registry
+   */
+  const prompts = new Map();
+
+  /**
+   * Helper function to register a prompt with the server.
+   * The Zod object schema describes the prompt arguments; its fields are
+   * advertised to clients and used to validate arguments before the handler runs.
+   *
+   * @function
+   * @param {string} name - Unique prompt identifier
+   * @param {string} description - Human-readable prompt description
+   * @param {object} schema - Zod object schema for the prompt arguments
+   * @param {Function} handler - Function building the prompt messages from validated arguments
+   * @returns {void}
+   * @example
+   * server.prompt(
+   *   'explore_topic',
+   *   'Explore I14Y data about a topic',
+   *   z.object({ topic: z.string() }),
+   *   ({ topic }) => ({ messages: [...] })
+   * );
+   */
+  server.prompt = function (name, description, schema, handler) {
+    prompts.set(name, {
+      name,
+      description,
+      schema,
+      handler,
+    });
+  };
+
+  /**
+   * Register all tools, resources and prompts
+   */
+  registerCatalogTools(server);
+  registerConceptTools(server);
+  registerDatasetTools(server);
+  registerDataServiceTools(server);
+  registerPublicServiceTools(server);
+  registerCacheTools(server);
+  registerGraphTools(server);
+  registerIndexTools(server);
+  registerEntityResources(server, recentEntities);
+  registerWorkflowPrompts(server);
+
+  /**
+   * Handle list_tools request from MCP client.
+   * Returns metadata about all registered tools including their names,
+   * descriptions, and JSON schemas for input validation and, where declared,
+   * for their structured output.
+   *
+   * @async
+   * @returns {Promise<{tools: Array<{name: string, description: string, inputSchema: Object, outputSchema?: Object}>}>}
+   *          List of available tools with their metadata
+   */
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    const toolsList = Array.from(tools.values()).map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: zodToJsonSchema(tool.schema),
+      ...(tool.outputSchema && { outputSchema: zodToJsonSchema(tool.outputSchema) }),
+    }));
+
+    logger.debug({ count: toolsList.length }, "Listed tools");
+    return { tools: toolsList };
+  });
+
+  /**
+   * Handle call_tool request from MCP client.
+   * Validates tool arguments against the Zod schema, executes the tool handler,
+   * and returns the result in MCP format. Errors are caught and returned as
+   * MCP error responses.
+   *
+   * @async
+   * @param {Object} request - MCP tool call request
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.name - Name of the tool to execute
+   * @param {Object} request.params.arguments - Tool arguments to validate and pass to handler
+   * @returns {Promise<Object>} Tool execution result in MCP format
+   * @throws {Error} If tool is not found in registry
+   */
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+
+    logger.info({ tool: name }, "Tool called");
+
+    const tool = tools.get(name);
+    if (!tool) {
+      logger.error({ tool: name }, "Tool not found");
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    try {
+      // Validate arguments against schema
+      const validatedArgs = tool.schema.parse(args);
+
+      // Execute tool handler
+      const result = await tool.handler(validatedArgs, { recentEntities });
+
+      logger.debug({ tool: name }, "Tool executed successfully");
+      return result;
+    } catch (error) {
+      logger.error({ tool: name, error: error.message }, "Tool execution failed");
+
+      // Return error in MCP format
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error executing ${name}: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  });
+
+  /**
+   * Handle list_resources request from MCP client.
+   * Returns the recently accessed I14Y entities, most recent first.
+   *
+   * @async
+   * @returns {Promise<{resources: Array<Object>}>} Recently accessed entity resources
+   */
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    const resources = recentEntities.list();
+
+    logger.debug({ count: resources.length }, "Listed resources");
+    return { resources };
+  });
+
+  /**
+   * Handle list_resource_templates request from MCP client.
+   *
+   * @async
+   * @returns {Promise<{resourceTemplates: Array<Object>}>} Registered resource templates
+   */
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: Array.from(resourceTemplates.values()).map((template) => ({
+      name: template.name,
+      uriTemplate: template.uriTemplate.toString(),
+      description: template.description,
+      mimeType: "application/json",
+    })),
+  }));
+
+  /**
+   * Handle read_resource request from MCP client.
+   * Resolves the URI against the registered templates and returns the entity as JSON.
+   *
+   * @async
+   * @param {Object} request - MCP resource read request
+   * @param {string} request.params.uri - URI of the resource to read
+   * @returns {Promise<{contents: Array<Object>}>} Resource contents
+   * @throws {Error} If no template matches the URI or the entity cannot be fetched
+   */
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+
+    logger.info({ uri }, "Resource read");
+
+    for (const template of resourceTemplates.values()) {
+      const variables = template.uriTemplate.match(uri);
+      if (!variables) continue;
+
+      const data = await template.handler(variables, uri);
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: "application/json",
+            text: JSON.stringify(data, null, 2),
+          },
+        ],
+      };
+    }
+
+    logger.error({ uri }, "Resource not found");
+    throw new Error(`Unknown resource: ${uri}`);
+  });
+
+  /**
+   * Handle list_prompts request from MCP client.
+   * Returns all registered prompts with their arguments derived from the Zod schemas.
+   *
+   * @async
+   * @returns {Promise<{prompts: Array<{name: string, description: string, arguments: Array<Object>}>}>}
+   *          List of available prompts with their arguments
+   */
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    const promptsList = Array.from(prompts.values()).map((prompt) => ({
+      name: prompt.name,
+      description: prompt.description,
+      arguments: Object.entries(prompt.schema.shape).map(([argName, field]) => ({
+        name: argName,
+        description: field.description,
+        required: !field.isOptional(),
+      })),
+    }));
+
+    logger.debug({ count: promptsList.length }, "Listed prompts");
+    return { prompts: promptsList };
+  });
+
+  /**
+   * Handle get_prompt request from MCP client.
+   * Validates the prompt arguments and returns the generated prompt messages.
+   *
+   * @async
+   * @param {Object} request - MCP prompt request
+   * @param {string} request.params.name - Name of the prompt
+   * @param {Object} [request.params.arguments] - Prompt arguments
+   * @returns {Promise<Object>} Prompt description and messages
+   * @throws {Error} If the prompt is unknown or the arguments are invalid
+   */
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+
+    logger.info({ prompt: name }, "Prompt requested");
+
+    const prompt = prompts.get(name);
+    if (!prompt) {
+      logger.error({ prompt: name }, "Prompt not found");
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+
+    const result = prompt.schema.safeParse(args ?? {});
+    if (!result.success) {
+      const issues = result.error.issues.map((issue) => `${issue.path.join(".")}: ${issue.message}`);
+      throw new Error(`Invalid arguments for prompt ${name}: ${issues.join(", ")}`);
+    }
+
+    return prompt.handler(result.data);
+  });
+
+  return server;
+}
+
+export default createServer;
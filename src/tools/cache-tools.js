@@ -0,0 +1,82 @@
+/**
+ * @fileoverview MCP tools for inspecting and clearing the I14Y API response cache.
+ *
+ * @see ../cache/response-cache.js
+ * @see ../api/i14y-client.js
+ */
+import { z } from 'zod';
+import { i14yClient } from '../api/i14y-client.js';
+import { formatSuccess, formatError } from '../utils/formatting.js';
+import { logger } from '../utils/logger.js';
+
+const cacheStatsSchema = z.object({});
+
+const cacheClearSchema = z.object({});
+
+const cacheStatsResponseSchema = z
+	.object({
+		enabled: z.boolean().describe('Whether response caching is enabled'),
+		store: z.enum(['memory', 'file']).optional(),
+		entries: z.number().int().optional(),
+		hits: z.number().int().optional(),
+		misses: z.number().int().optional(),
+		revalidations: z.number().int().optional(),
+		stores: z.number().int().optional(),
+		hitRate: z.number().optional(),
+		ttls: z.record(z.number()).optional().describe('TTL in seconds per entity type'),
+	})
+	.passthrough();
+
+const cacheClearResponseSchema = z.object({
+	enabled: z.boolean().describe('Whether response caching is enabled'),
+	removed: z.number().int().describe('Number of entries removed'),
+});
+
+/**
+ * Report response cache statistics.
+ *
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function cacheStats() {
+	try {
+		const { cache } = i14yClient;
+		if (!cache) {
+			return formatSuccess({ enabled: false }, cacheStatsResponseSchema);
+		}
+		return formatSuccess({ enabled: true, ...(await cache.stats()) }, cacheStatsResponseSchema);
+	} catch (error) {
+		logger.error({ error }, 'Failed to get cache statistics');
+		return formatError(error);
+	}
+}
+
+/**
+ * Remove all entries from the response cache.
+ *
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function cacheClear() {
+	try {
+		const { cache } = i14yClient;
+		if (!cache) {
+			return formatSuccess({ enabled: false, removed: 0 }, cacheClearResponseSchema);
+		}
+		const removed = await cache.clear();
+		logger.info({ removed }, 'Cleared response cache');
+		return formatSuccess({ enabled: true, removed }, cacheClearResponseSchema);
+	} catch (error) {
+		logger.error({ error }, 'Failed to clear cache');
+		return formatError(error);
+	}
+}
+
+/**
+ * Register cache tools with the MCP server.
+ *
+ * @param {object} server MCP server instance
+ * @returns {void}
+ */
+export function registerCacheTools(server) {
+	server.tool('cache_stats', 'Show statistics of the I14Y API response cache (entries, hits, misses, TTLs)', cacheStatsSchema, cacheStats, cacheStatsResponseSchema);
+	server.tool('cache_clear', 'Clear the I14Y API response cache so the next requests fetch fresh data', cacheClearSchema, cacheClear, cacheClearResponseSchema);
+}
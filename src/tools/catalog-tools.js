@@ -1,6 +1,7 @@
 /**
- * @fileoverview MCP tools for catalog-related operations (e.g., code list entries)
- * on the Swiss I14Y Interoperability Platform.
+ * @fileoverview MCP tools for catalog-related operations (e.g., code list entries, free-text
+ * search across all entity types and DCAT-AP CH catalog exports) on the Swiss I14Y
+ * Interoperability Platform.
  *
  * Registers tools under the MCP server which can be invoked by LLM clients.
  *
@@ -10,7 +11,217 @@
 import { z } from 'zod';
 import { i14yClient } from '../api/i14y-client.js';
 import { logger } from '../utils/logger.js';
-import { getCodeListEntriesSchema } from '../api/schemas.js';
+import { getCodeListEntriesSchema, ExportCatalogSchema, searchCatalogSchema } from '../api/schemas.js';
+import { fetchAllPages, summarizeFetchAll } from '../api/pagination.js';
+import { resolveEntityReference } from '../api/entity-resolver.js';
+import config from '../config.js';
+import {
+	codeListEntriesResponseSchema,
+	catalogExportResponseSchema,
+	catalogSearchResponseSchema,
+} from '../api/response-schemas.js';
+import { formatResult, formatError, formatCodeListEntryResult, formatCatalogSearchResult } from '../utils/formatting.js';
+import { SEARCHABLE_ENTITY_TYPES, rankCatalogEntities } from '../utils/catalog-search.js';
+import { mapConcurrent } from '../utils/concurrency.js';
+import { buildCatalog } from '../export/dcat.js';
+import { RDF_FORMATS, serializeRdf } from '../export/rdf.js';
+import { writeExport, formatExportResult } from '../export/output.js';
+
+/**
+ * Number of entities fetched at the same time for a catalog export
+ * @constant {number}
+ */
+const EXPORT_FETCH_CONCURRENCY = 5;
+
+/**
+ * Collect the entities of one type for a catalog export.
+ * Explicit IDs are fetched one by one; otherwise all entities matching the filters are fetched.
+ *
+ * @param {Object} options
+ * @param {string[]} [options.ids] Explicit entity IDs
+ * @param {function(string): Promise<Object>} options.get Function fetching one entity by ID
+ * @param {function(Object): Promise<Object>} options.search Function fetching one search page
+ * @param {Object} options.filters Search filters
+ * @param {number} options.maxItems Maximum number of entities
+ * @returns {Promise<{items: Object[], truncated: boolean}>} Entities
+ */
+async function collectEntities({ ids, get, search, filters, maxItems }) {
+	if (ids) {
+		const items = await mapConcurrent(ids.slice(0, maxItems), EXPORT_FETCH_CONCURRENCY, (id) => get(id));
+		return { items, truncated: ids.length > maxItems };
+	}
+	const { items, truncated } = await fetchAllPages(search, filters, { maxItems, pageSize: config.maxPageSize });
+	return { items, truncated };
+}
+
+/**
+ * Search functions by entity type
+ * @constant {Record<string, function(Object): Promise<Object>>}
+ */
+const CATALOG_SEARCHES = {
+	concepts: (params) => i14yClient.searchConcepts(params),
+	datasets: (params) => i14yClient.searchDatasets(params),
+	dataservices: (params) => i14yClient.searchDataServices(params),
+	publicservices: (params) => i14yClient.searchPublicServices(params),
+};
+
+/**
+ * Search concepts, datasets, data services and public services by free text.
+ * The I14Y search endpoints only filter by identifier, so the entities of each type are fetched in
+ * parallel (through the response cache) and ranked locally by their titles, identifiers and
+ * descriptions in the requested language.
+ *
+ * @param {object} args Tool arguments (see {@link searchCatalogSchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function searchCatalog(args) {
+	try {
+		const {
+			query,
+			types = SEARCHABLE_ENTITY_TYPES,
+			publisherIdentifier,
+			threshold,
+			maxScan,
+			page,
+			pageSize,
+			format,
+			language: requestedLanguage,
+		} = searchCatalogSchema.parse(args);
+		const language = requestedLanguage || config.defaultLanguage;
+
+		logger.info({ query, types, publisherIdentifier, maxScan }, 'Searching catalog');
+
+		const fetched = await Promise.all(
+			types.map((type) =>
+				fetchAllPages(CATALOG_SEARCHES[type], publisherIdentifier ? { publisherIdentifier } : {}, {
+					maxItems: maxScan,
+					pageSize: config.maxPageSize,
+				})
+			)
+		);
+		const entitiesByType = Object.fromEntries(types.map((type, index) => [type, fetched[index].items]));
+		const ranked = rankCatalogEntities(entitiesByType, query, { language, threshold });
+		const scanned = Object.fromEntries(types.map((type) => [type, entitiesByType[type].length]));
+		const truncated = fetched.some((result) => result.truncated);
+
+		const items = ranked.slice((page - 1) * pageSize, page * pageSize).map(({ type, entity, match }) => ({
+			type,
+			id: entity.id,
+			identifier: entity.identifier ?? null,
+			title: entity.title ?? entity.name ?? null,
+			description: entity.description ?? null,
+			publisher: entity.publisher
+				? { identifier: entity.publisher.identifier ?? entity.publisher.id ?? null, name: entity.publisher.name ?? null }
+				: null,
+			registrationStatus: entity.registrationStatus ?? null,
+			match,
+		}));
+		const scannedCount = Object.values(scanned).reduce((sum, count) => sum + count, 0);
+		const summary = [
+			`${ranked.length} results for "${query}" among ${scannedCount} entities (${types.join(', ')})`,
+			ranked.length > 0 ? `showing ${items.length} on page ${page}` : null,
+			truncated ? `only the first ${maxScan} entities of each type were ranked; raise maxScan or filter by publisher` : null,
+		]
+			.filter(Boolean)
+			.join(', ');
+
+		return formatResult(
+			{ summary, query, totalCount: ranked.length, page, pageSize, scanned, truncated, items },
+			formatCatalogSearchResult,
+			{ format, language: requestedLanguage, outputSchema: catalogSearchResponseSchema }
+		);
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to search catalog');
+		return formatError(error);
+	}
+}
+
+/**
+ * Export a publisher's catalog, or a filtered subset of it, as DCAT-AP CH.
+ * Search results without distributions are completed with the full dataset, fetching a few at a time.
+ * Documents larger than the response size budget are written to a file in the export directory.
+ *
+ * @param {object} args Tool arguments (see {@link ExportCatalogSchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function exportCatalog(args) {
+	try {
+		const options = ExportCatalogSchema.parse(args);
+		const { format, language, publisherIdentifier, include, maxItems } = options;
+		const filters = {
+			publisherIdentifier,
+			publicationLevel: options.publicationLevel,
+			registrationStatus: options.registrationStatus,
+		};
+
+		const empty = { items: [], truncated: false };
+		const datasets = include.includes('datasets')
+			? await collectEntities({
+					ids: options.datasetIds,
+					get: (id) => i14yClient.getDataset(id, language),
+					search: (params) => i14yClient.searchDatasets(params),
+					filters,
+					maxItems,
+			  })
+			: empty;
+		const dataServices = include.includes('dataservices')
+			? await collectEntities({
+					ids: options.dataServiceIds,
+					get: (id) => i14yClient.getDataService(id),
+					search: (params) => i14yClient.searchDataServices(params),
+					filters,
+					maxItems,
+			  })
+			: empty;
+
+		let completedCount = 0;
+		if (!options.datasetIds) {
+			// Search results may omit distributions; fetch those datasets in full, a few at a time
+			datasets.items = await mapConcurrent(datasets.items, EXPORT_FETCH_CONCURRENCY, async (dataset) => {
+				if (dataset.distributions || dataset.distribution) return dataset;
+				completedCount++;
+				return i14yClient.getDataset(dataset.id, language);
+			});
+		}
+
+		const nodes = buildCatalog({
+			publisherIdentifier,
+			datasets: datasets.items,
+			dataServices: dataServices.items,
+			language,
+		});
+		const { contentType, extension } = RDF_FORMATS[format];
+		const output = await writeExport(serializeRdf(nodes, format), {
+			fileName: `catalog-${(publisherIdentifier || 'i14y').replace(/[^\w.-]/g, '_')}-${Date.now()}.${extension}`,
+			outputPath: options.outputPath,
+		});
+
+		const truncated = datasets.truncated || dataServices.truncated;
+		const summary = [
+			`Exported ${datasets.items.length} datasets and ${dataServices.items.length} data services as ${format} (${contentType}, ${output.bytes} bytes)`,
+			completedCount > 0 ? `fetched ${completedCount} datasets in full to add their distributions` : null,
+			truncated ? `stopped at the limit of ${maxItems} items; raise maxItems to export more` : null,
+		]
+			.filter(Boolean)
+			.join('; ');
+
+		return formatExportResult(
+			{ summary, output },
+			{
+				format,
+				contentType,
+				datasetCount: datasets.items.length,
+				dataServiceCount: dataServices.items.length,
+				completedDatasetCount: completedCount,
+				truncated,
+			},
+			catalogExportResponseSchema
+		);
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to export catalog');
+		return formatError(error);
+	}
+}
 
 /**
  * Register catalog-related tools with the MCP server.
@@ -18,11 +229,13 @@ import { getCodeListEntriesSchema } from '../api/schemas.js';
  * @param {object} server - MCP server instance
  * @returns {void}
  * @see getCodeListEntriesSchema
+ * @see searchCatalogSchema
+ * @see ExportCatalogSchema
  */
 export function registerCatalogTools(server) {
 	server.tool(
 		'get_code_list_entries',
-		'Get entries from a code list concept',
+		'Get entries from a code list concept, given by UUID, identifier (optionally with version) or I14Y web URL',
 		getCodeListEntriesSchema,
 		/**
 		 * Tool handler: Get entries from a code list concept.
@@ -32,19 +245,29 @@ export function registerCatalogTools(server) {
 		 */
 		async (args) => {
 			try {
-				const result = await i14yClient.getCodeListEntries(args.id, {
+				const { id } = await resolveEntityReference(args.id, { type: 'concepts', version: args.version });
+				let result;
+				if (args.all) {
+					const collected = await fetchAllPages(
+						(pageParams) => i14yClient.getCodeListEntries(id, pageParams),
+						{ page: args.page, pageSize: args.pageSize },
+						{ maxItems: args.maxItems, pageSize: config.maxPageSize }
+					);
+					result = { summary: summarizeFetchAll(collected, 'code list entries'), ...collected };
+				} else {
+					result = await i14yClient.getCodeListEntries(id, {
+						page: args.page,
+						pageSize: args.pageSize,
+					});
+				}
+
+				return formatResult(result, formatCodeListEntryResult, {
+					format: args.format,
+					language: args.language,
 					page: args.page,
 					pageSize: args.pageSize,
+					outputSchema: codeListEntriesResponseSchema,
 				});
-
-				return {
-					content: [
-						{
-							type: 'text',
-							text: JSON.stringify(result, null, 2),
-						},
-					],
-				};
 			} catch (error) {
 				logger.error('Failed to get code list entries', {
 					conceptId: args.id,
@@ -63,6 +286,21 @@ export function registerCatalogTools(server) {
 					isError: true,
 				};
 			}
-		}
+		},
+		codeListEntriesResponseSchema
+	);
+	server.tool(
+		'search_catalog',
+		'Free-text search across concepts, datasets, data services and public services, ranked by title, identifier and description matches in the chosen language',
+		searchCatalogSchema,
+		searchCatalog,
+		catalogSearchResponseSchema
+	);
+	server.tool(
+		'export_catalog',
+		"Export a publisher's catalog, or selected datasets and data services, as DCAT-AP CH in RDF/XML (rdf), Turtle (ttl) or JSON-LD (jsonld); large exports are written to a file",
+		ExportCatalogSchema,
+		exportCatalog,
+		catalogExportResponseSchema
 	);
 }
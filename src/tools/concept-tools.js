@@ -1,14 +1,61 @@
 /**
  * @fileoverview MCP tools for concept-related operations on the Swiss I14Y Interoperability Platform.
- * Registers tools for searching concepts, fetching a single concept, and retrieving code list entries.
+ * Registers tools for searching concepts, fetching a single concept or its version history,
+ * finding the datasets that use a concept, retrieving, looking up, exporting or validating against
+ * code list entries, and comparing code list versions.
  *
  * @see https://www.i14y.admin.ch/
  * @see ../api/i14y-client.js
  */
 import { z } from 'zod';
 import { i14yClient } from '../api/i14y-client.js';
-import { formatSuccess, formatError } from '../utils/formatting.js';
+import {
+	formatResult,
+	formatConceptResult,
+	formatCodeListEntryResult,
+	formatCodeListValidationResult,
+	formatConceptUsagesResult,
+	formatCodeListDiffResult,
+	formatConceptHistoryResult,
+} from '../utils/formatting.js';
 import { logger } from '../utils/logger.js';
+import {
+	EntityReferenceSchema,
+	EntityVersionSchema,
+	ExportConceptSchema,
+	FetchAllSchema,
+	FormatSchema,
+	LanguageOptionSchema,
+	lookupCodeSchema,
+	validateAgainstCodeListSchema,
+	findConceptUsagesSchema,
+	diffCodeListVersionsSchema,
+	getConceptHistorySchema,
+} from '../api/schemas.js';
+import { fetchAllPages, summarizeFetchAll, MAX_FETCH_ALL_ITEMS } from '../api/pagination.js';
+import { resolveEntityReference } from '../api/entity-resolver.js';
+import config, { LANGUAGES } from '../config.js';
+import {
+	searchConceptsResponseSchema,
+	conceptResponseSchema,
+	codeListEntriesResponseSchema,
+	codeListExportResponseSchema,
+	codeLookupResponseSchema,
+	codeListValidationResponseSchema,
+	conceptUsagesResponseSchema,
+	codeListDiffResponseSchema,
+	conceptHistoryResponseSchema,
+} from '../api/response-schemas.js';
+import { lookupCodeListEntries } from '../utils/code-lists.js';
+import { validateCodeListValues } from '../utils/code-list-validation.js';
+import { readCsvColumn } from '../utils/csv.js';
+import { scanConceptUsages, findServingDataServices } from '../utils/concept-usages.js';
+import { diffCodeLists } from '../utils/code-list-diff.js';
+import { compareVersions } from '../utils/versions.js';
+import { buildConceptHistory } from '../utils/concept-history.js';
+import { CODE_LIST_FORMATS, codeListToCsv, codeListToJson, codeListToSkos } from '../export/code-list.js';
+import { serializeTurtle } from '../export/rdf.js';
+import { writeExport, formatExportResult } from '../export/output.js';
 
 /**
  * Search concepts schema
@@ -44,20 +91,22 @@ const searchConceptsSchema = z.object({
 		.max(100)
 		.default(25)
 		.describe('Items per page'),
-});
+}).merge(FetchAllSchema).merge(LanguageOptionSchema).merge(FormatSchema);
 
 /**
  * Get concept schema
  */
 const getConceptSchema = z.object({
-	id: z.string().uuid().describe('Concept ID'),
-});
+	id: EntityReferenceSchema.describe('Concept UUID, identifier or I14Y web URL'),
+	version: EntityVersionSchema,
+}).merge(LanguageOptionSchema).merge(FormatSchema);
 
 /**
  * Get code list entries schema
  */
 const getCodeListEntriesSchema = z.object({
-	id: z.string().uuid().describe('Code list concept ID'),
+	id: EntityReferenceSchema.describe('Code list concept UUID, identifier or I14Y web URL'),
+	version: EntityVersionSchema,
 	page: z.number().int().min(1).default(1).describe('Page number (1-indexed)'),
 	pageSize: z
 		.number()
@@ -66,7 +115,7 @@ const getCodeListEntriesSchema = z.object({
 		.max(100)
 		.default(25)
 		.describe('Items per page'),
-});
+}).merge(FetchAllSchema).merge(LanguageOptionSchema).merge(FormatSchema);
 
 
 /**
@@ -77,10 +126,27 @@ const getCodeListEntriesSchema = z.object({
  */
 async function searchConcepts(args) {
 	try {
-		const params = searchConceptsSchema.parse(args);
-		logger.info({ params }, 'Searching concepts');
+		const { all, maxItems, format, ...params } = searchConceptsSchema.parse(args);
+		const renderOptions = { format, language: params.language };
+		logger.info({ params, all }, 'Searching concepts');
+		if (all) {
+			const result = await fetchAllPages(
+				(pageParams) => i14yClient.searchConcepts(pageParams),
+				params,
+				{ maxItems, pageSize: config.maxPageSize }
+			);
+			return formatResult({ summary: summarizeFetchAll(result, 'concepts'), ...result }, formatConceptResult, {
+				...renderOptions,
+				outputSchema: searchConceptsResponseSchema,
+			});
+		}
 		const result = await i14yClient.searchConcepts(params);
-		return formatSuccess(result);
+		return formatResult(result, formatConceptResult, {
+			...renderOptions,
+			page: params.page,
+			pageSize: params.pageSize,
+			outputSchema: searchConceptsResponseSchema,
+		});
 	} catch (error) {
 		logger.error({ error, args }, 'Failed to search concepts');
 		return {
@@ -96,20 +162,28 @@ async function searchConcepts(args) {
 }
 
 /**
- * Get detailed information about a specific concept by ID.
+ * Get detailed information about a specific concept by UUID, identifier or URL.
  *
- * @param {object} args Tool arguments containing the concept UUID
+ * @param {object} args Tool arguments containing the concept reference and optional version
+ * @param {object} [context] Request context
+ * @param {import('../resources/entity-resources.js').RecentEntities} [context.recentEntities] Entities accessed through the server
  * @returns {Promise<object>} MCP-formatted response
  */
-async function getConcept(args) {
+async function getConcept(args, { recentEntities } = {}) {
 	try {
-		const { id } = getConceptSchema.parse(args);
+		const { id: reference, version, format, language } = getConceptSchema.parse(args);
+		const { id } = await resolveEntityReference(reference, { type: 'concepts', version });
 
 		logger.info({ id }, 'Getting concept');
 
 		const result = await i14yClient.getConcept(id, false);
+		recentEntities?.remember('concepts', id, result);
 
-		return formatSuccess(result);
+		return formatResult(result, formatConceptResult, {
+			format,
+			language,
+			outputSchema: conceptResponseSchema,
+		});
 	} catch (error) {
 		logger.error({ error, args }, 'Failed to get concept');
 		return {
@@ -127,22 +201,41 @@ async function getConcept(args) {
 
 /**
  * Get code list entries for a code list concept.
- * Internally calls getConcept(id, true) to include code list entries.
+ * Internally calls getConcept(id, true) to include code list entries, or walks all
+ * code list entry pages when `all` is set.
  *
  * @param {object} args Tool arguments
  * @returns {Promise<object>} MCP-formatted response
  */
 async function getCodeListEntries(args) {
 	try {
-		const { id, page, pageSize } =
+		const { id: reference, version, page, pageSize, all, maxItems, format, language } =
 			getCodeListEntriesSchema.parse(args);
+		const { id } = await resolveEntityReference(reference, { type: 'concepts', version });
+		const renderOptions = { format, language };
 
-		logger.info({ id, page, pageSize }, 'Getting code list entries');
+		logger.info({ id, page, pageSize, all }, 'Getting code list entries');
+
+		if (all) {
+			const result = await fetchAllPages(
+				(pageParams) => i14yClient.getCodeListEntries(id, pageParams),
+				{ page, pageSize },
+				{ maxItems, pageSize: config.maxPageSize }
+			);
+			return formatResult(
+				{ summary: summarizeFetchAll(result, 'code list entries'), ...result },
+				formatCodeListEntryResult,
+				{ ...renderOptions, outputSchema: codeListEntriesResponseSchema }
+			);
+		}
 
 		// Get concept with code list entries included
 		const result = await i14yClient.getConcept(id, true);
 
-		return formatSuccess(result);
+		return formatResult(result, formatConceptResult, {
+			...renderOptions,
+			outputSchema: codeListEntriesResponseSchema,
+		});
 	} catch (error) {
 		logger.error({ error, args }, 'Failed to get code list entries');
 		return {
@@ -157,6 +250,408 @@ async function getCodeListEntries(args) {
 	}
 }
 
+/**
+ * Look up code list entries by code or label.
+ * All entries are fetched (through the response cache) and matched locally, so label fragments
+ * match in every language and tolerate typos.
+ *
+ * @param {object} args Tool arguments (see {@link lookupCodeSchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function lookupCode(args) {
+	try {
+		const { id, code, label, threshold, limit, format, language } = lookupCodeSchema.parse(args);
+
+		logger.info({ id, code, label }, 'Looking up code list entries');
+
+		const { items: entries, truncated } = await fetchAllPages(
+			(pageParams) => i14yClient.getCodeListEntries(id, pageParams),
+			{},
+			{ maxItems: MAX_FETCH_ALL_ITEMS, pageSize: config.maxPageSize }
+		);
+		const { items, matchCount } = lookupCodeListEntries(entries, { code, label, threshold, limit });
+
+		const query = [code && `code "${code}"`, label && `label "${label}"`].filter(Boolean).join(' or ');
+		const shown = matchCount > items.length ? ` (showing the best ${items.length})` : '';
+		const result = {
+			conceptId: id,
+			summary: `Found ${matchCount} of ${entries.length} entries matching ${query}${shown}`,
+			matchCount,
+			searchedEntries: entries.length,
+			truncated,
+			items,
+		};
+
+		return formatResult(result, formatCodeListEntryResult, {
+			format,
+			language,
+			outputSchema: codeLookupResponseSchema,
+		});
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to look up code list entries');
+		return {
+			content: [
+				{
+					type: 'text',
+					text: `Error looking up code list entries: ${error.message}`,
+				},
+			],
+			isError: true,
+		};
+	}
+}
+
+/**
+ * Validate values against a code list.
+ * Values are given inline or read from a column of a local CSV file.
+ *
+ * @param {object} args Tool arguments (see {@link validateAgainstCodeListSchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function validateAgainstCodeList(args) {
+	try {
+		const { id, values, csvPath, column, delimiter, hasHeader, ignoreCase, maxReported, format, language } =
+			validateAgainstCodeListSchema.parse(args);
+
+		logger.info({ id, csvPath, column, valueCount: values?.length }, 'Validating values against code list');
+
+		const input = values ?? (await readCsvColumn(csvPath, { column, delimiter, hasHeader }));
+		const { items: entries, truncated: entriesTruncated } = await fetchAllPages(
+			(pageParams) => i14yClient.getCodeListEntries(id, pageParams),
+			{},
+			{ maxItems: MAX_FETCH_ALL_ITEMS, pageSize: config.maxPageSize }
+		);
+		const report = validateCodeListValues(input, entries, { ignoreCase, maxReported });
+
+		const summary = [
+			`${report.validCount} of ${report.totalValues} values are valid codes`,
+			`${report.invalidCount} invalid`,
+			report.emptyCount > 0 ? `${report.emptyCount} empty` : null,
+			report.deprecatedCount > 0 ? `${report.deprecatedCount} use retired or superseded codes` : null,
+			entriesTruncated ? `only the first ${entries.length} code list entries were checked` : null,
+		]
+			.filter(Boolean)
+			.join(', ');
+
+		return formatResult({ conceptId: id, summary, ...report, entriesTruncated }, formatCodeListValidationResult, {
+			format,
+			language,
+			outputSchema: codeListValidationResponseSchema,
+		});
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to validate values against code list');
+		return {
+			content: [
+				{
+					type: 'text',
+					text: `Error validating against code list: ${error.message}`,
+				},
+			],
+			isError: true,
+		};
+	}
+}
+
+/**
+ * Export all entries of a code list as CSV, flat JSON or SKOS Turtle.
+ * Documents larger than the response size budget are written to a file in the export directory.
+ *
+ * @param {object} args Tool arguments (see {@link ExportConceptSchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function exportCodeList(args) {
+	try {
+		const { id, format, language, maxItems, outputPath } = ExportConceptSchema.parse(args);
+		const languages = language ? [language] : LANGUAGES;
+
+		logger.info({ id, format, language }, 'Exporting code list');
+
+		const concept = await i14yClient.getConcept(id, false);
+		const { items, truncated } = await fetchAllPages(
+			(pageParams) => i14yClient.getCodeListEntries(id, pageParams),
+			{},
+			{ maxItems, pageSize: config.maxPageSize }
+		);
+
+		const chunks =
+			format === 'csv'
+				? codeListToCsv(items, languages)
+				: format === 'json'
+					? codeListToJson(items, languages)
+					: serializeTurtle(codeListToSkos({ ...concept, id }, items, languages));
+		const { contentType, extension } = CODE_LIST_FORMATS[format];
+		const fileName = `code-list-${String(concept.identifier || id).replace(/[^\w.-]/g, '_')}.${extension}`;
+		const output = await writeExport(chunks, { fileName, outputPath });
+
+		const summary = [
+			`Exported ${items.length} code list entries of ${concept.identifier || id} as ${format} (${contentType}, ${output.bytes} bytes)`,
+			truncated ? `stopped at the limit of ${maxItems} entries; raise maxItems to export more` : null,
+		]
+			.filter(Boolean)
+			.join('; ');
+
+		return formatExportResult(
+			{ summary, output },
+			{ conceptId: id, format, contentType, entryCount: items.length, truncated },
+			codeListExportResponseSchema
+		);
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to export code list');
+		return {
+			content: [
+				{
+					type: 'text',
+					text: `Error exporting code list: ${error.message}`,
+				},
+			],
+			isError: true,
+		};
+	}
+}
+
+/**
+ * Find the datasets whose structures reference a concept, and the data services serving them.
+ * Concept identifiers are resolved to the IDs of all versions of the concept. Dataset structures
+ * are fetched with bounded concurrency through the response cache.
+ *
+ * @param {object} args Tool arguments (see {@link findConceptUsagesSchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function findConceptUsages(args) {
+	try {
+		const {
+			conceptId,
+			conceptIdentifier,
+			maxDatasets,
+			concurrency,
+			includeDataServices,
+			format,
+			language,
+			...filters
+		} = findConceptUsagesSchema.parse(args);
+		const fetchAll = (search, params, maxItems = MAX_FETCH_ALL_ITEMS) =>
+			fetchAllPages(search, params, { maxItems, pageSize: config.maxPageSize });
+
+		const ids = new Set(conceptId ? [conceptId] : []);
+		if (conceptIdentifier) {
+			const { items: versions } = await fetchAll((params) => i14yClient.searchConcepts(params), { conceptIdentifier });
+			versions.filter((concept) => concept.identifier === conceptIdentifier).forEach((concept) => ids.add(concept.id));
+		}
+
+		logger.info({ conceptIds: [...ids], conceptIdentifier, maxDatasets }, 'Finding concept usages');
+
+		const { items: datasets, truncated } = await fetchAll(
+			(params) => i14yClient.searchDatasets(params),
+			filters,
+			maxDatasets
+		);
+		const { usages, withoutStructure, failedDatasetIds } = await scanConceptUsages(
+			datasets,
+			{ ids, identifiers: new Set(conceptIdentifier ? [conceptIdentifier] : []) },
+			{ fetchStructure: (datasetId) => i14yClient.getDatasetStructure(datasetId), concurrency }
+		);
+
+		let dataServices = [];
+		if (includeDataServices && usages.length > 0) {
+			const { items: services } = await fetchAll((params) => i14yClient.searchDataServices(params), {});
+			dataServices = findServingDataServices(services, new Set(usages.map((usage) => usage.datasetId)));
+		}
+
+		const summary = [
+			`${usages.length} of ${datasets.length} scanned datasets reference the concept`,
+			includeDataServices ? `${dataServices.length} data services serve them` : null,
+			withoutStructure > 0 ? `${withoutStructure} datasets have no structure` : null,
+			failedDatasetIds.length > 0
+				? `the structures of ${failedDatasetIds.length} datasets could not be fetched (${failedDatasetIds.join(', ')})`
+				: null,
+			truncated ? `stopped at the limit of ${maxDatasets} datasets; raise maxDatasets or add filters to scan more` : null,
+		]
+			.filter(Boolean)
+			.join(', ');
+
+		return formatResult(
+			{
+				summary,
+				conceptIds: [...ids],
+				conceptIdentifier: conceptIdentifier ?? null,
+				scannedDatasets: datasets.length,
+				datasetsWithoutStructure: withoutStructure,
+				failedDatasetIds,
+				truncated,
+				usages,
+				dataServices,
+			},
+			formatConceptUsagesResult,
+			{ format, language, outputSchema: conceptUsagesResponseSchema }
+		);
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to find concept usages');
+		return {
+			content: [
+				{
+					type: 'text',
+					text: `Error finding concept usages: ${error.message}`,
+				},
+			],
+			isError: true,
+		};
+	}
+}
+
+/**
+ * List the versions of a concept, oldest first.
+ *
+ * @param {string} conceptIdentifier Concept identifier
+ * @param {string} [version] Only list this version
+ * @returns {Promise<object[]>} Concepts with exactly this identifier
+ */
+async function listConceptVersions(conceptIdentifier, version) {
+	const { items } = await fetchAllPages(
+		(params) => i14yClient.searchConcepts(params),
+		version ? { conceptIdentifier, version } : { conceptIdentifier },
+		{ maxItems: MAX_FETCH_ALL_ITEMS, pageSize: config.maxPageSize }
+	);
+	return items
+		.filter((concept) => concept.identifier === conceptIdentifier && (!version || concept.version === version))
+		.sort((a, b) => compareVersions(a.version, b.version));
+}
+
+/**
+ * Compare the entries of two versions of a code list.
+ * Versions are resolved by concept identifier through the `version` filter of the concept search;
+ * omitted versions default to the latest version and the version before it.
+ *
+ * @param {object} args Tool arguments (see {@link diffCodeListVersionsSchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function diffCodeListVersions(args) {
+	try {
+		const { conceptIdentifier, fromVersion, toVersion, language, format } = diffCodeListVersionsSchema.parse(args);
+		const describe = (versions) => versions.map((concept) => concept.version).join(', ') || 'none';
+
+		const versions = fromVersion && toVersion ? [] : await listConceptVersions(conceptIdentifier);
+		const resolve = async (version) => {
+			const [concept] = await listConceptVersions(conceptIdentifier, version);
+			if (!concept) {
+				const available = versions.length > 0 ? versions : await listConceptVersions(conceptIdentifier);
+				throw new Error(`Code list ${conceptIdentifier} has no version ${version} (available: ${describe(available)})`);
+			}
+			return concept;
+		};
+
+		const to = toVersion ? await resolve(toVersion) : versions[versions.length - 1];
+		if (!to) throw new Error(`No code list found with identifier ${conceptIdentifier}`);
+		const from = fromVersion
+			? await resolve(fromVersion)
+			: versions.filter((concept) => compareVersions(concept.version, to.version) < 0).pop();
+		if (!from) {
+			throw new Error(
+				`Code list ${conceptIdentifier} has no version before ${to.version} to compare with (available: ${describe(versions)})`
+			);
+		}
+
+		logger.info({ conceptIdentifier, from: from.version, to: to.version }, 'Diffing code list versions');
+
+		const fetchEntries = (id) =>
+			fetchAllPages(
+				(pageParams) => i14yClient.getCodeListEntries(id, pageParams),
+				{},
+				{ maxItems: MAX_FETCH_ALL_ITEMS, pageSize: config.maxPageSize }
+			);
+		const fromEntries = await fetchEntries(from.id);
+		const toEntries = await fetchEntries(to.id);
+		const diff = diffCodeLists(fromEntries.items, toEntries.items, { language });
+		const truncated = fromEntries.truncated || toEntries.truncated;
+
+		const summary = [
+			`${diff.added.length} added`,
+			`${diff.removed.length} removed`,
+			`${diff.relabelled.length} relabelled`,
+			`${diff.moved.length} moved`,
+			`${diff.annotationChanges.length} with changed annotations`,
+			`${diff.unchangedCount} unchanged codes between versions ${from.version} and ${to.version}`,
+			truncated ? `only the first ${MAX_FETCH_ALL_ITEMS} entries of each version were compared` : null,
+		]
+			.filter(Boolean)
+			.join(', ');
+
+		return formatResult(
+			{
+				conceptIdentifier,
+				summary,
+				from: { id: from.id, version: from.version ?? null },
+				to: { id: to.id, version: to.version ?? null },
+				fromEntryCount: fromEntries.items.length,
+				toEntryCount: toEntries.items.length,
+				truncated,
+				...diff,
+			},
+			formatCodeListDiffResult,
+			{ format, language, outputSchema: codeListDiffResponseSchema }
+		);
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to diff code list versions');
+		return {
+			content: [
+				{
+					type: 'text',
+					text: `Error diffing code list versions: ${error.message}`,
+				},
+			],
+			isError: true,
+		};
+	}
+}
+
+/**
+ * Get the version history of a concept: all versions in semantic version order, the registration
+ * status changes between them, their validity periods and the current preferred standard.
+ *
+ * @param {object} args Tool arguments (see {@link getConceptHistorySchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function getConceptHistory(args) {
+	try {
+		const { id, conceptIdentifier, language, format } = getConceptHistorySchema.parse(args);
+
+		const resolved = id ? await resolveEntityReference(id, { type: 'concepts' }) : null;
+		const concept = resolved ? await i14yClient.getConcept(resolved.id, false) : null;
+		const identifier = conceptIdentifier ?? concept?.identifier;
+		if (!identifier) throw new Error(`Concept ${id} has no identifier to look up its versions by`);
+
+		logger.info({ id, conceptIdentifier: identifier }, 'Getting concept history');
+
+		const concepts = await listConceptVersions(identifier);
+		if (concept && !concepts.some((candidate) => candidate.id === resolved.id)) concepts.push({ ...concept, id: resolved.id });
+		if (concepts.length === 0) throw new Error(`No concept found with identifier ${identifier}`);
+
+		const { versions, statusChanges, preferred } = buildConceptHistory(concepts);
+		const summary = [
+			`${versions.length} versions of ${identifier}`,
+			`${statusChanges.length} registration status changes between consecutive versions`,
+			preferred
+				? `version ${preferred.version} is the preferred standard`
+				: 'no version is currently a valid standard',
+		].join(', ');
+
+		return formatResult(
+			{ conceptIdentifier: identifier, summary, versions, statusChanges, preferred },
+			formatConceptHistoryResult,
+			{ format, language, outputSchema: conceptHistoryResponseSchema }
+		);
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to get concept history');
+		return {
+			content: [
+				{
+					type: 'text',
+					text: `Error getting concept history: ${error.message}`,
+				},
+			],
+			isError: true,
+		};
+	}
+}
 
 /**
  * Register concept tools with the MCP server.
@@ -169,20 +664,71 @@ export function registerConceptTools(server) {
 		'search_concepts',
 		'Search for concepts in the I14Y Interoperability Platform',
 		searchConceptsSchema,
-		searchConcepts
+		searchConcepts,
+		searchConceptsResponseSchema
 	);
 
 	server.tool(
 		'get_concept',
-		'Get detailed information about a specific concept by ID',
+		'Get detailed information about a specific concept by UUID, identifier (optionally with version) or I14Y web URL',
 		getConceptSchema,
-		getConcept
+		getConcept,
+		conceptResponseSchema
+	);
+
+	server.tool(
+		'get_concept_history',
+		'Get all versions of a concept (by ID or identifier) in version order, with their current registration statuses and where they differ between consecutive versions, validity periods and the current preferred standard',
+		getConceptHistorySchema,
+		getConceptHistory,
+		conceptHistoryResponseSchema
 	);
 
 	server.tool(
 		'get_code_list_entries',
-		'Get entries from a code list concept',
+		'Get entries from a code list concept, given by UUID, identifier (optionally with version) or I14Y web URL',
 		getCodeListEntriesSchema,
-		getCodeListEntries
+		getCodeListEntries,
+		codeListEntriesResponseSchema
+	);
+
+	server.tool(
+		'lookup_code',
+		'Look up code list entries by code or by label fragment in any language (fuzzy), with their parent codes and annotations',
+		lookupCodeSchema,
+		lookupCode,
+		codeLookupResponseSchema
+	);
+
+	server.tool(
+		'validate_against_code_list',
+		'Check whether values (a list or a local CSV column) conform to a code list: valid/invalid counts, unknown values with suggestions, and deprecated codes',
+		validateAgainstCodeListSchema,
+		validateAgainstCodeList,
+		codeListValidationResponseSchema
+	);
+
+	server.tool(
+		'export_code_list',
+		'Export all entries of a code list as CSV (one column per language), flat JSON or SKOS Turtle',
+		ExportConceptSchema,
+		exportCodeList,
+		codeListExportResponseSchema
+	);
+
+	server.tool(
+		'find_concept_usages',
+		'Find the datasets whose structures reference a concept (by ID or identifier), with publishers and property names, and the data services serving them',
+		findConceptUsagesSchema,
+		findConceptUsages,
+		conceptUsagesResponseSchema
+	);
+
+	server.tool(
+		'diff_code_list_versions',
+		'Compare two versions of a code list by identifier: added, removed and relabelled codes per language, moved codes and changed annotations',
+		diffCodeListVersionsSchema,
+		diffCodeListVersions,
+		codeListDiffResponseSchema
 	);
 }
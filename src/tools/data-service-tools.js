@@ -1,14 +1,26 @@
 /**
  * @fileoverview MCP tools for data service (API) operations on the Swiss I14Y Interoperability Platform.
- * Registers tools for searching data services and retrieving a single data service by ID.
+ * Registers tools for searching data services and retrieving a single data service by UUID,
+ * identifier or I14Y web URL.
  *
  * @see https://www.i14y.admin.ch/
  * @see ../api/i14y-client.js
  */
 import { z } from 'zod';
 import { i14yClient } from '../api/i14y-client.js';
-import { formatSuccess, formatError } from '../utils/formatting.js';
+import { formatResult, formatDataServiceResult } from '../utils/formatting.js';
 import { logger } from '../utils/logger.js';
+import {
+	EntityReferenceSchema,
+	EntityVersionSchema,
+	FetchAllSchema,
+	FormatSchema,
+	LanguageOptionSchema,
+} from '../api/schemas.js';
+import { fetchAllPages, summarizeFetchAll } from '../api/pagination.js';
+import { resolveEntityReference } from '../api/entity-resolver.js';
+import config from '../config.js';
+import { searchDataServicesResponseSchema, dataServiceResponseSchema } from '../api/response-schemas.js';
 
 const searchDataServicesSchema = z.object({
 	accessRights: z.string().optional(),
@@ -18,11 +30,12 @@ const searchDataServicesSchema = z.object({
 	registrationStatus: z.string().optional(),
 	page: z.number().int().min(1).default(1),
 	pageSize: z.number().int().min(1).max(100).default(25),
-});
+}).merge(FetchAllSchema).merge(LanguageOptionSchema).merge(FormatSchema);
 
 const getDataServiceSchema = z.object({
-	id: z.string().uuid(),
-});
+	id: EntityReferenceSchema,
+	version: EntityVersionSchema,
+}).merge(LanguageOptionSchema).merge(FormatSchema);
 
 /**
  * Search data services (APIs) using various filters.
@@ -32,9 +45,26 @@ const getDataServiceSchema = z.object({
  */
 async function searchDataServices(args) {
 	try {
-		const params = searchDataServicesSchema.parse(args);
+		const { all, maxItems, format, ...params } = searchDataServicesSchema.parse(args);
+		const renderOptions = { format, language: params.language };
+		if (all) {
+			const result = await fetchAllPages(
+				(pageParams) => i14yClient.searchDataServices(pageParams),
+				params,
+				{ maxItems, pageSize: config.maxPageSize }
+			);
+			return formatResult({ summary: summarizeFetchAll(result, 'data services'), ...result }, formatDataServiceResult, {
+				...renderOptions,
+				outputSchema: searchDataServicesResponseSchema,
+			});
+		}
 		const result = await i14yClient.searchDataServices(params);
-		return formatSuccess(result);
+		return formatResult(result, formatDataServiceResult, {
+			...renderOptions,
+			page: params.page,
+			pageSize: params.pageSize,
+			outputSchema: searchDataServicesResponseSchema,
+		});
 	} catch (error) {
 		logger.error({ error, args }, 'Failed to search data services');
 		return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
@@ -42,16 +72,24 @@ async function searchDataServices(args) {
 }
 
 /**
- * Get detailed information about a specific data service by ID.
+ * Get detailed information about a specific data service by UUID, identifier or URL.
  *
- * @param {object} args Tool arguments containing the data service UUID
+ * @param {object} args Tool arguments containing the data service reference and optional version
+ * @param {object} [context] Request context
+ * @param {import('../resources/entity-resources.js').RecentEntities} [context.recentEntities] Entities accessed through the server
  * @returns {Promise<object>} MCP-formatted response
  */
-async function getDataService(args) {
+async function getDataService(args, { recentEntities } = {}) {
 	try {
-		const { id } = getDataServiceSchema.parse(args);
+		const { id: reference, version, format, language } = getDataServiceSchema.parse(args);
+		const { id } = await resolveEntityReference(reference, { type: 'dataservices', version });
 		const result = await i14yClient.getDataService(id);
-		return formatSuccess(result);
+		recentEntities?.remember('dataservices', id, result);
+		return formatResult(result, formatDataServiceResult, {
+			format,
+			language,
+			outputSchema: dataServiceResponseSchema,
+		});
 	} catch (error) {
 		logger.error({ error, args }, 'Failed to get data service');
 		return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
@@ -65,6 +103,6 @@ async function getDataService(args) {
  * @returns {void}
  */
 export function registerDataServiceTools(server) {
-	server.tool('search_data_services', 'Search for data services (APIs) in the I14Y Interoperability Platform', searchDataServicesSchema, searchDataServices);
-	server.tool('get_data_service', 'Get detailed information about a specific data service by ID', getDataServiceSchema, getDataService);
+	server.tool('search_data_services', 'Search for data services (APIs) in the I14Y Interoperability Platform', searchDataServicesSchema, searchDataServices, searchDataServicesResponseSchema);
+	server.tool('get_data_service', 'Get detailed information about a specific data service by UUID, identifier or I14Y web URL', getDataServiceSchema, getDataService, dataServiceResponseSchema);
 }
@@ -1,14 +1,59 @@
 /**
  * @fileoverview MCP tools for dataset-related operations on the Swiss I14Y Interoperability Platform.
- * Registers tools for searching datasets and retrieving a single dataset by ID.
+ * Registers tools for searching datasets, retrieving a single dataset by ID, listing its
+ * distributions, inspecting or exporting a dataset's structure, validating local data files
+ * against it, and generating JSON Schema, SQL DDL or TypeScript types from it.
  *
  * @see https://www.i14y.admin.ch/
  * @see ../api/i14y-client.js
  */
 import { z } from 'zod';
 import { i14yClient } from '../api/i14y-client.js';
-import { formatSuccess, formatError } from '../utils/formatting.js';
+import {
+	formatResult,
+	formatSuccess,
+	formatError,
+	formatDatasetResult,
+	formatDatasetStructureResult,
+	formatDistributionResult,
+	formatStructureValidationResult,
+} from '../utils/formatting.js';
 import { logger } from '../utils/logger.js';
+import {
+	EntityReferenceSchema,
+	EntityVersionSchema,
+	FetchAllSchema,
+	FormatSchema,
+	LanguageOptionSchema,
+	getDatasetStructureSchema,
+	exportDatasetStructureSchema,
+	listDatasetDistributionsSchema,
+	validateDataAgainstStructureSchema,
+	generateJsonSchemaSchema,
+	generateCodeArtifactsSchema,
+} from '../api/schemas.js';
+import { fetchAllPages, summarizeFetchAll, MAX_FETCH_ALL_ITEMS } from '../api/pagination.js';
+import { resolveEntityReference } from '../api/entity-resolver.js';
+import { isNotFoundError } from '../api/errors.js';
+import config from '../config.js';
+import {
+	searchDatasetsResponseSchema,
+	datasetResponseSchema,
+	datasetStructureResponseSchema,
+	datasetStructureExportResponseSchema,
+	datasetDistributionsResponseSchema,
+	structureValidationResponseSchema,
+	jsonSchemaResponseSchema,
+	codeArtifactResponseSchema,
+} from '../api/response-schemas.js';
+import { summarizeDatasetStructure } from '../utils/dataset-structure.js';
+import { mapConcurrent } from '../utils/concurrency.js';
+import { normalizeDistribution } from '../utils/distributions.js';
+import { readDataRecords } from '../utils/data-files.js';
+import { validateRecords } from '../utils/structure-validation.js';
+import { structureToJsonSchema } from '../export/json-schema.js';
+import { CODE_ARTIFACT_TARGETS, generateCodeArtifact } from '../export/code-artifacts.js';
+import { writeExport, formatExportResult } from '../export/output.js';
 
 const searchDatasetsSchema = z.object({
 	accessRights: z.string().optional().describe('Access rights code'),
@@ -18,15 +63,12 @@ const searchDatasetsSchema = z.object({
 	registrationStatus: z.string().optional().describe('Registration status'),
 	page: z.number().int().min(1).default(1),
 	pageSize: z.number().int().min(1).max(100).default(25),
-});
+}).merge(FetchAllSchema).merge(LanguageOptionSchema).merge(FormatSchema);
 
 const getDatasetSchema = z.object({
-	id: z.string().describe('Dataset ID'),
-	language: z.string().optional().describe('Language code (e.g., de, fr, it, en)'),
-});
-
-
-
+	id: EntityReferenceSchema.describe('Dataset UUID, identifier or I14Y web URL'),
+	version: EntityVersionSchema,
+}).merge(LanguageOptionSchema).merge(FormatSchema);
 
 /**
  * Search datasets using various filters.
@@ -36,9 +78,26 @@ const getDatasetSchema = z.object({
  */
 async function searchDatasets(args) {
 	try {
-		const params = searchDatasetsSchema.parse(args);
+		const { all, maxItems, format, ...params } = searchDatasetsSchema.parse(args);
+		const renderOptions = { format, language: params.language };
+		if (all) {
+			const result = await fetchAllPages(
+				(pageParams) => i14yClient.searchDatasets(pageParams),
+				params,
+				{ maxItems, pageSize: config.maxPageSize }
+			);
+			return formatResult({ summary: summarizeFetchAll(result, 'datasets'), ...result }, formatDatasetResult, {
+				...renderOptions,
+				outputSchema: searchDatasetsResponseSchema,
+			});
+		}
 		const result = await i14yClient.searchDatasets(params);
-		return formatSuccess(result);
+		return formatResult(result, formatDatasetResult, {
+			...renderOptions,
+			page: params.page,
+			pageSize: params.pageSize,
+			outputSchema: searchDatasetsResponseSchema,
+		});
 	} catch (error) {
 		logger.error({ error, args }, 'Failed to search datasets');
 		return formatError(error);
@@ -46,24 +105,351 @@ async function searchDatasets(args) {
 }
 
 /**
- * Get detailed information about a specific dataset by ID.
+ * Get detailed information about a specific dataset by UUID, identifier or URL.
  *
- * @param {object} args Tool arguments containing the dataset ID and optional language
+ * @param {object} args Tool arguments containing the dataset reference, optional version and language
+ * @param {object} [context] Request context
+ * @param {import('../resources/entity-resources.js').RecentEntities} [context.recentEntities] Entities accessed through the server
  * @returns {Promise<object>} MCP-formatted response
  */
-async function getDataset(args) {
+async function getDataset(args, { recentEntities } = {}) {
 	try {
-		const { id, language } = getDatasetSchema.parse(args);
+		const { id: reference, version, format, language } = getDatasetSchema.parse(args);
+		const { id } = await resolveEntityReference(reference, { type: 'datasets', version });
 		const result = await i14yClient.getDataset(id, language);
-		return formatSuccess(result);
+		recentEntities?.remember('datasets', id, result);
+		return formatResult(result, formatDatasetResult, {
+			format,
+			language,
+			outputSchema: datasetResponseSchema,
+		});
 	} catch (error) {
 		logger.error({ error, args }, 'Failed to get dataset');
 		return formatError(error);
 	}
 }
 
+/**
+ * List the distributions of a dataset with their access and download URLs.
+ *
+ * @param {object} args Tool arguments containing the dataset ID and optional language
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function listDatasetDistributions(args) {
+	try {
+		const { id, format, language } = listDatasetDistributionsSchema.parse(args);
+		const { distributions } = await i14yClient.listDatasetDistributions(id, language);
+		const items = distributions.filter(Boolean).map(normalizeDistribution);
+		return formatResult({ datasetId: id, totalCount: items.length, items }, formatDistributionResult, {
+			format,
+			language,
+			outputSchema: datasetDistributionsResponseSchema,
+		});
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to list dataset distributions');
+		return formatError(error);
+	}
+}
+
+/**
+ * Get the structure of a dataset with a summary of its properties and linked concepts.
+ *
+ * @param {object} args Tool arguments containing the dataset reference, optional version and language
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function getDatasetStructure(args) {
+	try {
+		const { id: reference, version, format, language } = getDatasetStructureSchema.parse(args);
+		const { id } = await resolveEntityReference(reference, { type: 'datasets', version });
+		const structure = await i14yClient.getDatasetStructure(id, language);
+		return formatResult(
+			{ datasetId: id, ...summarizeDatasetStructure(structure), structure },
+			formatDatasetStructureResult,
+			{ format, language, outputSchema: datasetStructureResponseSchema }
+		);
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to get dataset structure');
+		return formatError(error);
+	}
+}
+
+/**
+ * Render an exported structure document according to its content type.
+ * JSON documents (e.g. JSON-LD) are pretty-printed; Turtle and RDF/XML are returned verbatim.
+ *
+ * @param {{contentType: (string|null), format: string, body: string}} result Export result
+ * @returns {string} Document text
+ */
+function renderStructureDocument({ contentType, format, body }) {
+	const isJson = contentType ? /json/i.test(contentType) : format === 'JsonLd';
+	if (!isJson) return body;
+	try {
+		return JSON.stringify(JSON.parse(body), null, 2);
+	} catch {
+		return body;
+	}
+}
 
+/**
+ * Export the structure of a dataset as Turtle, RDF/XML or JSON-LD.
+ *
+ * @param {object} args Tool arguments containing the dataset ID, format and optional language
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function exportDatasetStructure(args) {
+	try {
+		const { id, format, language } = exportDatasetStructureSchema.parse(args);
+		const result = await i14yClient.exportDatasetStructure(id, format, language || config.defaultLanguage);
+		const response = formatSuccess(result, datasetStructureExportResponseSchema);
+		if (response.isError) return response;
+		response.content = [
+			{
+				type: 'text',
+				text: `Structure of dataset ${id} exported as ${format}${result.contentType ? ` (${result.contentType})` : ''}`,
+			},
+			{ type: 'text', text: renderStructureDocument(result) },
+		];
+		return response;
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to export dataset structure');
+		return formatError(error);
+	}
+}
+
+/**
+ * Number of linked code lists fetched at the same time
+ * @constant {number}
+ */
+const CODE_LIST_FETCH_CONCURRENCY = 5;
+
+/**
+ * Fetch the code list entries of the concepts linked to structure properties.
+ * Concepts without entries or without a code list (HTTP 404) are left out; concepts whose
+ * entries cannot be fetched for another reason are reported as skipped.
+ *
+ * @param {object[]} properties Normalized structure properties
+ * @returns {Promise<{codeLists: Map<string, object[]>, skippedConceptIds: string[]}>} Code list
+ *          entries by concept ID, and the concepts whose entries could not be fetched
+ */
+async function fetchLinkedCodeLists(properties) {
+	const conceptIds = [...new Set(properties.map((property) => property.concept?.id).filter(Boolean))];
+	const results = await mapConcurrent(conceptIds, CODE_LIST_FETCH_CONCURRENCY, async (conceptId) => {
+		try {
+			const { items } = await fetchAllPages(
+				(pageParams) => i14yClient.getCodeListEntries(conceptId, pageParams),
+				{},
+				{ maxItems: MAX_FETCH_ALL_ITEMS, pageSize: config.maxPageSize }
+			);
+			return { conceptId, items };
+		} catch (error) {
+			if (isNotFoundError(error)) return { conceptId, items: [] };
+			logger.warn({ error, conceptId }, 'Failed to fetch code list entries of linked concept');
+			return { conceptId, items: null };
+		}
+	});
+	return {
+		codeLists: new Map(results.filter(({ items }) => items?.length > 0).map(({ conceptId, items }) => [conceptId, items])),
+		skippedConceptIds: results.filter(({ items }) => items === null).map(({ conceptId }) => conceptId),
+	};
+}
 
+/**
+ * Describe the linked code lists left out of a result.
+ *
+ * @param {string[]} conceptIds Concepts whose code list entries could not be fetched
+ * @returns {string|null} Summary part, or null if none were left out
+ */
+function describeSkippedCodeLists(conceptIds) {
+	return conceptIds.length > 0
+		? `the code lists of ${conceptIds.length} linked concepts could not be fetched (${conceptIds.join(', ')})`
+		: null;
+}
+
+/**
+ * Validate a local CSV or JSON data file against the structure of a dataset.
+ * Columns are mapped to structure properties by path or name; each record is checked for
+ * required values, cardinality, datatypes and the codes of properties linked to code lists.
+ *
+ * @param {object} args Tool arguments (see {@link validateDataAgainstStructureSchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function validateDataAgainstStructure(args) {
+	try {
+		const { id, path, fileFormat, delimiter, maxErrors, format, language } =
+			validateDataAgainstStructureSchema.parse(args);
+
+		logger.info({ id, path, fileFormat }, 'Validating data file against dataset structure');
+
+		const data = await readDataRecords(path, { fileFormat, delimiter });
+		// Without a language, the structure keeps the property names in all languages for column matching
+		const { properties } = summarizeDatasetStructure(await i14yClient.getDatasetStructure(id));
+		const { codeLists, skippedConceptIds } = await fetchLinkedCodeLists(properties);
+		const report = validateRecords(data.records, data.columns, properties, { codeLists, maxErrors });
+
+		const summary = [
+			`${report.validRecordCount} of ${report.recordCount} records are valid`,
+			`${report.errorCount} errors`,
+			`${report.columnMapping.length} of ${data.columns.length} columns mapped to properties`,
+			report.truncated ? `only the first ${report.errors.length} errors are reported` : null,
+			describeSkippedCodeLists(skippedConceptIds),
+		]
+			.filter(Boolean)
+			.join(', ');
+
+		return formatResult(
+			{
+				datasetId: id,
+				path,
+				fileFormat: data.format,
+				summary,
+				...report,
+				codeListConceptIds: [...codeLists.keys()],
+				skippedCodeListConceptIds: skippedConceptIds,
+			},
+			formatStructureValidationResult,
+			{ format, language, outputSchema: structureValidationResponseSchema }
+		);
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to validate data against dataset structure');
+		return formatError(error);
+	}
+}
+
+/**
+ * Generate a JSON Schema (Draft 2020-12) describing one record of a dataset.
+ * Documents larger than the response size budget are written to a file in the export directory.
+ *
+ * @param {object} args Tool arguments (see {@link generateJsonSchemaSchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function generateJsonSchema(args) {
+	try {
+		const { id, language, includeCodeLists, additionalProperties, outputPath } = generateJsonSchemaSchema.parse(args);
+
+		logger.info({ id, language }, 'Generating JSON Schema from dataset structure');
+
+		const structure = await i14yClient.getDatasetStructure(id);
+		const { properties } = summarizeDatasetStructure(structure);
+		const { codeLists, skippedConceptIds } = includeCodeLists
+			? await fetchLinkedCodeLists(properties)
+			: { codeLists: new Map(), skippedConceptIds: [] };
+		const schema = structureToJsonSchema({
+			datasetId: id,
+			properties,
+			codeLists,
+			language: language || config.defaultLanguage,
+			title: structure?.name ?? structure?.title,
+			additionalProperties,
+		});
+
+		const enumPropertyCount = properties.filter((property) => codeLists.has(property.concept?.id)).length;
+		const output = await writeExport([`${JSON.stringify(schema, null, 2)}\n`], {
+			fileName: `schema-${id.replace(/[^\w.-]/g, '_')}.json`,
+			outputPath,
+		});
+		const summary = [
+			`Generated JSON Schema for dataset ${id} with ${properties.length} properties (${schema.required?.length ?? 0} required, ${enumPropertyCount} with code list enums)`,
+			describeSkippedCodeLists(skippedConceptIds),
+		]
+			.filter(Boolean)
+			.join('; ');
+
+		return formatExportResult(
+			{ summary, output },
+			{
+				datasetId: id,
+				propertyCount: properties.length,
+				requiredCount: schema.required?.length ?? 0,
+				enumPropertyCount,
+				skippedCodeListConceptIds: skippedConceptIds,
+			},
+			jsonSchemaResponseSchema
+		);
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to generate JSON Schema');
+		return formatError(error);
+	}
+}
+
+/**
+ * Name the code lists of linked concepts after their concept identifiers.
+ * Identifiers missing from the structure are read from the concept; when that fails, the
+ * code list is named after the first property linked to it.
+ *
+ * @param {Map<string, object[]>} codeLists Code list entries by concept ID
+ * @param {object[]} properties Normalized structure properties
+ * @returns {Promise<Map<string, {name: string, entries: object[]}>>} Named code lists by concept ID
+ */
+async function nameCodeLists(codeLists, properties) {
+	const named = new Map();
+	for (const [conceptId, entries] of codeLists) {
+		const property = properties.find((candidate) => candidate.concept?.id === conceptId);
+		let name = property.concept.identifier;
+		if (!name) {
+			try {
+				name = (await i14yClient.getConcept(conceptId)).identifier;
+			} catch (error) {
+				logger.debug({ error, conceptId }, 'Failed to get code list concept');
+			}
+		}
+		named.set(conceptId, { name: name || property.path || conceptId, entries });
+	}
+	return named;
+}
+
+/**
+ * Generate SQL DDL (PostgreSQL, SQLite) or TypeScript declarations from the structure of a dataset.
+ * Documents larger than the response size budget are written to a file in the export directory.
+ *
+ * @param {object} args Tool arguments (see {@link generateCodeArtifactsSchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function generateCodeArtifacts(args) {
+	try {
+		const { id, target, name, codeListMode, includeCodeLists, language, outputPath } =
+			generateCodeArtifactsSchema.parse(args);
+
+		logger.info({ id, target, codeListMode }, 'Generating code artifact from dataset structure');
+
+		const { properties } = summarizeDatasetStructure(await i14yClient.getDatasetStructure(id));
+		const linked = includeCodeLists
+			? await fetchLinkedCodeLists(properties)
+			: { codeLists: new Map(), skippedConceptIds: [] };
+		const codeLists = await nameCodeLists(linked.codeLists, properties);
+		const chunks = generateCodeArtifact(target, {
+			name: name || `dataset_${id}`,
+			properties,
+			codeLists,
+			language: language || config.defaultLanguage,
+			codeListMode,
+		});
+		const output = await writeExport(chunks, {
+			fileName: `dataset-${id.replace(/[^\w.-]/g, '_')}.${CODE_ARTIFACT_TARGETS[target].extension}`,
+			outputPath,
+		});
+		const summary = [
+			`Generated ${target} for dataset ${id} with ${properties.length} properties and ${codeLists.size} code lists`,
+			describeSkippedCodeLists(linked.skippedConceptIds),
+		]
+			.filter(Boolean)
+			.join('; ');
+
+		return formatExportResult(
+			{ summary, output },
+			{
+				datasetId: id,
+				target,
+				propertyCount: properties.length,
+				codeListCount: codeLists.size,
+				skippedCodeListConceptIds: linked.skippedConceptIds,
+			},
+			codeArtifactResponseSchema
+		);
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to generate code artifact');
+		return formatError(error);
+	}
+}
 
 /**
  * Register dataset tools with the MCP server.
@@ -72,6 +458,48 @@ async function getDataset(args) {
  * @returns {void}
  */
 export function registerDatasetTools(server) {
-	server.tool('search_datasets', 'Search for datasets in the I14Y Interoperability Platform', searchDatasetsSchema, searchDatasets);
-	server.tool('get_dataset', 'Get detailed information about a specific dataset by ID', getDatasetSchema, getDataset);
+	server.tool('search_datasets', 'Search for datasets in the I14Y Interoperability Platform', searchDatasetsSchema, searchDatasets, searchDatasetsResponseSchema);
+	server.tool('get_dataset', 'Get detailed information about a specific dataset by UUID, identifier or I14Y web URL', getDatasetSchema, getDataset, datasetResponseSchema);
+	server.tool(
+		'list_dataset_distributions',
+		'List the distributions of a dataset with access and download URLs, media types, licenses and sizes',
+		listDatasetDistributionsSchema,
+		listDatasetDistributions,
+		datasetDistributionsResponseSchema
+	);
+	server.tool(
+		'get_dataset_structure',
+		'Get the structure of a dataset with a summary of its properties and their linked concepts',
+		getDatasetStructureSchema,
+		getDatasetStructure,
+		datasetStructureResponseSchema
+	);
+	server.tool(
+		'export_dataset_structure',
+		'Export the structure of a dataset as Turtle (Ttl), RDF/XML (Rdf) or JSON-LD (JsonLd)',
+		exportDatasetStructureSchema,
+		exportDatasetStructure,
+		datasetStructureExportResponseSchema
+	);
+	server.tool(
+		'validate_data_against_structure',
+		'Validate a local CSV or JSON data file against the structure of a dataset: datatypes, required values, cardinality and code list membership, with a line-level error report',
+		validateDataAgainstStructureSchema,
+		validateDataAgainstStructure,
+		structureValidationResponseSchema
+	);
+	server.tool(
+		'generate_json_schema',
+		'Generate a JSON Schema (Draft 2020-12) for the records of a dataset from its structure, with XSD datatypes, cardinalities and code list enums',
+		generateJsonSchemaSchema,
+		generateJsonSchema,
+		jsonSchemaResponseSchema
+	);
+	server.tool(
+		'generate_code_artifacts',
+		'Generate PostgreSQL or SQLite CREATE TABLE statements (code lists as CHECK constraints or lookup tables) or TypeScript interfaces and enums from the structure of a dataset',
+		generateCodeArtifactsSchema,
+		generateCodeArtifacts,
+		codeArtifactResponseSchema
+	);
 }
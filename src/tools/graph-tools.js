@@ -0,0 +1,87 @@
+/**
+ * @fileoverview MCP tools for exploring the links between I14Y entities.
+ * Walks from a dataset, concept, data service or public service to the entities it links to
+ * (structure concepts, code lists, served datasets, publishers) and returns the graph as nodes
+ * and edges, optionally rendered as Mermaid or GraphML.
+ *
+ * @see ../utils/entity-graph.js
+ * @see ../export/graph.js
+ */
+import { i14yClient } from '../api/i14y-client.js';
+import { getEntityGraphSchema } from '../api/schemas.js';
+import { resolveEntityReference } from '../api/entity-resolver.js';
+import { entityGraphResponseSchema } from '../api/response-schemas.js';
+import config from '../config.js';
+import { formatResult, formatError, formatEntityGraphResult } from '../utils/formatting.js';
+import { logger } from '../utils/logger.js';
+import { buildEntityGraph, GRAPH_ENTITY_TYPES } from '../utils/entity-graph.js';
+import { graphToGraphMl, graphToMermaid } from '../export/graph.js';
+
+/**
+ * Build the link graph around an entity.
+ *
+ * @param {object} args Tool arguments (see {@link getEntityGraphSchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function getEntityGraph(args) {
+	try {
+		const { id: reference, version, type: requestedType, depth, maxNodes, graphFormat, format, language: requestedLanguage } =
+			getEntityGraphSchema.parse(args);
+		const language = requestedLanguage || config.defaultLanguage;
+		// A bare UUID without a type resolves to no type; the graph walk then probes the types
+		const { id, type } = await resolveEntityReference(reference, { type: requestedType ?? GRAPH_ENTITY_TYPES, version });
+
+		logger.info({ id, type, depth, maxNodes }, 'Building entity graph');
+
+		const graph = await buildEntityGraph(
+			{ id, type: type ?? undefined },
+			{
+				fetchers: {
+					datasets: (datasetId) => i14yClient.getDataset(datasetId, language),
+					datasetStructure: (datasetId) => i14yClient.getDatasetStructure(datasetId),
+					concepts: (conceptId) => i14yClient.getConcept(conceptId),
+					dataservices: (serviceId) => i14yClient.getDataService(serviceId),
+					publicservices: (serviceId) => i14yClient.getPublicService(serviceId),
+				},
+				depth,
+				maxNodes,
+				language,
+			}
+		);
+
+		const diagram = graphFormat === 'mermaid' ? graphToMermaid(graph) : graphFormat === 'graphml' ? graphToGraphMl(graph) : null;
+		const summary = [
+			`${graph.nodes.length} nodes and ${graph.edges.length} edges within ${depth} hops of ${graph.nodes[0].key}`,
+			graph.truncated ? `stopped at the limit of ${maxNodes} nodes; raise maxNodes to see more` : null,
+		]
+			.filter(Boolean)
+			.join('; ');
+
+		const response = formatResult(
+			{ start: graph.nodes[0].key, summary, ...graph, graphFormat: graphFormat ?? null, diagram },
+			formatEntityGraphResult,
+			{ format, language: requestedLanguage, outputSchema: entityGraphResponseSchema }
+		);
+		if (diagram && format !== 'json') response.content.push({ type: 'text', text: diagram });
+		return response;
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to build entity graph');
+		return formatError(error);
+	}
+}
+
+/**
+ * Register entity graph tools with the MCP server.
+ *
+ * @param {object} server MCP server instance
+ * @returns {void}
+ */
+export function registerGraphTools(server) {
+	server.tool(
+		'get_entity_graph',
+		'Explore the links of a dataset, concept, data service or public service (structure concepts, code lists, served datasets, publishers) as a graph of nodes and edges, optionally rendered as Mermaid or GraphML',
+		getEntityGraphSchema,
+		getEntityGraph,
+		entityGraphResponseSchema
+	);
+}
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview MCP tools for the local full-text index of the I14Y catalog.
+ * The public API has no keyword search, so `rebuild_index` harvests all public concepts, datasets,
+ * data services and public services into a BM25 index persisted in the index directory, and
+ * `search_index` ranks them against keywords without calling the API.
+ *
+ * @see ../search/catalog-index.js
+ * @see ../search/harvester.js
+ */
+import { join } from 'path';
+import config from '../config.js';
+import { searchIndexSchema, rebuildIndexSchema } from '../api/schemas.js';
+import { indexSearchResponseSchema, indexRebuildResponseSchema } from '../api/response-schemas.js';
+import { formatResult, formatSuccess, formatError, formatIndexSearchResult } from '../utils/formatting.js';
+import { logger } from '../utils/logger.js';
+import { CatalogIndex, INDEX_FILE_NAME, loadCatalogIndex, saveCatalogIndex } from '../search/catalog-index.js';
+import { harvestCatalog } from '../search/harvester.js';
+
+/**
+ * Index loaded from the index file, loaded again when the index directory changes
+ * @type {{file: string, index: Promise<CatalogIndex|null>}|null}
+ */
+let loaded = null;
+
+/**
+ * Whether a rebuild is running
+ * @type {boolean}
+ */
+let rebuilding = false;
+
+/**
+ * Get the index, loading it from the index file on first use.
+ *
+ * @returns {Promise<{file: string, index: CatalogIndex|null}>} Index file and index, or null if none was built yet
+ */
+async function getIndex() {
+	const file = join(config.indexDir, INDEX_FILE_NAME);
+	if (loaded?.file !== file) {
+		loaded = { file, index: loadCatalogIndex(file) };
+	}
+	try {
+		return { file, index: await loaded.index };
+	} catch (error) {
+		loaded = null;
+		throw error;
+	}
+}
+
+/**
+ * Search the local catalog index by keywords.
+ *
+ * @param {object} args Tool arguments (see {@link searchIndexSchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function searchIndex(args) {
+	try {
+		const { query, types, publisherIdentifier, page, pageSize, format, language: requestedLanguage } = searchIndexSchema.parse(args);
+		const language = requestedLanguage || config.defaultLanguage;
+		const { index } = await getIndex();
+		if (!index || index.size === 0) {
+			throw new Error('The catalog index is empty; build it with rebuild_index first');
+		}
+
+		const { terms, results } = index.search(query, { language, types, publisherIdentifier });
+		const items = results.slice((page - 1) * pageSize, page * pageSize).map(({ document, score, matchedTerms }) => ({
+			type: document.type,
+			id: document.id,
+			identifier: document.identifier,
+			version: document.version,
+			title: document.title,
+			description: document.description,
+			publisher: document.publisher,
+			registrationStatus: document.registrationStatus,
+			score: Math.round(score * 1000) / 1000,
+			matchedTerms,
+		}));
+		const summary = [
+			`${results.length} results for "${query}" among ${index.size} indexed entities (refreshed ${index.refreshedAt})`,
+			results.length > 0 ? `showing ${items.length} on page ${page}` : null,
+		]
+			.filter(Boolean)
+			.join(', ');
+
+		return formatResult(
+			{
+				summary,
+				query,
+				terms,
+				totalCount: results.length,
+				page,
+				pageSize,
+				documentCount: index.size,
+				refreshedAt: index.refreshedAt,
+				items,
+			},
+			formatIndexSearchResult,
+			{ format, language: requestedLanguage, outputSchema: indexSearchResponseSchema }
+		);
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to search catalog index');
+		return formatError(error);
+	}
+}
+
+/**
+ * Harvest the public catalog into the local index and save it.
+ * Without an index file, or with `full`, every harvested entity is indexed; otherwise only new
+ * and changed entities are, and entities the API no longer lists are removed.
+ *
+ * @param {object} args Tool arguments (see {@link rebuildIndexSchema})
+ * @returns {Promise<object>} MCP-formatted response
+ */
+async function rebuildIndex(args) {
+	if (rebuilding) {
+		return formatError(new Error('The catalog index is already being rebuilt'));
+	}
+	rebuilding = true;
+	try {
+		const { full, types } = rebuildIndexSchema.parse(args);
+		const { file, index: current } = await getIndex();
+		const index = current ?? new CatalogIndex();
+		const mode = full || !current ? 'full' : 'incremental';
+
+		logger.info({ mode, types, file }, 'Rebuilding catalog index');
+		const stats = await harvestCatalog(index, { types, full });
+		if (mode === 'full') index.builtAt = index.refreshedAt;
+		const bytes = await saveCatalogIndex(index, file);
+		loaded = { file, index: Promise.resolve(index) };
+
+		const summary = `${mode === 'full' ? 'Built' : 'Refreshed'} the catalog index with ${index.size} entities: ${stats.added} added, ${stats.updated} updated, ${stats.removed} removed, ${stats.unchanged} unchanged`;
+		return formatSuccess(
+			{
+				summary,
+				mode,
+				path: file,
+				bytes,
+				documentCount: index.size,
+				counts: index.counts(),
+				builtAt: index.builtAt,
+				refreshedAt: index.refreshedAt,
+				...stats,
+			},
+			indexRebuildResponseSchema
+		);
+	} catch (error) {
+		logger.error({ error, args }, 'Failed to rebuild catalog index');
+		return formatError(error);
+	} finally {
+		rebuilding = false;
+	}
+}
+
+/**
+ * Register catalog index tools with the MCP server.
+ *
+ * @param {object} server MCP server instance
+ * @returns {void}
+ * @see searchIndexSchema
+ * @see rebuildIndexSchema
+ */
+export function registerIndexTools(server) {
+	server.tool(
+		'search_index',
+		'Keyword search over the local full-text index of all public concepts, datasets, data services and public services (BM25 ranking, accent-insensitive, German compounds split); build the index with rebuild_index first',
+		searchIndexSchema,
+		searchIndex,
+		indexSearchResponseSchema
+	);
+	server.tool(
+		'rebuild_index',
+		'Harvest the public I14Y catalog into the local full-text index used by search_index; only new and changed entities are re-indexed unless full is set',
+		rebuildIndexSchema,
+		rebuildIndex,
+		indexRebuildResponseSchema
+	);
+}
@@ -1,14 +1,26 @@
 /**
  * @fileoverview MCP tools for public service operations on the Swiss I14Y Interoperability Platform.
- * Registers tools for searching public services and retrieving a single public service by ID.
+ * Registers tools for searching public services and retrieving a single public service by UUID,
+ * identifier or I14Y web URL.
  *
  * @see https://www.i14y.admin.ch/
  * @see ../api/i14y-client.js
  */
 import { z } from 'zod';
 import { i14yClient } from '../api/i14y-client.js';
-import { formatSuccess, formatError } from '../utils/formatting.js';
+import { formatResult, formatPublicServiceResult } from '../utils/formatting.js';
 import { logger } from '../utils/logger.js';
+import {
+	EntityReferenceSchema,
+	EntityVersionSchema,
+	FetchAllSchema,
+	FormatSchema,
+	LanguageOptionSchema,
+} from '../api/schemas.js';
+import { fetchAllPages, summarizeFetchAll } from '../api/pagination.js';
+import { resolveEntityReference } from '../api/entity-resolver.js';
+import config from '../config.js';
+import { searchPublicServicesResponseSchema, publicServiceResponseSchema } from '../api/response-schemas.js';
 
 const searchPublicServicesSchema = z.object({
 	publicServiceIdentifier: z.string().optional(),
@@ -17,11 +29,12 @@ const searchPublicServicesSchema = z.object({
 	registrationStatus: z.string().optional(),
 	page: z.number().int().min(1).default(1),
 	pageSize: z.number().int().min(1).max(100).default(25),
-});
+}).merge(FetchAllSchema).merge(LanguageOptionSchema).merge(FormatSchema);
 
 const getPublicServiceSchema = z.object({
-	id: z.string().uuid(),
-});
+	id: EntityReferenceSchema,
+	version: EntityVersionSchema,
+}).merge(LanguageOptionSchema).merge(FormatSchema);
 
 /**
  * Search public services using various filters.
@@ -31,9 +44,26 @@ const getPublicServiceSchema = z.object({
  */
 async function searchPublicServices(args) {
 	try {
-		const params = searchPublicServicesSchema.parse(args);
+		const { all, maxItems, format, ...params } = searchPublicServicesSchema.parse(args);
+		const renderOptions = { format, language: params.language };
+		if (all) {
+			const result = await fetchAllPages(
+				(pageParams) => i14yClient.searchPublicServices(pageParams),
+				params,
+				{ maxItems, pageSize: config.maxPageSize }
+			);
+			return formatResult({ summary: summarizeFetchAll(result, 'public services'), ...result }, formatPublicServiceResult, {
+				...renderOptions,
+				outputSchema: searchPublicServicesResponseSchema,
+			});
+		}
 		const result = await i14yClient.searchPublicServices(params);
-		return formatSuccess(result);
+		return formatResult(result, formatPublicServiceResult, {
+			...renderOptions,
+			page: params.page,
+			pageSize: params.pageSize,
+			outputSchema: searchPublicServicesResponseSchema,
+		});
 	} catch (error) {
 		logger.error({ error, args }, 'Failed to search public services');
 		return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
@@ -41,16 +71,24 @@ async function searchPublicServices(args) {
 }
 
 /**
- * Get detailed information about a specific public service by ID.
+ * Get detailed information about a specific public service by UUID, identifier or URL.
  *
- * @param {object} args Tool arguments containing the public service UUID
+ * @param {object} args Tool arguments containing the public service reference and optional version
+ * @param {object} [context] Request context
+ * @param {import('../resources/entity-resources.js').RecentEntities} [context.recentEntities] Entities accessed through the server
  * @returns {Promise<object>} MCP-formatted response
  */
-async function getPublicService(args) {
+async function getPublicService(args, { recentEntities } = {}) {
 	try {
-		const { id } = getPublicServiceSchema.parse(args);
+		const { id: reference, version, format, language } = getPublicServiceSchema.parse(args);
+		const { id } = await resolveEntityReference(reference, { type: 'publicservices', version });
 		const result = await i14yClient.getPublicService(id);
-		return formatSuccess(result);
+		recentEntities?.remember('publicservices', id, result);
+		return formatResult(result, formatPublicServiceResult, {
+			format,
+			language,
+			outputSchema: publicServiceResponseSchema,
+		});
 	} catch (error) {
 		logger.error({ error, args }, 'Failed to get public service');
 		return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
@@ -64,6 +102,6 @@ async function getPublicService(args) {
  * @returns {void}
  */
 export function registerPublicServiceTools(server) {
-	server.tool('search_public_services', 'Search for public services in the I14Y Interoperability Platform', searchPublicServicesSchema, searchPublicServices);
-	server.tool('get_public_service', 'Get detailed information about a specific public service by ID', getPublicServiceSchema, getPublicService);
+	server.tool('search_public_services', 'Search for public services in the I14Y Interoperability Platform', searchPublicServicesSchema, searchPublicServices, searchPublicServicesResponseSchema);
+	server.tool('get_public_service', 'Get detailed information about a specific public service by UUID, identifier or I14Y web URL', getPublicServiceSchema, getPublicService, publicServiceResponseSchema);
 }
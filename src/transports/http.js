@@ -0,0 +1,266 @@
+/**
+ * @fileoverview HTTP transport for the I14Y MCP Server.
+ * Serves the Streamable HTTP transport on `/mcp` and the legacy HTTP+SSE transport
+ * on `/sse` + `/messages`, so a single shared server process can handle several
+ * MCP clients at once. Each client session gets its own MCP server instance created
+ * through the same factory the stdio transport uses.
+ *
+ * @module transports/http
+ * @see {@link https://modelcontextprotocol.io/specification/2025-03-26/basic/transports|MCP Transports}
+ */
+
+import http from "node:http";
+import { randomUUID } from "node:crypto";
+import { URL } from "node:url";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Path of the Streamable HTTP endpoint
+ * @constant {string}
+ */
+export const MCP_ENDPOINT = "/mcp";
+
+/**
+ * Path clients open to establish a legacy SSE stream
+ * @constant {string}
+ */
+export const SSE_ENDPOINT = "/sse";
+
+/**
+ * Path legacy SSE clients POST their JSON-RPC messages to
+ * @constant {string}
+ */
+export const MESSAGES_ENDPOINT = "/messages";
+
+/**
+ * Maximum accepted request body size in bytes
+ * @constant {number}
+ */
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Write a JSON-RPC error response and end the request.
+ *
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @returns {void}
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(
+    JSON.stringify({
+      jsonrpc: "2.0",
+      error: { code, message },
+      id: null,
+    }),
+  );
+}
+
+/**
+ * Read and parse a JSON request body.
+ *
+ * @async
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {Promise<*>} Parsed body, or undefined when the body is empty
+ * @throws {Error} If the body is too large or is not valid JSON
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw Object.assign(new Error("Request body too large"), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+
+  const raw = Buffer.concat(chunks).toString("utf8");
+  if (!raw.trim()) return undefined;
+
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw Object.assign(new Error("Parse error: Invalid JSON"), {
+      status: 400,
+      code: -32700,
+    });
+  }
+}
+
+/**
+ * Create the HTTP request handler and its session registry.
+ *
+ * @function createHttpHandler
+ * @param {Function} createMcpServer - Factory returning a new, unconnected MCP server
+ * @returns {{handleRequest: Function, sessions: Map<string, Object>, closeAll: Function}}
+ *          Request handler for `http.createServer`, the active sessions by ID,
+ *          and a function closing all active sessions
+ * @example
+ * const { handleRequest } = createHttpHandler(createServer);
+ * http.createServer(handleRequest).listen(3000);
+ */
+export function createHttpHandler(createMcpServer) {
+  /**
+   * Active transports keyed by MCP session ID (Streamable HTTP and SSE)
+   */
+  const sessions = new Map();
+
+  /**
+   * Handle a request on the Streamable HTTP endpoint.
+   * Initialize requests without a session ID open a new session; every other
+   * request is routed to the transport of the session named in `Mcp-Session-Id`.
+   */
+  async function handleStreamableRequest(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+
+    let transport;
+    if (sessionId) {
+      transport = sessions.get(sessionId);
+      if (!(transport instanceof StreamableHTTPServerTransport)) {
+        sendJsonRpcError(res, 404, -32001, "Session not found");
+        return;
+      }
+    } else if (req.method === "POST" && isInitializeRequest(body)) {
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, transport);
+          logger.info({ sessionId: id, transport: "streamable-http" }, "MCP session opened");
+        },
+      });
+      transport.onclose = () => {
+        if (transport.sessionId && sessions.delete(transport.sessionId)) {
+          logger.info({ sessionId: transport.sessionId }, "MCP session closed");
+        }
+      };
+      await createMcpServer().connect(transport);
+    } else {
+      sendJsonRpcError(res, 400, -32000, "Bad Request: No valid session ID provided");
+      return;
+    }
+
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Open a legacy SSE stream and bind a new session to it.
+   */
+  async function handleSseConnect(req, res) {
+    const transport = new SSEServerTransport(MESSAGES_ENDPOINT, res);
+    const { sessionId } = transport;
+
+    sessions.set(sessionId, transport);
+    res.on("close", () => {
+      if (sessions.delete(sessionId)) {
+        logger.info({ sessionId }, "MCP session closed");
+      }
+    });
+
+    logger.info({ sessionId, transport: "sse" }, "MCP session opened");
+    await createMcpServer().connect(transport);
+  }
+
+  /**
+   * Deliver a client message to the legacy SSE session named in the query string.
+   */
+  async function handleSseMessage(req, res, url) {
+    const sessionId = url.searchParams.get("sessionId");
+    const transport = sessionId ? sessions.get(sessionId) : undefined;
+
+    if (!(transport instanceof SSEServerTransport)) {
+      sendJsonRpcError(res, 404, -32001, "Session not found");
+      return;
+    }
+
+    const body = await readJsonBody(req);
+    await transport.handlePostMessage(req, res, body);
+  }
+
+  /**
+   * Route an incoming HTTP request to the matching transport endpoint.
+   *
+   * @async
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   * @returns {Promise<void>}
+   */
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+    try {
+      if (url.pathname === MCP_ENDPOINT) {
+        await handleStreamableRequest(req, res);
+      } else if (url.pathname === SSE_ENDPOINT && req.method === "GET") {
+        await handleSseConnect(req, res);
+      } else if (url.pathname === MESSAGES_ENDPOINT && req.method === "POST") {
+        await handleSseMessage(req, res, url);
+      } else {
+        sendJsonRpcError(res, 404, -32601, "Not found");
+      }
+    } catch (error) {
+      logger.error({ error: error.message, path: url.pathname }, "HTTP request failed");
+      if (!res.headersSent) {
+        sendJsonRpcError(res, error.status || 500, error.code || -32603, error.status ? error.message : "Internal server error");
+      }
+    }
+  }
+
+  /**
+   * Close every active session.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function closeAll() {
+    const transports = Array.from(sessions.values());
+    sessions.clear();
+    await Promise.allSettled(transports.map((transport) => transport.close()));
+  }
+
+  return { handleRequest, sessions, closeAll };
+}
+
+/**
+ * Start an HTTP server exposing the Streamable HTTP and legacy SSE transports.
+ *
+ * @async
+ * @function startHttpServer
+ * @param {Function} createMcpServer - Factory returning a new, unconnected MCP server
+ * @param {Object} options - Listen options
+ * @param {string} options.host - Interface to bind to
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @returns {Promise<{httpServer: http.Server, sessions: Map<string, Object>, close: Function}>}
+ *          The listening HTTP server, the active sessions and a function that
+ *          closes all sessions and stops the server
+ * @example
+ * const { close } = await startHttpServer(createServer, { host: '127.0.0.1', port: 3000 });
+ * process.on('SIGTERM', close);
+ */
+export async function startHttpServer(createMcpServer, { host, port }) {
+  const { handleRequest, sessions, closeAll } = createHttpHandler(createMcpServer);
+  const httpServer = http.createServer(handleRequest);
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", reject);
+      resolve();
+    });
+  });
+
+  async function close() {
+    await closeAll();
+    httpServer.closeAllConnections();
+    await new Promise((resolve) => httpServer.close(() => resolve()));
+  }
+
+  return { httpServer, sessions, close };
+}
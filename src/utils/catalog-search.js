@@ -0,0 +1,95 @@
+/**
+ * Catalog search utilities
+ * Ranks concepts, datasets, data services and public services against a free-text query by their
+ * titles, identifiers and descriptions, preferring matches in the requested language.
+ * @module utils/catalog-search
+ */
+
+import { normalizeText, readTexts, scoreLabel } from "./code-lists.js";
+
+/**
+ * Entity types searched by the catalog search
+ * @constant {string[]}
+ */
+export const SEARCHABLE_ENTITY_TYPES = ["concepts", "datasets", "dataservices", "publicservices"];
+
+/**
+ * Default minimum score of a search result
+ * @constant {number}
+ */
+export const DEFAULT_SEARCH_THRESHOLD = 0.6;
+
+/**
+ * Entity fields matched against the query, with the weight of a match in that field
+ * @constant {Array<[string, number]>}
+ */
+const SEARCH_FIELDS = [
+  ["title", 1],
+  ["name", 1],
+  ["identifier", 0.95],
+  ["description", 0.7],
+];
+
+/**
+ * Weight of a match in a language other than the requested one
+ * @constant {number}
+ */
+const OTHER_LANGUAGE_WEIGHT = 0.9;
+
+/**
+ * @typedef {Object} CatalogMatch
+ * @property {number} score - Match score between 0 and 1
+ * @property {string} field - Matched field
+ * @property {string|null} language - Language of the matched text
+ * @property {string} text - Matched text
+ */
+
+/**
+ * Find the best match of an entity for a normalized query
+ * @param {Object} entity - Entity
+ * @param {string} query - Normalized query
+ * @param {string} language - Preferred language
+ * @returns {CatalogMatch|null} Best match
+ */
+function matchEntity(entity, query, language) {
+  let best = null;
+  for (const [field, weight] of SEARCH_FIELDS) {
+    for (const [textLanguage, text] of readTexts(entity[field])) {
+      const languageWeight = textLanguage === null || textLanguage === language ? 1 : OTHER_LANGUAGE_WEIGHT;
+      const score = scoreLabel(query, text) * weight * languageWeight;
+      if (score > 0 && (!best || score > best.score)) best = { score, field, language: textLanguage, text };
+    }
+  }
+  return best;
+}
+
+/**
+ * Rank entities of several types against a free-text query
+ * Titles and names count fully, identifiers slightly less and descriptions least; matches in
+ * other languages than the requested one are weighted down. Results with equal scores are ordered
+ * by the length of the matched text (closer matches first).
+ * @param {Object<string, Object[]>} entitiesByType - Entities by entity type
+ * @param {string} query - Free-text query
+ * @param {Object} [options] - Ranking options
+ * @param {string} [options.language="de"] - Preferred language
+ * @param {number} [options.threshold=DEFAULT_SEARCH_THRESHOLD] - Minimum score of a result
+ * @returns {Array<{type: string, entity: Object, match: CatalogMatch}>} Results, best first
+ * @example
+ * rankCatalogEntities({ datasets: [{ id: "ds-1", title: { de: "Gemeinden" } }] }, "gemeinde");
+ * // [{ type: "datasets", entity: { id: "ds-1", ... }, match: { score: 0.9, field: "title", language: "de", ... } }]
+ */
+export function rankCatalogEntities(entitiesByType, query, { language = "de", threshold = DEFAULT_SEARCH_THRESHOLD } = {}) {
+  const normalized = normalizeText(query);
+  if (!normalized) return [];
+
+  const results = [];
+  for (const [type, entities] of Object.entries(entitiesByType)) {
+    for (const entity of entities) {
+      const match = matchEntity(entity, normalized, language);
+      if (match && match.score >= threshold) results.push({ type, entity, match });
+    }
+  }
+  return results
+    .sort((a, b) => b.match.score - a.match.score || a.match.text.length - b.match.text.length)
+    .map((result) => ({ ...result, match: { ...result.match, score: Math.round(result.match.score * 100) / 100 } }));
+}
@@ -0,0 +1,158 @@
+/**
+ * Code list diff utilities
+ * Compares the entries of two code list versions: added and removed codes, relabelled names and
+ * descriptions per language, moves in the code hierarchy and changed annotations.
+ * @module utils/code-list-diff
+ */
+
+import { readParentCode } from "./code-lists.js";
+
+/**
+ * Entry fields compared per language
+ * @constant {string[]}
+ */
+const TEXT_FIELDS = ["name", "description"];
+
+/**
+ * @typedef {Object} TextChange
+ * @property {string} field - Changed field: "name" or "description"
+ * @property {string|null} language - Language of the text; null for plain (untranslated) text
+ * @property {string|null} from - Previous text, or null if added
+ * @property {string|null} to - New text, or null if removed
+ */
+
+/**
+ * @typedef {Object} CodeListDiff
+ * @property {Array<{code: string, name: *}>} added - Codes only in the new version
+ * @property {Array<{code: string, name: *}>} removed - Codes only in the old version
+ * @property {Array<{code: string, changes: TextChange[]}>} relabelled - Codes with changed names or descriptions
+ * @property {Array<{code: string, from: (string|null), to: (string|null)}>} moved - Codes with a new parent code
+ * @property {Array<{code: string, added: Object[], removed: Object[]}>} annotationChanges - Codes with changed annotations
+ * @property {number} unchangedCount - Codes present in both versions without any change
+ */
+
+/**
+ * Index code list entries by code
+ * @param {Object[]} entries - Code list entries
+ * @returns {Map<string, Object>} Entries by code (first occurrence wins)
+ */
+function indexByCode(entries) {
+  const byCode = new Map();
+  for (const entry of entries) {
+    if (entry.code === undefined || entry.code === null) continue;
+    const code = String(entry.code);
+    if (!byCode.has(code)) byCode.set(code, entry);
+  }
+  return byCode;
+}
+
+/**
+ * Read the translations of a plain or multilingual text
+ * @param {*} value - Plain text or multilingual object
+ * @returns {Map<string|null, string>} Texts by language; plain text under null
+ */
+function translations(value) {
+  if (!value) return new Map();
+  if (typeof value === "string") return new Map([[null, value]]);
+  if (typeof value !== "object") return new Map();
+  return new Map(Object.entries(value).filter(([, text]) => typeof text === "string" && text));
+}
+
+/**
+ * Compare the texts of two versions of an entry
+ * @param {Object} before - Entry in the old version
+ * @param {Object} after - Entry in the new version
+ * @param {string} [onlyLanguage] - Only compare texts in this language (and plain texts)
+ * @returns {TextChange[]} Changed texts
+ */
+function diffTexts(before, after, onlyLanguage) {
+  const changes = [];
+  for (const field of TEXT_FIELDS) {
+    const from = translations(before[field]);
+    const to = translations(after[field]);
+    for (const language of new Set([...from.keys(), ...to.keys()])) {
+      if (onlyLanguage && language !== null && language !== onlyLanguage) continue;
+      const [previous, next] = [from.get(language) ?? null, to.get(language) ?? null];
+      if (previous !== next) changes.push({ field, language, from: previous, to: next });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Serialize a value with sorted object keys, so that equal annotations compare equal
+ * @param {*} value - Value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Compare the annotations of two versions of an entry
+ * @param {Object} before - Entry in the old version
+ * @param {Object} after - Entry in the new version
+ * @returns {{added: Object[], removed: Object[]}} Annotations only in the new and only in the old version
+ */
+function diffAnnotations(before, after) {
+  const list = (entry) => (Array.isArray(entry.annotations) ? entry.annotations : []);
+  const keys = (annotations) => new Set(annotations.map(canonicalJson));
+  const [fromKeys, toKeys] = [keys(list(before)), keys(list(after))];
+  return {
+    added: list(after).filter((annotation) => !fromKeys.has(canonicalJson(annotation))),
+    removed: list(before).filter((annotation) => !toKeys.has(canonicalJson(annotation))),
+  };
+}
+
+/**
+ * Compare the entries of two code list versions
+ * Codes are compared as strings; codes are listed in the order of the version they appear in.
+ * @param {Object[]} fromEntries - Entries of the old version
+ * @param {Object[]} toEntries - Entries of the new version
+ * @param {Object} [options] - Diff options
+ * @param {string} [options.language] - Only report text changes in this language; all languages when omitted
+ * @returns {CodeListDiff} Differences
+ * @example
+ * diffCodeLists([{ code: "1", name: { de: "Mann" } }], [{ code: "1", name: { de: "Männlich" } }, { code: "3" }]);
+ * // { added: [{ code: "3", name: null }], relabelled: [{ code: "1", changes: [{ field: "name", language: "de", ... }] }], ... }
+ */
+export function diffCodeLists(fromEntries, toEntries, { language } = {}) {
+  const before = indexByCode(fromEntries);
+  const after = indexByCode(toEntries);
+  const diff = { added: [], removed: [], relabelled: [], moved: [], annotationChanges: [], unchangedCount: 0 };
+
+  for (const [code, entry] of after) {
+    if (!before.has(code)) diff.added.push({ code, name: entry.name ?? null });
+  }
+  for (const [code, previous] of before) {
+    const entry = after.get(code);
+    if (!entry) {
+      diff.removed.push({ code, name: previous.name ?? null });
+      continue;
+    }
+
+    let changed = false;
+    const changes = diffTexts(previous, entry, language);
+    if (changes.length > 0) {
+      diff.relabelled.push({ code, changes });
+      changed = true;
+    }
+    const [fromParent, toParent] = [readParentCode(previous), readParentCode(entry)];
+    if (fromParent !== toParent) {
+      diff.moved.push({ code, from: fromParent, to: toParent });
+      changed = true;
+    }
+    const annotations = diffAnnotations(previous, entry);
+    if (annotations.added.length > 0 || annotations.removed.length > 0) {
+      diff.annotationChanges.push({ code, ...annotations });
+      changed = true;
+    }
+    if (!changed) diff.unchangedCount++;
+  }
+  return diff;
+}
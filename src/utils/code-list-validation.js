@@ -0,0 +1,121 @@
+/**
+ * Code list validation
+ * Checks values (e.g. a data column) against the entries of an I14Y code list and reports
+ * unknown values with near-miss suggestions and values mapping to retired or superseded codes.
+ * @module utils/code-list-validation
+ */
+
+import { lookupCodeListEntries, readDeprecation } from "./code-lists.js";
+
+/**
+ * Default maximum number of distinct unknown or deprecated values reported
+ * @constant {number}
+ */
+export const DEFAULT_MAX_REPORTED = 50;
+
+/**
+ * Minimum score of near-miss suggestions
+ * @constant {number}
+ */
+const SUGGESTION_THRESHOLD = 0.5;
+
+/**
+ * Number of suggestions per unknown value
+ * @constant {number}
+ */
+const SUGGESTION_LIMIT = 3;
+
+/**
+ * @typedef {Object} CodeListValidationReport
+ * @property {number} totalValues - Number of values checked
+ * @property {number} distinctValues - Number of distinct non-empty values
+ * @property {number} validCount - Values matching a code (including deprecated codes)
+ * @property {number} invalidCount - Values matching no code
+ * @property {number} emptyCount - Empty values (not counted as valid or invalid)
+ * @property {number} deprecatedCount - Values matching a retired or superseded code
+ * @property {Array<{value: string, count: number, suggestions: Array<{code: string, name: *, score: number}>}>} unknownValues -
+ *           Distinct unknown values, most frequent first
+ * @property {Array<{value: string, code: string, count: number, status: string, replacedBy: (string|null)}>} deprecatedValues -
+ *           Distinct values matching deprecated codes, most frequent first
+ * @property {boolean} truncated - Whether more distinct values exist than were reported
+ */
+
+/**
+ * Validate values against the entries of a code list
+ * Values are trimmed; empty values are counted separately.
+ * @param {Array<string|number|null>} values - Values to check
+ * @param {Object[]} entries - All entries of the code list
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.ignoreCase=false] - Match codes case-insensitively
+ * @param {number} [options.maxReported=DEFAULT_MAX_REPORTED] - Maximum number of distinct unknown
+ *        and deprecated values reported each
+ * @param {Date} [options.now=new Date()] - Reference date for validity periods
+ * @returns {CodeListValidationReport} Validation report
+ * @example
+ * validateCodeListValues(["1", "2", "9"], [{ code: "1" }, { code: "2", registrationStatus: "Retired" }]);
+ * // { validCount: 2, invalidCount: 1, deprecatedCount: 1, unknownValues: [{ value: "9", ... }], ... }
+ */
+export function validateCodeListValues(
+  values,
+  entries,
+  { ignoreCase = false, maxReported = DEFAULT_MAX_REPORTED, now = new Date() } = {}
+) {
+  const key = (value) => (ignoreCase ? value.toLowerCase() : value);
+  const entriesByCode = new Map(
+    entries.filter((entry) => entry.code !== undefined && entry.code !== null).map((entry) => [key(String(entry.code)), entry])
+  );
+
+  const counts = new Map();
+  let emptyCount = 0;
+  for (const raw of values) {
+    const value = raw === null || raw === undefined ? "" : String(raw).trim();
+    if (value === "") {
+      emptyCount++;
+      continue;
+    }
+    counts.set(value, (counts.get(value) ?? 0) + 1);
+  }
+
+  const unknown = [];
+  const deprecated = [];
+  let validCount = 0;
+  let deprecatedCount = 0;
+  for (const [value, count] of counts) {
+    const entry = entriesByCode.get(key(value));
+    if (!entry) {
+      unknown.push({ value, count });
+      continue;
+    }
+    validCount += count;
+    const deprecation = readDeprecation(entry, now);
+    if (deprecation) {
+      deprecatedCount += count;
+      deprecated.push({ value, code: String(entry.code), count, ...deprecation });
+    }
+  }
+
+  const byFrequency = (a, b) => b.count - a.count || a.value.localeCompare(b.value);
+  unknown.sort(byFrequency);
+  deprecated.sort(byFrequency);
+
+  return {
+    totalValues: values.length,
+    distinctValues: counts.size,
+    validCount,
+    invalidCount: unknown.reduce((sum, { count }) => sum + count, 0),
+    emptyCount,
+    deprecatedCount,
+    unknownValues: unknown.slice(0, maxReported).map(({ value, count }) => ({
+      value,
+      count,
+      suggestions: lookupCodeListEntries(entries, {
+        code: value,
+        label: value,
+        threshold: SUGGESTION_THRESHOLD,
+        limit: SUGGESTION_LIMIT,
+      }).items.map((entry) => ({ code: String(entry.code), name: entry.name ?? null, score: entry.match.score })),
+    })),
+    deprecatedValues: deprecated.slice(0, maxReported),
+    truncated: unknown.length > maxReported || deprecated.length > maxReported,
+  };
+}
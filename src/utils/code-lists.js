@@ -0,0 +1,252 @@
+/**
+ * Code list utilities
+ * Reads the hierarchy of code list entries and looks up entries by code or label with fuzzy matching.
+ * @module utils/code-lists
+ */
+
+/**
+ * Default minimum score of a lookup match
+ * @constant {number}
+ */
+export const DEFAULT_LOOKUP_THRESHOLD = 0.6;
+
+/**
+ * Entry fields searched by label lookups, with the weight of a match in that field
+ * @constant {Array<[string, number]>}
+ */
+const LABEL_FIELDS = [
+  ["name", 1],
+  ["title", 1],
+  ["description", 0.8],
+];
+
+/**
+ * @typedef {Object} CodeMatch
+ * @property {number} score - Match score between 0 and 1
+ * @property {string} field - Matched field: "code", "name", "title" or "description"
+ * @property {string|null} language - Language of the matched text, if multilingual
+ * @property {string} text - Matched text
+ */
+
+/**
+ * Read the code of an entry's parent, if the code list is hierarchical
+ * @param {Object} entry - Code list entry
+ * @returns {string|null} Parent code
+ */
+export function readParentCode(entry) {
+  const parent = entry.parentCode ?? entry.parent ?? entry.broader ?? null;
+  if (parent && typeof parent === "object") return parent.code ?? null;
+  return parent === null || parent === "" ? null : String(parent);
+}
+
+/**
+ * Normalize text for matching: lower case, without diacritics and surrounding whitespace
+ * @param {*} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Compute the edit distance of two strings
+ * Counts insertions, deletions, substitutions and transpositions of adjacent characters
+ * (optimal string alignment distance), so that swapped letters count as one typo.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Compute the similarity of two normalized strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 (different) and 1 (equal)
+ */
+function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - editDistance(a, b) / length;
+}
+
+/**
+ * Split normalized text into words
+ * @param {string} text - Normalized text
+ * @returns {string[]} Words
+ */
+function words(text) {
+  return text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Score a code against a queried code
+ * Exact matches score 1, prefixes 0.8, other codes by their edit distance.
+ * @param {string} query - Normalized queried code
+ * @param {*} code - Entry code
+ * @returns {number} Score between 0 and 1
+ */
+function scoreCode(query, code) {
+  const normalized = normalizeText(code);
+  if (!normalized) return 0;
+  if (normalized === query) return 1;
+  if (normalized.startsWith(query)) return 0.8;
+  return similarity(query, normalized) * 0.7;
+}
+
+/**
+ * Score a label against a queried label fragment
+ * Exact matches score 1 and substrings 0.9; otherwise every query word is matched fuzzily
+ * against the best word of the label.
+ * @param {string} query - Normalized label fragment
+ * @param {string} text - Label text
+ * @returns {number} Score between 0 and 1
+ */
+export function scoreLabel(query, text) {
+  const normalized = normalizeText(text);
+  if (!normalized) return 0;
+  if (normalized === query) return 1;
+  if (normalized.includes(query)) return 0.9;
+
+  const labelWords = words(normalized);
+  const queryWords = words(query);
+  if (labelWords.length === 0 || queryWords.length === 0) return 0;
+  const total = queryWords.reduce(
+    (sum, queryWord) =>
+      sum + Math.max(...labelWords.map((word) => (word.startsWith(queryWord) ? 0.95 : similarity(queryWord, word)))),
+    0
+  );
+  return (total / queryWords.length) * 0.85;
+}
+
+/**
+ * List the texts of a plain or multilingual value with their languages
+ * @param {*} value - Plain text or multilingual object
+ * @returns {Array<[string|null, string]>} Language and text pairs
+ */
+export function readTexts(value) {
+  if (!value) return [];
+  if (typeof value === "string") return [[null, value]];
+  if (typeof value !== "object" || Array.isArray(value)) return [];
+  return Object.entries(value).filter(([, text]) => typeof text === "string" && text);
+}
+
+/**
+ * Find the best match of an entry for a code and/or label query
+ * @param {Object} entry - Code list entry
+ * @param {Object} query - Query with normalized `code` and `label`
+ * @returns {CodeMatch|null} Best match
+ */
+function matchEntry(entry, query) {
+  let best = null;
+  const consider = (match) => {
+    if (match.score > 0 && (!best || match.score > best.score)) best = match;
+  };
+
+  if (query.code) {
+    consider({ score: scoreCode(query.code, entry.code), field: "code", language: null, text: String(entry.code ?? "") });
+  }
+  if (query.label) {
+    for (const [field, weight] of LABEL_FIELDS) {
+      for (const [language, text] of readTexts(entry[field])) {
+        consider({ score: scoreLabel(query.label, text) * weight, field, language, text });
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Look up code list entries by code or label
+ * Labels are matched in all languages, ignoring case and diacritics and tolerating typos.
+ * Matches are ranked by score, then by the length of the matched text (closer matches first).
+ * Each match includes the entry's parent code and, if it is part of the list, the parent entry.
+ * @param {Object[]} entries - All entries of the code list
+ * @param {Object} query - Lookup query; at least one of `code` and `label` is required
+ * @param {string} [query.code] - Code to look up
+ * @param {string} [query.label] - Label fragment to look up in any language
+ * @param {number} [query.threshold=DEFAULT_LOOKUP_THRESHOLD] - Minimum score of a match
+ * @param {number} [query.limit=10] - Maximum number of matches returned
+ * @returns {{items: Object[], matchCount: number}} Best matches first, and the number of matches above the threshold
+ * @example
+ * lookupCodeListEntries(entries, { label: "zurich" });
+ * // { items: [{ code: "1", name: { de: "Zürich" }, parentCode: null, parent: null, match: { score: 1, ... } }], matchCount: 1 }
+ */
+export function lookupCodeListEntries(entries, { code, label, threshold = DEFAULT_LOOKUP_THRESHOLD, limit = 10 }) {
+  const query = { code: normalizeText(code), label: normalizeText(label) };
+  const byCode = new Map(entries.map((entry) => [String(entry.code), entry]));
+
+  const matches = entries
+    .map((entry) => ({ entry, match: matchEntry(entry, query) }))
+    .filter(({ match }) => match && match.score >= threshold)
+    .sort((a, b) => b.match.score - a.match.score || a.match.text.length - b.match.text.length);
+
+  return {
+    matchCount: matches.length,
+    items: matches.slice(0, limit).map(({ entry, match }) => {
+      const parentCode = readParentCode(entry);
+      const parent = parentCode !== null ? byCode.get(parentCode) : undefined;
+      return {
+        ...entry,
+        parentCode,
+        parent: parent ? { code: parent.code, name: parent.name ?? null } : null,
+        match: { ...match, score: Math.round(match.score * 100) / 100 },
+      };
+    }),
+  };
+}
+
+/**
+ * Entry statuses reported as deprecated, keyed by their lower-case API value
+ * @constant {Record<string, string>}
+ */
+const DEPRECATED_STATUSES = {
+  retired: "retired",
+  superseded: "superseded",
+  deprecated: "retired",
+  invalid: "retired",
+};
+
+/**
+ * Read whether a code list entry is retired or superseded
+ * Uses the entry's status (`registrationStatus`, `status`), its successor (`supersededBy`, `replacedBy`)
+ * and the end of its validity (`validTo`, `validUntil`).
+ * @param {Object} entry - Code list entry
+ * @param {Date} [now=new Date()] - Reference date for validity periods
+ * @returns {{status: ("retired"|"superseded"), replacedBy: (string|null)}|null} Deprecation, or null for current codes
+ */
+export function readDeprecation(entry, now = new Date()) {
+  const successor = entry.supersededBy ?? entry.replacedBy ?? entry.successor ?? null;
+  const replacedBy = successor && typeof successor === "object" ? successor.code ?? null : successor;
+  const status = DEPRECATED_STATUSES[String(entry.registrationStatus ?? entry.status ?? "").toLowerCase()];
+  const validTo = entry.validTo ?? entry.validUntil ?? null;
+  const expired = validTo !== null && !Number.isNaN(Date.parse(validTo)) && new Date(validTo) < now;
+
+  if (!status && !replacedBy && !expired) return null;
+  return {
+    status: replacedBy ? "superseded" : status ?? "retired",
+    replacedBy: replacedBy === null ? null : String(replacedBy),
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Concept history utilities
+ * Orders the versions of a concept, lists where the registration status differs between consecutive
+ * versions and picks the version that is currently the preferred standard.
+ * @module utils/concept-history
+ */
+
+import { compareVersions } from "./versions.js";
+
+/**
+ * Registration statuses that make a version the standard to use, most preferred first
+ * @constant {string[]}
+ */
+const STANDARD_STATUSES = ["PreferredStandard", "Standard"];
+
+/**
+ * @typedef {Object} ConceptVersion
+ * @property {string} id - Concept ID of the version
+ * @property {string|null} version - Version number
+ * @property {Object|string|null} title - Title of the version
+ * @property {string|null} registrationStatus - Registration status, e.g. Candidate, Standard or Superseded
+ * @property {string|null} publicationLevel - Publication level
+ * @property {string|null} validFrom - Start of the validity period
+ * @property {string|null} validTo - End of the validity period
+ * @property {boolean} valid - Whether the validity period includes the reference date
+ */
+
+/**
+ * A registration status that differs between consecutive versions.
+ * Both statuses are the current ones: the API exposes no status history, so this is not
+ * necessarily the status the older version had when the next one was registered.
+ * @typedef {Object} VersionStatusChange
+ * @property {string|null} fromVersion - Older version
+ * @property {string|null} toVersion - Next version
+ * @property {string|null} from - Current registration status of the older version
+ * @property {string|null} to - Current registration status of the next version
+ */
+
+/**
+ * Parse a date bound of a validity period
+ * @param {*} value - Date string
+ * @returns {number|null} Timestamp, or null if missing or unparseable
+ */
+function parseBound(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Summarize one version of a concept
+ * @param {Object} concept - Concept version
+ * @param {Date} now - Reference date for validity periods
+ * @returns {ConceptVersion} Version summary
+ */
+function summarizeVersion(concept, now) {
+  const validFrom = concept.validFrom ?? concept.validSince ?? null;
+  const validTo = concept.validTo ?? concept.validUntil ?? null;
+  const [start, end] = [parseBound(validFrom), parseBound(validTo)];
+  return {
+    id: concept.id,
+    version: concept.version ?? null,
+    title: concept.title ?? concept.name ?? null,
+    registrationStatus: concept.registrationStatus ?? null,
+    publicationLevel: concept.publicationLevel ?? null,
+    validFrom,
+    validTo,
+    valid: (start === null || start <= now.getTime()) && (end === null || end >= now.getTime()),
+  };
+}
+
+/**
+ * Build the version history of a concept
+ * The preferred version is the latest valid PreferredStandard version, or else the latest valid
+ * Standard version; without either there is no preferred version.
+ * @param {Object[]} concepts - Versions of the concept, in any order
+ * @param {Object} [options] - History options
+ * @param {Date} [options.now=new Date()] - Reference date for validity periods
+ * @returns {{versions: ConceptVersion[], statusChanges: VersionStatusChange[], preferred: (ConceptVersion|null)}}
+ *          Versions oldest first, differing statuses of consecutive versions, and the preferred version
+ * @example
+ * buildConceptHistory([{ id: "c-2", version: "2.0.0", registrationStatus: "Standard" }, { id: "c-1", version: "1.0.0", registrationStatus: "Superseded" }]);
+ * // { versions: [{ id: "c-1", ... }, { id: "c-2", ... }], statusChanges: [{ from: "Superseded", to: "Standard", ... }], preferred: { id: "c-2", ... } }
+ */
+export function buildConceptHistory(concepts, { now = new Date() } = {}) {
+  const versions = [...concepts]
+    .sort((a, b) => compareVersions(a.version, b.version))
+    .map((concept) => summarizeVersion(concept, now));
+
+  const statusChanges = [];
+  for (let index = 1; index < versions.length; index++) {
+    const [previous, next] = [versions[index - 1], versions[index]];
+    if (previous.registrationStatus !== next.registrationStatus) {
+      statusChanges.push({
+        fromVersion: previous.version,
+        toVersion: next.version,
+        from: previous.registrationStatus,
+        to: next.registrationStatus,
+      });
+    }
+  }
+
+  let preferred = null;
+  for (const status of STANDARD_STATUSES) {
+    preferred = versions.filter((version) => version.valid && version.registrationStatus === status).pop() ?? null;
+    if (preferred) break;
+  }
+  return { versions, statusChanges, preferred };
+}
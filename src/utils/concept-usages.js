@@ -0,0 +1,101 @@
+/**
+ * Concept usage utilities
+ * Finds the dataset structure properties referencing a concept, by concept ID or identifier, and
+ * the data services serving the referencing datasets.
+ * @module utils/concept-usages
+ */
+
+import { isNotFoundError } from "../api/errors.js";
+import { summarizeDatasetStructure } from "./dataset-structure.js";
+import { mapConcurrent } from "./concurrency.js";
+import { readEntityId, readServedDatasets } from "./entity-graph.js";
+
+/**
+ * Default number of dataset structures fetched at the same time
+ * @constant {number}
+ */
+export const DEFAULT_USAGE_CONCURRENCY = 5;
+
+/**
+ * @typedef {Object} ConceptUsage
+ * @property {string} datasetId - Referencing dataset
+ * @property {string|null} identifier - Dataset identifier
+ * @property {Object|string|null} title - Dataset title
+ * @property {{identifier: (string|null), name: (Object|string|null)}|null} publisher - Dataset publisher
+ * @property {Array<{path: (string|null), name: (Object|string|null), conceptId: (string|null)}>} properties -
+ *           Structure properties referencing the concept
+ */
+
+/**
+ * Find the datasets whose structures reference a concept
+ * Structures are fetched with bounded concurrency; datasets without a published structure (HTTP 404)
+ * are counted, and datasets whose structure could not be fetched for another reason are listed
+ * separately, as they may still reference the concept.
+ * @param {Object[]} datasets - Datasets to scan
+ * @param {Object} target - Concept to look for; a property matches either
+ * @param {Set<string>} target.ids - Concept IDs
+ * @param {Set<string>} target.identifiers - Concept identifiers
+ * @param {Object} options - Scan options
+ * @param {function(string): Promise<Object>} options.fetchStructure - Fetch the structure of a dataset
+ * @param {number} [options.concurrency=DEFAULT_USAGE_CONCURRENCY] - Structures fetched at the same time
+ * @returns {Promise<{usages: ConceptUsage[], withoutStructure: number, failedDatasetIds: string[]}>}
+ *          Usages and failed datasets in dataset order
+ * @example
+ * await scanConceptUsages(datasets, { ids: new Set(["c-1"]), identifiers: new Set() }, { fetchStructure });
+ * // { usages: [{ datasetId: "ds-1", properties: [{ path: "gender", ... }], ... }], withoutStructure: 0, failedDatasetIds: [] }
+ */
+export async function scanConceptUsages(
+  datasets,
+  { ids, identifiers },
+  { fetchStructure, concurrency = DEFAULT_USAGE_CONCURRENCY }
+) {
+  let withoutStructure = 0;
+  const failed = new Set();
+  const matches = (concept) => concept && (ids.has(concept.id) || identifiers.has(concept.identifier));
+
+  const results = await mapConcurrent(datasets, concurrency, async (dataset) => {
+    let structure;
+    try {
+      structure = await fetchStructure(dataset.id);
+    } catch (error) {
+      if (isNotFoundError(error)) withoutStructure++;
+      else failed.add(dataset.id);
+      return null;
+    }
+    const properties = summarizeDatasetStructure(structure).properties.filter((property) => matches(property.concept));
+    if (properties.length === 0) return null;
+
+    const publisher = dataset.publisher ?? null;
+    return {
+      datasetId: dataset.id,
+      identifier: dataset.identifier ?? null,
+      title: dataset.title ?? dataset.name ?? null,
+      publisher: publisher ? { identifier: publisher.identifier ?? publisher.id ?? null, name: publisher.name ?? null } : null,
+      properties: properties.map(({ path, name, concept }) => ({ path, name, conceptId: concept.id })),
+    };
+  });
+
+  return {
+    usages: results.filter(Boolean),
+    withoutStructure,
+    failedDatasetIds: datasets.map((dataset) => dataset.id).filter((id) => failed.has(id)),
+  };
+}
+
+/**
+ * Find the data services serving any of the given datasets
+ * @param {Object[]} services - Data services
+ * @param {Set<string>} datasetIds - Dataset IDs
+ * @returns {Array<{id: string, identifier: (string|null), title: (Object|string|null), datasetIds: string[]}>}
+ *          Serving data services with the served datasets among `datasetIds`
+ */
+export function findServingDataServices(services, datasetIds) {
+  return services
+    .map((service) => ({
+      id: service.id,
+      identifier: service.identifier ?? null,
+      title: service.title ?? service.name ?? null,
+      datasetIds: [...new Set(readServedDatasets(service).map(readEntityId))].filter((id) => datasetIds.has(id)),
+    }))
+    .filter((service) => service.datasetIds.length > 0);
+}
@@ -0,0 +1,29 @@
+/**
+ * Concurrency utilities
+ * Runs asynchronous work over many items with a bounded number of tasks in flight, so that
+ * scans over whole catalogs do not flood the I14Y API.
+ * @module utils/concurrency
+ */
+
+/**
+ * Map items with an asynchronous function, running at most `limit` calls at a time
+ * @template T, R
+ * @param {T[]} items - Items to map
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {function(T, number): Promise<R>} fn - Mapping function, called with the item and its index
+ * @returns {Promise<R[]>} Results in item order; rejects with the first error
+ * @example
+ * const structures = await mapConcurrent(ids, 5, (id) => i14yClient.getDatasetStructure(id));
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,142 @@
+/**
+ * CSV utilities
+ * Parses RFC 4180 CSV (quoted fields, escaped quotes, line breaks in fields) and reads columns
+ * of local CSV files, detecting the common `,`, `;` and tab delimiters.
+ * @module utils/csv
+ */
+
+import { readFile } from "fs/promises";
+import { isAbsolute, relative, resolve } from "path";
+import config from "../config.js";
+
+/**
+ * Delimiters recognized by {@link detectDelimiter}
+ * @constant {string[]}
+ */
+const DELIMITERS = [",", ";", "\t"];
+
+/**
+ * Detect the delimiter of a CSV document from its first line
+ * @param {string} text - CSV document
+ * @returns {string} The delimiter occurring most often in the first line (default ",")
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] ?? "";
+  const counts = DELIMITERS.map((delimiter) => firstLine.split(delimiter).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? DELIMITERS[best] : ",";
+}
+
+/**
+ * Parse a CSV document into rows with the line number each row starts on
+ * @param {string} text - CSV document
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.delimiter] - Field delimiter; detected when omitted
+ * @returns {Array<{line: number, fields: string[]}>} Rows; blank lines are skipped
+ */
+export function parseCsvRows(text, { delimiter = detectDelimiter(text) } = {}) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") rows.push({ line: rowLine, fields: row });
+    row = [];
+    field = "";
+  };
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+    if (char === "\n" || (char === "\r" && input[index + 1] !== "\n")) line++;
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[index + 1] === "\n") {
+        index++;
+        line++;
+      }
+      endRow();
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Parse a CSV document into rows of fields
+ * @param {string} text - CSV document
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.delimiter] - Field delimiter; detected when omitted
+ * @returns {string[][]} Rows; blank lines are skipped
+ * @example
+ * parseCsv('code;name\n1;"Zürich; Stadt"');
+ * // [["code", "name"], ["1", "Zürich; Stadt"]]
+ */
+export function parseCsv(text, options) {
+  return parseCsvRows(text, options).map((row) => row.fields);
+}
+
+/**
+ * Resolve the path of a local data file
+ * The file must be inside the data directory (`I14Y_DATA_DIR`), like exports must be inside the
+ * export directory, so tools cannot read arbitrary files of the host.
+ * @param {string} path - File path, relative paths are resolved against the data directory
+ * @param {string} [dataDir=config.dataDir] - Directory files must be inside; empty when local files are disabled
+ * @returns {string} Absolute file path
+ * @throws {Error} If local data files are disabled or the path is outside the data directory
+ */
+export function resolveDataPath(path, dataDir = config.dataDir) {
+  if (!dataDir) {
+    throw new Error("Reading local data files is disabled; set I14Y_DATA_DIR to the directory holding them");
+  }
+  const root = resolve(dataDir);
+  const resolved = resolve(root, path);
+  const relativePath = relative(root, resolved);
+  if (!relativePath || relativePath.startsWith("..") || isAbsolute(relativePath)) {
+    throw new Error(`Data file must be inside I14Y_DATA_DIR: ${path}`);
+  }
+  return resolved;
+}
+
+/**
+ * Read the values of one column of a local CSV file
+ * @param {string} path - CSV file path (see {@link resolveDataPath})
+ * @param {Object} [options] - Read options
+ * @param {string|number} [options.column=0] - Column header name, or 0-based column index
+ * @param {string} [options.delimiter] - Field delimiter; detected when omitted
+ * @param {boolean} [options.hasHeader=true] - Whether the first row is a header row
+ * @returns {Promise<string[]>} Column values, one per data row
+ * @throws {Error} If the column does not exist
+ */
+export async function readCsvColumn(path, { column = 0, delimiter, hasHeader = true } = {}) {
+  const rows = parseCsv(await readFile(resolveDataPath(path), "utf8"), delimiter ? { delimiter } : {});
+  const header = hasHeader ? rows.shift() ?? [] : [];
+  const index = typeof column === "number" ? column : header.findIndex((name) => name.trim() === column.trim());
+
+  const columnCount = Math.max(header.length, ...rows.slice(0, 1).map((row) => row.length));
+  if (index < 0 || index >= columnCount) {
+    const available = header.length > 0 ? `; available columns: ${header.join(", ")}` : "";
+    throw new Error(`Column ${JSON.stringify(column)} not found in ${path}${available}`);
+  }
+  return rows.map((row) => row[index] ?? "");
+}
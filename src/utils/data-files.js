@@ -0,0 +1,74 @@
+/**
+ * Local data file utilities
+ * Reads CSV and JSON data files into records of column values, keeping the line (CSV) or
+ * record number (JSON) of each record for error reports.
+ * @module utils/data-files
+ */
+
+import { readFile } from "fs/promises";
+import { extname } from "path";
+import { parseCsvRows, resolveDataPath } from "./csv.js";
+
+/**
+ * Supported data file formats
+ * @constant {string[]}
+ */
+export const DATA_FILE_FORMATS = ["csv", "json"];
+
+/**
+ * @typedef {Object} DataRecord
+ * @property {number} line - CSV line number, or 1-based record number in JSON files
+ * @property {Record<string, *>} values - Values by column name
+ */
+
+/**
+ * Read the records of a JSON document
+ * Accepts an array of objects or an object wrapping it as `items`, `data` or `records`.
+ * @param {string} text - JSON document
+ * @returns {{columns: string[], records: DataRecord[]}} Columns and records
+ * @throws {Error} If the document is not a list of objects
+ */
+function readJsonRecords(text) {
+  const document = JSON.parse(text);
+  const items = Array.isArray(document) ? document : document?.items ?? document?.data ?? document?.records;
+  if (!Array.isArray(items) || items.some((item) => !item || typeof item !== "object" || Array.isArray(item))) {
+    throw new Error("JSON data files must contain an array of objects");
+  }
+  const columns = [...new Set(items.flatMap((item) => Object.keys(item)))];
+  return { columns, records: items.map((values, index) => ({ line: index + 1, values })) };
+}
+
+/**
+ * Read the records of a CSV document with a header row
+ * @param {string} text - CSV document
+ * @param {string} [delimiter] - Field delimiter; detected when omitted
+ * @returns {{columns: string[], records: DataRecord[]}} Columns and records
+ */
+function readCsvRecords(text, delimiter) {
+  const [header, ...rows] = parseCsvRows(text, delimiter ? { delimiter } : {});
+  const columns = (header?.fields ?? []).map((column) => column.trim());
+  return {
+    columns,
+    records: rows.map(({ line, fields }) => ({
+      line,
+      values: Object.fromEntries(columns.map((column, index) => [column, fields[index] ?? ""])),
+    })),
+  };
+}
+
+/**
+ * Read the records of a local CSV or JSON data file
+ * @param {string} path - File path (see {@link resolveDataPath})
+ * @param {Object} [options] - Read options
+ * @param {string} [options.fileFormat] - "csv" or "json"; detected from the file extension when omitted
+ * @param {string} [options.delimiter] - CSV field delimiter; detected when omitted
+ * @returns {Promise<{format: string, columns: string[], records: DataRecord[]}>} Format, columns and records
+ * @example
+ * const { columns, records } = await readDataRecords("data/persons.csv");
+ * // records[0] -> { line: 2, values: { gender: "1", birthdate: "1990-01-01" } }
+ */
+export async function readDataRecords(path, { fileFormat, delimiter } = {}) {
+  const format = fileFormat ?? (extname(path).toLowerCase() === ".json" ? "json" : "csv");
+  const text = await readFile(resolveDataPath(path), "utf8");
+  return { format, ...(format === "json" ? readJsonRecords(text) : readCsvRecords(text, delimiter)) };
+}
@@ -0,0 +1,142 @@
+/**
+ * Dataset structure utilities
+ * Normalizes I14Y dataset structures into a flat list of properties with their linked concepts.
+ * Accepts plain JSON structures (`properties` / `nodes[].properties`) as well as SHACL shapes
+ * serialized as JSON-LD (`@graph[]["sh:property"]`).
+ * @module utils/dataset-structure
+ */
+
+/**
+ * @typedef {Object} StructureProperty
+ * @property {string|null} path - Property path or identifier
+ * @property {Object|string|null} name - Property name (multilingual object or string)
+ * @property {Object|string|null} description - Property description
+ * @property {string|null} datatype - Datatype, e.g. `xsd:string`
+ * @property {boolean} required - Whether the property is mandatory (minCount > 0)
+ * @property {number} minCount - Minimum number of values (0 when unconstrained)
+ * @property {number|null} maxCount - Maximum number of values, or null when unbounded
+ * @property {{id: (string|null), identifier: (string|null), name: (Object|string|null)}|null} concept -
+ *           Linked I14Y concept, if any
+ */
+
+/**
+ * Read an `@id` reference or plain value
+ * @param {*} value - JSON-LD reference (`{ "@id": ... }`) or plain value
+ * @returns {string|null} Referenced value
+ */
+function readReference(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return readReference(value[0]);
+  if (typeof value === "object") return value["@id"] ?? value.id ?? null;
+  return String(value);
+}
+
+/**
+ * Read a text value, converting JSON-LD language-tagged values to a multilingual object
+ * @param {*} value - Plain text, multilingual object or `{ "@language", "@value" }` value(s)
+ * @returns {Object|string|null} Text value
+ */
+function readText(value) {
+  if (value === undefined || value === null) return null;
+  const values = Array.isArray(value) ? value : [value];
+  if (values.every((item) => item && typeof item === "object" && "@value" in item)) {
+    return Object.fromEntries(values.map((item) => [item["@language"] || "de", item["@value"]]));
+  }
+  return value;
+}
+
+/**
+ * Read the concept linked to a property
+ * @param {Object} property - Raw property
+ * @returns {{id: (string|null), identifier: (string|null), name: (Object|string|null)}|null} Linked concept
+ */
+function readConcept(property) {
+  const concept = property.concept ?? property.conceptReference ?? property["qb:concept"] ?? null;
+  if (concept && typeof concept === "object" && !Array.isArray(concept)) {
+    return {
+      id: concept.id ?? readReference(concept),
+      identifier: concept.identifier ?? null,
+      name: readText(concept.name ?? concept.title) ?? null,
+    };
+  }
+  const id = property.conceptId ?? readReference(concept);
+  return id ? { id, identifier: property.conceptIdentifier ?? null, name: null } : null;
+}
+
+/**
+ * Read a cardinality count, which JSON-LD may wrap as `{ "@value": ... }`
+ * @param {*} value - Raw count
+ * @returns {number|null} Count, or null when absent or not a number
+ */
+function readCount(value) {
+  const raw = value && typeof value === "object" ? value["@value"] : value;
+  if (raw === undefined || raw === null || raw === "") return null;
+  const count = Number(raw);
+  return Number.isInteger(count) && count >= 0 ? count : null;
+}
+
+/**
+ * Normalize a raw structure property
+ * @param {Object} property - Raw property
+ * @returns {StructureProperty} Normalized property
+ */
+function normalizeProperty(property) {
+  const minCount = readCount(property.minCount ?? property["sh:minCount"]) ?? 0;
+  return {
+    path: readReference(property.path ?? property["sh:path"]) ?? property.identifier ?? null,
+    name: readText(property.name ?? property.title ?? property.label ?? property["sh:name"]),
+    description: readText(property.description ?? property["sh:description"]),
+    datatype: readReference(property.datatype ?? property.dataType ?? property["sh:datatype"]),
+    required: property.required === true || minCount > 0,
+    minCount: property.required === true ? Math.max(minCount, 1) : minCount,
+    maxCount: readCount(property.maxCount ?? property["sh:maxCount"]),
+    concept: readConcept(property),
+  };
+}
+
+/**
+ * Collect the raw properties of a structure
+ * @param {Object} structure - Raw dataset structure
+ * @returns {Object[]} Raw properties
+ */
+function collectProperties(structure) {
+  if (!structure || typeof structure !== "object") return [];
+  if (Array.isArray(structure.properties)) return structure.properties;
+
+  const nodes = structure.nodes ?? structure.shapes ?? structure["@graph"];
+  if (!Array.isArray(nodes)) return [];
+  return nodes.flatMap((node) => {
+    const properties = node.properties ?? node["sh:property"] ?? [];
+    return Array.isArray(properties) ? properties : [properties];
+  });
+}
+
+/**
+ * Read the local name of a datatype IRI or prefixed name
+ * @param {string|null} datatype - Datatype, e.g. `xsd:integer` or `http://www.w3.org/2001/XMLSchema#integer`
+ * @returns {string|null} Local name, e.g. `integer`
+ */
+export function readDatatypeName(datatype) {
+  if (!datatype) return null;
+  return datatype.split(/[#/:]/).pop() || null;
+}
+
+/**
+ * Summarize a dataset structure
+ * @param {Object} structure - Raw dataset structure returned by the API
+ * @returns {{propertyCount: number, linkedConceptCount: number, properties: StructureProperty[]}}
+ *          Normalized properties with counts
+ * @example
+ * summarizeDatasetStructure({ properties: [{ path: "gender", conceptId: "c-1", minCount: 1 }] });
+ * // { propertyCount: 1, linkedConceptCount: 1, properties: [{ path: "gender", required: true, ... }] }
+ */
+export function summarizeDatasetStructure(structure) {
+  const properties = collectProperties(structure).filter(Boolean).map(normalizeProperty);
+  const conceptIds = new Set(properties.map((property) => property.concept?.id).filter(Boolean));
+
+  return {
+    propertyCount: properties.length,
+    linkedConceptCount: conceptIds.size,
+    properties,
+  };
+}
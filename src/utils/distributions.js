@@ -0,0 +1,50 @@
+/**
+ * Dataset distribution utilities
+ * Normalizes DCAT distributions returned by the I14Y API to the fields needed to access their data.
+ * @module utils/distributions
+ */
+
+/**
+ * Read a URL that the API returns either as a string or as a `{ uri }` / `{ url }` object
+ * @param {*} value - URL value (arrays use their first element)
+ * @returns {string|null} URL
+ */
+export function readUrl(value) {
+  if (Array.isArray(value)) return readUrl(value[0]);
+  if (!value) return null;
+  if (typeof value === "object") return value.uri ?? value.url ?? value.href ?? null;
+  return String(value);
+}
+
+/**
+ * Read a code that the API returns either as a string or as a `{ code }` object
+ * @param {*} value - Code value
+ * @returns {string|null} Code
+ */
+export function readCode(value) {
+  if (!value) return null;
+  if (typeof value === "object") return value.code ?? value.name ?? readUrl(value);
+  return String(value);
+}
+
+/**
+ * Normalize a DCAT distribution
+ * @param {Object} distribution - Distribution as returned by the API
+ * @returns {{identifier: (string|null), title: *, description: *, accessUrl: (string|null),
+ *           downloadUrl: (string|null), mediaType: (string|null), format: (string|null),
+ *           license: (string|null), byteSize: (number|null)}} Normalized distribution
+ */
+export function normalizeDistribution(distribution) {
+  const byteSize = Number(distribution.byteSize ?? distribution.size);
+  return {
+    identifier: distribution.identifier ?? distribution.id ?? null,
+    title: distribution.title ?? null,
+    description: distribution.description ?? null,
+    accessUrl: readUrl(distribution.accessUrl ?? distribution.accessURL),
+    downloadUrl: readUrl(distribution.downloadUrl ?? distribution.downloadURL),
+    mediaType: readCode(distribution.mediaType),
+    format: readCode(distribution.format),
+    license: readCode(distribution.license ?? distribution.rights),
+    byteSize: Number.isFinite(byteSize) ? byteSize : null,
+  };
+}
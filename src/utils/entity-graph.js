@@ -0,0 +1,228 @@
+/**
+ * Entity graph utilities
+ * Walks the links between I14Y entities breadth-first: datasets to the concepts of their structure,
+ * concepts to their code lists, data services to the datasets they serve, and entities to their
+ * publishers.
+ * @module utils/entity-graph
+ */
+
+import { formatMultilingualText } from "./formatting.js";
+import { summarizeDatasetStructure } from "./dataset-structure.js";
+
+/**
+ * Entity types that can start a graph walk, in the order they are tried when the type is unknown
+ * @constant {string[]}
+ */
+export const GRAPH_ENTITY_TYPES = ["datasets", "concepts", "dataservices", "publicservices"];
+
+/**
+ * Default number of link hops walked from the start entity
+ * @constant {number}
+ */
+export const DEFAULT_GRAPH_DEPTH = 2;
+
+/**
+ * Default maximum number of nodes in a graph
+ * @constant {number}
+ */
+export const DEFAULT_GRAPH_MAX_NODES = 100;
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} key - Unique node key, `<type>/<id>`
+ * @property {string} type - Entity type: datasets, concepts, codelists, dataservices, publicservices or publishers
+ * @property {string} id - Entity ID (publisher identifier for publishers)
+ * @property {string} label - Display label
+ * @property {string|null} identifier - Business identifier
+ * @property {number} depth - Number of link hops from the start entity
+ * @property {boolean} expanded - Whether the links of the entity were walked
+ * @property {string|null} error - Error fetching the entity, if any
+ */
+
+/**
+ * @typedef {Object} GraphEdge
+ * @property {string} source - Key of the source node
+ * @property {string} target - Key of the target node
+ * @property {string} relation - usesConcept, hasCodeList, servesDataset or publishedBy
+ * @property {string|null} label - Edge label, e.g. the structure property linking a concept
+ */
+
+/**
+ * @typedef {Object} GraphFetchers
+ * @property {function(string): Promise<Object>} datasets - Fetch a dataset
+ * @property {function(string): Promise<Object>} datasetStructure - Fetch the structure of a dataset
+ * @property {function(string): Promise<Object>} concepts - Fetch a concept
+ * @property {function(string): Promise<Object>} dataservices - Fetch a data service
+ * @property {function(string): Promise<Object>} publicservices - Fetch a public service
+ */
+
+/**
+ * Read an entity ID from a reference: an object with `id`, a JSON-LD `@id`, or an ID or URL string
+ * @param {*} reference - Entity reference
+ * @returns {string|null} Entity ID (last path segment of URLs)
+ */
+export function readEntityId(reference) {
+  if (!reference) return null;
+  if (typeof reference === "object") return reference.id ?? readEntityId(reference["@id"] ?? reference.uri);
+  const text = String(reference).replace(/\/+$/, "");
+  return /^https?:\/\//.test(text) ? text.split("/").pop() || null : text;
+}
+
+/**
+ * Read the references to the datasets a data service serves
+ * @param {Object} service - Data service
+ * @returns {Array<*>} Dataset references (objects, IDs or URLs)
+ */
+export function readServedDatasets(service) {
+  const served = service?.servesDataset ?? service?.servesDatasets ?? service?.datasets ?? [];
+  return Array.isArray(served) ? served : [served];
+}
+
+/**
+ * Read the label of an entity in a language
+ * @param {Object} entity - Entity
+ * @param {string} language - Preferred language
+ * @returns {string} Label, or an empty string
+ */
+function readLabel(entity, language) {
+  return formatMultilingualText(entity?.title ?? entity?.name, language);
+}
+
+/**
+ * Build the link graph around an entity
+ * The start entity and every entity less than `depth` hops away are fetched and their links
+ * walked; entities at the edge of the graph keep the label known from the linking entity.
+ * @param {Object} start - Start entity
+ * @param {string} start.id - Entity ID
+ * @param {string} [start.type] - Entity type; tried in {@link GRAPH_ENTITY_TYPES} order when omitted
+ * @param {Object} options - Walk options
+ * @param {GraphFetchers} options.fetchers - Functions fetching entities
+ * @param {number} [options.depth=DEFAULT_GRAPH_DEPTH] - Number of link hops to walk
+ * @param {number} [options.maxNodes=DEFAULT_GRAPH_MAX_NODES] - Maximum number of nodes
+ * @param {string} [options.language="de"] - Language of labels
+ * @returns {Promise<{nodes: GraphNode[], edges: GraphEdge[], truncated: boolean}>} Graph; `truncated`
+ *          when nodes were left out because of `maxNodes`
+ * @throws {Error} If the start entity cannot be fetched
+ * @example
+ * await buildEntityGraph({ id: "ds-1", type: "datasets" }, { fetchers, depth: 1 });
+ * // { nodes: [{ key: "datasets/ds-1", ... }, { key: "concepts/c-1", ... }], edges: [{ relation: "usesConcept", ... }], truncated: false }
+ */
+export async function buildEntityGraph(
+  { id, type },
+  { fetchers, depth = DEFAULT_GRAPH_DEPTH, maxNodes = DEFAULT_GRAPH_MAX_NODES, language = "de" }
+) {
+  const nodes = new Map();
+  const edges = new Map();
+  const queue = [];
+  const prefetched = new Map();
+  let truncated = false;
+
+  const addNode = (nodeType, nodeId, nodeDepth, { label, identifier } = {}) => {
+    const key = `${nodeType}/${nodeId}`;
+    const existing = nodes.get(key);
+    if (existing) return existing;
+    if (nodeDepth > depth) return null;
+    if (nodes.size >= maxNodes) {
+      truncated = true;
+      return null;
+    }
+    const node = {
+      key,
+      type: nodeType,
+      id: nodeId,
+      label: label || identifier || nodeId,
+      identifier: identifier ?? null,
+      depth: nodeDepth,
+      expanded: false,
+      error: null,
+    };
+    nodes.set(key, node);
+    if ((nodeDepth < depth || nodeDepth === 0) && GRAPH_ENTITY_TYPES.includes(nodeType)) queue.push(node);
+    return node;
+  };
+
+  const link = (source, target, relation, label = null) => {
+    if (!target) return;
+    const key = `${source.key} ${relation} ${target.key}`;
+    if (!edges.has(key)) edges.set(key, { source: source.key, target: target.key, relation, label });
+  };
+
+  const describe = (node, entity) => {
+    node.label = readLabel(entity, language) || entity.identifier || node.label;
+    node.identifier = entity.identifier ?? node.identifier;
+    const publisher = entity.publisher;
+    const publisherId = publisher?.identifier ?? publisher?.id;
+    if (publisherId) {
+      link(node, addNode("publishers", publisherId, node.depth + 1, { label: readLabel(publisher, language) }), "publishedBy");
+    }
+  };
+
+  const fetchEntity = (node) => {
+    const entity = prefetched.get(node.key);
+    return entity ? Promise.resolve(entity) : fetchers[node.type](node.id);
+  };
+
+  const expanders = {
+    datasets: async (node) => {
+      describe(node, await fetchEntity(node));
+      // Datasets without a published structure have no concept links
+      const structure = await fetchers.datasetStructure(node.id).catch(() => null);
+      const { properties } = summarizeDatasetStructure(structure);
+      for (const property of properties.filter((candidate) => candidate.concept?.id)) {
+        const { id: conceptId, identifier, name } = property.concept;
+        const concept = addNode("concepts", conceptId, node.depth + 1, { label: formatMultilingualText(name, language), identifier });
+        link(node, concept, "usesConcept", property.path);
+      }
+    },
+    concepts: async (node) => {
+      const concept = await fetchEntity(node);
+      describe(node, concept);
+      if (/codelist/i.test(concept.conceptType ?? concept.type ?? "")) {
+        link(node, addNode("codelists", node.id, node.depth + 1, { label: node.label, identifier: node.identifier }), "hasCodeList");
+      }
+    },
+    dataservices: async (node) => {
+      const service = await fetchEntity(node);
+      describe(node, service);
+      for (const reference of readServedDatasets(service)) {
+        const datasetId = readEntityId(reference);
+        if (!datasetId) continue;
+        const dataset = addNode("datasets", datasetId, node.depth + 1, {
+          label: typeof reference === "object" ? readLabel(reference, language) : "",
+          identifier: reference?.identifier,
+        });
+        link(node, dataset, "servesDataset");
+      }
+    },
+    publicservices: async (node) => {
+      describe(node, await fetchEntity(node));
+    },
+  };
+
+  let startType = type;
+  if (!startType) {
+    for (const candidate of GRAPH_ENTITY_TYPES) {
+      const entity = await fetchers[candidate](id).catch(() => null);
+      if (entity) {
+        prefetched.set(`${candidate}/${id}`, entity);
+        startType = candidate;
+        break;
+      }
+    }
+    if (!startType) throw new Error(`No dataset, concept, data service or public service found with ID ${id}`);
+  }
+  addNode(startType, id, 0);
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    try {
+      await expanders[node.type](node);
+      node.expanded = true;
+    } catch (error) {
+      if (node.depth === 0) throw error;
+      node.error = error.message;
+    }
+  }
+
+  return { nodes: [...nodes.values()], edges: [...edges.values()], truncated };
+}
@@ -2,14 +2,21 @@
  * Formatting utilities for I14Y responses
  * @module utils/formatting
  */
+import config from "../config.js";
+import { logger } from "./logger.js";
 
 /**
  * Format a successful tool response
  * @param {*} data - The data to return
+ * @param {import("zod").ZodTypeAny} [outputSchema] - Tool output schema; when given, the data is
+ *        validated against it and also returned as `structuredContent` (arrays are wrapped as `{ items }`).
+ *        Data that does not match the schema, e.g. after an API change, is logged and reported as an error
+ *        result without `structuredContent`, since MCP clients reject structured content that does not
+ *        match the advertised schema.
  * @returns {Object} MCP-formatted response
  */
-export function formatSuccess(data) {
-  return {
+export function formatSuccess(data, outputSchema) {
+  const response = {
     content: [
       {
         type: "text",
@@ -17,6 +24,18 @@ export function formatSuccess(data) {
       },
     ],
   };
+
+  if (outputSchema) {
+    const result = outputSchema.safeParse(Array.isArray(data) ? { items: data } : data);
+    if (!result.success) {
+      logger.warn({ issues: result.error.issues }, "Tool result does not match its output schema");
+      const issues = result.error.issues.map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`);
+      return formatError(`Tool result does not match its output schema:\n${issues.join("\n")}`);
+    }
+    response.structuredContent = result.data;
+  }
+
+  return response;
 }
 
 /**
@@ -91,6 +110,7 @@ export function formatPaginationInfo(page, pageSize, totalItems) {
  */
 export function formatMultilingualText(textObject, preferredLanguage = "de") {
   if (!textObject) return "";
+  if (typeof textObject === "string") return textObject;
 
   // Try preferred language first
   if (textObject[preferredLanguage]) {
@@ -109,6 +129,48 @@ export function formatMultilingualText(textObject, preferredLanguage = "de") {
   return Object.values(textObject)[0] || "";
 }
 
+/**
+ * Language keys of multilingual text objects
+ * @constant {string[]}
+ */
+const MULTILINGUAL_KEYS = ["de", "fr", "it", "en", "rm"];
+
+/**
+ * Check whether a value is a multilingual text object such as `{ de: "...", fr: "..." }`
+ * @param {*} value - Value to check
+ * @returns {boolean} True if all keys are language codes with string (or empty) values
+ */
+export function isMultilingualText(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+  const entries = Object.entries(value);
+  return (
+    entries.length > 0 &&
+    entries.every(([key, text]) => MULTILINGUAL_KEYS.includes(key) && (text === null || typeof text === "string"))
+  );
+}
+
+/**
+ * Collapse all multilingual text objects in a response to a single language
+ * @param {*} data - Response data (objects and arrays are traversed recursively)
+ * @param {string} language - Preferred language code; missing translations fall back
+ *        in the order of {@link formatMultilingualText}
+ * @returns {*} Copy of the data with multilingual objects replaced by strings
+ */
+export function localizeMultilingual(data, language) {
+  if (Array.isArray(data)) {
+    return data.map((item) => localizeMultilingual(item, language));
+  }
+  if (isMultilingualText(data)) {
+    return formatMultilingualText(data, language);
+  }
+  if (data && typeof data === "object") {
+    return Object.fromEntries(
+      Object.entries(data).map(([key, value]) => [key, localizeMultilingual(value, language)])
+    );
+  }
+  return data;
+}
+
 /**
  * Truncate text to a maximum length
  * @param {string} text - Text to truncate
@@ -217,19 +279,26 @@ Name: ${name}
 ${description ? `Description: ${description}` : ""}`;
 }
 
+/**
+ * Output formats supported by the search and get tools
+ * @constant {string[]}
+ */
+export const OUTPUT_FORMATS = ["json", "markdown", "compact"];
+
 /**
  * Format a list response
  * @param {Array} items - Array of items
  * @param {Function} formatter - Formatter function for individual items
  * @param {Object} pagination - Optional pagination info
+ * @param {string} [separator="\n\n"] - Separator between formatted items
  * @returns {string} Formatted list text
  */
-export function formatListResponse(items, formatter, pagination) {
+export function formatListResponse(items, formatter, pagination, separator = "\n\n") {
   if (items.length === 0) {
     return "No items found";
   }
 
-  let result = items.map(formatter).join("\n\n");
+  let result = items.map((item) => formatter(item)).join(separator);
 
   if (pagination) {
     result += `\n\nPage ${pagination.page} of ${Math.ceil(pagination.total / pagination.limit)}`;
@@ -242,131 +311,770 @@ export function formatListResponse(items, formatter, pagination) {
   return result;
 }
 
+/**
+ * Render an entity in one of the display styles
+ * @param {Object} entity - Entity description
+ * @param {string} entity.idLabel - Label of the identifier line, e.g. "Concept ID"
+ * @param {string} entity.id - Identifier
+ * @param {string} [entity.title] - Title in the requested language
+ * @param {string} [entity.status] - Registration status shown in compact style
+ * @param {Array<[string, string]>} entity.fields - Label/value pairs; empty values are skipped
+ * @param {Array<{label: string, items: string[]}>} [entity.lists] - Nested lists, e.g. distributions
+ * @param {string} [style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Rendered entity
+ */
+function renderEntity({ idLabel, id, title, status, fields, lists = [] }, style = "text") {
+  const presentFields = fields.filter(([, value]) => value);
+  const presentLists = lists.filter((list) => list.items.length > 0);
+
+  if (style === "compact") {
+    const name = title ? `: ${truncateText(title, 80)}` : "";
+    return `${id}${name}${status ? ` [${status}]` : ""}`;
+  }
+
+  if (style === "markdown") {
+    const parts = [`### ${title || id}`, `- **${idLabel}:** ${id}`];
+    presentFields
+      .filter(([label]) => label !== "Title")
+      .forEach(([label, value]) => parts.push(`- **${label}:** ${value}`));
+    presentLists.forEach((list) => {
+      parts.push(`- **${list.label}:**`);
+      list.items.forEach((item) => parts.push(`  - ${item}`));
+    });
+    return parts.join("\n");
+  }
+
+  const parts = [`${idLabel}: ${id}`];
+  presentFields.forEach(([label, value]) => parts.push(`${label}: ${value}`));
+  presentLists.forEach((list) => {
+    parts.push(`\n${list.label}:`);
+    list.items.forEach((item) => parts.push(`  - ${item}`));
+  });
+  return parts.join("\n");
+}
+
 /**
  * Format a concept result for display
  * @param {Object} concept - Concept object
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
  * @returns {string} Formatted concept text
  */
-export function formatConceptResult(concept) {
+export function formatConceptResult(concept, { language = "de", style = "text" } = {}) {
   if (!concept) return "No concept data";
 
-  const parts = [`Concept ID: ${concept.identifier || concept.id}`];
+  const title = formatMultilingualText(concept.title || concept.name, language);
+  const entries = Array.isArray(concept.codeListEntries) ? concept.codeListEntries : [];
 
-  if (concept.title) {
-    const title = formatMultilingualText(concept.title);
-    if (title) parts.push(`Title: ${title}`);
-  }
+  return renderEntity(
+    {
+      idLabel: "Concept ID",
+      id: concept.identifier || concept.id,
+      title,
+      status: concept.registrationStatus,
+      fields: [
+        ["Title", title],
+        ["Description", formatMultilingualText(concept.description, language)],
+        ["Status", concept.registrationStatus],
+        ["Publication Level", concept.publicationLevel],
+      ],
+      lists: [
+        {
+          label: "Code List Entries",
+          items: entries.map((entry) => formatCodeListEntryResult(entry, { language, style: "compact" })),
+        },
+      ],
+    },
+    style
+  );
+}
 
-  if (concept.description) {
-    const description = formatMultilingualText(concept.description);
-    if (description) parts.push(`Description: ${description}`);
-  }
+/**
+ * Format a code list entry for display
+ * @param {Object} entry - Code list entry
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Formatted code list entry text
+ */
+export function formatCodeListEntryResult(entry, { language = "de", style = "text" } = {}) {
+  if (!entry) return "No code list entry data";
 
-  if (concept.registrationStatus) {
-    parts.push(`Status: ${concept.registrationStatus}`);
-  }
+  const name = formatMultilingualText(entry.name || entry.title, language);
+  const parentName = entry.parent?.name ? ` (${formatMultilingualText(entry.parent.name, language)})` : "";
+  const annotations = Array.isArray(entry.annotations) ? entry.annotations : [];
+  const match = entry.match
+    ? `${entry.match.field}${entry.match.language ? ` (${entry.match.language})` : ""} "${entry.match.text}", score ${entry.match.score}`
+    : null;
 
-  if (concept.publicationLevel) {
-    parts.push(`Publication Level: ${concept.publicationLevel}`);
-  }
+  return renderEntity(
+    {
+      idLabel: "Code",
+      id: entry.code ?? entry.id,
+      title: name,
+      fields: [
+        ["Title", name],
+        ["Description", formatMultilingualText(entry.description, language)],
+        ["Parent Code", entry.parentCode ? `${entry.parentCode}${parentName}` : null],
+        ["Match", match],
+      ],
+      lists: [{ label: "Annotations", items: annotations.map((annotation) => formatAnnotation(annotation, language)) }],
+    },
+    style
+  );
+}
 
-  return parts.join("\n");
+/**
+ * Format a code list entry annotation as one line
+ * @param {Object|string} annotation - Annotation with a type and a (multilingual) text
+ * @param {string} language - Preferred language for multilingual fields
+ * @returns {string} Formatted annotation
+ */
+function formatAnnotation(annotation, language) {
+  if (!annotation || typeof annotation !== "object") return String(annotation);
+  const label = annotation.type ?? annotation.identifier ?? annotation.title;
+  const text = formatMultilingualText(annotation.text ?? annotation.value ?? annotation.description, language);
+  return [typeof label === "string" ? label : formatMultilingualText(label, language), text].filter(Boolean).join(": ");
 }
 
 /**
  * Format a dataset result for display
  * @param {Object} dataset - Dataset object
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
  * @returns {string} Formatted dataset text
  */
-export function formatDatasetResult(dataset) {
+export function formatDatasetResult(dataset, { language = "de", style = "text" } = {}) {
   if (!dataset) return "No dataset data";
 
-  const parts = [`Dataset ID: ${dataset.identifier || dataset.id}`];
+  const title = formatMultilingualText(dataset.title, language);
+  const distributions = dataset.distributions || [];
+
+  return renderEntity(
+    {
+      idLabel: "Dataset ID",
+      id: dataset.identifier || dataset.id,
+      title,
+      status: dataset.registrationStatus,
+      fields: [
+        ["Title", title],
+        ["Description", formatMultilingualText(dataset.description, language)],
+        ["Publisher", formatMultilingualText(dataset.publisher?.name, language)],
+        ["Access Rights", dataset.accessRights],
+      ],
+      lists: [
+        {
+          label: "Distributions",
+          items: distributions.map((dist) => `${dist.format}: ${dist.accessURL}`),
+        },
+      ],
+    },
+    style
+  );
+}
+
+/**
+ * Format a data service result for display
+ * @param {Object} service - Data service object
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Formatted service text
+ */
+export function formatDataServiceResult(service, { language = "de", style = "text" } = {}) {
+  if (!service) return "No service data";
+
+  const title = formatMultilingualText(service.title, language);
+
+  return renderEntity(
+    {
+      idLabel: "Service ID",
+      id: service.identifier || service.id,
+      title,
+      status: service.registrationStatus,
+      fields: [
+        ["Title", title],
+        ["Description", formatMultilingualText(service.description, language)],
+        ["Endpoint", service.endpointURL],
+        ["Access Rights", service.accessRights],
+      ],
+    },
+    style
+  );
+}
 
-  if (dataset.title) {
-    const title = formatMultilingualText(dataset.title);
-    if (title) parts.push(`Title: ${title}`);
+/**
+ * Format a public service result for display
+ * @param {Object} service - Public service object
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Formatted service text
+ */
+export function formatPublicServiceResult(service, { language = "de", style = "text" } = {}) {
+  if (!service) return "No service data";
+
+  const title = formatMultilingualText(service.title || service.name, language);
+
+  return renderEntity(
+    {
+      idLabel: "Service ID",
+      id: service.identifier || service.id,
+      title,
+      status: service.registrationStatus,
+      fields: [
+        ["Title", title],
+        ["Description", formatMultilingualText(service.description, language)],
+        ["Authority", formatMultilingualText(service.competentAuthority?.name, language)],
+      ],
+    },
+    style
+  );
+}
+
+/**
+ * Format a byte size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size, e.g. "1.5 MB"
+ */
+function formatByteSize(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
   }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
 
-  if (dataset.description) {
-    const description = formatMultilingualText(dataset.description);
-    if (description) parts.push(`Description: ${description}`);
+/**
+ * Format a dataset distribution for display
+ * @param {Object} distribution - Normalized distribution (see the `list_dataset_distributions` tool)
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Formatted distribution text
+ */
+export function formatDistributionResult(distribution, { language = "de", style = "text" } = {}) {
+  if (!distribution) return "No distribution data";
+
+  const title = formatMultilingualText(distribution.title, language) || distribution.format || "";
+  const url = distribution.downloadUrl || distribution.accessUrl;
+
+  return renderEntity(
+    {
+      idLabel: "Distribution",
+      id: style === "compact" ? url || distribution.identifier : distribution.identifier || url,
+      title,
+      status: distribution.mediaType,
+      fields: [
+        ["Title", title],
+        ["Description", formatMultilingualText(distribution.description, language)],
+        ["Access URL", distribution.accessUrl],
+        ["Download URL", distribution.downloadUrl],
+        ["Media Type", distribution.mediaType],
+        ["Format", distribution.format],
+        ["License", distribution.license],
+        ["Size", typeof distribution.byteSize === "number" ? formatByteSize(distribution.byteSize) : null],
+      ],
+    },
+    style
+  );
+}
+
+/**
+ * Format a summarized dataset structure for display
+ * @param {Object} structure - Result of the `get_dataset_structure` tool
+ * @param {string} structure.datasetId - Dataset ID
+ * @param {Array<Object>} structure.properties - Normalized properties (see utils/dataset-structure)
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Formatted structure text
+ */
+export function formatDatasetStructureResult(structure, { language = "de", style = "text" } = {}) {
+  if (!structure) return "No structure data";
+
+  const properties = structure.properties || [];
+  const describeProperty = (property) => {
+    const name = formatMultilingualText(property.name, language);
+    const label = name && property.path ? `${name} (${property.path})` : name || property.path || "unnamed";
+    const details = [property.datatype, property.required ? "required" : null].filter(Boolean);
+    const concept = property.concept
+      ? ` -> concept ${formatMultilingualText(property.concept.name, language) || property.concept.identifier || property.concept.id}`
+      : "";
+    return `${label}${details.length > 0 ? ` [${details.join(", ")}]` : ""}${concept}`;
+  };
+
+  if (style === "compact") {
+    return properties.length > 0 ? properties.map(describeProperty).join("\n") : "No properties";
   }
 
-  if (dataset.publisher && dataset.publisher.name) {
-    const publisherName = formatMultilingualText(dataset.publisher.name);
-    if (publisherName) parts.push(`Publisher: ${publisherName}`);
+  return renderEntity(
+    {
+      idLabel: "Dataset ID",
+      id: structure.datasetId,
+      title: `Structure of dataset ${structure.datasetId}`,
+      fields: [
+        ["Property Count", String(properties.length)],
+        ["Linked Concepts", String(structure.linkedConceptCount ?? 0)],
+      ],
+      lists: [{ label: "Properties", items: properties.map(describeProperty) }],
+    },
+    style
+  );
+}
+
+/**
+ * Format a code list validation report for display
+ * @param {Object} report - Result of the `validate_against_code_list` tool
+ * @param {string} report.conceptId - Code list concept ID
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Formatted report text
+ */
+export function formatCodeListValidationResult(report, { language = "de", style = "text" } = {}) {
+  if (!report) return "No validation data";
+
+  const describeUnknown = ({ value, count, suggestions }) => {
+    const hints = suggestions.map(({ code, name }) => {
+      const label = formatMultilingualText(name, language);
+      return label ? `${code} (${label})` : code;
+    });
+    return `"${value}" x${count}${hints.length > 0 ? ` -> did you mean ${hints.join(", ")}?` : ""}`;
+  };
+  const describeDeprecated = ({ value, count, status, replacedBy }) =>
+    `"${value}" x${count} -> ${status}${replacedBy ? `, replaced by ${replacedBy}` : ""}`;
+  const unknownValues = (report.unknownValues || []).map(describeUnknown);
+  const deprecatedValues = (report.deprecatedValues || []).map(describeDeprecated);
+
+  if (style === "compact") {
+    return [
+      report.summary,
+      ...unknownValues.map((line) => `unknown ${line}`),
+      ...deprecatedValues.map((line) => `deprecated ${line}`),
+    ]
+      .filter(Boolean)
+      .join("\n");
   }
 
-  if (dataset.accessRights) {
-    parts.push(`Access Rights: ${dataset.accessRights}`);
+  return renderEntity(
+    {
+      idLabel: "Concept ID",
+      id: report.conceptId,
+      title: `Validation against code list ${report.conceptId}`,
+      fields: [
+        ["Summary", report.summary],
+        ["Valid", String(report.validCount)],
+        ["Invalid", String(report.invalidCount)],
+        ["Empty", String(report.emptyCount)],
+        ["Deprecated", String(report.deprecatedCount)],
+      ],
+      lists: [
+        { label: "Unknown Values", items: unknownValues },
+        { label: "Deprecated Values", items: deprecatedValues },
+      ],
+    },
+    style
+  );
+}
+
+/**
+ * Format the usages of a concept for display
+ * @param {Object} report - Result of the `find_concept_usages` tool
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Formatted usages text
+ */
+export function formatConceptUsagesResult(report, { language = "de", style = "text" } = {}) {
+  if (!report) return "No usage data";
+
+  const usages = (report.usages || []).map(({ datasetId, identifier, title, publisher, properties }) => {
+    const name = formatMultilingualText(title, language) || identifier || datasetId;
+    const publisherName = publisher ? formatMultilingualText(publisher.name, language) || publisher.identifier : null;
+    const paths = properties.map((property) => property.path || formatMultilingualText(property.name, language));
+    return `${name} (${datasetId})${publisherName ? `, ${publisherName}` : ""}: ${paths.join(", ")}`;
+  });
+  const dataServices = (report.dataServices || []).map(
+    ({ id, identifier, title, datasetIds }) =>
+      `${formatMultilingualText(title, language) || identifier || id} (${id}) serves ${datasetIds.join(", ")}`
+  );
+
+  if (style === "compact") {
+    return [report.summary, ...usages, ...dataServices].filter(Boolean).join("\n");
   }
 
-  if (dataset.distributions && dataset.distributions.length > 0) {
-    parts.push("\nDistributions:");
-    dataset.distributions.forEach((dist) => {
-      parts.push(`  - ${dist.format}: ${dist.accessURL}`);
-    });
+  return renderEntity(
+    {
+      idLabel: "Concept IDs",
+      id: report.conceptIds.join(", ") || report.conceptIdentifier,
+      title: `Usages of concept ${report.conceptIdentifier || report.conceptIds.join(", ")}`,
+      fields: [["Summary", report.summary]],
+      lists: [
+        { label: "Datasets", items: usages },
+        { label: "Data Services", items: dataServices },
+      ],
+    },
+    style
+  );
+}
+
+/**
+ * Entity labels by catalog search entity type
+ * @constant {Record<string, string>}
+ */
+const CATALOG_TYPE_LABELS = {
+  concepts: "Concept",
+  datasets: "Dataset",
+  dataservices: "Data Service",
+  publicservices: "Public Service",
+};
+
+/**
+ * Format a catalog search result for display
+ * @param {Object} result - Result of the `search_catalog` tool
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Formatted result text
+ */
+export function formatCatalogSearchResult(result, { language = "de", style = "text" } = {}) {
+  if (!result) return "No search result";
+
+  const typeLabel = CATALOG_TYPE_LABELS[result.type] ?? result.type;
+  const title = formatMultilingualText(result.title, language);
+  const { match } = result;
+
+  if (style === "compact") {
+    return `${typeLabel} ${result.identifier || result.id}: ${truncateText(title, 80)} (${match.score})`;
   }
 
-  return parts.join("\n");
+  return renderEntity(
+    {
+      idLabel: `${typeLabel} ID`,
+      id: result.identifier || result.id,
+      title,
+      status: result.registrationStatus,
+      fields: [
+        ["Title", title],
+        ["Type", typeLabel],
+        ["ID", result.id],
+        ["Description", truncateText(formatMultilingualText(result.description, language))],
+        ["Publisher", result.publisher ? formatMultilingualText(result.publisher.name, language) || result.publisher.identifier : null],
+        ["Match", `${match.score} on ${match.field}${match.language ? ` [${match.language}]` : ""}`],
+      ],
+    },
+    style
+  );
 }
 
 /**
- * Format a data service result for display
- * @param {Object} service - Data service object
- * @returns {string} Formatted service text
+ * Format a result of the local catalog index for display
+ * @param {Object} result - Result of the `search_index` tool
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Formatted result text
  */
-export function formatDataServiceResult(service) {
-  if (!service) return "No service data";
+export function formatIndexSearchResult(result, { language = "de", style = "text" } = {}) {
+  if (!result) return "No search result";
 
-  const parts = [`Service ID: ${service.identifier || service.id}`];
+  const typeLabel = CATALOG_TYPE_LABELS[result.type] ?? result.type;
+  const title = formatMultilingualText(result.title, language);
 
-  if (service.title) {
-    const title = formatMultilingualText(service.title);
-    if (title) parts.push(`Title: ${title}`);
+  if (style === "compact") {
+    return `${typeLabel} ${result.identifier || result.id}: ${truncateText(title, 80)} (${result.score})`;
   }
 
-  if (service.description) {
-    const description = formatMultilingualText(service.description);
-    if (description) parts.push(`Description: ${description}`);
+  return renderEntity(
+    {
+      idLabel: `${typeLabel} ID`,
+      id: result.identifier || result.id,
+      title,
+      status: result.registrationStatus,
+      fields: [
+        ["Title", title],
+        ["Type", typeLabel],
+        ["ID", result.id],
+        ["Version", result.version],
+        ["Description", truncateText(formatMultilingualText(result.description, language))],
+        ["Publisher", result.publisher ? formatMultilingualText(result.publisher.name, language) || result.publisher.identifier : null],
+        ["Score", `${result.score} (${result.matchedTerms.join(", ")})`],
+      ],
+    },
+    style
+  );
+}
+
+/**
+ * Format the version history of a concept for display
+ * @param {Object} report - Result of the `get_concept_history` tool
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Formatted history text
+ */
+export function formatConceptHistoryResult(report, { language = "de", style = "text" } = {}) {
+  if (!report) return "No history data";
+
+  const preferredId = report.preferred?.id;
+  const versions = (report.versions || []).map((version) => {
+    const period = version.validFrom || version.validTo ? `valid ${version.validFrom ?? "?"} to ${version.validTo ?? "open"}` : null;
+    const details = [version.registrationStatus, period, version.id === preferredId ? "preferred" : null].filter(Boolean);
+    return `${version.version ?? "unversioned"} (${version.id})${details.length > 0 ? `: ${details.join(", ")}` : ""}`;
+  });
+  const statusChanges = (report.statusChanges || []).map(
+    ({ fromVersion, toVersion, from, to }) => `${fromVersion} -> ${toVersion}: ${from ?? "(none)"} -> ${to ?? "(none)"}`
+  );
+
+  if (style === "compact") {
+    return [report.summary, ...versions].filter(Boolean).join("\n");
   }
 
-  if (service.endpointURL) {
-    parts.push(`Endpoint: ${service.endpointURL}`);
+  const latest = report.versions?.[report.versions.length - 1];
+  return renderEntity(
+    {
+      idLabel: "Concept Identifier",
+      id: report.conceptIdentifier,
+      title: `History of concept ${formatMultilingualText(latest?.title, language) || report.conceptIdentifier}`,
+      fields: [
+        ["Summary", report.summary],
+        ["Preferred Version", report.preferred ? `${report.preferred.version} (${report.preferred.id})` : null],
+      ],
+      lists: [
+        { label: "Versions", items: versions },
+        { label: "Status Changes Between Versions", items: statusChanges },
+      ],
+    },
+    style
+  );
+}
+
+/**
+ * Describe an annotation in one line
+ * @param {Object} annotation - Code list entry annotation
+ * @param {string} language - Preferred language
+ * @returns {string} Annotation type and text
+ */
+function describeAnnotation(annotation, language) {
+  if (!annotation || typeof annotation !== "object") return String(annotation);
+  const text = formatMultilingualText(annotation.text ?? annotation.title, language) || annotation.identifier;
+  const type = annotation.type ?? annotation.identifier;
+  return [type && type !== text ? `${type}:` : null, text || JSON.stringify(annotation)].filter(Boolean).join(" ");
+}
+
+/**
+ * Format the differences between two code list versions for display
+ * @param {Object} report - Result of the `diff_code_list_versions` tool
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Formatted diff text
+ */
+export function formatCodeListDiffResult(report, { language = "de", style = "text" } = {}) {
+  if (!report) return "No diff data";
+
+  const quote = (text) => (text === null ? "(none)" : `"${text}"`);
+  const withName = ({ code, name }) => [code, formatMultilingualText(name, language)].filter(Boolean).join(" ");
+  const relabelled = (report.relabelled || []).flatMap(({ code, changes }) =>
+    changes.map(
+      (change) =>
+        `${code} ${change.field}${change.language ? ` [${change.language}]` : ""}: ${quote(change.from)} -> ${quote(change.to)}`
+    )
+  );
+  const moved = (report.moved || []).map(
+    ({ code, from, to }) => `${code}: parent ${from ?? "(none)"} -> ${to ?? "(none)"}`
+  );
+  const annotationChanges = (report.annotationChanges || []).flatMap(({ code, added, removed }) => [
+    ...added.map((annotation) => `${code} + ${describeAnnotation(annotation, language)}`),
+    ...removed.map((annotation) => `${code} - ${describeAnnotation(annotation, language)}`),
+  ]);
+  const added = (report.added || []).map(withName);
+  const removed = (report.removed || []).map(withName);
+
+  if (style === "compact") {
+    return [
+      report.summary,
+      ...added.map((item) => `+ ${item}`),
+      ...removed.map((item) => `- ${item}`),
+      ...relabelled.map((item) => `~ ${item}`),
+      ...moved.map((item) => `~ ${item}`),
+      ...annotationChanges.map((item) => `~ ${item}`),
+    ]
+      .filter(Boolean)
+      .join("\n");
   }
 
-  if (service.accessRights) {
-    parts.push(`Access Rights: ${service.accessRights}`);
+  const version = ({ id, version: number }) => `${number ?? "unversioned"} (${id})`;
+  return renderEntity(
+    {
+      idLabel: "Concept Identifier",
+      id: report.conceptIdentifier,
+      title: `Changes to code list ${report.conceptIdentifier} from ${report.from.version ?? report.from.id} to ${
+        report.to.version ?? report.to.id
+      }`,
+      fields: [
+        ["Summary", report.summary],
+        ["From", version(report.from)],
+        ["To", version(report.to)],
+        ["Unchanged Codes", String(report.unchangedCount)],
+      ],
+      lists: [
+        { label: "Added Codes", items: added },
+        { label: "Removed Codes", items: removed },
+        { label: "Relabelled Codes", items: relabelled },
+        { label: "Moved Codes", items: moved },
+        { label: "Annotation Changes", items: annotationChanges },
+      ],
+    },
+    style
+  );
+}
+
+/**
+ * Format a dataset structure validation report for display
+ * @param {Object} report - Result of the `validate_data_against_structure` tool
+ * @param {string} report.datasetId - Dataset ID
+ * @param {Object} [options] - Display options
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Formatted report text
+ */
+export function formatStructureValidationResult(report, { style = "text" } = {}) {
+  if (!report) return "No validation data";
+
+  const errors = (report.errors || []).map(
+    ({ line, column, message }) => `${line === null ? "file" : `line ${line}`}${column ? ` [${column}]` : ""}: ${message}`
+  );
+
+  if (style === "compact") {
+    return [report.summary, ...errors].filter(Boolean).join("\n");
   }
 
-  return parts.join("\n");
+  return renderEntity(
+    {
+      idLabel: "Dataset ID",
+      id: report.datasetId,
+      title: `Validation of ${report.path} against the structure of dataset ${report.datasetId}`,
+      fields: [
+        ["Summary", report.summary],
+        ["Records", String(report.recordCount)],
+        ["Valid Records", String(report.validRecordCount)],
+        ["Errors", String(report.errorCount)],
+        ["Unmapped Columns", (report.unmappedColumns || []).join(", ")],
+        ["Missing Properties", (report.missingProperties || []).join(", ")],
+      ],
+      lists: [
+        {
+          label: "Column Mapping",
+          items: (report.columnMapping || []).map(({ column, property }) => `${column} -> ${property}`),
+        },
+        { label: "Errors", items: errors },
+      ],
+    },
+    style
+  );
 }
 
 /**
- * Format a public service result for display
- * @param {Object} service - Public service object
- * @returns {string} Formatted service text
+ * Format an entity graph for display
+ * @param {Object} graph - Result of the `get_entity_graph` tool
+ * @param {string} graph.start - Key of the start node
+ * @param {Object} [options] - Display options
+ * @param {string} [options.style="text"] - "text", "markdown" or "compact"
+ * @returns {string} Formatted graph text
  */
-export function formatPublicServiceResult(service) {
-  if (!service) return "No service data";
+export function formatEntityGraphResult(graph, { style = "text" } = {}) {
+  if (!graph) return "No graph data";
 
-  const parts = [`Service ID: ${service.identifier || service.id}`];
+  const labels = new Map((graph.nodes || []).map((node) => [node.key, node.label]));
+  const edges = (graph.edges || []).map(
+    ({ source, target, relation, label }) =>
+      `${labels.get(source) ?? source} --${relation}${label ? ` (${label})` : ""}--> ${labels.get(target) ?? target}`
+  );
 
-  if (service.title) {
-    const title = formatMultilingualText(service.title);
-    if (title) parts.push(`Title: ${title}`);
+  if (style === "compact") {
+    return [graph.summary, ...edges].filter(Boolean).join("\n");
   }
 
-  if (service.description) {
-    const description = formatMultilingualText(service.description);
-    if (description) parts.push(`Description: ${description}`);
+  const nodes = (graph.nodes || []).map(
+    ({ key, label, error }) => `${label} [${key}]${error ? ` - ${error}` : ""}`
+  );
+  return renderEntity(
+    {
+      idLabel: "Start",
+      id: graph.start,
+      title: `Entity graph of ${labels.get(graph.start) ?? graph.start}`,
+      fields: [["Summary", graph.summary]],
+      lists: [
+        { label: "Nodes", items: nodes },
+        { label: "Edges", items: edges },
+      ],
+    },
+    style
+  );
+}
+
+/**
+ * Render a tool result in the requested output format.
+ * Search results (`items`/`data` arrays) are rendered as a list with pagination
+ * info; anything else is rendered as a single entity.
+ * @param {*} data - Tool result
+ * @param {Function} formatter - Entity formatter, e.g. `formatConceptResult`
+ * @param {Object} [options] - Render options
+ * @param {string} [options.format="json"] - "json", "markdown" or "compact"
+ * @param {string} [options.language="de"] - Preferred language for multilingual fields
+ * @param {number} [options.page] - Requested page, shown with the total count of search results
+ * @param {number} [options.pageSize] - Requested page size
+ * @returns {string} Rendered text
+ */
+export function renderResult(data, formatter, { format = "json", language = "de", page, pageSize } = {}) {
+  if (format === "json" || typeof data === "string") {
+    return typeof data === "string" ? data : JSON.stringify(data, null, 2);
   }
 
-  if (service.competentAuthority && service.competentAuthority.name) {
-    const authorityName = formatMultilingualText(service.competentAuthority.name);
-    if (authorityName) parts.push(`Authority: ${authorityName}`);
+  const itemFormatter = (item) => formatter(item, { language, style: format });
+  const items = Array.isArray(data) ? data : data?.items || data?.data;
+  if (!Array.isArray(items)) {
+    return itemFormatter(data);
   }
 
-  return parts.join("\n");
+  const pagination =
+    typeof data.totalCount === "number" && data.summary === undefined && page && pageSize
+      ? { page, total: data.totalCount, limit: pageSize }
+      : undefined;
+  const list = formatListResponse(items, itemFormatter, pagination, format === "compact" ? "\n" : "\n\n");
+  return data.summary ? `${data.summary}\n\n${list}` : list;
+}
+
+/**
+ * Format a successful tool response rendered in the requested output format.
+ * When a language is given, multilingual fields are collapsed to that language in both
+ * the text block and the structured content; otherwise all translations are kept and
+ * markdown and compact output show the texts in the default language.
+ * The format only applies to the text block: the structured content must conform to the
+ * tool's output schema, so it always carries the full result.
+ * @param {*} data - The data to return
+ * @param {Function} formatter - Entity formatter, e.g. `formatConceptResult`
+ * @param {Object} [options] - Render options
+ * @param {string} [options.format="json"] - "json", "markdown" or "compact"
+ * @param {string} [options.language] - Language to collapse multilingual fields to
+ * @param {number} [options.page] - Requested page of a search
+ * @param {number} [options.pageSize] - Requested page size of a search
+ * @param {import("zod").ZodTypeAny} [options.outputSchema] - Tool output schema
+ * @returns {Object} MCP-formatted response
+ */
+export function formatResult(data, formatter, { outputSchema, ...renderOptions } = {}) {
+  const localized = renderOptions.language ? localizeMultilingual(data, renderOptions.language) : data;
+  const response = formatSuccess(localized, outputSchema);
+  if (response.isError) return response;
+  response.content[0].text = renderResult(localized, formatter, {
+    ...renderOptions,
+    language: renderOptions.language || config.defaultLanguage,
+  });
+  return response;
 }
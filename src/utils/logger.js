@@ -8,6 +8,37 @@ import pino from "pino";
 
 const isDevelopment = process.env.NODE_ENV !== "production";
 
+/**
+ * Log paths whose values are replaced with "[REDACTED]" so API tokens and
+ * OAuth2 client secrets never end up in the logs.
+ */
+export const REDACT_PATHS = [
+  "token",
+  "apiToken",
+  "accessToken",
+  "access_token",
+  "clientSecret",
+  "client_secret",
+  "authorization",
+  "Authorization",
+  "headers.authorization",
+  "headers.Authorization",
+  "*.token",
+  "*.apiToken",
+  "*.accessToken",
+  "*.access_token",
+  "*.clientSecret",
+  "*.client_secret",
+  "*.authorization",
+  "*.Authorization",
+  "*.headers.authorization",
+  "*.headers.Authorization",
+  "*.options.headers.authorization",
+  "*.options.headers.Authorization",
+];
+
+const redact = { paths: REDACT_PATHS, censor: "[REDACTED]" };
+
 /**
  * Create and configure the logger instance
  * - Development: pretty via pino-pretty → STDERR
@@ -16,6 +47,7 @@ const isDevelopment = process.env.NODE_ENV !== "production";
 export const logger = isDevelopment
   ? pino({
       level: process.env.LOG_LEVEL || "info",
+      redact,
       transport: {
         target: "pino-pretty",
         options: {
@@ -27,7 +59,7 @@ export const logger = isDevelopment
       },
     })
   : pino(
-      { level: process.env.LOG_LEVEL || "info" },
+      { level: process.env.LOG_LEVEL || "info", redact },
       pino.destination(2) // STDERR
     );
 
@@ -0,0 +1,211 @@
+/**
+ * Structure validation
+ * Validates the records of a local data file against the properties of an I14Y dataset structure:
+ * maps columns to properties, then checks required values, cardinality, datatypes and the codes
+ * of properties linked to code lists.
+ * @module utils/structure-validation
+ */
+
+import { normalizeText } from "./code-lists.js";
+import { readDatatypeName } from "./dataset-structure.js";
+
+/**
+ * Default maximum number of errors reported
+ * @constant {number}
+ */
+export const DEFAULT_MAX_ERRORS = 100;
+
+/**
+ * Value checks by XSD datatype local name; datatypes not listed here accept any value
+ * @constant {Record<string, function(string): boolean>}
+ */
+const DATATYPE_CHECKS = (() => {
+  const integer = (value) => /^[+-]?\d+$/.test(value);
+  const decimal = (value) => /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(value);
+  const double = (value) => /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/.test(value);
+  const timezone = "(Z|[+-]\\d{2}:\\d{2})?";
+  const isDate = (value) => {
+    const date = new Date(`${value.slice(0, 10)}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value.slice(0, 10);
+  };
+  return {
+    integer,
+    int: integer,
+    long: integer,
+    short: integer,
+    byte: integer,
+    nonNegativeInteger: (value) => integer(value) && !value.startsWith("-"),
+    unsignedInt: (value) => integer(value) && !value.startsWith("-"),
+    unsignedLong: (value) => integer(value) && !value.startsWith("-"),
+    positiveInteger: (value) => integer(value) && Number(value) > 0,
+    nonPositiveInteger: (value) => integer(value) && Number(value) <= 0,
+    negativeInteger: (value) => integer(value) && Number(value) < 0,
+    decimal,
+    double,
+    float: double,
+    boolean: (value) => ["true", "false", "1", "0"].includes(value),
+    date: (value) => new RegExp(`^\\d{4}-\\d{2}-\\d{2}${timezone}$`).test(value) && isDate(value),
+    dateTime: (value) =>
+      new RegExp(`^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?${timezone}$`).test(value) && isDate(value),
+    time: (value) => new RegExp(`^\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?${timezone}$`).test(value),
+    gYear: (value) => new RegExp(`^-?\\d{4}${timezone}$`).test(value),
+    gYearMonth: (value) => new RegExp(`^-?\\d{4}-(0[1-9]|1[0-2])${timezone}$`).test(value),
+    anyURI: (value) => !/\s/.test(value),
+  };
+})();
+
+/**
+ * @typedef {Object} StructureValidationError
+ * @property {number|null} line - CSV line or JSON record number; null for errors of the whole file
+ * @property {string|null} column - Column name
+ * @property {string|null} property - Property path
+ * @property {string|null} value - Offending value
+ * @property {string} rule - Violated rule: "missingColumn", "required", "maxCount", "datatype" or "codeList"
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * @typedef {Object} StructureValidationReport
+ * @property {number} recordCount - Number of records checked
+ * @property {number} validRecordCount - Records without errors
+ * @property {number} errorCount - Number of errors found, including those not reported
+ * @property {Array<{column: string, property: string}>} columnMapping - Columns mapped to properties
+ * @property {string[]} unmappedColumns - Columns matching no property
+ * @property {string[]} missingProperties - Properties matching no column
+ * @property {StructureValidationError[]} errors - Errors in file order, up to the maximum reported
+ * @property {boolean} truncated - Whether more errors exist than were reported
+ */
+
+/**
+ * List the normalized names a column may use for a property: its path, the last segment of
+ * the path and its names in all languages
+ * @param {import("./dataset-structure.js").StructureProperty} property - Structure property
+ * @returns {Set<string>} Normalized names
+ */
+function propertyNames(property) {
+  const names = [];
+  if (property.path) names.push(property.path, property.path.split(/[#/]/).pop());
+  if (typeof property.name === "string") names.push(property.name);
+  else if (property.name && typeof property.name === "object") names.push(...Object.values(property.name));
+  return new Set(names.map(normalizeText).filter(Boolean));
+}
+
+/**
+ * Map data columns to structure properties by path or name, ignoring case and diacritics
+ * Each property is mapped to at most one column.
+ * @param {string[]} columns - Column names
+ * @param {import("./dataset-structure.js").StructureProperty[]} properties - Structure properties
+ * @returns {Map<string, import("./dataset-structure.js").StructureProperty>} Properties by column
+ */
+export function mapColumns(columns, properties) {
+  const candidates = properties.map((property) => ({ property, names: propertyNames(property) }));
+  const mapping = new Map();
+  for (const column of columns) {
+    const normalized = normalizeText(column);
+    const match = candidates.find(({ property, names }) => names.has(normalized) && ![...mapping.values()].includes(property));
+    if (match) mapping.set(column, match.property);
+  }
+  return mapping;
+}
+
+/**
+ * Split a raw record value into its non-empty values
+ * JSON arrays hold several values; empty strings, null and undefined are no value.
+ * @param {*} raw - Raw value
+ * @returns {string[]} Values
+ */
+function readValues(raw) {
+  const values = Array.isArray(raw) ? raw : [raw];
+  return values
+    .filter((value) => value !== null && value !== undefined)
+    .map((value) => (typeof value === "object" ? JSON.stringify(value) : String(value).trim()))
+    .filter((value) => value !== "");
+}
+
+/**
+ * Validate data records against the properties of a dataset structure
+ * @param {Array<{line: number, values: Record<string, *>}>} records - Records read by
+ *        {@link module:utils/data-files.readDataRecords}
+ * @param {string[]} columns - Column names
+ * @param {import("./dataset-structure.js").StructureProperty[]} properties - Structure properties
+ * @param {Object} [options] - Validation options
+ * @param {Map<string, Object[]>} [options.codeLists] - Code list entries by concept ID; properties
+ *        linked to these concepts only accept their codes
+ * @param {number} [options.maxErrors=DEFAULT_MAX_ERRORS] - Maximum number of errors reported
+ * @returns {StructureValidationReport} Validation report
+ * @example
+ * validateRecords([{ line: 2, values: { age: "x" } }], ["age"], [{ path: "age", datatype: "xsd:integer", ... }]);
+ * // { errorCount: 1, errors: [{ line: 2, column: "age", property: "age", value: "x", rule: "datatype", ... }], ... }
+ */
+export function validateRecords(records, columns, properties, { codeLists = new Map(), maxErrors = DEFAULT_MAX_ERRORS } = {}) {
+  const mapping = mapColumns(columns, properties);
+  const mapped = new Set(mapping.values());
+  const codes = new Map(
+    [...codeLists].map(([conceptId, entries]) => [
+      conceptId,
+      new Set(entries.filter((entry) => entry.code !== undefined && entry.code !== null).map((entry) => String(entry.code))),
+    ])
+  );
+
+  const errors = [];
+  let errorCount = 0;
+  const report = (error) => {
+    errorCount++;
+    if (errors.length < maxErrors) errors.push(error);
+  };
+
+  const missingProperties = properties.filter((property) => !mapped.has(property));
+  for (const property of missingProperties.filter((property) => property.minCount > 0)) {
+    report({
+      line: null,
+      column: null,
+      property: property.path,
+      value: null,
+      rule: "missingColumn",
+      message: `No column for required property ${property.path}`,
+    });
+  }
+
+  let validRecordCount = 0;
+  for (const { line, values: record } of records) {
+    const before = errorCount;
+    for (const [column, property] of mapping) {
+      const values = readValues(record[column]);
+      const error = (rule, value, message) =>
+        report({ line, column, property: property.path, value, rule, message });
+
+      if (values.length < property.minCount) {
+        error(
+          "required",
+          null,
+          property.minCount > 1 ? `At least ${property.minCount} values required` : "Value required"
+        );
+      }
+      if (property.maxCount !== null && values.length > property.maxCount) {
+        error("maxCount", values.join(", "), `At most ${property.maxCount} values allowed, found ${values.length}`);
+      }
+
+      const check = DATATYPE_CHECKS[readDatatypeName(property.datatype)];
+      const codeList = codes.get(property.concept?.id);
+      for (const value of values) {
+        if (check && !check(value)) {
+          error("datatype", value, `"${value}" is not a valid ${property.datatype}`);
+        } else if (codeList && !codeList.has(value)) {
+          error("codeList", value, `"${value}" is not a code of the linked code list`);
+        }
+      }
+    }
+    if (errorCount === before) validRecordCount++;
+  }
+
+  return {
+    recordCount: records.length,
+    validRecordCount,
+    errorCount,
+    columnMapping: [...mapping].map(([column, property]) => ({ column, property: property.path })),
+    unmappedColumns: columns.filter((column) => !mapping.has(column)),
+    missingProperties: missingProperties.map((property) => property.path).filter(Boolean),
+    errors,
+    truncated: errorCount > errors.length,
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * Version utilities
+ * Orders the version strings of I14Y entities, whose versions are dotted numbers such as "1.10.0".
+ * @module utils/versions
+ */
+
+/**
+ * Compare two version strings by their numeric parts, e.g. "1.10.0" after "1.9"
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a is older, positive if newer, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const parts = (version) => String(version ?? "").split(/[^0-9]+/).filter(Boolean).map(Number);
+  const [left, right] = [parts(a), parts(b)];
+  for (let index = 0; index < Math.max(left.length, right.length); index++) {
+    const difference = (left[index] ?? 0) - (right[index] ?? 0);
+    if (difference !== 0) return difference;
+  }
+  return String(a ?? "").localeCompare(String(b ?? ""));
+}
@@ -0,0 +1,191 @@
+/**
+ * Unit tests for I14Y API authentication providers
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Mock ky
+vi.mock('ky', () => ({
+  default: {
+    post: vi.fn(),
+  },
+}));
+
+import ky from 'ky';
+import {
+  createAuthProvider,
+  createStaticTokenProvider,
+  createTokenFileProvider,
+  createClientCredentialsProvider,
+} from '../../../src/api/auth.js';
+
+/**
+ * Make ky.post resolve with the given token response
+ */
+function mockTokenResponse(...responses) {
+  for (const response of responses) {
+    vi.mocked(ky.post).mockReturnValueOnce({ json: async () => response });
+  }
+}
+
+describe('Auth Providers', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('createAuthProvider', () => {
+    it('should return null without credentials', () => {
+      expect(createAuthProvider({})).toBeNull();
+    });
+
+    it('should select the provider by precedence', () => {
+      expect(createAuthProvider({ apiToken: 't' }).type).toBe('static');
+      expect(createAuthProvider({ apiToken: 't', apiTokenFile: '/f' }).type).toBe('file');
+      expect(
+        createAuthProvider({
+          apiToken: 't',
+          apiTokenFile: '/f',
+          oauthTokenUrl: 'https://idp/token',
+          oauthClientId: 'id',
+          oauthClientSecret: 'secret',
+        }).type
+      ).toBe('oauth2');
+    });
+  });
+
+  describe('createStaticTokenProvider', () => {
+    it('should always return the configured token', async () => {
+      const auth = createStaticTokenProvider('static-token');
+      auth.invalidate();
+
+      expect(await auth.getToken()).toBe('static-token');
+      expect(auth.refreshable).toBe(false);
+    });
+  });
+
+  describe('createTokenFileProvider', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'i14y-auth-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should read and trim the token file', async () => {
+      const path = join(dir, 'token');
+      await writeFile(path, 'file-token\n');
+
+      expect(await createTokenFileProvider(path).getToken()).toBe('file-token');
+    });
+
+    it('should pick up a rotated token after invalidation', async () => {
+      const path = join(dir, 'token');
+      await writeFile(path, 'old-token');
+      const auth = createTokenFileProvider(path);
+      await auth.getToken();
+
+      await writeFile(path, 'new-token');
+      expect(await auth.getToken()).toBe('old-token');
+
+      auth.invalidate();
+      expect(await auth.getToken()).toBe('new-token');
+    });
+
+    it('should fail for missing or empty files', async () => {
+      const path = join(dir, 'empty');
+      await writeFile(path, '  \n');
+
+      await expect(createTokenFileProvider(join(dir, 'missing')).getToken()).rejects.toThrow(
+        'Failed to read API token file'
+      );
+      await expect(createTokenFileProvider(path).getToken()).rejects.toThrow('is empty');
+    });
+  });
+
+  describe('createClientCredentialsProvider', () => {
+    const options = {
+      tokenUrl: 'https://idp.example.ch/token',
+      clientId: 'client',
+      clientSecret: 'secret',
+      scope: 'i14y.read',
+    };
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should require client credentials', () => {
+      expect(() => createClientCredentialsProvider({ tokenUrl: options.tokenUrl })).toThrow(
+        'client ID and client secret'
+      );
+    });
+
+    it('should request a token with the client-credentials grant', async () => {
+      mockTokenResponse({ access_token: 'oauth-token', expires_in: 3600 });
+
+      const token = await createClientCredentialsProvider(options).getToken();
+
+      expect(token).toBe('oauth-token');
+      const [url, requestOptions] = vi.mocked(ky.post).mock.calls[0];
+      expect(url).toBe(options.tokenUrl);
+      expect(requestOptions.body.get('grant_type')).toBe('client_credentials');
+      expect(requestOptions.body.get('client_id')).toBe('client');
+      expect(requestOptions.body.get('scope')).toBe('i14y.read');
+    });
+
+    it('should cache the token until shortly before it expires', async () => {
+      vi.useFakeTimers();
+      mockTokenResponse(
+        { access_token: 'first', expires_in: 120 },
+        { access_token: 'second', expires_in: 120 }
+      );
+      const auth = createClientCredentialsProvider(options);
+
+      expect(await auth.getToken()).toBe('first');
+      vi.advanceTimersByTime(60 * 1000);
+      expect(await auth.getToken()).toBe('first');
+      vi.advanceTimersByTime(60 * 1000);
+      expect(await auth.getToken()).toBe('second');
+      expect(ky.post).toHaveBeenCalledTimes(2);
+    });
+
+    it('should share one token request between concurrent callers', async () => {
+      mockTokenResponse({ access_token: 'shared', expires_in: 3600 });
+      const auth = createClientCredentialsProvider(options);
+
+      const tokens = await Promise.all([auth.getToken(), auth.getToken()]);
+
+      expect(tokens).toEqual(['shared', 'shared']);
+      expect(ky.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fetch a new token after invalidation', async () => {
+      mockTokenResponse({ access_token: 'first', expires_in: 3600 }, { access_token: 'second', expires_in: 3600 });
+      const auth = createClientCredentialsProvider(options);
+      await auth.getToken();
+
+      auth.invalidate();
+
+      expect(await auth.getToken()).toBe('second');
+    });
+
+    it('should report token endpoint failures', async () => {
+      vi.mocked(ky.post).mockReturnValueOnce({
+        json: async () => {
+          throw new Error('Request failed with status code 401');
+        },
+      });
+      mockTokenResponse({ token_type: 'bearer' });
+      const auth = createClientCredentialsProvider(options);
+
+      await expect(auth.getToken()).rejects.toThrow('Failed to obtain OAuth2 access token');
+      await expect(auth.getToken()).rejects.toThrow('did not contain an access_token');
+    });
+  });
+});
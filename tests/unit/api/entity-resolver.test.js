@@ -0,0 +1,170 @@
+/**
+ * Unit tests for the entity reference resolver
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/api/i14y-client.js', () => ({
+  i14yClient: {
+    searchConcepts: vi.fn(),
+    searchDatasets: vi.fn(),
+    searchDataServices: vi.fn(),
+    searchPublicServices: vi.fn(),
+  },
+}));
+
+const { i14yClient } = await import('../../../src/api/i14y-client.js');
+const { parseEntityReference, resolveEntityReference } = await import('../../../src/api/entity-resolver.js');
+
+const uuid = '08d94604-8a1e-d7b5-a9d6-bbe86e8a1bd1';
+
+describe('Entity resolver', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    for (const search of Object.values(i14yClient)) search.mockResolvedValue({ data: [] });
+  });
+
+  describe('parseEntityReference', () => {
+    it('should recognize UUIDs and identifiers', () => {
+      expect(parseEntityReference(` ${uuid} `)).toEqual({ id: uuid });
+      expect(parseEntityReference('CH_eHealth_Gender')).toEqual({ identifier: 'CH_eHealth_Gender' });
+    });
+
+    it('should read the type and ID of I14Y web and API URLs', () => {
+      expect(parseEntityReference(`https://www.i14y.admin.ch/de/catalog/concepts/${uuid}/description`)).toEqual({
+        type: 'concepts',
+        id: uuid,
+      });
+      expect(parseEntityReference(`https://api.i14y.admin.ch/api/public/v1/dataservices/${uuid}`)).toEqual({
+        type: 'dataservices',
+        id: uuid,
+      });
+      expect(parseEntityReference('https://www.i14y.admin.ch/de/catalog/datasets/persons')).toEqual({
+        type: 'datasets',
+        identifier: 'persons',
+      });
+    });
+
+    it('should reject foreign URLs and URLs without an entity', () => {
+      expect(() => parseEntityReference(`https://example.org/concepts/${uuid}`)).toThrow('is not an I14Y URL');
+      expect(() => parseEntityReference('https://www.i14y.admin.ch/de/catalog')).toThrow('Cannot find an entity ID');
+    });
+  });
+
+  describe('resolveEntityReference', () => {
+    it('should return UUIDs without searching', async () => {
+      await expect(resolveEntityReference(uuid, { type: 'concepts' })).resolves.toEqual({
+        id: uuid,
+        type: 'concepts',
+        identifier: null,
+        version: null,
+      });
+      expect(i14yClient.searchConcepts).not.toHaveBeenCalled();
+    });
+
+    it('should prefer the latest valid standard version of an identifier', async () => {
+      i14yClient.searchConcepts.mockResolvedValue({
+        data: [
+          { id: 'c-3', identifier: 'CH_eHealth_Gender', version: '3.0.0', registrationStatus: 'Candidate' },
+          { id: 'c-2', identifier: 'CH_eHealth_Gender', version: '2.0.0', registrationStatus: 'Standard' },
+          { id: 'c-1', identifier: 'CH_eHealth_Gender', version: '1.0.0', registrationStatus: 'Superseded' },
+          { id: 'c-x', identifier: 'CH_eHealth_Gender_Old', version: '9.0.0', registrationStatus: 'Standard' },
+        ],
+      });
+
+      await expect(resolveEntityReference('ch_ehealth_gender', { type: 'concepts' })).resolves.toEqual({
+        id: 'c-2',
+        type: 'concepts',
+        identifier: 'CH_eHealth_Gender',
+        version: '2.0.0',
+      });
+    });
+
+    it('should pick a requested version through the version filter', async () => {
+      i14yClient.searchConcepts.mockResolvedValue({
+        data: [{ id: 'c-3', identifier: 'CH_eHealth_Gender', version: '3.0.0' }],
+      });
+
+      const resolved = await resolveEntityReference('CH_eHealth_Gender', { type: 'concepts', version: '3.0.0' });
+
+      expect(i14yClient.searchConcepts).toHaveBeenCalledWith(
+        expect.objectContaining({ conceptIdentifier: 'CH_eHealth_Gender', version: '3.0.0' })
+      );
+      expect(resolved.id).toBe('c-3');
+    });
+
+    it('should fall back to the latest version without a standard', async () => {
+      i14yClient.searchDatasets.mockResolvedValue({
+        data: [
+          { id: 'ds-2', identifier: 'persons', version: '2' },
+          { id: 'ds-1', identifier: 'persons', version: '1' },
+        ],
+      });
+
+      const resolved = await resolveEntityReference('persons', { type: 'datasets' });
+
+      expect(i14yClient.searchDatasets).toHaveBeenCalledWith(expect.objectContaining({ datasetIdentifier: 'persons' }));
+      expect(resolved.id).toBe('ds-2');
+    });
+
+    it('should report unknown versions with the available ones', async () => {
+      i14yClient.searchDatasets.mockResolvedValue({ data: [{ id: 'ds-1', identifier: 'persons', version: '1' }] });
+
+      await expect(resolveEntityReference('persons', { type: 'datasets', version: '2' })).rejects.toThrow(
+        'persons has no version 2 (available: 1)'
+      );
+    });
+
+    it('should report identifiers matching several entities', async () => {
+      i14yClient.searchDataServices.mockResolvedValue({
+        data: [
+          { id: 'svc-1', identifier: 'persons-api', publisher: { identifier: 'CH1' } },
+          { id: 'svc-2', identifier: 'persons-api', publisher: { identifier: 'CH2' } },
+        ],
+      });
+
+      const error = await resolveEntityReference('persons-api', { type: 'dataservices' }).catch((caught) => caught);
+
+      expect(error.message).toBe(
+        'persons-api is ambiguous, it matches 2 entities: data service svc-1 (persons-api, publisher CH1); ' +
+          'data service svc-2 (persons-api, publisher CH2). Pass one of their IDs instead'
+      );
+      expect(error.candidates).toEqual([
+        { type: 'dataservices', id: 'svc-1' },
+        { type: 'dataservices', id: 'svc-2' },
+      ]);
+    });
+
+    it('should report identifiers shared by several entity types', async () => {
+      i14yClient.searchDatasets.mockResolvedValue({ data: [{ id: 'ds-1', identifier: 'persons' }] });
+      i14yClient.searchPublicServices.mockResolvedValue({ data: [{ id: 'ps-1', identifier: 'persons' }] });
+
+      await expect(
+        resolveEntityReference('persons', { type: ['datasets', 'concepts', 'publicservices'] })
+      ).rejects.toThrow('persons is ambiguous, it matches 2 entities');
+    });
+
+    it('should reject URLs of another entity type', async () => {
+      await expect(
+        resolveEntityReference(`https://www.i14y.admin.ch/de/catalog/datasets/${uuid}`, { type: 'concepts' })
+      ).rejects.toThrow('refers to a dataset, not a concept');
+    });
+
+    it('should pass unknown references on as IDs', async () => {
+      await expect(resolveEntityReference('ds-1', { type: ['datasets', 'concepts'] })).resolves.toEqual({
+        id: 'ds-1',
+        type: null,
+        identifier: null,
+        version: null,
+      });
+    });
+
+    it('should reject unknown references that would alter the API request', async () => {
+      for (const reference of ['../datasets/x', 'foo?bar=1', 'a#b', '%2e%2e', '..']) {
+        await expect(resolveEntityReference(reference, { type: 'concepts' })).rejects.toThrow(
+          'is neither a known concept identifier nor a valid ID'
+        );
+      }
+    });
+  });
+});
@@ -7,14 +7,14 @@ import { I14YClient } from '../../../src/api/i14y-client.js';
 
 // Mock ky
 vi.mock('ky', () => ({
-  default: {
+  default: Object.assign(vi.fn(), {
     create: vi.fn(() => ({
       get: vi.fn(),
       post: vi.fn(),
       put: vi.fn(),
       delete: vi.fn(),
     })),
-  },
+  }),
 }));
 
 describe('I14YClient', () => {
@@ -112,6 +112,16 @@ describe('I14YClient', () => {
       expect(mockKy.get).toHaveBeenCalledWith('concepts/123e4567-e89b-12d3-a456-426614174000');
     });
 
+    it('should encode IDs into the request path', async () => {
+      mockKy.get.mockResolvedValue({ json: async () => ({}) });
+
+      await client.getConcept('../datasets/x?y=1');
+      await client.getDataService('a/b#c');
+
+      expect(mockKy.get).toHaveBeenCalledWith('concepts/..%2Fdatasets%2Fx%3Fy%3D1');
+      expect(mockKy.get).toHaveBeenCalledWith('dataservices/a%2Fb%23c');
+    });
+
     it('should get concept with code list entries', async () => {
       const mockConcept = {
         id: '123e4567-e89b-12d3-a456-426614174000',
@@ -141,6 +151,7 @@ describe('I14YClient', () => {
       mockKy.get.mockRejectedValue(error);
 
       await expect(client.getConcept('invalid-id')).rejects.toThrow('Resource not found');
+      await expect(client.getConcept('invalid-id')).rejects.toMatchObject({ status: 404 });
     });
   });
 
@@ -370,6 +381,90 @@ describe('I14YClient', () => {
     });
   });
 
+  describe('Dataset Structures', () => {
+    it('should get the structure with a language', async () => {
+      mockKy.get.mockResolvedValue({ json: async () => ({ properties: [] }) });
+
+      const result = await client.getDatasetStructure('ds-1', 'fr');
+
+      expect(result).toEqual({ properties: [] });
+      expect(mockKy.get).toHaveBeenCalledWith('datasets/ds-1/structure', { searchParams: { language: 'fr' } });
+    });
+
+    it('should export the structure with its content type', async () => {
+      mockKy.get.mockResolvedValue({
+        headers: new Headers({ 'content-type': 'text/turtle' }),
+        text: async () => '@prefix ex: <http://example.org/> .',
+      });
+
+      const result = await client.exportDatasetStructure('ds-1', 'Ttl');
+
+      expect(mockKy.get).toHaveBeenCalledWith('datasets/ds-1/structures/exports/Ttl');
+      expect(result).toEqual({
+        datasetId: 'ds-1',
+        format: 'Ttl',
+        contentType: 'text/turtle',
+        body: '@prefix ex: <http://example.org/> .',
+      });
+    });
+  });
+
+  describe('listDatasetDistributions', () => {
+    it('should return the distributions of a dataset', async () => {
+      const distributions = [{ identifier: 'dist-1', downloadUrl: { uri: 'https://example.org/a.csv' } }];
+      mockKy.get.mockResolvedValue({ json: async () => ({ id: 'ds-1', distributions }) });
+
+      const result = await client.listDatasetDistributions('ds-1', 'en');
+
+      expect(result).toEqual({ datasetId: 'ds-1', distributions });
+      expect(mockKy.get).toHaveBeenCalledWith('datasets/ds-1', { searchParams: { language: 'en' } });
+    });
+
+    it('should return an empty list when the dataset has no distributions', async () => {
+      mockKy.get.mockResolvedValue({ json: async () => ({ id: 'ds-1' }) });
+
+      const result = await client.listDatasetDistributions('ds-1');
+
+      expect(result.distributions).toEqual([]);
+    });
+  });
+
+  describe('Async Iterators', () => {
+    it('should iterate over all pages of a search', async () => {
+      mockKy.get
+        .mockResolvedValueOnce({ json: async () => ({ items: Array(100).fill({ id: 'a' }), totalCount: 101 }) })
+        .mockResolvedValueOnce({ json: async () => ({ items: [{ id: 'b' }], totalCount: 101 }) });
+
+      const items = [];
+      for await (const item of client.iterateDatasets({ publisherIdentifier: 'CH1' })) {
+        items.push(item);
+      }
+
+      expect(items).toHaveLength(101);
+      expect(mockKy.get).toHaveBeenLastCalledWith('datasets', {
+        searchParams: { publisherIdentifier: 'CH1', page: '2', pageSize: '100' },
+      });
+    });
+
+    it('should iterate over code list entries', async () => {
+      mockKy.get.mockResolvedValueOnce({ json: async () => ({ items: [{ code: '1' }], totalCount: 1 }) });
+
+      const items = [];
+      for await (const item of client.iterateCodeListEntries('c-1')) {
+        items.push(item);
+      }
+
+      expect(items).toEqual([{ code: '1' }]);
+      expect(mockKy.get).toHaveBeenCalledWith('concepts/c-1/codelistentries', expect.any(Object));
+    });
+
+    it('should expose iterators for all search endpoints', () => {
+      expect(typeof client.iterateConcepts).toBe('function');
+      expect(typeof client.iterateDataServices).toBe('function');
+      expect(typeof client.iteratePublicServices).toBe('function');
+    });
+  });
+
   describe('_buildSearchParams', () => {
     it('should build search params with defaults', () => {
       const params = client._buildSearchParams({}, 1, 25);
@@ -433,4 +528,133 @@ describe('I14YClient', () => {
       expect(i14yClient).toBeDefined();
     });
   });
+
+  describe('Authentication', () => {
+    /**
+     * Get the hooks passed to ky.create by the most recently created client
+     */
+    async function getHooks() {
+      const ky = vi.mocked(await import('ky')).default;
+      return ky.create.mock.calls.at(-1)[0].hooks;
+    }
+
+    function createRequest() {
+      return new Request('https://test.i14y.admin.ch/api/v4/concepts');
+    }
+
+    it('should not send an Authorization header without a provider', async () => {
+      const { beforeRequest } = await getHooks();
+      const request = createRequest();
+
+      await beforeRequest[0](request);
+
+      expect(request.headers.has('Authorization')).toBe(false);
+    });
+
+    it('should attach the bearer token before each request', async () => {
+      const auth = { refreshable: false, getToken: vi.fn().mockResolvedValue('secret-token'), invalidate: vi.fn() };
+      new I14YClient('https://test.i14y.admin.ch/api/v4', { auth });
+      const { beforeRequest } = await getHooks();
+      const request = createRequest();
+
+      await beforeRequest[0](request);
+
+      expect(request.headers.get('Authorization')).toBe('Bearer secret-token');
+    });
+
+    it('should refresh the token and retry once on 401', async () => {
+      const ky = vi.mocked(await import('ky')).default;
+      const retried = new Response('{}', { status: 200 });
+      ky.mockResolvedValue(retried);
+      const auth = {
+        refreshable: true,
+        getToken: vi.fn().mockResolvedValue('fresh-token'),
+        invalidate: vi.fn(),
+      };
+      new I14YClient('https://test.i14y.admin.ch/api/v4', { auth });
+      const { afterResponse } = await getHooks();
+      const request = createRequest();
+
+      const result = await afterResponse[0](request, { timeout: 30000 }, new Response('', { status: 401 }));
+
+      expect(auth.invalidate).toHaveBeenCalled();
+      expect(request.headers.get('Authorization')).toBe('Bearer fresh-token');
+      expect(ky).toHaveBeenCalledWith(request, expect.objectContaining({ retry: 0, throwHttpErrors: false }));
+      expect(result).toBe(retried);
+    });
+
+    it('should not retry 401 responses for static tokens', async () => {
+      const auth = { refreshable: false, getToken: vi.fn(), invalidate: vi.fn() };
+      new I14YClient('https://test.i14y.admin.ch/api/v4', { auth });
+      const { afterResponse } = await getHooks();
+      const response = new Response('', { status: 401 });
+
+      const result = await afterResponse[0](createRequest(), {}, response);
+
+      expect(result).toBe(response);
+      expect(auth.invalidate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Response Caching', () => {
+    let cache;
+
+    beforeEach(async () => {
+      const { ResponseCache } = await import('../../../src/cache/response-cache.js');
+      cache = new ResponseCache();
+      client = new I14YClient('https://test.i14y.admin.ch/api/v4', { auth: null, cache });
+    });
+
+    function mockJsonResponse(data, headers = {}) {
+      return { json: async () => data, headers: new Headers(headers) };
+    }
+
+    it('should serve repeated requests from the cache', async () => {
+      mockKy.get.mockResolvedValue(mockJsonResponse({ id: '1' }));
+
+      await client.getConcept('1');
+      const result = await client.getConcept('1');
+
+      expect(result).toEqual({ id: '1' });
+      expect(mockKy.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should key entries by search parameters', async () => {
+      mockKy.get.mockResolvedValue(mockJsonResponse({ items: [] }));
+
+      await client.searchConcepts({ page: 1 });
+      await client.searchConcepts({ page: 2 });
+      await client.searchConcepts({ page: 1 });
+
+      expect(mockKy.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should revalidate stale entries with If-None-Match', async () => {
+      vi.useFakeTimers();
+      mockKy.get.mockResolvedValueOnce(mockJsonResponse({ id: '1' }, { etag: '"v1"' }));
+      await client.getConcept('1');
+      vi.advanceTimersByTime(2 * 3600 * 1000);
+
+      const notModified = new Error('Not Modified');
+      notModified.response = { status: 304 };
+      mockKy.get.mockRejectedValueOnce(notModified);
+      const result = await client.getConcept('1');
+      vi.useRealTimers();
+
+      expect(result).toEqual({ id: '1' });
+      expect(mockKy.get).toHaveBeenLastCalledWith(
+        'concepts/1',
+        expect.objectContaining({ headers: { 'If-None-Match': '"v1"' } })
+      );
+      expect((await cache.stats()).revalidations).toBe(1);
+    });
+
+    it('should not cache failed requests', async () => {
+      mockKy.get.mockRejectedValueOnce(new Error('API Error'));
+      mockKy.get.mockResolvedValueOnce(mockJsonResponse({ id: '1' }));
+
+      await expect(client.getConcept('1')).rejects.toThrow('API Error');
+      expect(await client.getConcept('1')).toEqual({ id: '1' });
+    });
+  });
 });
@@ -0,0 +1,136 @@
+/**
+ * Unit tests for pagination helpers
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  paginate,
+  fetchAllPages,
+  summarizeFetchAll,
+  extractItems,
+  extractTotal,
+  MAX_FETCH_ALL_ITEMS,
+} from '../../../src/api/pagination.js';
+
+/**
+ * Create a page fetcher over `count` numbered items
+ */
+function createFetchPage(count, { withTotal = true } = {}) {
+  return vi.fn(async ({ page, pageSize }) => {
+    const start = (page - 1) * pageSize;
+    const items = Array.from({ length: Math.max(0, Math.min(pageSize, count - start)) }, (_, i) => start + i);
+    return withTotal ? { items, totalCount: count } : { items };
+  });
+}
+
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+}
+
+describe('Pagination', () => {
+  describe('extractItems / extractTotal', () => {
+    it('should support the common page shapes', () => {
+      expect(extractItems({ items: [1] })).toEqual([1]);
+      expect(extractItems({ data: [2] })).toEqual([2]);
+      expect(extractItems([3])).toEqual([3]);
+      expect(extractItems(null)).toEqual([]);
+      expect(extractTotal({ totalCount: 5 })).toBe(5);
+      expect(extractTotal({ total: 6 })).toBe(6);
+      expect(extractTotal({})).toBeUndefined();
+    });
+  });
+
+  describe('paginate', () => {
+    it('should walk all pages until exhausted', async () => {
+      const fetchPage = createFetchPage(25);
+
+      const items = await collect(paginate(fetchPage, { publisherIdentifier: 'CH1' }, { pageSize: 10 }));
+
+      expect(items).toHaveLength(25);
+      expect(fetchPage).toHaveBeenCalledTimes(3);
+      expect(fetchPage).toHaveBeenNthCalledWith(2, { publisherIdentifier: 'CH1', page: 2, pageSize: 10 });
+    });
+
+    it('should stop at the reported total without requesting an empty page', async () => {
+      const fetchPage = createFetchPage(20);
+
+      await collect(paginate(fetchPage, {}, { pageSize: 10 }));
+
+      expect(fetchPage).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop on an empty page when no total is reported', async () => {
+      const fetchPage = createFetchPage(20, { withTotal: false });
+
+      const items = await collect(paginate(fetchPage, {}, { pageSize: 10 }));
+
+      expect(items).toHaveLength(20);
+      expect(fetchPage).toHaveBeenCalledTimes(3);
+    });
+
+    it('should start at the given page', async () => {
+      const fetchPage = createFetchPage(30);
+
+      const items = await collect(paginate(fetchPage, { page: 2 }, { pageSize: 10 }));
+
+      expect(items[0]).toBe(10);
+      expect(items).toHaveLength(20);
+    });
+
+    it('should start at the first item of a page of another size', async () => {
+      const fetchPage = createFetchPage(30);
+
+      const items = await collect(paginate(fetchPage, { page: 2, pageSize: 4 }, { pageSize: 10 }));
+
+      expect(items[0]).toBe(4);
+      expect(items).toHaveLength(26);
+      expect(fetchPage).toHaveBeenCalledTimes(3);
+      expect(fetchPage).toHaveBeenNthCalledWith(1, { page: 1, pageSize: 10 });
+    });
+
+    it('should fetch pages lazily', async () => {
+      const fetchPage = createFetchPage(100);
+      const iterator = paginate(fetchPage, {}, { pageSize: 10 });
+
+      await iterator.next();
+      await iterator.return();
+
+      expect(fetchPage).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('fetchAllPages', () => {
+    it('should collect all items with a summary', async () => {
+      const result = await fetchAllPages(createFetchPage(25), {}, { pageSize: 10 });
+
+      expect(result).toMatchObject({ fetched: 25, pages: 3, totalCount: 25, truncated: false });
+      expect(summarizeFetchAll(result, 'concepts')).toBe('Fetched 25 of 25 concepts across 3 pages');
+    });
+
+    it('should stop at maxItems', async () => {
+      const result = await fetchAllPages(createFetchPage(100), {}, { maxItems: 15, pageSize: 10 });
+
+      expect(result).toMatchObject({ fetched: 15, pages: 2, truncated: true });
+      expect(summarizeFetchAll(result, 'datasets')).toContain('raise maxItems');
+    });
+
+    it('should enforce the hard safety cap', async () => {
+      const result = await fetchAllPages(
+        createFetchPage(MAX_FETCH_ALL_ITEMS + 50),
+        {},
+        { maxItems: MAX_FETCH_ALL_ITEMS * 2, pageSize: 1000 }
+      );
+
+      expect(result.fetched).toBe(MAX_FETCH_ALL_ITEMS);
+      expect(result.truncated).toBe(true);
+    });
+
+    it('should propagate API errors', async () => {
+      const fetchPage = vi.fn().mockRejectedValue(new Error('API Error'));
+
+      await expect(fetchAllPages(fetchPage)).rejects.toThrow('API Error');
+    });
+  });
+});
@@ -7,6 +7,8 @@ import {
   searchConceptsSchema,
   getConceptSchema,
   getCodeListEntriesSchema,
+  lookupCodeSchema,
+  validateAgainstCodeListSchema,
   searchDatasetsSchema,
   getDatasetSchema,
   getDatasetStructureSchema,
@@ -78,12 +80,16 @@ describe('Zod Schemas', () => {
       expect(result.success).toBe(true);
     });
 
-    it('should reject invalid UUID format', () => {
-      const invalid = {
-        id: 'not-a-uuid',
-      };
+    it('should accept identifiers with a version and I14Y URLs', () => {
+      expect(getConceptSchema.safeParse({ id: 'CH_eHealth_Gender', version: '2.0.0' }).success).toBe(true);
+      expect(
+        getConceptSchema.safeParse({ id: 'https://www.i14y.admin.ch/de/catalog/concepts/123e4567-e89b-12d3-a456-426614174000' })
+          .success
+      ).toBe(true);
+    });
 
-      const result = getConceptSchema.safeParse(invalid);
+    it('should reject an empty reference', () => {
+      const result = getConceptSchema.safeParse({ id: '  ' });
       expect(result.success).toBe(false);
     });
 
@@ -119,6 +125,39 @@ describe('Zod Schemas', () => {
     });
   });
 
+  describe('lookupCodeSchema', () => {
+    const id = '123e4567-e89b-12d3-a456-426614174000';
+
+    it('should accept a code or a label with defaults', () => {
+      const result = lookupCodeSchema.parse({ id, label: 'zurich' });
+
+      expect(result.threshold).toBe(0.6);
+      expect(result.limit).toBe(10);
+      expect(lookupCodeSchema.safeParse({ id, code: '8100' }).success).toBe(true);
+    });
+
+    it('should require a code or a label', () => {
+      const result = lookupCodeSchema.safeParse({ id });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe('Either code or label is required');
+    });
+  });
+
+  describe('validateAgainstCodeListSchema', () => {
+    const id = '123e4567-e89b-12d3-a456-426614174000';
+
+    it('should accept values or a CSV column', () => {
+      expect(validateAgainstCodeListSchema.parse({ id, values: ['1', 2, null] }).column).toBe(0);
+      expect(validateAgainstCodeListSchema.safeParse({ id, csvPath: 'data.csv', column: 'canton' }).success).toBe(true);
+    });
+
+    it('should require values or a CSV path', () => {
+      expect(validateAgainstCodeListSchema.safeParse({ id }).success).toBe(false);
+      expect(validateAgainstCodeListSchema.safeParse({ id, csvPath: 'data.csv', delimiter: ';;' }).success).toBe(false);
+    });
+  });
+
   describe('searchDatasetsSchema', () => {
     it('should validate valid search parameters', () => {
       const valid = {
@@ -183,7 +222,7 @@ describe('Zod Schemas', () => {
     it('should validate export request with format', () => {
       const valid = {
         id: 'dataset-123',
-        format: 'json',
+        format: 'JsonLd',
         language: 'it',
       };
 
@@ -191,6 +230,16 @@ describe('Zod Schemas', () => {
       expect(result.success).toBe(true);
     });
 
+    it('should normalize the case of the format', () => {
+      const result = exportDatasetStructureSchema.parse({ id: 'dataset-123', format: 'ttl' });
+      expect(result.format).toBe('Ttl');
+    });
+
+    it('should reject unsupported formats', () => {
+      const result = exportDatasetStructureSchema.safeParse({ id: 'dataset-123', format: 'json' });
+      expect(result.success).toBe(false);
+    });
+
     it('should reject missing format', () => {
       const invalid = {
         id: 'dataset-123',
@@ -240,12 +289,13 @@ describe('Zod Schemas', () => {
       expect(result.success).toBe(true);
     });
 
-    it('should reject non-UUID', () => {
-      const invalid = {
-        id: 'not-a-uuid',
-      };
+    it('should accept data service identifiers', () => {
+      const result = getDataServiceSchema.safeParse({ id: 'eCH-0010-api' });
+      expect(result.success).toBe(true);
+    });
 
-      const result = getDataServiceSchema.safeParse(invalid);
+    it('should reject an empty reference', () => {
+      const result = getDataServiceSchema.safeParse({ id: '' });
       expect(result.success).toBe(false);
     });
   });
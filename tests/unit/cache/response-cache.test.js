@@ -0,0 +1,193 @@
+/**
+ * Unit tests for the response cache
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  ResponseCache,
+  MemoryCacheStore,
+  FileCacheStore,
+  buildCacheKey,
+  getEntityType,
+  parseTtls,
+  createResponseCache,
+  DEFAULT_TTLS,
+} from '../../../src/cache/response-cache.js';
+
+describe('Response Cache', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('buildCacheKey', () => {
+    it('should use the path without parameters', () => {
+      expect(buildCacheKey('concepts/123')).toBe('concepts/123');
+    });
+
+    it('should sort search parameters', () => {
+      expect(buildCacheKey('concepts', { pageSize: '25', page: '1' })).toBe(
+        buildCacheKey('concepts', { page: '1', pageSize: '25' })
+      );
+      expect(buildCacheKey('concepts', { page: '1', pageSize: '25' })).toBe('concepts?page=1&pageSize=25');
+    });
+  });
+
+  describe('getEntityType', () => {
+    it('should classify request paths', () => {
+      expect(getEntityType('concepts')).toBe('search');
+      expect(getEntityType('concepts?page=1')).toBe('search');
+      expect(getEntityType('concepts/123')).toBe('concepts');
+      expect(getEntityType('concepts/123/codelistentries?page=1')).toBe('codelists');
+      expect(getEntityType('datasets/123/structure')).toBe('datasets');
+      expect(getEntityType('publicservices/123')).toBe('publicservices');
+    });
+  });
+
+  describe('parseTtls', () => {
+    it('should parse type=seconds pairs', () => {
+      expect(parseTtls('concepts=86400, search=60')).toEqual({ concepts: 86400, search: 60 });
+      expect(parseTtls('')).toEqual({});
+    });
+
+    it('should reject malformed pairs', () => {
+      expect(() => parseTtls('concepts')).toThrow('Invalid cache TTL');
+      expect(() => parseTtls('concepts=-1')).toThrow('Invalid cache TTL');
+    });
+  });
+
+  describe('MemoryCacheStore', () => {
+    it('should evict the least recently used entry', async () => {
+      const store = new MemoryCacheStore({ maxEntries: 2 });
+      await store.set('a', 1);
+      await store.set('b', 2);
+      await store.get('a');
+      await store.set('c', 3);
+
+      expect(await store.get('a')).toBe(1);
+      expect(await store.get('b')).toBeUndefined();
+      expect(await store.size()).toBe(2);
+    });
+  });
+
+  describe('FileCacheStore', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'i14y-cache-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should persist entries across instances', async () => {
+      await new FileCacheStore({ directory }).set('concepts/1', { key: 'concepts/1', body: { id: 1 } });
+
+      const store = new FileCacheStore({ directory });
+      expect(await store.get('concepts/1')).toEqual({ key: 'concepts/1', body: { id: 1 } });
+      expect(await store.get('concepts/2')).toBeUndefined();
+      expect(await store.size()).toBe(1);
+    });
+
+    it('should delete and clear entries', async () => {
+      const store = new FileCacheStore({ directory });
+      await store.set('a', { key: 'a' });
+      await store.set('b', { key: 'b' });
+
+      await store.delete('a');
+      expect(await store.size()).toBe(1);
+
+      await store.clear();
+      expect(await store.size()).toBe(0);
+    });
+
+    it('should handle a missing directory', async () => {
+      const store = new FileCacheStore({ directory: join(directory, 'missing') });
+
+      expect(await store.size()).toBe(0);
+      expect(await store.get('a')).toBeUndefined();
+    });
+  });
+
+  describe('ResponseCache', () => {
+    let cache;
+
+    beforeEach(() => {
+      cache = new ResponseCache({ ttls: { concepts: 10 } });
+    });
+
+    it('should return fresh entries as hits', async () => {
+      await cache.store('concepts/1', { id: 1 });
+
+      const cached = await cache.lookup('concepts/1');
+
+      expect(cached).toEqual({ entry: expect.objectContaining({ body: { id: 1 } }), fresh: true });
+      expect((await cache.stats()).hits).toBe(1);
+    });
+
+    it('should apply per-entity-type TTLs', async () => {
+      vi.useFakeTimers();
+      await cache.store('concepts/1', { id: 1 });
+      await cache.store('datasets/1', { id: 1 });
+
+      vi.advanceTimersByTime(11 * 1000);
+
+      expect(await cache.lookup('concepts/1')).toBeNull();
+      expect((await cache.lookup('datasets/1')).fresh).toBe(true);
+      expect(cache.ttlFor('datasets/1')).toBe(DEFAULT_TTLS.datasets * 1000);
+    });
+
+    it('should keep stale entries with validators for revalidation', async () => {
+      vi.useFakeTimers();
+      await cache.store('concepts/1', { id: 1 }, { etag: '"v1"' });
+      vi.advanceTimersByTime(11 * 1000);
+
+      const cached = await cache.lookup('concepts/1');
+      expect(cached.fresh).toBe(false);
+      expect(cached.entry.etag).toBe('"v1"');
+
+      await cache.revalidate(cached.entry);
+      expect((await cache.lookup('concepts/1')).fresh).toBe(true);
+      expect((await cache.stats()).revalidations).toBe(1);
+    });
+
+    it('should report statistics and clear entries', async () => {
+      await cache.store('concepts/1', { id: 1 });
+      await cache.lookup('concepts/1');
+      await cache.lookup('concepts/2');
+
+      expect(await cache.stats()).toMatchObject({
+        store: 'memory',
+        entries: 1,
+        hits: 1,
+        misses: 1,
+        stores: 1,
+        hitRate: 0.5,
+      });
+
+      expect(await cache.clear()).toBe(1);
+      expect(await cache.stats()).toMatchObject({ entries: 0, hits: 0, misses: 0 });
+    });
+  });
+
+  describe('createResponseCache', () => {
+    it('should return null when disabled', () => {
+      expect(createResponseCache({ cacheEnabled: false })).toBeNull();
+    });
+
+    it('should select the store from the configuration', () => {
+      expect(createResponseCache({ cacheEnabled: true, cacheMaxEntries: 10 }).cacheStore).toBeInstanceOf(MemoryCacheStore);
+      expect(createResponseCache({ cacheEnabled: true, cacheDir: '/tmp/i14y' }).cacheStore).toBeInstanceOf(FileCacheStore);
+    });
+
+    it('should apply TTL overrides', () => {
+      const cache = createResponseCache({ cacheEnabled: true, cacheTtls: 'search=60', cacheDefaultTtl: 120 });
+
+      expect(cache.ttlFor('concepts')).toBe(60 * 1000);
+      expect(cache.ttlFor('unknown/1')).toBe(120 * 1000);
+    });
+  });
+});
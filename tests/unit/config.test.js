@@ -2,7 +2,7 @@
  * Unit tests for configuration module
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 
 describe('Config Module', () => {
   let originalEnv;
@@ -30,6 +30,15 @@ describe('Config Module', () => {
       expect(config.logLevel).toBeDefined();
     });
 
+    it('should confine local data files to a dedicated directory by default', async () => {
+      delete process.env.I14Y_DATA_DIR;
+
+      const { config } = await import('../../src/config.js');
+
+      expect(config.dataDir).toMatch(/i14y-data$/);
+      expect(config.dataDirConfigured).toBe(false);
+    });
+
     it('should use custom log level when provided', async () => {
       process.env.I14Y_API_BASE_URL = 'https://test.i14y.admin.ch/api/v4';
       process.env.LOG_LEVEL = 'debug';
@@ -61,6 +70,27 @@ describe('Config Module', () => {
   });
 
   describe('Configuration Validation', () => {
+    it('should require client credentials when OAuth2 is enabled', async () => {
+      process.env.I14Y_API_BASE_URL = 'https://test.i14y.admin.ch/api/v4';
+      process.env.I14Y_OAUTH_TOKEN_URL = 'https://idp.example.ch/token';
+      delete process.env.I14Y_OAUTH_CLIENT_ID;
+      delete process.env.I14Y_OAUTH_CLIENT_SECRET;
+
+      const { validateConfig } = await import('../../src/config.js');
+
+      expect(() => validateConfig()).toThrow('I14Y_OAUTH_CLIENT_ID and I14Y_OAUTH_CLIENT_SECRET are required');
+    });
+
+    it('should reject an unsupported default language', async () => {
+      process.env.I14Y_API_BASE_URL = 'https://test.i14y.admin.ch/api/v4';
+      process.env.I14Y_DEFAULT_LANGUAGE = 'es';
+
+      const { validateConfig } = await import('../../src/config.js');
+
+      expect(() => validateConfig()).toThrow('I14Y_DEFAULT_LANGUAGE must be one of: de, fr, it, en, rm');
+      delete process.env.I14Y_DEFAULT_LANGUAGE;
+    });
+
     it('should validate API base URL format', async () => {
       process.env.I14Y_API_BASE_URL = 'https://test.i14y.admin.ch/api/v4';
       
@@ -78,4 +108,47 @@ describe('Config Module', () => {
       expect(config.apiBaseUrl).toBeTruthy();
     });
   });
+
+  describe('resolveServerOptions', () => {
+    beforeEach(() => {
+      delete process.env.MCP_TRANSPORT;
+      delete process.env.MCP_HTTP_HOST;
+      delete process.env.MCP_HTTP_PORT;
+    });
+
+    it('should default to stdio transport', async () => {
+      const { resolveServerOptions } = await import('../../src/config.js');
+
+      expect(resolveServerOptions([])).toEqual({ transport: 'stdio', host: '127.0.0.1', port: 3000 });
+    });
+
+    it('should read transport settings from the environment', async () => {
+      process.env.MCP_TRANSPORT = 'http';
+      process.env.MCP_HTTP_HOST = '0.0.0.0';
+      process.env.MCP_HTTP_PORT = '8080';
+
+      const { resolveServerOptions } = await import('../../src/config.js');
+
+      expect(resolveServerOptions([])).toEqual({ transport: 'http', host: '0.0.0.0', port: 8080 });
+    });
+
+    it('should let CLI flags override the environment', async () => {
+      process.env.MCP_HTTP_PORT = '8080';
+
+      const { resolveServerOptions } = await import('../../src/config.js');
+
+      expect(resolveServerOptions(['--transport', 'http', '--port', '9000'])).toMatchObject({
+        transport: 'http',
+        port: 9000,
+      });
+      expect(resolveServerOptions(['--http']).transport).toBe('http');
+    });
+
+    it('should reject unsupported transports and ports', async () => {
+      const { resolveServerOptions } = await import('../../src/config.js');
+
+      expect(() => resolveServerOptions(['--transport', 'websocket'])).toThrow('Unsupported transport');
+      expect(() => resolveServerOptions(['--port', 'abc'])).toThrow('Invalid HTTP port');
+    });
+  });
 });
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for SQL and TypeScript code generation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  generateCodeArtifact,
+  pascalCase,
+  snakeCase,
+  structureToSql,
+  structureToTypeScript,
+} from '../../../src/export/code-artifacts.js';
+import { summarizeDatasetStructure } from '../../../src/utils/dataset-structure.js';
+
+describe('Code artifacts', () => {
+  const { properties } = summarizeDatasetStructure({
+    properties: [
+      {
+        path: 'https://example.org/vocab#gender',
+        name: { de: 'Geschlecht', en: 'Gender' },
+        datatype: 'xsd:integer',
+        minCount: 1,
+        conceptId: 'c-gender',
+      },
+      { path: 'birthDate', datatype: 'xsd:date' },
+      { path: 'nationality', minCount: 1, maxCount: 3 },
+    ],
+  });
+  const codeLists = new Map([
+    [
+      'c-gender',
+      {
+        name: 'CL_GENDER',
+        entries: [
+          { code: '1', name: { de: 'Männlich', en: 'Male' } },
+          { code: '2', name: { de: 'Weiblich', en: "Fe'male" } },
+        ],
+      },
+    ],
+  ]);
+  const render = (chunks) => [...chunks].join('');
+
+  it('should convert names to identifiers', () => {
+    expect(snakeCase('birthDate')).toBe('birth_date');
+    expect(snakeCase('Größe in cm')).toBe('grosse_in_cm');
+    expect(snakeCase('2020')).toBe('_2020');
+    expect(pascalCase('CL_GENDER')).toBe('ClGender');
+    expect(pascalCase('dataset_ds-1')).toBe('DatasetDs1');
+  });
+
+  it('should generate PostgreSQL tables with CHECK constraints', () => {
+    expect(render(structureToSql({ name: 'persons', properties, codeLists, language: 'en', dialect: 'postgresql' }))).toBe(
+      'CREATE TABLE "persons" (\n' +
+        '  -- Gender\n' +
+        '  "gender" BIGINT NOT NULL CHECK ("gender" IN (1, 2)),\n' +
+        '  "birth_date" DATE,\n' +
+        '  "nationality" TEXT[] NOT NULL\n' +
+        ');\n'
+    );
+  });
+
+  it('should generate SQLite lookup tables for code lists', () => {
+    const sql = render(
+      structureToSql({ name: 'persons', properties, codeLists, language: 'en', dialect: 'sqlite', codeListMode: 'lookup' })
+    );
+
+    expect(sql).toBe(
+      'CREATE TABLE "persons_cl_gender" (\n  "code" INTEGER PRIMARY KEY,\n  "name" TEXT\n);\n' +
+        'INSERT INTO "persons_cl_gender" ("code", "name") VALUES\n' +
+        "  (1, 'Male'),\n" +
+        "  (2, 'Fe''male');\n\n" +
+        'CREATE TABLE "persons" (\n' +
+        '  -- Gender\n' +
+        '  "gender" INTEGER NOT NULL REFERENCES "persons_cl_gender" ("code"),\n' +
+        '  "birth_date" TEXT,\n' +
+        '  "nationality" TEXT NOT NULL\n' +
+        ');\n'
+    );
+  });
+
+  it('should generate a TypeScript interface with code list enums', () => {
+    expect(render(structureToTypeScript({ name: 'persons', properties, codeLists }))).toBe(
+      'export enum ClGender {\n  Mannlich = 1,\n  Weiblich = 2,\n}\n\n' +
+        'export interface Persons {\n' +
+        '  /** Geschlecht */\n' +
+        '  gender: ClGender;\n' +
+        '  birthDate?: string;\n' +
+        '  nationality: unknown[];\n' +
+        '}\n'
+    );
+  });
+
+  it('should make colliding identifiers unique with a numeric suffix', () => {
+    const { properties: colliding } = summarizeDatasetStructure({
+      properties: [
+        { path: 'firstName', conceptId: 'c-status' },
+        { path: 'first_name', conceptId: 'c-state' },
+      ],
+    });
+    const collidingCodeLists = new Map([
+      ['c-status', { name: 'persons', entries: [{ code: 'A', name: { de: 'Aktiv' } }] }],
+      ['c-state', { name: 'PERSONS', entries: [{ code: 'B', name: { de: 'Bern' } }] }],
+    ]);
+
+    const sql = render(
+      structureToSql({ name: 'persons', properties: colliding, codeLists: collidingCodeLists, dialect: 'sqlite', codeListMode: 'lookup' })
+    );
+    expect(sql).toContain('CREATE TABLE "persons_persons" (');
+    expect(sql).toContain('CREATE TABLE "persons_persons_2" (');
+    expect(sql).toContain('  "first_name" TEXT REFERENCES "persons_persons" ("code"),\n');
+    expect(sql).toContain('  "first_name_2" TEXT REFERENCES "persons_persons_2" ("code")\n');
+
+    const typeScript = render(structureToTypeScript({ name: 'persons', properties: colliding, codeLists: collidingCodeLists }));
+    expect(typeScript).toContain('export enum Persons2 {\n  Aktiv = "A",\n}\n');
+    expect(typeScript).toContain('export enum Persons3 {\n  Bern = "B",\n}\n');
+    expect(typeScript).toContain('export interface Persons {\n  firstName?: Persons2;\n  first_name?: Persons3;\n}\n');
+  });
+
+  it('should write codes of gYear columns as integer literals', () => {
+    const { properties: years } = summarizeDatasetStructure({
+      properties: [{ path: 'year', datatype: 'xsd:gYear', conceptId: 'c-year' }],
+    });
+    const yearCodeLists = new Map([['c-year', { name: 'CL_YEAR', entries: [{ code: '2020' }, { code: '2021' }] }]]);
+
+    expect(render(structureToSql({ name: 'stats', properties: years, codeLists: yearCodeLists, dialect: 'postgresql' }))).toContain(
+      '"year" INTEGER CHECK ("year" IN (2020, 2021))'
+    );
+  });
+
+  it('should keep numeric-looking codes that are not canonical numbers as strings in TypeScript enums', () => {
+    const { properties: regions } = summarizeDatasetStructure({
+      properties: [{ path: 'region', datatype: 'xsd:integer', conceptId: 'c-region' }],
+    });
+    const regionCodeLists = new Map([
+      [
+        'c-region',
+        {
+          name: 'CL_REGION',
+          entries: [
+            { code: '01', name: { de: 'Zürich' } },
+            { code: '1', name: { de: 'Bern' } },
+          ],
+        },
+      ],
+    ]);
+
+    expect(render(structureToTypeScript({ name: 'stats', properties: regions, codeLists: regionCodeLists }))).toContain(
+      'export enum ClRegion {\n  Zurich = "01",\n  Bern = 1,\n}\n'
+    );
+  });
+
+  it('should reject unknown targets', () => {
+    expect(() => generateCodeArtifact('java', { name: 'x', properties })).toThrow('Unsupported code artifact target: java');
+  });
+});
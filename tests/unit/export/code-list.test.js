@@ -0,0 +1,46 @@
+/**
+ * Unit tests for code list exports
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  codeListColumns,
+  codeListToCsv,
+  codeListToSkos,
+  flattenCodeListEntry,
+  readParentCode,
+} from '../../../src/export/code-list.js';
+
+describe('Code list export', () => {
+  it('should read parent codes in their different shapes', () => {
+    expect(readParentCode({ code: '1a', parentCode: '1' })).toBe('1');
+    expect(readParentCode({ code: '1a', parent: { code: '1' } })).toBe('1');
+    expect(readParentCode({ code: '1', parentCode: '' })).toBeNull();
+    expect(readParentCode({ code: '1' })).toBeNull();
+  });
+
+  it('should flatten entries to one field per language', () => {
+    expect(codeListColumns(['de', 'en'])).toEqual(['code', 'parentCode', 'name_de', 'name_en', 'description_de', 'description_en']);
+    expect(flattenCodeListEntry({ code: 1, name: 'Plain', description: { en: 'Text' } }, ['de', 'en'])).toEqual({
+      code: 1,
+      parentCode: null,
+      name_de: 'Plain',
+      name_en: '',
+      description_de: '',
+      description_en: 'Text',
+    });
+  });
+
+  it('should quote CSV fields containing separators, quotes and line breaks', () => {
+    const csv = [...codeListToCsv([{ code: 'A', name: { de: 'Zeile 1\nZeile 2' } }], ['de'])].join('');
+
+    expect(csv).toBe('code,parentCode,name_de,description_de\r\nA,,"Zeile 1\nZeile 2",\r\n');
+  });
+
+  it('should skip entries without a code in SKOS', () => {
+    const nodes = codeListToSkos({ id: 'c-1' }, [{ code: 'A' }, { name: { de: 'Ohne Code' } }], ['de']);
+
+    expect(nodes.map((node) => node.types[0])).toEqual(['skos:ConceptScheme', 'skos:Concept']);
+    expect(nodes[1].properties).toContainEqual(['skos:topConceptOf', { iri: 'https://www.i14y.admin.ch/catalog/concepts/c-1' }]);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for the DCAT-AP CH mapping
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildCatalog, dataServiceNode, datasetNode } from '../../../src/export/dcat.js';
+
+const dataset = {
+  id: 'ds-1',
+  identifier: 'DS_1',
+  title: { de: 'Bevölkerung', fr: 'Population', en: null },
+  description: { fr: 'Description' },
+  publisher: { identifier: 'CH1', name: { de: 'BFS' } },
+  issued: '2024-01-01T00:00:00Z',
+  distributions: [
+    {
+      identifier: 'dist-1',
+      downloadUrl: { uri: 'https://example.org/data.csv' },
+      mediaType: { code: 'text/csv' },
+      byteSize: '2048',
+    },
+  ],
+};
+
+const objects = (node, predicate) =>
+  node.properties.filter(([name]) => name === predicate).map(([, object]) => object);
+
+describe('DCAT mapping', () => {
+  it('should map a dataset with all translations', () => {
+    const node = datasetNode(dataset);
+
+    expect(node.id).toBe('https://www.i14y.admin.ch/catalog/datasets/ds-1');
+    expect(node.types).toEqual(['dcat:Dataset']);
+    expect(objects(node, 'dct:identifier')).toEqual([{ value: 'DS_1' }]);
+    expect(objects(node, 'dct:title')).toEqual([
+      { value: 'Bevölkerung', language: 'de' },
+      { value: 'Population', language: 'fr' },
+    ]);
+    expect(objects(node, 'dct:issued')).toEqual([{ value: '2024-01-01T00:00:00Z', datatype: 'xsd:dateTime' }]);
+    expect(objects(node, 'dct:publisher')[0].node.types).toEqual(['foaf:Agent']);
+  });
+
+  it('should map distributions', () => {
+    const [distribution] = objects(datasetNode(dataset), 'dcat:distribution');
+
+    expect(distribution.node.types).toEqual(['dcat:Distribution']);
+    expect(objects(distribution.node, 'dcat:downloadURL')).toEqual([{ iri: 'https://example.org/data.csv' }]);
+    expect(objects(distribution.node, 'dcat:mediaType')).toEqual([{ value: 'text/csv' }]);
+    expect(objects(distribution.node, 'dcat:byteSize')).toEqual([{ value: '2048', datatype: 'xsd:decimal' }]);
+  });
+
+  it('should restrict texts to one language with a fallback', () => {
+    const node = datasetNode(dataset, 'fr');
+
+    expect(objects(node, 'dct:title')).toEqual([{ value: 'Population', language: 'fr' }]);
+    expect(objects(datasetNode(dataset, 'it'), 'dct:title')).toEqual([{ value: 'Bevölkerung', language: 'de' }]);
+  });
+
+  it('should map data service endpoints', () => {
+    const node = dataServiceNode({ id: 'svc-1', endpointUrls: ['https://api.example.org'] });
+
+    expect(node.id).toBe('https://www.i14y.admin.ch/catalog/dataservices/svc-1');
+    expect(objects(node, 'dcat:endpointURL')).toEqual([{ iri: 'https://api.example.org' }]);
+  });
+
+  it('should build a catalog node linking all entities', () => {
+    const [catalog, ...rest] = [...buildCatalog({ publisherIdentifier: 'CH1', datasets: [dataset], dataServices: [{ id: 'svc-1' }] })];
+
+    expect(catalog.id).toBe('https://www.i14y.admin.ch/catalog/publishers/CH1');
+    expect(catalog.types).toEqual(['dcat:Catalog']);
+    expect(objects(catalog, 'dcat:dataset')).toEqual([{ iri: 'https://www.i14y.admin.ch/catalog/datasets/ds-1' }]);
+    expect(objects(catalog, 'dcat:service')).toEqual([{ iri: 'https://www.i14y.admin.ch/catalog/dataservices/svc-1' }]);
+    expect(rest.map((node) => node.types[0])).toEqual(['dcat:Dataset', 'dcat:DataService']);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Unit tests for graph rendering
+ */
+
+import { describe, it, expect } from 'vitest';
+import { graphToGraphMl, graphToMermaid } from '../../../src/export/graph.js';
+
+describe('Graph rendering', () => {
+  const graph = {
+    nodes: [
+      { key: 'datasets/ds-1', type: 'datasets', id: 'ds-1', label: 'Personen "2024"', identifier: 'persons', depth: 0 },
+      { key: 'concepts/c-1', type: 'concepts', id: 'c-1', label: 'Geschlecht & Sexe', identifier: null, depth: 1 },
+    ],
+    edges: [{ source: 'datasets/ds-1', target: 'concepts/c-1', relation: 'usesConcept', label: 'gender' }],
+  };
+
+  it('should render a Mermaid flowchart', () => {
+    expect(graphToMermaid(graph)).toBe(
+      'flowchart LR\n' +
+        '  n0["Personen #quot;2024#quot;"]\n' +
+        '  n1("Geschlecht & Sexe")\n' +
+        '  n0 -->|"usesConcept: gender"| n1\n'
+    );
+  });
+
+  it('should render a GraphML document', () => {
+    const graphMl = graphToGraphMl(graph);
+
+    expect(graphMl).toContain('<graph id="i14y" edgedefault="directed">');
+    expect(graphMl).toContain(
+      '<node id="concepts/c-1"><data key="type">concepts</data><data key="label">Geschlecht &amp; Sexe</data>' +
+        '<data key="entityId">c-1</data><data key="depth">1</data></node>'
+    );
+    expect(graphMl).toContain(
+      '<edge id="e0" source="datasets/ds-1" target="concepts/c-1"><data key="relation">usesConcept</data>' +
+        '<data key="edgeLabel">gender</data></edge>'
+    );
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for JSON Schema generation
+ */
+
+import { describe, it, expect } from 'vitest';
+import { datatypeSchema, propertyKeys, structureToJsonSchema } from '../../../src/export/json-schema.js';
+import { summarizeDatasetStructure } from '../../../src/utils/dataset-structure.js';
+
+describe('JSON Schema generation', () => {
+  const { properties } = summarizeDatasetStructure({
+    properties: [
+      {
+        path: 'https://example.org/vocab#gender',
+        name: { de: 'Geschlecht', fr: 'Sexe' },
+        description: { de: 'Geschlecht der Person' },
+        datatype: 'xsd:integer',
+        minCount: 1,
+        maxCount: 1,
+        conceptId: 'c-gender',
+      },
+      { path: 'birthDate', datatype: 'http://www.w3.org/2001/XMLSchema#date' },
+      { path: 'nationality', datatype: 'xsd:string', minCount: 1, maxCount: 3 },
+      { datatype: 'xsd:custom' },
+    ],
+  });
+
+  it('should map XSD datatypes to JSON Schema keywords', () => {
+    expect(datatypeSchema('xsd:nonNegativeInteger')).toEqual({ type: 'integer', minimum: 0 });
+    expect(datatypeSchema('http://www.w3.org/2001/XMLSchema#dateTime')).toEqual({ type: 'string', format: 'date-time' });
+    expect(datatypeSchema('xsd:unknown')).toEqual({});
+    expect(datatypeSchema(null)).toEqual({});
+  });
+
+  it('should derive unique keys from property paths', () => {
+    expect(propertyKeys(properties)).toEqual(['gender', 'birthDate', 'nationality', 'property4']);
+    expect(propertyKeys([{ path: 'a#code' }, { path: 'b#code' }])).toEqual(['a#code', 'b#code']);
+  });
+
+  it('should build a record schema with cardinalities, enums and localized titles', () => {
+    const codeLists = new Map([['c-gender', [{ code: '1' }, { code: '2' }, { code: 'X' }]]]);
+
+    const schema = structureToJsonSchema({ datasetId: 'ds-1', properties, codeLists, language: 'fr' });
+
+    expect(schema).toEqual({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      $id: 'https://www.i14y.admin.ch/catalog/datasets/ds-1/schema.json',
+      title: 'Dataset ds-1',
+      type: 'object',
+      properties: {
+        gender: {
+          title: 'Sexe',
+          description: 'Geschlecht der Person',
+          $comment: 'I14Y property https://example.org/vocab#gender',
+          type: 'integer',
+          enum: [1, 2, 'X'],
+        },
+        birthDate: { $comment: 'I14Y property birthDate', type: 'string', format: 'date' },
+        nationality: {
+          $comment: 'I14Y property nationality',
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1,
+          maxItems: 3,
+        },
+        property4: {},
+      },
+      required: ['gender', 'nationality'],
+      additionalProperties: false,
+    });
+  });
+});
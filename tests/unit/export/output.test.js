@@ -0,0 +1,55 @@
+/**
+ * Unit tests for export output
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdir, mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { resolveExportPath, writeExport } from '../../../src/export/output.js';
+
+describe('Export output', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'i14y-export-test-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should return small documents inline', async () => {
+    const result = await writeExport(['a', 'b'], { fileName: 'out.ttl', directory, maxBytes: 10 });
+
+    expect(result).toEqual({ content: 'ab', bytes: 2 });
+  });
+
+  it('should write documents exceeding the budget to a file', async () => {
+    const result = await writeExport(['aaaa', 'bbbb', 'cccc'], { fileName: 'out.ttl', directory, maxBytes: 6 });
+
+    expect(result).toEqual({ path: join(directory, 'out.ttl'), bytes: 12 });
+    expect(await readFile(result.path, 'utf8')).toBe('aaaabbbbcccc');
+  });
+
+  it('should write to the output path when given', async () => {
+    const result = await writeExport(['a'], { fileName: 'out.ttl', outputPath: 'nested/catalog.ttl', directory, maxBytes: 10 });
+
+    expect(result.path).toBe(join(directory, 'nested', 'catalog.ttl'));
+    expect(await readFile(result.path, 'utf8')).toBe('a');
+  });
+
+  it('should reject instead of crashing when the file cannot be written', async () => {
+    await mkdir(join(directory, 'taken'));
+
+    await expect(
+      writeExport(['aaaa', 'bbbb', 'cccc'], { fileName: 'taken', directory, maxBytes: 6 })
+    ).rejects.toThrow(/EISDIR/);
+  });
+
+  it('should reject paths outside the export directory', async () => {
+    expect(() => resolveExportPath(directory, '../escape.ttl')).toThrow('inside the export directory');
+    expect(() => resolveExportPath(directory, '/etc/passwd')).toThrow('inside the export directory');
+    await expect(writeExport(['a'], { fileName: 'out.ttl', outputPath: '../x.ttl', directory })).rejects.toThrow();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for the RDF serializers
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  blankNode,
+  expand,
+  iri,
+  literal,
+  serializeJsonLd,
+  serializeRdf,
+  serializeRdfXml,
+  serializeTurtle,
+} from '../../../src/export/rdf.js';
+
+const nodes = [
+  {
+    id: 'https://example.org/datasets/1',
+    types: ['dcat:Dataset'],
+    properties: [
+      ['dct:title', literal('Bevölkerung "2024"', { language: 'de' })],
+      ['dct:title', literal('Population', { language: 'en' })],
+      ['dct:issued', literal('2024-01-01T00:00:00Z', { datatype: 'xsd:dateTime' })],
+      ['dcat:distribution', blankNode(['dcat:Distribution'], [['dcat:accessURL', iri('https://example.org/a?b=1&c=2')]])],
+    ],
+  },
+];
+
+const join = (chunks) => [...chunks].join('');
+
+describe('RDF serializers', () => {
+  it('should expand prefixed names', () => {
+    expect(expand('dct:title')).toBe('http://purl.org/dc/terms/title');
+    expect(expand('unknown:name')).toBe('unknown:name');
+  });
+
+  it('should serialize Turtle with prefixes, language tags, datatypes and blank nodes', () => {
+    const turtle = join(serializeTurtle(nodes));
+
+    expect(turtle).toContain('@prefix dcat: <http://www.w3.org/ns/dcat#> .');
+    expect(turtle).toContain('<https://example.org/datasets/1>\n    a dcat:Dataset ;');
+    expect(turtle).toContain('dct:title "Bevölkerung \\"2024\\""@de, "Population"@en ;');
+    expect(turtle).toContain('"2024-01-01T00:00:00Z"^^xsd:dateTime');
+    expect(turtle).toContain('dcat:distribution [\n        a dcat:Distribution ;');
+    expect(turtle.trimEnd().endsWith('] .')).toBe(true);
+  });
+
+  it('should serialize escaped RDF/XML', () => {
+    const xml = join(serializeRdfXml(nodes));
+
+    expect(xml).toContain('xmlns:dct="http://purl.org/dc/terms/"');
+    expect(xml).toContain('<dcat:Dataset rdf:about="https://example.org/datasets/1">');
+    expect(xml).toContain('<dct:title xml:lang="de">Bevölkerung &quot;2024&quot;</dct:title>');
+    expect(xml).toContain('rdf:datatype="http://www.w3.org/2001/XMLSchema#dateTime"');
+    expect(xml).toContain('<dcat:accessURL rdf:resource="https://example.org/a?b=1&amp;c=2"/>');
+    expect(xml.trimEnd().endsWith('</rdf:RDF>')).toBe(true);
+  });
+
+  it('should serialize valid JSON-LD', () => {
+    const document = JSON.parse(join(serializeJsonLd(nodes)));
+
+    expect(document['@context'].dcat).toBe('http://www.w3.org/ns/dcat#');
+    expect(document['@graph']).toHaveLength(1);
+    const [dataset] = document['@graph'];
+    expect(dataset['@type']).toBe('dcat:Dataset');
+    expect(dataset['dct:title']).toEqual([
+      { '@value': 'Bevölkerung "2024"', '@language': 'de' },
+      { '@value': 'Population', '@language': 'en' },
+    ]);
+    expect(dataset['dcat:distribution']['dcat:accessURL']).toEqual({ '@id': 'https://example.org/a?b=1&c=2' });
+  });
+
+  it('should serialize an empty graph', () => {
+    expect(JSON.parse(join(serializeJsonLd([])))['@graph']).toEqual([]);
+  });
+
+  it('should reject unsupported formats', () => {
+    expect(() => serializeRdf(nodes, 'n3')).toThrow('Unsupported RDF format: n3');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for workflow prompts
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { registerWorkflowPrompts } from '../../../src/prompts/workflow-prompts.js';
+
+describe('Workflow Prompts', () => {
+  let mockServer;
+  let registeredPrompts;
+
+  beforeEach(() => {
+    registeredPrompts = {};
+    mockServer = {
+      prompt: vi.fn((name, description, schema, handler) => {
+        registeredPrompts[name] = { description, schema, handler };
+      }),
+    };
+    registerWorkflowPrompts(mockServer);
+  });
+
+  /**
+   * Validate arguments like the server does and return the prompt text
+   */
+  function render(name, args) {
+    const prompt = registeredPrompts[name];
+    return prompt.handler(prompt.schema.parse(args)).messages[0].content.text;
+  }
+
+  describe('Prompt Registration', () => {
+    it('should register all workflow prompts', () => {
+      expect(Object.keys(registeredPrompts)).toEqual([
+        'explore_topic',
+        'explain_codelist',
+        'document_dataset',
+        'compare_concepts',
+      ]);
+    });
+  });
+
+  describe('explore_topic', () => {
+    it('should drive the search tools for the topic', () => {
+      const text = render('explore_topic', { topic: 'health', language: 'fr' });
+
+      expect(text).toContain('"health"');
+      expect(text).toContain('search_datasets');
+      expect(text).toContain('search_concepts');
+      expect(text).toContain('language "fr"');
+    });
+
+    it('should apply the publisher filter', () => {
+      const text = render('explore_topic', { topic: 'health', publisherIdentifier: 'CH1' });
+
+      expect(text).toContain('publisherIdentifier "CH1"');
+    });
+
+    it('should fall back to the default language', () => {
+      expect(render('explore_topic', { topic: 'health' })).toMatch(/language "(de|fr|it|en|rm)"/);
+    });
+
+    it('should require a topic', () => {
+      expect(() => registeredPrompts.explore_topic.schema.parse({})).toThrow();
+    });
+  });
+
+  describe('explain_codelist', () => {
+    it('should reference the concept and code list tools', () => {
+      const text = render('explain_codelist', { conceptId: 'c-1' });
+
+      expect(text).toContain('get_concept');
+      expect(text).toContain('get_code_list_entries');
+      expect(text).toContain('"c-1"');
+    });
+  });
+
+  describe('document_dataset', () => {
+    it('should reference the dataset tool', () => {
+      const text = render('document_dataset', { datasetId: 'ds-1', language: 'en' });
+
+      expect(text).toContain('get_dataset');
+      expect(text).toContain('"ds-1"');
+      expect(text).toContain('language "en"');
+    });
+  });
+
+  describe('compare_concepts', () => {
+    it('should list all concept IDs', () => {
+      const text = render('compare_concepts', { conceptIds: 'c-1, c-2,c-3' });
+
+      expect(text).toContain('"c-1", "c-2", "c-3"');
+    });
+
+    it('should require at least two concepts', () => {
+      expect(() => render('compare_concepts', { conceptIds: 'c-1' })).toThrow('at least two');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit tests for I14Y entity resources
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  registerEntityResources,
+  RecentEntities,
+  buildEntityUri,
+  RECENT_ENTITIES_LIMIT,
+} from '../../../src/resources/entity-resources.js';
+import config from '../../../src/config.js';
+
+// Mock the i14y-client module
+vi.mock('../../../src/api/i14y-client.js', () => ({
+  i14yClient: {
+    getConcept: vi.fn(),
+    getCodeListEntries: vi.fn(),
+    getDataset: vi.fn(),
+    getDataService: vi.fn(),
+    getPublicService: vi.fn(),
+  },
+}));
+
+import { i14yClient } from '../../../src/api/i14y-client.js';
+
+const CONCEPT_ID = '123e4567-e89b-12d3-a456-426614174000';
+
+describe('Entity Resources', () => {
+  let mockServer;
+  let registeredTemplates;
+  let recentEntities;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    recentEntities = new RecentEntities();
+    registeredTemplates = {};
+    mockServer = {
+      resourceTemplate: vi.fn((name, uriTemplate, description, handler) => {
+        registeredTemplates[name] = { uriTemplate, description, handler };
+      }),
+    };
+    registerEntityResources(mockServer, recentEntities);
+  });
+
+  describe('Template Registration', () => {
+    it('should register all entity resource templates', () => {
+      expect(Object.values(registeredTemplates).map((t) => t.uriTemplate)).toEqual([
+        'i14y://concepts/{id}',
+        'i14y://concepts/{id}/codelist',
+        'i14y://datasets/{id}',
+        'i14y://dataservices/{id}',
+        'i14y://publicservices/{id}',
+      ]);
+    });
+  });
+
+  describe('Resource Reading', () => {
+    it('should read a concept and remember it', async () => {
+      const concept = { id: CONCEPT_ID, identifier: 'CH_eHealth_Gender', title: { de: 'Geschlecht' } };
+      vi.mocked(i14yClient.getConcept).mockResolvedValue(concept);
+
+      const result = await registeredTemplates.concept.handler({ id: CONCEPT_ID });
+
+      expect(result).toEqual(concept);
+      expect(i14yClient.getConcept).toHaveBeenCalledWith(CONCEPT_ID, false);
+      expect(recentEntities.list()).toEqual([
+        {
+          uri: `i14y://concepts/${CONCEPT_ID}`,
+          name: 'Geschlecht',
+          description: 'Concept CH_eHealth_Gender',
+          mimeType: 'application/json',
+        },
+      ]);
+    });
+
+    it('should read code list entries', async () => {
+      vi.mocked(i14yClient.getCodeListEntries).mockResolvedValue({ items: [{ code: '1' }] });
+
+      const result = await registeredTemplates.code_list.handler({ id: CONCEPT_ID });
+
+      expect(result.items).toHaveLength(1);
+      expect(result.truncated).toBe(false);
+      expect(i14yClient.getCodeListEntries).toHaveBeenCalledWith(CONCEPT_ID, expect.objectContaining({ page: 1 }));
+    });
+
+    it('should read all pages of a code list', async () => {
+      const pageSize = config.maxPageSize;
+      vi.mocked(i14yClient.getCodeListEntries)
+        .mockResolvedValueOnce({ items: Array.from({ length: pageSize }, (_, i) => ({ code: String(i) })), totalCount: pageSize + 1 })
+        .mockResolvedValueOnce({ items: [{ code: 'last' }], totalCount: pageSize + 1 });
+
+      const result = await registeredTemplates.code_list.handler({ id: CONCEPT_ID });
+
+      expect(result.items).toHaveLength(pageSize + 1);
+      expect(result.items.at(-1).code).toBe('last');
+      expect(i14yClient.getCodeListEntries).toHaveBeenLastCalledWith(CONCEPT_ID, expect.objectContaining({ page: 2 }));
+    });
+
+    it('should read datasets, data services and public services', async () => {
+      vi.mocked(i14yClient.getDataset).mockResolvedValue({ id: 'ds-1' });
+      vi.mocked(i14yClient.getDataService).mockResolvedValue({ id: 'dsv-1' });
+      vi.mocked(i14yClient.getPublicService).mockResolvedValue({ id: 'ps-1', name: { fr: 'Service' } });
+
+      await registeredTemplates.dataset.handler({ id: 'ds-1' });
+      await registeredTemplates.data_service.handler({ id: 'dsv-1' });
+      await registeredTemplates.public_service.handler({ id: 'ps-1' });
+
+      expect(recentEntities.list().map((r) => r.uri)).toEqual([
+        'i14y://publicservices/ps-1',
+        'i14y://dataservices/dsv-1',
+        'i14y://datasets/ds-1',
+      ]);
+      expect(recentEntities.list()[0].name).toBe('Service');
+    });
+
+    it('should decode percent-encoded IDs so that resource URIs round-trip', async () => {
+      vi.mocked(i14yClient.getDataset).mockResolvedValue({ id: 'a b' });
+      vi.mocked(i14yClient.getCodeListEntries).mockResolvedValue({ items: [] });
+      const uri = buildEntityUri('datasets', 'a b');
+
+      await registeredTemplates.dataset.handler({ id: 'a%20b' });
+      await registeredTemplates.code_list.handler({ id: 'a%2Fb' });
+
+      expect(uri).toBe('i14y://datasets/a%20b');
+      expect(i14yClient.getDataset).toHaveBeenCalledWith('a b');
+      expect(i14yClient.getCodeListEntries).toHaveBeenCalledWith('a/b', expect.objectContaining({ page: 1 }));
+      expect(recentEntities.list().map((r) => r.uri)).toEqual([uri]);
+    });
+
+    it('should propagate API errors', async () => {
+      vi.mocked(i14yClient.getDataset).mockRejectedValue(new Error('Not found'));
+
+      await expect(registeredTemplates.dataset.handler({ id: 'ds-1' })).rejects.toThrow('Not found');
+      expect(recentEntities.list()).toEqual([]);
+    });
+  });
+
+  describe('Recent Entities', () => {
+    it('should move re-accessed entities to the front', () => {
+      recentEntities.remember('datasets', 'a');
+      recentEntities.remember('datasets', 'b');
+      recentEntities.remember('datasets', 'a');
+
+      expect(recentEntities.list().map((r) => r.uri)).toEqual([
+        buildEntityUri('datasets', 'a'),
+        buildEntityUri('datasets', 'b'),
+      ]);
+    });
+
+    it('should evict the oldest entities beyond the limit', () => {
+      for (let i = 0; i <= RECENT_ENTITIES_LIMIT; i++) {
+        recentEntities.remember('datasets', `ds-${i}`);
+      }
+
+      const uris = recentEntities.list().map((r) => r.uri);
+      expect(uris).toHaveLength(RECENT_ENTITIES_LIMIT);
+      expect(uris).not.toContain(buildEntityUri('datasets', 'ds-0'));
+    });
+
+    it('should forget all entities when cleared', () => {
+      recentEntities.remember('datasets', 'a');
+      recentEntities.clear();
+
+      expect(recentEntities.list()).toEqual([]);
+    });
+  });
+});
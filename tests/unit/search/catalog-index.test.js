@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the local catalog index
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  CatalogIndex,
+  loadCatalogIndex,
+  saveCatalogIndex,
+  toIndexDocument,
+} from '../../../src/search/catalog-index.js';
+
+const municipalities = {
+  id: 'ds-1',
+  identifier: 'municipalities',
+  title: { de: 'Amtliches Gemeindeverzeichnis', fr: 'Répertoire officiel des communes' },
+  keywords: [{ de: 'Gemeinden' }],
+  publisher: { identifier: 'CH1', name: { de: 'BFS' } },
+};
+const municipality = { id: 'c-1', identifier: 'CL_GEMEINDE', title: { de: 'Gemeinde', fr: 'Commune' } };
+const buildings = {
+  id: 'c-2',
+  identifier: 'CL_BUILDINGS',
+  title: { de: 'Verzeichnis der Gebäude' },
+  description: { de: 'Gebäude je Gemeinde' },
+};
+
+function buildIndex() {
+  const index = new CatalogIndex();
+  index.upsert([
+    toIndexDocument('datasets', municipalities),
+    toIndexDocument('concepts', municipality),
+    toIndexDocument('concepts', buildings),
+  ]);
+  return index;
+}
+
+describe('Catalog index', () => {
+  it('should rank title matches above description matches', () => {
+    const { terms, results } = buildIndex().search('Gemeinde', { language: 'de' });
+
+    expect(terms).toEqual(['gemeinde']);
+    expect(results.map(({ document }) => document.id)).toEqual(['c-1', 'ds-1', 'c-2']);
+    expect(results[0].matchedTerms).toEqual(['gemeinde']);
+  });
+
+  it('should find compounds by their parts and parts by their compounds', () => {
+    const index = buildIndex();
+
+    expect(index.search('Verzeichnis').results.map(({ document }) => document.id)).toEqual(['c-2', 'ds-1']);
+    expect(index.search('Gebäudeverzeichnis', { language: 'de' }).terms).toEqual([
+      'gebaudeverzeichnis',
+      'gebaude',
+      'verzeichnis',
+    ]);
+  });
+
+  it('should fold accents and drop stop words in queries', () => {
+    const { terms, results } = buildIndex().search('le répertoire', { language: 'fr' });
+
+    expect(terms).toEqual(['repertoire']);
+    expect(results.map(({ document }) => document.id)).toEqual(['ds-1']);
+  });
+
+  it('should filter by entity type and publisher', () => {
+    const index = buildIndex();
+
+    expect(index.search('gemeinde', { types: ['concepts'] }).results).toHaveLength(2);
+    expect(index.search('gemeinde', { publisherIdentifier: 'CH1' }).results.map(({ document }) => document.id)).toEqual([
+      'ds-1',
+    ]);
+  });
+
+  it('should replace and remove documents', () => {
+    const index = buildIndex();
+
+    expect(index.upsert([toIndexDocument('concepts', { ...municipality, title: { de: 'Ortschaft' } })])).toEqual({
+      added: 0,
+      updated: 1,
+    });
+    expect(index.search('ortschaft').results.map(({ document }) => document.id)).toEqual(['c-1']);
+    expect(index.remove('datasets/ds-1')).toBe(true);
+    expect(index.remove('datasets/ds-1')).toBe(false);
+    expect(index.search('repertoire').results).toEqual([]);
+    expect(index.counts()).toEqual({ concepts: 2 });
+  });
+
+  it('should fingerprint the indexed fields', () => {
+    const document = toIndexDocument('concepts', municipality);
+
+    expect(toIndexDocument('concepts', { ...municipality, modified: 'x' }).fingerprint).toBe(document.fingerprint);
+    expect(toIndexDocument('concepts', { ...municipality, title: { de: 'Ort' } }).fingerprint).not.toBe(document.fingerprint);
+  });
+
+  describe('persistence', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'i14y-index-test-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should save and load the index', async () => {
+      const index = buildIndex();
+      index.refreshedAt = '2026-10-01T00:00:00.000Z';
+      const file = join(directory, 'nested', 'catalog-index.json');
+
+      const bytes = await saveCatalogIndex(index, file);
+      const loaded = await loadCatalogIndex(file);
+
+      expect(bytes).toBe((await readFile(file)).length);
+      expect(loaded.size).toBe(3);
+      expect(loaded.refreshedAt).toBe('2026-10-01T00:00:00.000Z');
+      expect(loaded.search('gemeinde', { language: 'de' })).toEqual(index.search('gemeinde', { language: 'de' }));
+    });
+
+    it('should return null without an index file of this format version', async () => {
+      const file = join(directory, 'catalog-index.json');
+
+      expect(await loadCatalogIndex(file)).toBeNull();
+      await writeFile(file, JSON.stringify({ formatVersion: 0, documents: [] }));
+      expect(await loadCatalogIndex(file)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the catalog harvester
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { harvestCatalog } from '../../../src/search/harvester.js';
+import { CatalogIndex } from '../../../src/search/catalog-index.js';
+
+vi.mock('../../../src/api/i14y-client.js', () => ({
+  i14yClient: {
+    iterateConcepts: vi.fn(),
+    iterateDatasets: vi.fn(),
+    iterateDataServices: vi.fn(),
+    iteratePublicServices: vi.fn(),
+  },
+}));
+
+import { i14yClient } from '../../../src/api/i14y-client.js';
+
+async function* listing(items) {
+  yield* items;
+}
+
+describe('Catalog harvester', () => {
+  let catalog;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    catalog = {
+      concepts: [
+        { id: 'c-1', identifier: 'CL_GEMEINDE', title: { de: 'Gemeinde' } },
+        { id: 'c-2', identifier: 'CL_GEBAEUDE', title: { de: 'Gebäude' } },
+      ],
+      datasets: [{ id: 'ds-1', identifier: 'municipalities', title: { de: 'Gemeindeverzeichnis' } }],
+    };
+    vi.mocked(i14yClient.iterateConcepts).mockImplementation(() => listing(catalog.concepts));
+    vi.mocked(i14yClient.iterateDatasets).mockImplementation(() => listing(catalog.datasets));
+    vi.mocked(i14yClient.iterateDataServices).mockImplementation(() => listing([]));
+    vi.mocked(i14yClient.iteratePublicServices).mockImplementation(() => listing([]));
+  });
+
+  it('should harvest the public entities of all types', async () => {
+    const index = new CatalogIndex();
+
+    const stats = await harvestCatalog(index);
+
+    expect(i14yClient.iterateConcepts).toHaveBeenCalledWith({ publicationLevel: 'Public' });
+    expect(stats).toMatchObject({ harvested: 3, added: 3, updated: 0, removed: 0, unchanged: 0 });
+    expect(stats.byType.datasets).toEqual({ harvested: 1, added: 1, updated: 0, removed: 0, unchanged: 0 });
+    expect(index.refreshedAt).toEqual(expect.any(String));
+    // Compounds are split with the words of the whole harvest
+    expect(index.get('datasets/ds-1').terms).toHaveProperty('verzeichnis');
+  });
+
+  it('should only re-index changed entities and remove entities no longer listed', async () => {
+    const index = new CatalogIndex();
+    await harvestCatalog(index);
+    catalog.concepts = [{ ...catalog.concepts[0], title: { de: 'Ortschaft' } }];
+
+    const stats = await harvestCatalog(index, { types: ['concepts', 'datasets'] });
+
+    expect(i14yClient.iterateDataServices).toHaveBeenCalledTimes(1);
+    expect(stats.byType).toEqual({
+      concepts: { harvested: 1, added: 0, updated: 1, removed: 1, unchanged: 0 },
+      datasets: { harvested: 1, added: 0, updated: 0, removed: 0, unchanged: 1 },
+    });
+    expect(index.counts()).toEqual({ concepts: 1, datasets: 1 });
+    expect(index.search('ortschaft').results).toHaveLength(1);
+  });
+
+  it('should re-index unchanged entities in a full harvest', async () => {
+    const index = new CatalogIndex();
+    await harvestCatalog(index);
+
+    const stats = await harvestCatalog(index, { full: true });
+
+    expect(stats).toMatchObject({ added: 0, updated: 3, unchanged: 0 });
+  });
+
+  it('should leave the index unchanged when a harvest fails', async () => {
+    const index = new CatalogIndex();
+    await harvestCatalog(index);
+    catalog.concepts = [];
+    vi.mocked(i14yClient.iterateDatasets).mockImplementation(() => {
+      throw new Error('503: Service unavailable');
+    });
+
+    await expect(harvestCatalog(index)).rejects.toThrow('503');
+    expect(index.size).toBe(3);
+  });
+});
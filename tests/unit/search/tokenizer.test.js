@@ -0,0 +1,54 @@
+/**
+ * Unit tests for the catalog index tokenizer
+ */
+
+import { describe, it, expect } from 'vitest';
+import { foldText, splitCompound, tokenize } from '../../../src/search/tokenizer.js';
+
+describe('Tokenizer', () => {
+  describe('foldText', () => {
+    it('should fold accents, ligatures and case', () => {
+      expect(foldText('Bevölkerungsstatistik')).toBe('bevolkerungsstatistik');
+      expect(foldText('Straße')).toBe('strasse');
+      expect(foldText('Œuvre Écologique')).toBe('oeuvre ecologique');
+    });
+  });
+
+  describe('tokenize', () => {
+    it('should drop the stop words of the language and split elisions', () => {
+      expect(tokenize("Répertoire des communes de l'OFS", { language: 'fr' })).toEqual(['repertoire', 'communes', 'ofs']);
+      expect(tokenize('Verzeichnis der Gebäude', { language: 'de' })).toEqual(['verzeichnis', 'gebaude']);
+    });
+
+    it('should keep all words of untagged text', () => {
+      expect(tokenize('CH_eHealth_Gender die')).toEqual(['ch', 'ehealth', 'gender', 'die']);
+    });
+  });
+
+  describe('splitCompound', () => {
+    const words = new Set(['gemeinde', 'verzeichnis', 'bevolkerung', 'statistik', 'wohn', 'gebaude']);
+    const isWord = (word) => words.has(word);
+
+    it('should split compounds into known words', () => {
+      expect(splitCompound('gemeindeverzeichnis', isWord)).toEqual(['gemeinde', 'verzeichnis']);
+    });
+
+    it('should allow linking elements between parts', () => {
+      expect(splitCompound('bevolkerungsstatistik', isWord)).toEqual(['bevolkerung', 'statistik']);
+    });
+
+    it('should split compounds of more than two parts', () => {
+      expect(splitCompound('wohngebaudestatistik', isWord)).toEqual(['wohn', 'gebaude', 'statistik']);
+    });
+
+    it('should split off an unknown last part after a known word', () => {
+      expect(splitCompound('gemeindegrenze', isWord)).toEqual(['gemeinde', 'grenze']);
+      expect(splitCompound('statistikamt', isWord)).toBeNull();
+    });
+
+    it('should not split words starting with unknown parts', () => {
+      expect(splitCompound('grenzgemeinde', isWord)).toBeNull();
+      expect(splitCompound('gemeinden', isWord)).toBeNull();
+    });
+  });
+});
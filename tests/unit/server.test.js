@@ -0,0 +1,174 @@
+/**
+ * Unit tests for the MCP server factory
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+// Mock the i14y-client module
+vi.mock('../../src/api/i14y-client.js', () => ({
+  i14yClient: {
+    searchConcepts: vi.fn(),
+    getConcept: vi.fn(),
+    getCodeListEntries: vi.fn(),
+    getDataset: vi.fn(),
+  },
+}));
+
+const { i14yClient } = await import('../../src/api/i14y-client.js');
+const { createServer } = await import('../../src/server.js');
+
+describe('createServer', () => {
+  let client;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await createServer().connect(serverTransport);
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(clientTransport);
+  });
+
+  afterEach(async () => {
+    await client.close();
+  });
+
+  it('should list all registered tools with JSON input schemas', async () => {
+    const { tools } = await client.listTools();
+    const names = tools.map((tool) => tool.name);
+
+    expect(names).toEqual(
+      expect.arrayContaining(['search_concepts', 'get_concept', 'search_datasets', 'get_public_service'])
+    );
+    expect(tools[0].inputSchema.type).toBe('object');
+  });
+
+  it('should execute a tool through the registry', async () => {
+    vi.mocked(i14yClient.searchConcepts).mockResolvedValue({ items: [{ identifier: 'CONCEPT-001' }] });
+
+    const result = await client.callTool({ name: 'search_concepts', arguments: {} });
+
+    expect(result.content[0].text).toContain('CONCEPT-001');
+  });
+
+  it('should advertise output schemas for structured tool results', async () => {
+    const { tools } = await client.listTools();
+    const searchConcepts = tools.find((tool) => tool.name === 'search_concepts');
+
+    expect(searchConcepts.outputSchema.type).toBe('object');
+    expect(searchConcepts.outputSchema.properties).toHaveProperty('items');
+    expect(tools.every((tool) => tool.outputSchema)).toBe(true);
+  });
+
+  it('should return structured content alongside the text block', async () => {
+    vi.mocked(i14yClient.searchConcepts).mockResolvedValue({
+      items: [{ id: 'c-1', identifier: 'CONCEPT-001', name: { de: 'Geschlecht', fr: null } }],
+      totalCount: 1,
+    });
+
+    const result = await client.callTool({ name: 'search_concepts', arguments: {} });
+
+    expect(result.structuredContent.totalCount).toBe(1);
+    expect(result.structuredContent.items[0].identifier).toBe('CONCEPT-001');
+    expect(JSON.parse(result.content[0].text)).toEqual(result.structuredContent);
+  });
+
+  it('should return an error result the client accepts when a response does not match the output schema', async () => {
+    vi.mocked(i14yClient.searchConcepts).mockResolvedValue({ items: 'not-a-list' });
+
+    const result = await client.callTool({ name: 'search_concepts', arguments: {} });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Tool result does not match its output schema');
+    expect(result.content[0].text).toContain('items:');
+    expect(result.structuredContent).toBeUndefined();
+  });
+
+  it('should return an MCP error response when arguments are invalid', async () => {
+    const result = await client.callTool({ name: 'get_concept', arguments: { id: '' } });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Error executing get_concept');
+  });
+
+  it('should create independent server instances', () => {
+    expect(createServer()).not.toBe(createServer());
+  });
+
+  describe('resources', () => {
+    it('should advertise the entity resource templates', async () => {
+      const { resourceTemplates } = await client.listResourceTemplates();
+
+      expect(resourceTemplates.map((t) => t.uriTemplate)).toContain('i14y://concepts/{id}/codelist');
+    });
+
+    it('should read an entity resource and list it as recently accessed', async () => {
+      vi.mocked(i14yClient.getDataset).mockResolvedValue({ id: 'ds-1', title: { de: 'Test' } });
+
+      const { contents } = await client.readResource({ uri: 'i14y://datasets/ds-1' });
+      const { resources } = await client.listResources();
+
+      expect(JSON.parse(contents[0].text)).toEqual({ id: 'ds-1', title: { de: 'Test' } });
+      expect(contents[0].mimeType).toBe('application/json');
+      expect(resources).toEqual([expect.objectContaining({ uri: 'i14y://datasets/ds-1', name: 'Test' })]);
+    });
+
+    it('should keep the recently accessed entities of each server separate', async () => {
+      const id = '123e4567-e89b-12d3-a456-426614174000';
+      vi.mocked(i14yClient.getDataset).mockResolvedValue({ id, title: { de: 'Test' } });
+      const [otherClientTransport, otherServerTransport] = InMemoryTransport.createLinkedPair();
+      await createServer().connect(otherServerTransport);
+      const otherClient = new Client({ name: 'other-client', version: '1.0.0' });
+      await otherClient.connect(otherClientTransport);
+
+      await client.callTool({ name: 'get_dataset', arguments: { id } });
+
+      expect((await client.listResources()).resources.map((resource) => resource.uri)).toEqual([`i14y://datasets/${id}`]);
+      expect((await otherClient.listResources()).resources).toEqual([]);
+      await otherClient.close();
+    });
+
+    it('should route code list URIs to the code list template', async () => {
+      vi.mocked(i14yClient.getCodeListEntries).mockResolvedValue({ items: [] });
+
+      await client.readResource({ uri: 'i14y://concepts/c-1/codelist' });
+
+      expect(i14yClient.getCodeListEntries).toHaveBeenCalled();
+      expect(i14yClient.getConcept).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown resource URIs', async () => {
+      await expect(client.readResource({ uri: 'i14y://unknown/1' })).rejects.toThrow('Unknown resource');
+    });
+  });
+
+  describe('prompts', () => {
+    it('should list prompts with their arguments', async () => {
+      const { prompts } = await client.listPrompts();
+      const exploreTopic = prompts.find((prompt) => prompt.name === 'explore_topic');
+
+      expect(prompts.map((prompt) => prompt.name)).toContain('compare_concepts');
+      expect(exploreTopic.arguments).toContainEqual(expect.objectContaining({ name: 'topic', required: true }));
+      expect(exploreTopic.arguments).toContainEqual(expect.objectContaining({ name: 'language', required: false }));
+    });
+
+    it('should render a prompt', async () => {
+      const result = await client.getPrompt({ name: 'explain_codelist', arguments: { conceptId: 'c-1' } });
+
+      expect(result.messages[0].role).toBe('user');
+      expect(result.messages[0].content.text).toContain('get_code_list_entries');
+    });
+
+    it('should reject invalid prompt arguments', async () => {
+      await expect(client.getPrompt({ name: 'explore_topic', arguments: {} })).rejects.toThrow('Invalid arguments');
+      await expect(
+        client.getPrompt({ name: 'explore_topic', arguments: { topic: 'x', language: 'xx' } })
+      ).rejects.toThrow('language');
+    });
+
+    it('should reject unknown prompts', async () => {
+      await expect(client.getPrompt({ name: 'unknown' })).rejects.toThrow('Unknown prompt');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for cache tools
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { registerCacheTools } from '../../../src/tools/cache-tools.js';
+
+// Mock the i14y-client module
+vi.mock('../../../src/api/i14y-client.js', () => ({
+  i14yClient: {
+    cache: {
+      stats: vi.fn(),
+      clear: vi.fn(),
+    },
+  },
+}));
+
+import { i14yClient } from '../../../src/api/i14y-client.js';
+
+describe('Cache Tools', () => {
+  let registeredTools;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    registeredTools = {};
+    registerCacheTools({
+      tool: vi.fn((name, description, schema, handler) => {
+        registeredTools[name] = { description, schema, handler };
+      }),
+    });
+  });
+
+  it('should register cache tools', () => {
+    expect(Object.keys(registeredTools)).toEqual(['cache_stats', 'cache_clear']);
+  });
+
+  it('should report cache statistics', async () => {
+    vi.mocked(i14yClient.cache.stats).mockResolvedValue({ store: 'memory', entries: 3, hits: 2 });
+
+    const result = await registeredTools.cache_stats.handler({});
+
+    expect(JSON.parse(result.content[0].text)).toEqual({ enabled: true, store: 'memory', entries: 3, hits: 2 });
+  });
+
+  it('should clear the cache', async () => {
+    vi.mocked(i14yClient.cache.clear).mockResolvedValue(3);
+
+    const result = await registeredTools.cache_clear.handler({});
+
+    expect(JSON.parse(result.content[0].text)).toEqual({ enabled: true, removed: 3 });
+  });
+
+  it('should handle cache errors', async () => {
+    vi.mocked(i14yClient.cache.stats).mockRejectedValue(new Error('disk full'));
+
+    const result = await registeredTools.cache_stats.handler({});
+
+    expect(result.isError).toBe(true);
+  });
+});
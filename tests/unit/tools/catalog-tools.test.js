@@ -2,13 +2,23 @@
  * Unit tests for catalog tools
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { registerCatalogTools } from '../../../src/tools/catalog-tools.js';
+import config from '../../../src/config.js';
 
 // Mock the i14y-client module
 vi.mock('../../../src/api/i14y-client.js', () => ({
   i14yClient: {
     getCodeListEntries: vi.fn(),
+    searchConcepts: vi.fn(),
+    searchDatasets: vi.fn(),
+    searchDataServices: vi.fn(),
+    searchPublicServices: vi.fn(),
+    getDataset: vi.fn(),
+    getDataService: vi.fn(),
   },
 }));
 
@@ -33,6 +43,75 @@ describe('Catalog Tools', () => {
     it('should register all catalog tools', () => {
       expect(mockServer.tool).toHaveBeenCalled();
       expect(registeredTools).toHaveProperty('get_code_list_entries');
+      expect(registeredTools).toHaveProperty('search_catalog');
+      expect(registeredTools).toHaveProperty('export_catalog');
+    });
+  });
+
+  describe('search_catalog', () => {
+    beforeEach(() => {
+      vi.mocked(i14yClient.searchConcepts).mockResolvedValue({
+        data: [{ id: 'c-1', identifier: 'CL_MUNICIPALITY', title: { de: 'Gemeinde', fr: 'Commune' }, registrationStatus: 'Standard' }],
+        totalCount: 1,
+      });
+      vi.mocked(i14yClient.searchDatasets).mockResolvedValue({
+        data: [
+          { id: 'ds-1', identifier: 'municipalities', title: { de: 'Gemeindeverzeichnis', fr: 'Répertoire des communes' }, publisher: { identifier: 'CH1', name: { de: 'BFS' } } },
+          { id: 'ds-2', identifier: 'buildings', title: { de: 'Gebäude' } },
+        ],
+        totalCount: 2,
+      });
+      vi.mocked(i14yClient.searchDataServices).mockResolvedValue({ data: [], totalCount: 0 });
+      vi.mocked(i14yClient.searchPublicServices).mockResolvedValue({
+        data: [{ id: 'ps-1', identifier: 'commune-registration', title: { fr: 'Inscription à la commune' } }],
+        totalCount: 1,
+      });
+    });
+
+    it('should merge and rank results of all entity types', async () => {
+      const result = await registeredTools.search_catalog.handler({ query: 'commune', language: 'fr' });
+
+      expect(i14yClient.searchConcepts).toHaveBeenCalled();
+      expect(i14yClient.searchPublicServices).toHaveBeenCalled();
+      expect(result.structuredContent).toMatchObject({
+        query: 'commune',
+        totalCount: 3,
+        scanned: { concepts: 1, datasets: 2, dataservices: 0, publicservices: 1 },
+        truncated: false,
+      });
+      expect(result.structuredContent.items.map((item) => `${item.type}/${item.id}`)).toEqual([
+        'concepts/c-1',
+        'datasets/ds-1',
+        'publicservices/ps-1',
+      ]);
+      expect(result.structuredContent.items[1]).toMatchObject({
+        title: 'Répertoire des communes',
+        publisher: { identifier: 'CH1', name: 'BFS' },
+        match: { field: 'title', language: 'fr' },
+      });
+    });
+
+    it('should filter by entity type and publisher and page the results compactly', async () => {
+      const result = await registeredTools.search_catalog.handler({
+        query: 'Gemeinde',
+        types: ['datasets'],
+        publisherIdentifier: 'CH1',
+        pageSize: 1,
+        format: 'compact',
+      });
+
+      expect(i14yClient.searchConcepts).not.toHaveBeenCalled();
+      expect(i14yClient.searchDatasets).toHaveBeenCalledWith(expect.objectContaining({ publisherIdentifier: 'CH1' }));
+      expect(result.content[0].text).toContain(
+        '1 results for "Gemeinde" among 2 entities (datasets), showing 1 on page 1\n\n' +
+          'Dataset municipalities: Gemeindeverzeichnis (0.9)'
+      );
+    });
+
+    it('should require a query', async () => {
+      const result = await registeredTools.search_catalog.handler({ query: '' });
+
+      expect(result.isError).toBe(true);
     });
   });
 
@@ -84,6 +163,117 @@ describe('Catalog Tools', () => {
     });
   });
 
+  describe('export_catalog', () => {
+    const dataset = {
+      id: 'ds-1',
+      identifier: 'DS_1',
+      title: { de: 'Bevölkerung', fr: 'Population' },
+      distributions: [{ downloadUrl: 'https://example.org/data.csv' }],
+    };
+    const dataService = { id: 'svc-1', title: { de: 'API' }, endpointUrls: ['https://api.example.org'] };
+    let exportDir;
+    let originalConfig;
+
+    beforeEach(async () => {
+      exportDir = await mkdtemp(join(tmpdir(), 'i14y-catalog-test-'));
+      originalConfig = { exportDir: config.exportDir, maxResponseBytes: config.maxResponseBytes };
+      config.exportDir = exportDir;
+      vi.mocked(i14yClient.searchDatasets).mockResolvedValue({ items: [dataset], totalCount: 1 });
+      vi.mocked(i14yClient.searchDataServices).mockResolvedValue({ items: [dataService], totalCount: 1 });
+    });
+
+    afterEach(async () => {
+      Object.assign(config, originalConfig);
+      await rm(exportDir, { recursive: true, force: true });
+    });
+
+    it('should export a publisher catalog as Turtle inline', async () => {
+      const result = await registeredTools.export_catalog.handler({ format: 'ttl', publisherIdentifier: 'CH1' });
+
+      expect(i14yClient.searchDatasets).toHaveBeenCalledWith(expect.objectContaining({ publisherIdentifier: 'CH1', page: 1 }));
+      expect(result.structuredContent).toMatchObject({
+        format: 'ttl',
+        contentType: 'text/turtle',
+        datasetCount: 1,
+        dataServiceCount: 1,
+        truncated: false,
+        path: null,
+      });
+      expect(result.content[0].text).toContain('Exported 1 datasets and 1 data services as ttl');
+      expect(result.content[1].text).toContain('a dcat:Catalog');
+      expect(result.content[1].text).toContain('"Population"@fr');
+      expect(result.content[1].text).toContain('dcat:endpointURL <https://api.example.org>');
+    });
+
+    it('should export selected entities in one language as JSON-LD', async () => {
+      vi.mocked(i14yClient.getDataset).mockResolvedValue(dataset);
+
+      const result = await registeredTools.export_catalog.handler({
+        format: 'jsonld',
+        datasetIds: ['ds-1'],
+        include: ['datasets'],
+        language: 'fr',
+      });
+
+      expect(i14yClient.getDataset).toHaveBeenCalledWith('ds-1', 'fr');
+      expect(i14yClient.searchDatasets).not.toHaveBeenCalled();
+      expect(i14yClient.searchDataServices).not.toHaveBeenCalled();
+      const document = JSON.parse(result.structuredContent.body);
+      expect(document['@graph'][1]['dct:title']).toEqual({ '@value': 'Population', '@language': 'fr' });
+    });
+
+    it('should complete search results without distributions', async () => {
+      vi.mocked(i14yClient.searchDatasets).mockResolvedValue({ items: [{ id: 'ds-1' }, dataset], totalCount: 2 });
+      vi.mocked(i14yClient.getDataset).mockResolvedValue(dataset);
+
+      const result = await registeredTools.export_catalog.handler({ format: 'rdf', include: ['datasets'] });
+
+      expect(i14yClient.getDataset).toHaveBeenCalledTimes(1);
+      expect(i14yClient.getDataset).toHaveBeenCalledWith('ds-1', undefined);
+      expect(result.structuredContent.completedDatasetCount).toBe(1);
+      expect(result.content[0].text).toContain('fetched 1 datasets in full to add their distributions');
+      expect(result.structuredContent.body).toContain('<dcat:downloadURL rdf:resource="https://example.org/data.csv"/>');
+    });
+
+    it('should complete datasets with bounded concurrency', async () => {
+      const items = Array.from({ length: 12 }, (_, index) => ({ id: `ds-${index}` }));
+      vi.mocked(i14yClient.searchDatasets).mockResolvedValue({ items, totalCount: items.length });
+      let inFlight = 0;
+      let maxInFlight = 0;
+      vi.mocked(i14yClient.getDataset).mockImplementation(async (id) => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await Promise.resolve();
+        inFlight--;
+        return { ...dataset, id };
+      });
+
+      const result = await registeredTools.export_catalog.handler({ format: 'ttl', include: ['datasets'] });
+
+      expect(result.structuredContent).toMatchObject({ datasetCount: 12, completedDatasetCount: 12 });
+      expect(maxInFlight).toBeGreaterThan(1);
+      expect(maxInFlight).toBeLessThanOrEqual(5);
+    });
+
+    it('should write exports exceeding the response budget to a file', async () => {
+      config.maxResponseBytes = 100;
+
+      const result = await registeredTools.export_catalog.handler({ format: 'ttl', publisherIdentifier: 'CH1' });
+
+      expect(result.content).toHaveLength(1);
+      expect(result.structuredContent.body).toBeNull();
+      expect(result.structuredContent.path.startsWith(exportDir)).toBe(true);
+      expect(result.content[0].text).toContain(`written to ${result.structuredContent.path}`);
+      expect(await readFile(result.structuredContent.path, 'utf8')).toContain('dcat:Dataset');
+    });
+
+    it('should reject output paths outside the export directory', async () => {
+      const result = await registeredTools.export_catalog.handler({ format: 'ttl', outputPath: '../catalog.ttl' });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('inside the export directory');
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle API errors', async () => {
       const error = new Error('API Error');
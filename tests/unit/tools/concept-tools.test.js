@@ -1,11 +1,19 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { registerConceptTools } from '../../../src/tools/concept-tools.js';
+import config from '../../../src/config.js';
 
 // Mock the i14y-client module
 vi.mock('../../../src/api/i14y-client.js', () => ({
 	i14yClient: {
 		searchConcepts: vi.fn(),
 		getConcept: vi.fn(),
+		getCodeListEntries: vi.fn(),
+		searchDatasets: vi.fn(),
+		getDatasetStructure: vi.fn(),
+		searchDataServices: vi.fn(),
 	},
 }));
 
@@ -31,10 +39,16 @@ describe('Concept Tools', () => {
 
 	describe('Tool Registration', () => {
 		it('should register all concept tools', () => {
-			expect(mockServer.tool).toHaveBeenCalledTimes(3);
+			expect(mockServer.tool).toHaveBeenCalledTimes(9);
 			expect(registeredTools).toHaveProperty('search_concepts');
 			expect(registeredTools).toHaveProperty('get_concept');
+			expect(registeredTools).toHaveProperty('get_concept_history');
 			expect(registeredTools).toHaveProperty('get_code_list_entries');
+			expect(registeredTools).toHaveProperty('lookup_code');
+			expect(registeredTools).toHaveProperty('validate_against_code_list');
+			expect(registeredTools).toHaveProperty('export_code_list');
+			expect(registeredTools).toHaveProperty('find_concept_usages');
+			expect(registeredTools).toHaveProperty('diff_code_list_versions');
 		});
 	});
 
@@ -122,12 +136,90 @@ describe('Concept Tools', () => {
 			expect(result.content[0].text).toContain('Error getting concept');
 		});
 
-		it('should validate concept ID format', async () => {
-			const result = await registeredTools.get_concept.handler({
-				id: 'invalid-uuid',
+		it('should resolve a concept identifier to its latest standard version', async () => {
+			i14yClient.searchConcepts.mockResolvedValue({
+				data: [
+					{ id: 'c-v1', identifier: 'CH_eHealth_Gender', version: '1.0.0', registrationStatus: 'Standard' },
+					{ id: 'c-v2', identifier: 'CH_eHealth_Gender', version: '2.0.0', registrationStatus: 'Candidate' },
+				],
 			});
+			i14yClient.getConcept.mockResolvedValue({ id: 'c-v1', identifier: 'CH_eHealth_Gender' });
+
+			const result = await registeredTools.get_concept.handler({ id: 'CH_eHealth_Gender' });
+
+			expect(i14yClient.searchConcepts).toHaveBeenCalledWith(
+				expect.objectContaining({ conceptIdentifier: 'CH_eHealth_Gender' })
+			);
+			expect(i14yClient.getConcept).toHaveBeenCalledWith('c-v1', false);
+			expect(result.isError).toBeUndefined();
+		});
+
+		it('should report ambiguous identifiers', async () => {
+			i14yClient.searchConcepts.mockResolvedValue({
+				data: [
+					{ id: 'c-a', identifier: 'GENDER', version: '1.0.0', publisher: { identifier: 'CH1' } },
+					{ id: 'c-b', identifier: 'GENDER', version: '1.0.0', publisher: { identifier: 'CH2' } },
+				],
+			});
+
+			const result = await registeredTools.get_concept.handler({ id: 'GENDER' });
+
+			expect(result.isError).toBe(true);
+			expect(result.content[0].text).toContain('GENDER is ambiguous, it matches 2 entities');
+			expect(i14yClient.getConcept).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('get_concept_history', () => {
+		const conceptId = '123e4567-e89b-12d3-a456-426614174000';
+
+		beforeEach(() => {
+			vi.mocked(i14yClient.searchConcepts).mockResolvedValue({
+				data: [
+					{ id: 'c-v10', identifier: 'CL_GENDER', version: '10.0.0', registrationStatus: 'Candidate' },
+					{ id: conceptId, identifier: 'CL_GENDER', version: '2.0.0', registrationStatus: 'Standard', validFrom: '2020-01-01' },
+					{ id: 'c-v1', identifier: 'CL_GENDER', version: '1.0.0', registrationStatus: 'Superseded', validTo: '2019-12-31' },
+					{ id: 'c-other', identifier: 'CL_GENDER_OLD', version: '3.0.0' },
+				],
+				totalCount: 4,
+			});
+		});
+
+		it('should resolve a concept ID to all versions of its identifier', async () => {
+			vi.mocked(i14yClient.getConcept).mockResolvedValue({ id: conceptId, identifier: 'CL_GENDER', version: '2.0.0' });
+
+			const result = await registeredTools.get_concept_history.handler({ id: conceptId });
+
+			expect(i14yClient.getConcept).toHaveBeenCalledWith(conceptId, false);
+			expect(i14yClient.searchConcepts).toHaveBeenCalledWith(expect.objectContaining({ conceptIdentifier: 'CL_GENDER' }));
+			expect(result.structuredContent.versions.map((version) => version.version)).toEqual(['1.0.0', '2.0.0', '10.0.0']);
+			expect(result.structuredContent.statusChanges).toEqual([
+				{ fromVersion: '1.0.0', toVersion: '2.0.0', from: 'Superseded', to: 'Standard' },
+				{ fromVersion: '2.0.0', toVersion: '10.0.0', from: 'Standard', to: 'Candidate' },
+			]);
+			expect(result.structuredContent.preferred).toMatchObject({ id: conceptId, version: '2.0.0' });
+			expect(result.structuredContent.summary).toBe(
+				'3 versions of CL_GENDER, 2 registration status changes between consecutive versions, version 2.0.0 is the preferred standard'
+			);
+		});
+
+		it('should render the history by identifier as markdown', async () => {
+			const result = await registeredTools.get_concept_history.handler({
+				conceptIdentifier: 'CL_GENDER',
+				format: 'markdown',
+			});
+
+			expect(i14yClient.getConcept).not.toHaveBeenCalled();
+			expect(result.content[0].text).toContain('- **Preferred Version:** 2.0.0');
+			expect(result.content[0].text).toContain(`  - 2.0.0 (${conceptId}): Standard, valid 2020-01-01 to open, preferred`);
+			expect(result.content[0].text).toContain('  - 1.0.0 -> 2.0.0: Superseded -> Standard');
+		});
+
+		it('should report unknown identifiers', async () => {
+			const result = await registeredTools.get_concept_history.handler({ conceptIdentifier: 'CL_NONE' });
 
 			expect(result.isError).toBe(true);
+			expect(result.content[0].text).toBe('Error getting concept history: No concept found with identifier CL_NONE');
 		});
 	});
 
@@ -188,4 +280,494 @@ describe('Concept Tools', () => {
 			expect(result.isError).toBe(true);
 		});
 	});
+
+	describe('fetching all pages', () => {
+		it('should fetch all concepts when all is set', async () => {
+			i14yClient.searchConcepts
+				.mockResolvedValueOnce({ items: Array(100).fill({ identifier: 'C' }), totalCount: 101 })
+				.mockResolvedValueOnce({ items: [{ identifier: 'C' }], totalCount: 101 });
+
+			const result = await registeredTools.search_concepts.handler({ all: true });
+			const parsed = JSON.parse(result.content[0].text);
+
+			expect(parsed.fetched).toBe(101);
+			expect(parsed.pages).toBe(2);
+		});
+
+		it('should fetch all code list entries when all is set', async () => {
+			i14yClient.getCodeListEntries.mockResolvedValueOnce({ items: [{ code: '1' }, { code: '2' }], totalCount: 2 });
+
+			const result = await registeredTools.get_code_list_entries.handler({
+				id: '123e4567-e89b-12d3-a456-426614174000',
+				all: true,
+			});
+			const parsed = JSON.parse(result.content[0].text);
+
+			expect(parsed.summary).toBe('Fetched 2 of 2 code list entries across 1 page');
+			expect(i14yClient.getConcept).not.toHaveBeenCalled();
+		});
+
+		it('should skip only the pages before the requested page when all is set', async () => {
+			const entries = Array.from({ length: 45 }, (_, index) => ({ code: String(index + 1) }));
+			i14yClient.getCodeListEntries.mockResolvedValueOnce({ items: entries, totalCount: 45 });
+
+			const result = await registeredTools.get_code_list_entries.handler({
+				id: '123e4567-e89b-12d3-a456-426614174000',
+				page: 2,
+				pageSize: 20,
+				all: true,
+			});
+			const parsed = JSON.parse(result.content[0].text);
+
+			expect(i14yClient.getCodeListEntries).toHaveBeenCalledWith('123e4567-e89b-12d3-a456-426614174000', {
+				page: 1,
+				pageSize: 100,
+			});
+			expect(parsed.fetched).toBe(25);
+			expect(parsed.items[0].code).toBe('21');
+		});
+	});
+
+	describe('output formats', () => {
+		it('should render a concept as markdown', async () => {
+			i14yClient.getConcept.mockResolvedValueOnce({
+				id: '123e4567-e89b-12d3-a456-426614174000',
+				identifier: 'CONCEPT-001',
+				name: { de: 'Geschlecht' },
+				registrationStatus: 'Recorded',
+			});
+
+			const result = await registeredTools.get_concept.handler({
+				id: '123e4567-e89b-12d3-a456-426614174000',
+				format: 'markdown',
+			});
+
+			expect(result.content[0].text).toContain('### Geschlecht');
+			expect(result.structuredContent.identifier).toBe('CONCEPT-001');
+		});
+
+		it('should reject unknown formats', async () => {
+			const result = await registeredTools.search_concepts.handler({ format: 'xml' });
+
+			expect(result.isError).toBe(true);
+		});
+	});
+	describe('lookup_code', () => {
+		const id = '123e4567-e89b-12d3-a456-426614174000';
+
+		beforeEach(() => {
+			i14yClient.getCodeListEntries.mockResolvedValue({
+				items: [
+					{ code: '81', name: { de: 'Kanton Zürich', fr: 'Canton de Zurich' } },
+					{ code: '8100', parentCode: '81', name: { de: 'Zürich', fr: 'Zurich' }, annotations: [{ type: 'NOTE', text: 'Stadt' }] },
+					{ code: '8200', parentCode: '81', name: { de: 'Winterthur' } },
+				],
+				totalCount: 3,
+			});
+		});
+
+		it('should look up an entry by code with its parent and annotations', async () => {
+			const result = await registeredTools.lookup_code.handler({ id, code: '8100', language: 'de' });
+			const [match] = result.structuredContent.items;
+
+			expect(match).toMatchObject({
+				code: '8100',
+				parentCode: '81',
+				parent: { code: '81', name: 'Kanton Zürich' },
+				annotations: [{ type: 'NOTE', text: 'Stadt' }],
+				match: { field: 'code', score: 1 },
+			});
+			expect(result.structuredContent.searchedEntries).toBe(3);
+		});
+
+		it('should look up entries by label fragment in any language, ignoring accents and typos', async () => {
+			const result = await registeredTools.lookup_code.handler({ id, label: 'zurih', language: 'fr' });
+			const codes = result.structuredContent.items.map((item) => item.code);
+
+			expect(codes).toContain('8100');
+			expect(codes).not.toContain('8200');
+			expect(result.structuredContent.items[0].name).toBe('Zurich');
+		});
+
+		it('should count swapped adjacent letters as a single typo', async () => {
+			const result = await registeredTools.lookup_code.handler({ id, label: 'Zuirch' });
+
+			expect(result.structuredContent.items.find((item) => item.code === '8100').match).toMatchObject({
+				field: 'name',
+				score: 0.71,
+			});
+		});
+
+		it('should render matches as markdown with a summary', async () => {
+			const result = await registeredTools.lookup_code.handler({ id, label: 'winterthur', format: 'markdown' });
+
+			expect(result.content[0].text).toContain('Found 1 of 3 entries matching label "winterthur"');
+			expect(result.content[0].text).toContain('- **Parent Code:** 81 (Kanton Zürich)');
+		});
+
+		it('should require a code or a label', async () => {
+			const result = await registeredTools.lookup_code.handler({ id });
+
+			expect(result.isError).toBe(true);
+			expect(i14yClient.getCodeListEntries).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('validate_against_code_list', () => {
+		const id = '123e4567-e89b-12d3-a456-426614174000';
+
+		beforeEach(() => {
+			i14yClient.getCodeListEntries.mockResolvedValue({
+				items: [
+					{ code: 'ZH', name: { de: 'Zürich' } },
+					{ code: 'BE', name: { de: 'Bern' } },
+					{ code: 'JU', name: { de: 'Jura' }, registrationStatus: 'Superseded', replacedBy: 'JU2' },
+				],
+				totalCount: 3,
+			});
+		});
+
+		it('should validate a list of values', async () => {
+			const result = await registeredTools.validate_against_code_list.handler({ id, values: ['ZH', 'BE', 'Zh', 'JU', ''] });
+
+			expect(result.structuredContent).toMatchObject({
+				conceptId: id,
+				validCount: 3,
+				invalidCount: 1,
+				emptyCount: 1,
+				deprecatedCount: 1,
+				entriesTruncated: false,
+			});
+			expect(result.structuredContent.unknownValues[0]).toMatchObject({ value: 'Zh', suggestions: [{ code: 'ZH' }] });
+			expect(result.structuredContent.summary).toBe(
+				'3 of 5 values are valid codes, 1 invalid, 1 empty, 1 use retired or superseded codes'
+			);
+		});
+
+		it('should validate a column of a local CSV file', async () => {
+			const directory = await mkdtemp(join(tmpdir(), 'i14y-validate-test-'));
+			const originalDataDir = config.dataDir;
+			config.dataDir = directory;
+			try {
+				await writeFile(join(directory, 'data.csv'), 'id;canton\n1;ZH\n2;XX\n');
+
+				const result = await registeredTools.validate_against_code_list.handler({
+					id,
+					csvPath: join(directory, 'data.csv'),
+					column: 'canton',
+					format: 'markdown',
+				});
+
+				expect(result.content[0].text).toContain('### Validation against code list');
+				expect(result.content[0].text).toContain('- **Invalid:** 1');
+				expect(result.content[0].text).toContain('  - "XX" x1');
+
+				const outside = await registeredTools.validate_against_code_list.handler({ id, csvPath: '/etc/passwd' });
+
+				expect(outside.isError).toBe(true);
+				expect(outside.content[0].text).toContain('inside I14Y_DATA_DIR');
+			} finally {
+				config.dataDir = originalDataDir;
+				await rm(directory, { recursive: true, force: true });
+			}
+		});
+
+		it('should render deprecated codes compactly', async () => {
+			const result = await registeredTools.validate_against_code_list.handler({ id, values: ['JU'], format: 'compact' });
+
+			expect(result.content[0].text).toContain('deprecated "JU" x1 -> superseded, replaced by JU2');
+		});
+
+		it('should require values or a CSV path', async () => {
+			const result = await registeredTools.validate_against_code_list.handler({ id });
+
+			expect(result.isError).toBe(true);
+			expect(result.content[0].text).toContain('Either values or csvPath is required');
+		});
+	});
+
+	describe('export_code_list', () => {
+		const id = '123e4567-e89b-12d3-a456-426614174000';
+		let exportDir;
+		let originalExportDir;
+
+		beforeEach(async () => {
+			exportDir = await mkdtemp(join(tmpdir(), 'i14y-code-list-test-'));
+			originalExportDir = config.exportDir;
+			config.exportDir = exportDir;
+			i14yClient.getConcept.mockResolvedValue({ id, identifier: 'GENDER', name: { de: 'Geschlecht', fr: 'Sexe' } });
+			i14yClient.getCodeListEntries.mockResolvedValue({
+				items: [
+					{ code: '1', name: { de: 'Mann', fr: 'Homme' } },
+					{ code: '1a', parentCode: '1', name: { de: 'Mann, "erwachsen"' } },
+				],
+				totalCount: 2,
+			});
+		});
+
+		afterEach(async () => {
+			config.exportDir = originalExportDir;
+			await rm(exportDir, { recursive: true, force: true });
+		});
+
+		it('should export CSV with one column per language', async () => {
+			const result = await registeredTools.export_code_list.handler({ id, format: 'csv' });
+			const lines = result.structuredContent.body.trim().split('\r\n');
+
+			expect(lines[0]).toBe(
+				'code,parentCode,name_de,name_fr,name_it,name_en,name_rm,description_de,description_fr,description_it,description_en,description_rm'
+			);
+			expect(lines[1]).toBe('1,,Mann,Homme,,,,,,,,');
+			expect(lines[2]).toBe('1a,1,"Mann, ""erwachsen""",,,,,,,,,');
+			expect(result.structuredContent).toMatchObject({ conceptId: id, entryCount: 2, contentType: 'text/csv', truncated: false });
+			expect(result.content[0].text).toContain('Exported 2 code list entries of GENDER as csv');
+		});
+
+		it('should export flat JSON in one language', async () => {
+			const result = await registeredTools.export_code_list.handler({ id, format: 'json', language: 'fr' });
+
+			expect(JSON.parse(result.content[1].text)).toEqual([
+				{ code: '1', parentCode: null, name_fr: 'Homme', description_fr: '' },
+				{ code: '1a', parentCode: '1', name_fr: '', description_fr: '' },
+			]);
+		});
+
+		it('should export SKOS with broader links for hierarchical codes', async () => {
+			const result = await registeredTools.export_code_list.handler({ id, format: 'skos' });
+			const turtle = result.structuredContent.body;
+			const scheme = `https://www.i14y.admin.ch/catalog/concepts/${id}`;
+
+			expect(result.structuredContent.contentType).toBe('text/turtle');
+			expect(turtle).toContain(`<${scheme}>\n    a skos:ConceptScheme`);
+			expect(turtle).toContain(`skos:hasTopConcept <${scheme}/codes/1>`);
+			expect(turtle).toContain('skos:prefLabel "Mann"@de, "Homme"@fr');
+			expect(turtle).toContain(`skos:broader <${scheme}/codes/1>`);
+		});
+
+		it('should write to the output path', async () => {
+			const result = await registeredTools.export_code_list.handler({ id, format: 'csv', outputPath: 'gender.csv' });
+
+			expect(result.structuredContent.path).toBe(join(exportDir, 'gender.csv'));
+			expect(result.structuredContent.body).toBeNull();
+			expect(await readFile(join(exportDir, 'gender.csv'), 'utf8')).toContain('1a,1,');
+		});
+
+		it('should reject unsupported formats', async () => {
+			const result = await registeredTools.export_code_list.handler({ id, format: 'xlsx' });
+
+			expect(result.isError).toBe(true);
+			expect(result.content[0].text).toContain('Error exporting code list');
+		});
+	});
+
+	describe('find_concept_usages', () => {
+		const conceptId = '123e4567-e89b-12d3-a456-426614174000';
+
+		beforeEach(() => {
+			vi.mocked(i14yClient.searchConcepts).mockResolvedValue({
+				data: [
+					{ id: 'c-v1', identifier: 'CL_GENDER' },
+					{ id: 'c-v2', identifier: 'CL_GENDER' },
+					{ id: 'c-other', identifier: 'CL_GENDER_OLD' },
+				],
+				totalCount: 3,
+			});
+			vi.mocked(i14yClient.searchDatasets).mockResolvedValue({
+				data: [
+					{ id: 'ds-1', identifier: 'persons', title: { de: 'Personen' }, publisher: { identifier: 'CH1', name: { de: 'BFS' } } },
+					{ id: 'ds-2', identifier: 'buildings', title: { de: 'Gebäude' } },
+					{ id: 'ds-3', identifier: 'empty' },
+				],
+				totalCount: 3,
+			});
+			vi.mocked(i14yClient.getDatasetStructure).mockImplementation(async (id) => {
+				if (id === 'ds-3') throw Object.assign(new Error('Resource not found'), { status: 404 });
+				return id === 'ds-1'
+					? { properties: [{ path: 'gender', name: { de: 'Geschlecht' }, conceptId: 'c-v2' }, { path: 'age' }] }
+					: { properties: [{ path: 'owner', conceptId: conceptId }] };
+			});
+			vi.mocked(i14yClient.searchDataServices).mockResolvedValue({
+				data: [
+					{ id: 'svc-1', title: { de: 'Personen-API' }, servesDataset: [{ id: 'ds-1' }] },
+					{ id: 'svc-2', servesDataset: ['ds-2'] },
+				],
+				totalCount: 2,
+			});
+		});
+
+		it('should find datasets referencing any version of a concept identifier', async () => {
+			const result = await registeredTools.find_concept_usages.handler({ conceptIdentifier: 'CL_GENDER', language: 'de' });
+
+			expect(i14yClient.searchConcepts).toHaveBeenCalledWith(
+				expect.objectContaining({ conceptIdentifier: 'CL_GENDER' })
+			);
+			expect(result.structuredContent).toMatchObject({
+				conceptIds: ['c-v1', 'c-v2'],
+				scannedDatasets: 3,
+				datasetsWithoutStructure: 1,
+				failedDatasetIds: [],
+				truncated: false,
+				usages: [
+					{
+						datasetId: 'ds-1',
+						identifier: 'persons',
+						title: 'Personen',
+						publisher: { identifier: 'CH1', name: 'BFS' },
+						properties: [{ path: 'gender', name: 'Geschlecht', conceptId: 'c-v2' }],
+					},
+				],
+				dataServices: [{ id: 'svc-1', datasetIds: ['ds-1'] }],
+			});
+			expect(result.structuredContent.summary).toBe(
+				'1 of 3 scanned datasets reference the concept, 1 data services serve them, 1 datasets have no structure'
+			);
+		});
+
+		it('should find datasets by concept ID and skip data services when disabled', async () => {
+			const result = await registeredTools.find_concept_usages.handler({
+				conceptId,
+				includeDataServices: false,
+				publisherIdentifier: 'CH1',
+				format: 'compact',
+			});
+
+			expect(i14yClient.searchConcepts).not.toHaveBeenCalled();
+			expect(i14yClient.searchDataServices).not.toHaveBeenCalled();
+			expect(i14yClient.searchDatasets).toHaveBeenCalledWith(expect.objectContaining({ publisherIdentifier: 'CH1' }));
+			expect(result.content[0].text).toBe(
+				'1 of 3 scanned datasets reference the concept, 1 datasets have no structure\n' +
+					'Gebäude (ds-2): owner'
+			);
+		});
+
+		it('should list datasets whose structure could not be fetched apart from those without one', async () => {
+			vi.mocked(i14yClient.getDatasetStructure).mockImplementation(async (id) => {
+				if (id === 'ds-3') throw Object.assign(new Error('Resource not found'), { status: 404 });
+				if (id === 'ds-2') throw Object.assign(new Error('Server error'), { status: 503 });
+				return { properties: [{ path: 'gender', conceptId: 'c-v2' }] };
+			});
+
+			const result = await registeredTools.find_concept_usages.handler({
+				conceptIdentifier: 'CL_GENDER',
+				includeDataServices: false,
+			});
+
+			expect(result.structuredContent).toMatchObject({ datasetsWithoutStructure: 1, failedDatasetIds: ['ds-2'] });
+			expect(result.structuredContent.usages.map((usage) => usage.datasetId)).toEqual(['ds-1']);
+			expect(result.structuredContent.summary).toContain('the structures of 1 datasets could not be fetched (ds-2)');
+		});
+
+		it('should require a concept ID or identifier', async () => {
+			const result = await registeredTools.find_concept_usages.handler({});
+
+			expect(result.isError).toBe(true);
+			expect(result.content[0].text).toContain('Either conceptId or conceptIdentifier is required');
+		});
+	});
+
+	describe('diff_code_list_versions', () => {
+		const versions = [
+			{ id: 'cl-v2', identifier: 'CL_GENDER', version: '2.0.0' },
+			{ id: 'cl-v10', identifier: 'CL_GENDER', version: '10.0.0' },
+			{ id: 'cl-v1', identifier: 'CL_GENDER', version: '1.0.0' },
+			{ id: 'cl-other', identifier: 'CL_GENDER_OLD', version: '3.0.0' },
+		];
+		const entries = {
+			'cl-v1': [
+				{ code: '1', name: { de: 'Mann' } },
+				{ code: '9', name: { de: 'Unbekannt' } },
+			],
+			'cl-v2': [
+				{ code: '1', name: { de: 'Mann' } },
+				{ code: '2', name: { de: 'Frau' } },
+			],
+			'cl-v10': [
+				{ code: '1', name: { de: 'Männlich', fr: 'Masculin' } },
+				{ code: '2', name: { de: 'Frau' }, annotations: [{ type: 'NOTE', text: { de: 'Neu' } }] },
+			],
+		};
+
+		beforeEach(() => {
+			vi.mocked(i14yClient.searchConcepts).mockImplementation(async ({ version }) => {
+				const data = versions.filter((concept) => !version || concept.version === version);
+				return { data, totalCount: data.length };
+			});
+			vi.mocked(i14yClient.getCodeListEntries).mockImplementation(async (id) => ({
+				data: entries[id],
+				totalCount: entries[id].length,
+			}));
+		});
+
+		it('should compare the two latest versions by default', async () => {
+			const result = await registeredTools.diff_code_list_versions.handler({ conceptIdentifier: 'CL_GENDER' });
+
+			expect(i14yClient.getCodeListEntries).toHaveBeenCalledWith('cl-v2', expect.any(Object));
+			expect(i14yClient.getCodeListEntries).toHaveBeenCalledWith('cl-v10', expect.any(Object));
+			expect(result.structuredContent).toMatchObject({
+				from: { id: 'cl-v2', version: '2.0.0' },
+				to: { id: 'cl-v10', version: '10.0.0' },
+				added: [],
+				removed: [],
+				relabelled: [
+					{
+						code: '1',
+						changes: [
+							{ field: 'name', language: 'de', from: 'Mann', to: 'Männlich' },
+							{ field: 'name', language: 'fr', from: null, to: 'Masculin' },
+						],
+					},
+				],
+				annotationChanges: [{ code: '2', added: [{ type: 'NOTE', text: { de: 'Neu' } }], removed: [] }],
+				unchangedCount: 0,
+				truncated: false,
+			});
+			expect(result.structuredContent.summary).toBe(
+				'0 added, 0 removed, 1 relabelled, 0 moved, 1 with changed annotations, 0 unchanged codes between versions 2.0.0 and 10.0.0'
+			);
+		});
+
+		it('should resolve explicit versions through the version filter and render markdown', async () => {
+			const result = await registeredTools.diff_code_list_versions.handler({
+				conceptIdentifier: 'CL_GENDER',
+				fromVersion: '1.0.0',
+				toVersion: '2.0.0',
+				format: 'markdown',
+			});
+
+			expect(i14yClient.searchConcepts).toHaveBeenCalledWith(
+				expect.objectContaining({ conceptIdentifier: 'CL_GENDER', version: '1.0.0' })
+			);
+			expect(result.structuredContent).toMatchObject({
+				added: [{ code: '2', name: { de: 'Frau' } }],
+				removed: [{ code: '9', name: { de: 'Unbekannt' } }],
+				unchangedCount: 1,
+			});
+			expect(result.content[0].text).toContain('### Changes to code list CL_GENDER from 1.0.0 to 2.0.0');
+			expect(result.content[0].text).toContain('- **Added Codes:**\n  - 2 Frau');
+			expect(result.content[0].text).toContain('- **Removed Codes:**\n  - 9 Unbekannt');
+		});
+
+		it('should report unknown versions with the available ones', async () => {
+			const result = await registeredTools.diff_code_list_versions.handler({
+				conceptIdentifier: 'CL_GENDER',
+				fromVersion: '0.9.0',
+				toVersion: '2.0.0',
+			});
+
+			expect(result.isError).toBe(true);
+			expect(result.content[0].text).toBe(
+				'Error diffing code list versions: Code list CL_GENDER has no version 0.9.0 (available: 1.0.0, 2.0.0, 10.0.0)'
+			);
+		});
+
+		it('should require an earlier version to compare with', async () => {
+			const result = await registeredTools.diff_code_list_versions.handler({
+				conceptIdentifier: 'CL_GENDER',
+				toVersion: '1.0.0',
+			});
+
+			expect(result.isError).toBe(true);
+			expect(result.content[0].text).toContain('has no version before 1.0.0');
+		});
+	});
 });
@@ -74,6 +74,29 @@ describe('Data Service Tools', () => {
 
       expect(result.content[0].text).toContain('service-1');
     });
+
+    it('should get a data service by its web URL', async () => {
+      vi.mocked(i14yClient.getDataService).mockResolvedValue({ id: '123e4567-e89b-12d3-a456-426614174000', identifier: 'service-1' });
+
+      const tool = registeredTools.get('get_data_service');
+      await tool.handler({
+        id: 'https://www.i14y.admin.ch/de/catalog/dataservices/123e4567-e89b-12d3-a456-426614174000/description',
+      });
+
+      expect(i14yClient.getDataService).toHaveBeenCalledWith('123e4567-e89b-12d3-a456-426614174000');
+      expect(i14yClient.searchDataServices).not.toHaveBeenCalled();
+    });
+
+    it('should get a data service by identifier', async () => {
+      vi.mocked(i14yClient.searchDataServices).mockResolvedValue({ data: [{ id: 'svc-7', identifier: 'persons-api' }] });
+      vi.mocked(i14yClient.getDataService).mockResolvedValue({ id: 'svc-7', identifier: 'persons-api' });
+
+      const tool = registeredTools.get('get_data_service');
+      await tool.handler({ id: 'persons-api' });
+
+      expect(i14yClient.searchDataServices).toHaveBeenCalledWith(expect.objectContaining({ dataServiceIdentifier: 'persons-api' }));
+      expect(i14yClient.getDataService).toHaveBeenCalledWith('svc-7');
+    });
   });
 
   describe('Error Handling', () => {
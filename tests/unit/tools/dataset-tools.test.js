@@ -2,14 +2,23 @@
  * Unit tests for dataset tools
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { registerDatasetTools } from '../../../src/tools/dataset-tools.js';
+import config from '../../../src/config.js';
 
 // Mock the i14y-client module
 vi.mock('../../../src/api/i14y-client.js', () => ({
   i14yClient: {
     searchDatasets: vi.fn(),
     getDataset: vi.fn(),
+    getDatasetStructure: vi.fn(),
+    exportDatasetStructure: vi.fn(),
+    listDatasetDistributions: vi.fn(),
+    getCodeListEntries: vi.fn(),
+    getConcept: vi.fn(),
   },
 }));
 
@@ -64,6 +73,116 @@ describe('Dataset Tools', () => {
     });
   });
 
+  describe('output formats', () => {
+    it('should render search results as markdown', async () => {
+      vi.mocked(i14yClient.searchDatasets).mockResolvedValue({
+        items: [{ id: 'ds-1', identifier: 'DS1', title: { de: 'Titel', en: 'Title' } }],
+        totalCount: 1,
+      });
+
+      const tool = registeredTools.get('search_datasets');
+      const result = await tool.handler({ format: 'markdown' });
+
+      expect(result.content[0].text).toContain('### Titel');
+      expect(result.content[0].text).toContain('Page 1 of 1');
+      expect(i14yClient.searchDatasets).toHaveBeenCalledWith(expect.not.objectContaining({ format: 'markdown' }));
+    });
+
+    it('should render a dataset compactly in the requested language', async () => {
+      vi.mocked(i14yClient.getDataset).mockResolvedValue({ id: 'ds-1', identifier: 'DS1', title: { de: 'Titel', en: 'Title' } });
+
+      const tool = registeredTools.get('get_dataset');
+      const result = await tool.handler({ id: 'ds-1', language: 'en', format: 'compact' });
+
+      expect(result.content[0].text).toBe('DS1: Title');
+    });
+  });
+
+  describe('language handling', () => {
+    it('should keep all translations when no language is requested', async () => {
+      vi.mocked(i14yClient.getDataset).mockResolvedValue({
+        id: 'ds-1',
+        title: { de: 'Titel', fr: 'Titre' },
+        publisher: { name: { fr: 'Office' } },
+      });
+
+      const tool = registeredTools.get('get_dataset');
+      const result = await tool.handler({ id: 'ds-1' });
+      const markdown = await tool.handler({ id: 'ds-1', format: 'markdown' });
+
+      expect(i14yClient.getDataset).toHaveBeenCalledWith('ds-1', undefined);
+      expect(JSON.parse(result.content[0].text).title).toEqual({ de: 'Titel', fr: 'Titre' });
+      expect(result.structuredContent.title).toEqual({ de: 'Titel', fr: 'Titre' });
+      expect(markdown.content[0].text).toContain('Titel');
+    });
+
+    it('should pass the requested language to the API and collapse multilingual fields', async () => {
+      vi.mocked(i14yClient.getDataset).mockResolvedValue({
+        id: 'ds-1',
+        title: { de: 'Titel', fr: 'Titre' },
+        publisher: { name: { fr: 'Office' } },
+      });
+
+      const tool = registeredTools.get('get_dataset');
+      const result = await tool.handler({ id: 'ds-1', language: 'de' });
+      const parsed = JSON.parse(result.content[0].text);
+
+      expect(i14yClient.getDataset).toHaveBeenCalledWith('ds-1', 'de');
+      expect(parsed.title).toBe('Titel');
+      expect(parsed.publisher.name).toBe('Office');
+    });
+
+    it('should forward the requested language to searches and collapse the results', async () => {
+      vi.mocked(i14yClient.searchDatasets).mockResolvedValue({
+        items: [{ id: 'ds-1', title: { de: 'Titel', fr: 'Titre' } }],
+        totalCount: 1,
+      });
+
+      const tool = registeredTools.get('search_datasets');
+      const result = await tool.handler({ language: 'fr' });
+
+      expect(result.structuredContent.items[0].title).toBe('Titre');
+      expect(i14yClient.searchDatasets).toHaveBeenCalledWith(expect.objectContaining({ language: 'fr' }));
+    });
+
+    it('should reject unsupported languages', async () => {
+      const tool = registeredTools.get('get_dataset');
+      const result = await tool.handler({ id: 'ds-1', language: 'es' });
+
+      expect(result.isError).toBe(true);
+      expect(i14yClient.getDataset).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('search_datasets with all', () => {
+    it('should fetch all pages and summarize', async () => {
+      vi.mocked(i14yClient.searchDatasets)
+        .mockResolvedValueOnce({ items: Array(100).fill({ id: 'ds' }), totalCount: 120 })
+        .mockResolvedValueOnce({ items: Array(20).fill({ id: 'ds' }), totalCount: 120 });
+
+      const tool = registeredTools.get('search_datasets');
+      const result = await tool.handler({ publisherIdentifier: 'CH1', all: true });
+      const parsed = JSON.parse(result.content[0].text);
+
+      expect(parsed.summary).toBe('Fetched 120 of 120 datasets across 2 pages');
+      expect(parsed.items).toHaveLength(120);
+      expect(i14yClient.searchDatasets).toHaveBeenCalledWith(
+        expect.not.objectContaining({ all: expect.anything() })
+      );
+    });
+
+    it('should respect maxItems', async () => {
+      vi.mocked(i14yClient.searchDatasets).mockResolvedValue({ items: Array(100).fill({ id: 'ds' }), totalCount: 500 });
+
+      const tool = registeredTools.get('search_datasets');
+      const result = await tool.handler({ all: true, maxItems: 150 });
+      const parsed = JSON.parse(result.content[0].text);
+
+      expect(parsed.fetched).toBe(150);
+      expect(parsed.truncated).toBe(true);
+    });
+  });
+
   describe('get_dataset', () => {
     it('should get dataset by ID', async () => {
       const mockDataset = { id: 'ds-1', identifier: 'dataset-1', title: { de: 'Test' } };
@@ -85,6 +204,361 @@ describe('Dataset Tools', () => {
     });
   });
 
+  describe('list_dataset_distributions', () => {
+    const distributions = [
+      {
+        identifier: 'dist-1',
+        title: { de: 'CSV-Datei', en: 'CSV file' },
+        accessUrl: { uri: 'https://example.org/data' },
+        downloadUrl: [{ uri: 'https://example.org/data.csv' }],
+        mediaType: { code: 'text/csv' },
+        license: { code: 'terms_by' },
+        byteSize: 1536,
+      },
+      { accessURL: 'https://example.org/api' },
+    ];
+
+    it('should normalize access details per distribution', async () => {
+      vi.mocked(i14yClient.listDatasetDistributions).mockResolvedValue({ datasetId: 'ds-1', distributions });
+
+      const tool = registeredTools.get('list_dataset_distributions');
+      const result = await tool.handler({ id: 'ds-1', language: 'en' });
+
+      expect(i14yClient.listDatasetDistributions).toHaveBeenCalledWith('ds-1', 'en');
+      expect(result.structuredContent.totalCount).toBe(2);
+      expect(result.structuredContent.items[0]).toEqual({
+        identifier: 'dist-1',
+        title: 'CSV file',
+        description: null,
+        accessUrl: 'https://example.org/data',
+        downloadUrl: 'https://example.org/data.csv',
+        mediaType: 'text/csv',
+        format: null,
+        license: 'terms_by',
+        byteSize: 1536,
+      });
+      expect(result.structuredContent.items[1].accessUrl).toBe('https://example.org/api');
+    });
+
+    it('should render download links compactly', async () => {
+      vi.mocked(i14yClient.listDatasetDistributions).mockResolvedValue({ datasetId: 'ds-1', distributions });
+
+      const tool = registeredTools.get('list_dataset_distributions');
+      const result = await tool.handler({ id: 'ds-1', format: 'compact' });
+
+      expect(result.content[0].text).toContain('https://example.org/data.csv: CSV-Datei [text/csv]');
+    });
+
+    it('should show sizes in markdown', async () => {
+      vi.mocked(i14yClient.listDatasetDistributions).mockResolvedValue({ datasetId: 'ds-1', distributions });
+
+      const tool = registeredTools.get('list_dataset_distributions');
+      const result = await tool.handler({ id: 'ds-1', format: 'markdown' });
+
+      expect(result.content[0].text).toContain('- **Size:** 1.5 KB');
+      expect(result.content[0].text).toContain('- **License:** terms_by');
+    });
+
+    it('should handle errors', async () => {
+      vi.mocked(i14yClient.listDatasetDistributions).mockRejectedValue(new Error('Not found'));
+
+      const tool = registeredTools.get('list_dataset_distributions');
+      const result = await tool.handler({ id: 'ds-1' });
+
+      expect(result.isError).toBe(true);
+    });
+  });
+
+  describe('get_dataset_structure', () => {
+    const structure = {
+      properties: [
+        { path: 'gender', name: { de: 'Geschlecht', fr: 'Sexe' }, datatype: 'xsd:string', minCount: 1, conceptId: 'c-1' },
+        { path: 'age', datatype: 'xsd:integer' },
+      ],
+    };
+
+    it('should be registered', () => {
+      expect(registeredTools.has('get_dataset_structure')).toBe(true);
+      expect(registeredTools.has('export_dataset_structure')).toBe(true);
+    });
+
+    it('should summarize properties and linked concepts', async () => {
+      vi.mocked(i14yClient.getDatasetStructure).mockResolvedValue(structure);
+
+      const tool = registeredTools.get('get_dataset_structure');
+      const result = await tool.handler({ id: 'ds-1', language: 'fr' });
+
+      expect(i14yClient.getDatasetStructure).toHaveBeenCalledWith('ds-1', 'fr');
+      expect(result.structuredContent).toMatchObject({ datasetId: 'ds-1', propertyCount: 2, linkedConceptCount: 1 });
+      expect(result.structuredContent.properties[0].name).toBe('Sexe');
+    });
+
+    it('should render a readable property list', async () => {
+      vi.mocked(i14yClient.getDatasetStructure).mockResolvedValue(structure);
+
+      const tool = registeredTools.get('get_dataset_structure');
+      const result = await tool.handler({ id: 'ds-1', format: 'compact' });
+
+      expect(result.content[0].text).toBe(
+        'Geschlecht (gender) [xsd:string, required] -> concept c-1\nage [xsd:integer]'
+      );
+    });
+
+    it('should handle errors', async () => {
+      vi.mocked(i14yClient.getDatasetStructure).mockRejectedValue(new Error('Not found'));
+
+      const tool = registeredTools.get('get_dataset_structure');
+      const result = await tool.handler({ id: 'ds-1' });
+
+      expect(result.isError).toBe(true);
+    });
+  });
+
+  describe('validate_data_against_structure', () => {
+    const structure = {
+      properties: [
+        { path: 'gender', name: { de: 'Geschlecht' }, minCount: 1, conceptId: 'c-gender' },
+        { path: 'age', datatype: 'xsd:integer', conceptId: 'c-age' },
+      ],
+    };
+    let directory;
+    let originalDataDir;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'i14y-structure-test-'));
+      originalDataDir = config.dataDir;
+      config.dataDir = directory;
+      await writeFile(join(directory, 'data.csv'), 'Geschlecht,age\n1,42\n9,x\n,7\n');
+      vi.mocked(i14yClient.getDatasetStructure).mockResolvedValue(structure);
+      vi.mocked(i14yClient.getCodeListEntries).mockImplementation(async (conceptId) => {
+        if (conceptId !== 'c-gender') throw Object.assign(new Error('Resource not found'), { status: 404 });
+        return { data: [{ code: '1' }, { code: '2' }], totalCount: 2 };
+      });
+    });
+
+    afterEach(async () => {
+      config.dataDir = originalDataDir;
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should be registered', () => {
+      expect(registeredTools.has('validate_data_against_structure')).toBe(true);
+    });
+
+    it('should reject files outside the data directory', async () => {
+      const tool = registeredTools.get('validate_data_against_structure');
+      const result = await tool.handler({ id: 'ds-1', path: '/etc/passwd' });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('inside I14Y_DATA_DIR');
+      expect(i14yClient.getDatasetStructure).not.toHaveBeenCalled();
+    });
+
+    it('should report line-level errors of a CSV file', async () => {
+      const tool = registeredTools.get('validate_data_against_structure');
+      const result = await tool.handler({ id: 'ds-1', path: join(directory, 'data.csv') });
+
+      expect(i14yClient.getDatasetStructure).toHaveBeenCalledWith('ds-1');
+      expect(result.structuredContent).toMatchObject({
+        datasetId: 'ds-1',
+        fileFormat: 'csv',
+        recordCount: 3,
+        validRecordCount: 1,
+        errorCount: 3,
+        codeListConceptIds: ['c-gender'],
+        skippedCodeListConceptIds: [],
+        columnMapping: [
+          { column: 'Geschlecht', property: 'gender' },
+          { column: 'age', property: 'age' },
+        ],
+      });
+      expect(result.structuredContent.errors.map(({ line, rule }) => [line, rule])).toEqual([
+        [3, 'codeList'],
+        [3, 'datatype'],
+        [4, 'required'],
+      ]);
+      expect(result.structuredContent.summary).toBe(
+        '1 of 3 records are valid, 3 errors, 2 of 2 columns mapped to properties'
+      );
+    });
+
+    it('should report linked code lists that could not be fetched', async () => {
+      vi.mocked(i14yClient.getCodeListEntries).mockImplementation(async (conceptId) => {
+        if (conceptId === 'c-gender') throw Object.assign(new Error('Server error'), { status: 503 });
+        throw Object.assign(new Error('Resource not found'), { status: 404 });
+      });
+
+      const tool = registeredTools.get('validate_data_against_structure');
+      const result = await tool.handler({ id: 'ds-1', path: join(directory, 'data.csv') });
+
+      expect(result.structuredContent).toMatchObject({
+        codeListConceptIds: [],
+        skippedCodeListConceptIds: ['c-gender'],
+        errorCount: 2,
+      });
+      expect(result.structuredContent.summary).toContain(
+        'the code lists of 1 linked concepts could not be fetched (c-gender)'
+      );
+    });
+
+    it('should render errors in compact format', async () => {
+      const tool = registeredTools.get('validate_data_against_structure');
+      const result = await tool.handler({ id: 'ds-1', path: join(directory, 'data.csv'), format: 'compact', maxErrors: 1 });
+
+      expect(result.content[0].text).toBe(
+        '1 of 3 records are valid, 3 errors, 2 of 2 columns mapped to properties, only the first 1 errors are reported\n' +
+          'line 3 [Geschlecht]: "9" is not a code of the linked code list'
+      );
+    });
+
+    it('should handle unreadable files', async () => {
+      const tool = registeredTools.get('validate_data_against_structure');
+      const result = await tool.handler({ id: 'ds-1', path: join(directory, 'missing.csv') });
+
+      expect(result.isError).toBe(true);
+    });
+  });
+
+  describe('generate_json_schema', () => {
+    const structure = {
+      properties: [
+        { path: 'gender', name: { de: 'Geschlecht', en: 'Gender' }, datatype: 'xsd:string', minCount: 1, conceptId: 'c-gender' },
+        { path: 'age', datatype: 'xsd:integer' },
+      ],
+    };
+    let exportDir;
+    let originalConfig;
+
+    beforeEach(async () => {
+      exportDir = await mkdtemp(join(tmpdir(), 'i14y-json-schema-test-'));
+      originalConfig = { exportDir: config.exportDir, maxResponseBytes: config.maxResponseBytes };
+      config.exportDir = exportDir;
+      vi.mocked(i14yClient.getDatasetStructure).mockResolvedValue(structure);
+      vi.mocked(i14yClient.getCodeListEntries).mockResolvedValue({ data: [{ code: 'M' }, { code: 'F' }], totalCount: 2 });
+    });
+
+    afterEach(async () => {
+      Object.assign(config, originalConfig);
+      await rm(exportDir, { recursive: true, force: true });
+    });
+
+    it('should return the schema inline', async () => {
+      const tool = registeredTools.get('generate_json_schema');
+      const result = await tool.handler({ id: 'ds-1', language: 'en' });
+      const schema = JSON.parse(result.content[1].text);
+
+      expect(result.structuredContent).toMatchObject({
+        datasetId: 'ds-1',
+        propertyCount: 2,
+        requiredCount: 1,
+        enumPropertyCount: 1,
+        path: null,
+      });
+      expect(schema.properties.gender).toMatchObject({ title: 'Gender', type: 'string', enum: ['M', 'F'] });
+      expect(schema.required).toEqual(['gender']);
+    });
+
+    it('should skip code lists when disabled', async () => {
+      const tool = registeredTools.get('generate_json_schema');
+      const result = await tool.handler({ id: 'ds-1', includeCodeLists: false });
+
+      expect(i14yClient.getCodeListEntries).not.toHaveBeenCalled();
+      expect(JSON.parse(result.structuredContent.body).properties.gender.enum).toBeUndefined();
+    });
+
+    it('should write large schemas to a file', async () => {
+      config.maxResponseBytes = 100;
+
+      const tool = registeredTools.get('generate_json_schema');
+      const result = await tool.handler({ id: 'ds-1' });
+
+      expect(result.structuredContent.path).toBe(join(exportDir, 'schema-ds-1.json'));
+      expect(result.content).toHaveLength(1);
+    });
+  });
+
+  describe('generate_code_artifacts', () => {
+    beforeEach(() => {
+      vi.mocked(i14yClient.getDatasetStructure).mockResolvedValue({
+        properties: [{ path: 'gender', name: { de: 'Geschlecht' }, minCount: 1, conceptId: 'c-gender' }],
+      });
+      vi.mocked(i14yClient.getCodeListEntries).mockResolvedValue({
+        data: [{ code: 'M', name: { de: 'Mann' } }, { code: 'F', name: { de: 'Frau' } }],
+        totalCount: 2,
+      });
+      vi.mocked(i14yClient.getConcept).mockResolvedValue({ id: 'c-gender', identifier: 'CL_GENDER' });
+    });
+
+    it('should generate SQL with code lists named after their concepts', async () => {
+      const tool = registeredTools.get('generate_code_artifacts');
+      const result = await tool.handler({ id: 'ds-1', target: 'sqlite', name: 'persons', codeListMode: 'lookup' });
+
+      expect(i14yClient.getConcept).toHaveBeenCalledWith('c-gender');
+      expect(result.structuredContent).toMatchObject({ datasetId: 'ds-1', target: 'sqlite', propertyCount: 1, codeListCount: 1 });
+      expect(result.content[1].text).toContain('CREATE TABLE "persons_cl_gender"');
+      expect(result.content[1].text).toContain('"gender" TEXT NOT NULL REFERENCES "persons_cl_gender" ("code")');
+    });
+
+    it('should generate TypeScript declarations', async () => {
+      const tool = registeredTools.get('generate_code_artifacts');
+      const result = await tool.handler({ id: 'ds-1', target: 'typescript' });
+
+      expect(result.structuredContent.body).toBe(
+        'export enum ClGender {\n  Mann = "M",\n  Frau = "F",\n}\n\n' +
+          'export interface DatasetDs1 {\n  /** Geschlecht */\n  gender: ClGender;\n}\n'
+      );
+    });
+
+    it('should reject unknown targets', async () => {
+      const tool = registeredTools.get('generate_code_artifacts');
+      const result = await tool.handler({ id: 'ds-1', target: 'java' });
+
+      expect(result.isError).toBe(true);
+    });
+  });
+
+  describe('export_dataset_structure', () => {
+    it('should pretty-print JSON-LD exports', async () => {
+      vi.mocked(i14yClient.exportDatasetStructure).mockResolvedValue({
+        datasetId: 'ds-1',
+        format: 'JsonLd',
+        contentType: 'application/ld+json',
+        body: '{"@graph":[]}',
+      });
+
+      const tool = registeredTools.get('export_dataset_structure');
+      const result = await tool.handler({ id: 'ds-1', format: 'jsonld' });
+
+      expect(i14yClient.exportDatasetStructure).toHaveBeenCalledWith('ds-1', 'JsonLd', 'de');
+      expect(result.content[0].text).toContain('exported as JsonLd (application/ld+json)');
+      expect(result.content[1].text).toBe('{\n  "@graph": []\n}');
+      expect(result.structuredContent.contentType).toBe('application/ld+json');
+    });
+
+    it('should return Turtle verbatim', async () => {
+      const body = '@prefix sh: <http://www.w3.org/ns/shacl#> .';
+      vi.mocked(i14yClient.exportDatasetStructure).mockResolvedValue({
+        datasetId: 'ds-1',
+        format: 'Ttl',
+        contentType: 'text/turtle',
+        body,
+      });
+
+      const tool = registeredTools.get('export_dataset_structure');
+      const result = await tool.handler({ id: 'ds-1', format: 'Ttl' });
+
+      expect(result.content[1].text).toBe(body);
+    });
+
+    it('should reject unsupported formats', async () => {
+      const tool = registeredTools.get('export_dataset_structure');
+      const result = await tool.handler({ id: 'ds-1', format: 'xml' });
+
+      expect(result.isError).toBe(true);
+      expect(i14yClient.exportDatasetStructure).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle API errors', async () => {
       vi.mocked(i14yClient.searchDatasets).mockRejectedValue(new Error('API Error'));
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for entity graph tools
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { registerGraphTools } from '../../../src/tools/graph-tools.js';
+
+vi.mock('../../../src/api/i14y-client.js', () => ({
+  i14yClient: {
+    getDataset: vi.fn(),
+    getDatasetStructure: vi.fn(),
+    getConcept: vi.fn(),
+    getDataService: vi.fn(),
+    getPublicService: vi.fn(),
+    searchDatasets: vi.fn(),
+    searchConcepts: vi.fn(),
+    searchDataServices: vi.fn(),
+    searchPublicServices: vi.fn(),
+  },
+}));
+
+const { i14yClient } = await import('../../../src/api/i14y-client.js');
+
+describe('Graph Tools', () => {
+  let registeredTools;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    registeredTools = new Map();
+    registerGraphTools({
+      tool: vi.fn((name, description, schema, handler) => {
+        registeredTools.set(name, { description, schema, handler });
+      }),
+    });
+    vi.mocked(i14yClient.getDataset).mockResolvedValue({ id: 'ds-1', title: { de: 'Personen', fr: 'Personnes' } });
+    vi.mocked(i14yClient.getDatasetStructure).mockResolvedValue({
+      properties: [{ path: 'gender', conceptId: 'c-1' }],
+    });
+    vi.mocked(i14yClient.getConcept).mockResolvedValue({ id: 'c-1', name: { de: 'Geschlecht' }, conceptType: 'CodeList' });
+  });
+
+  it('should register get_entity_graph', () => {
+    expect(registeredTools.has('get_entity_graph')).toBe(true);
+  });
+
+  it('should return nodes and edges', async () => {
+    const tool = registeredTools.get('get_entity_graph');
+    const result = await tool.handler({ id: 'ds-1', type: 'datasets', language: 'fr' });
+
+    expect(i14yClient.getDataset).toHaveBeenCalledWith('ds-1', 'fr');
+    expect(result.structuredContent).toMatchObject({
+      start: 'datasets/ds-1',
+      summary: '3 nodes and 2 edges within 2 hops of datasets/ds-1',
+      graphFormat: null,
+      diagram: null,
+    });
+    expect(result.structuredContent.nodes[0].label).toBe('Personnes');
+  });
+
+  it('should render the graph as Mermaid', async () => {
+    const tool = registeredTools.get('get_entity_graph');
+    const result = await tool.handler({ id: 'ds-1', type: 'datasets', graphFormat: 'mermaid', format: 'compact' });
+
+    expect(result.content[0].text).toBe(
+      '3 nodes and 2 edges within 2 hops of datasets/ds-1\n' +
+        'Personen --usesConcept (gender)--> Geschlecht\n' +
+        'Geschlecht --hasCodeList--> Geschlecht'
+    );
+    expect(result.content[1].text).toContain('n0 -->|"usesConcept: gender"| n1');
+    expect(result.structuredContent.diagram).toBe(result.content[1].text);
+  });
+
+  it('should start from the entity type named by a URL', async () => {
+    const id = '123e4567-e89b-12d3-a456-426614174000';
+    const tool = registeredTools.get('get_entity_graph');
+    const result = await tool.handler({ id: `https://www.i14y.admin.ch/de/catalog/datasets/${id}/description`, depth: 0 });
+
+    expect(result.structuredContent.start).toBe(`datasets/${id}`);
+    expect(i14yClient.getConcept).not.toHaveBeenCalled();
+  });
+
+  it('should handle unknown entities', async () => {
+    vi.mocked(i14yClient.getDataset).mockRejectedValue(new Error('Not found'));
+    vi.mocked(i14yClient.getConcept).mockRejectedValue(new Error('Not found'));
+    vi.mocked(i14yClient.getDataService).mockRejectedValue(new Error('Not found'));
+    vi.mocked(i14yClient.getPublicService).mockRejectedValue(new Error('Not found'));
+
+    const tool = registeredTools.get('get_entity_graph');
+    const result = await tool.handler({ id: 'missing' });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('No dataset, concept, data service or public service found');
+  });
+});
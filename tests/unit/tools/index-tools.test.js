@@ -0,0 +1,124 @@
+/**
+ * Unit tests for catalog index tools
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { registerIndexTools } from '../../../src/tools/index-tools.js';
+import config from '../../../src/config.js';
+
+vi.mock('../../../src/api/i14y-client.js', () => ({
+  i14yClient: {
+    iterateConcepts: vi.fn(),
+    iterateDatasets: vi.fn(),
+    iterateDataServices: vi.fn(),
+    iteratePublicServices: vi.fn(),
+  },
+}));
+
+import { i14yClient } from '../../../src/api/i14y-client.js';
+
+async function* listing(items) {
+  yield* items;
+}
+
+describe('Index Tools', () => {
+  let registeredTools;
+  let directory;
+  const originalIndexDir = config.indexDir;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    directory = await mkdtemp(join(tmpdir(), 'i14y-index-tools-test-'));
+    config.indexDir = directory;
+    registeredTools = {};
+    registerIndexTools({
+      tool: vi.fn((name, description, schema, handler) => {
+        registeredTools[name] = { description, schema, handler };
+      }),
+    });
+    vi.mocked(i14yClient.iterateConcepts).mockImplementation(() =>
+      listing([{ id: 'c-1', identifier: 'CL_GEMEINDE', title: { de: 'Gemeinde', fr: 'Commune' }, registrationStatus: 'Standard' }])
+    );
+    vi.mocked(i14yClient.iterateDatasets).mockImplementation(() =>
+      listing([
+        {
+          id: 'ds-1',
+          identifier: 'municipalities',
+          title: { de: 'Amtliches Gemeindeverzeichnis', fr: 'Répertoire officiel des communes' },
+          publisher: { identifier: 'CH1', name: { de: 'BFS' } },
+        },
+      ])
+    );
+    vi.mocked(i14yClient.iterateDataServices).mockImplementation(() => listing([]));
+    vi.mocked(i14yClient.iteratePublicServices).mockImplementation(() => listing([]));
+  });
+
+  afterEach(async () => {
+    config.indexDir = originalIndexDir;
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should register index tools', () => {
+    expect(Object.keys(registeredTools)).toEqual(['search_index', 'rebuild_index']);
+  });
+
+  it('should ask for a rebuild while the index is empty', async () => {
+    const result = await registeredTools.search_index.handler({ query: 'gemeinde' });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('rebuild_index');
+  });
+
+  it('should build the index and search it', async () => {
+    const rebuilt = await registeredTools.rebuild_index.handler({});
+
+    expect(rebuilt.structuredContent).toMatchObject({
+      mode: 'full',
+      path: join(directory, 'catalog-index.json'),
+      documentCount: 2,
+      counts: { concepts: 1, datasets: 1 },
+      added: 2,
+    });
+    expect(rebuilt.structuredContent.builtAt).toBe(rebuilt.structuredContent.refreshedAt);
+
+    const result = await registeredTools.search_index.handler({ query: 'verzeichnis', format: 'compact', language: 'de' });
+
+    expect(result.structuredContent).toMatchObject({ terms: ['verzeichnis'], totalCount: 1, documentCount: 2 });
+    expect(result.structuredContent.items[0]).toMatchObject({
+      type: 'datasets',
+      id: 'ds-1',
+      title: 'Amtliches Gemeindeverzeichnis',
+      matchedTerms: ['verzeichnis'],
+    });
+    expect(result.content[0].text).toContain('Dataset municipalities: Amtliches Gemeindeverzeichnis (');
+  });
+
+  it('should refresh an existing index incrementally', async () => {
+    await registeredTools.rebuild_index.handler({});
+    vi.mocked(i14yClient.iterateConcepts).mockImplementation(() => listing([]));
+
+    const result = await registeredTools.rebuild_index.handler({ types: ['concepts'] });
+
+    expect(result.structuredContent).toMatchObject({ mode: 'incremental', removed: 1, documentCount: 1 });
+    expect(i14yClient.iterateDatasets).toHaveBeenCalledTimes(1);
+  });
+
+  it('should load the index saved in the index directory', async () => {
+    await registeredTools.rebuild_index.handler({});
+    const otherDirectory = await mkdtemp(join(tmpdir(), 'i14y-index-tools-test-'));
+    try {
+      config.indexDir = otherDirectory;
+      expect((await registeredTools.search_index.handler({ query: 'commune' })).isError).toBe(true);
+
+      config.indexDir = directory;
+      const result = await registeredTools.search_index.handler({ query: 'commune', language: 'fr' });
+
+      expect(result.structuredContent.items.map((item) => item.id)).toEqual(['c-1']);
+    } finally {
+      await rm(otherDirectory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for the HTTP transport
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Mock the i14y-client module
+vi.mock('../../../src/api/i14y-client.js', () => ({
+  i14yClient: {},
+}));
+
+const { createServer } = await import('../../../src/server.js');
+const { startHttpServer } = await import('../../../src/transports/http.js');
+
+const initializeRequest = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'test-client', version: '1.0.0' },
+  },
+};
+
+const mcpHeaders = {
+  'Content-Type': 'application/json',
+  Accept: 'application/json, text/event-stream',
+};
+
+/**
+ * Parse the first JSON-RPC message from an SSE response body
+ */
+function parseSseMessage(text) {
+  const data = text.split('\n').find((line) => line.startsWith('data: '));
+  return JSON.parse(data.slice('data: '.length));
+}
+
+describe('HTTP transport', () => {
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    server = await startHttpServer(createServer, { host: '127.0.0.1', port: 0 });
+    baseUrl = `http://127.0.0.1:${server.httpServer.address().port}`;
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  describe('Streamable HTTP', () => {
+    async function initializeSession() {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: mcpHeaders,
+        body: JSON.stringify(initializeRequest),
+      });
+      await response.text();
+      return response.headers.get('mcp-session-id');
+    }
+
+    it('should open a session on initialize', async () => {
+      const sessionId = await initializeSession();
+
+      expect(sessionId).toBeTruthy();
+      expect(server.sessions.has(sessionId)).toBe(true);
+    });
+
+    it('should serve the tool registry within a session', async () => {
+      const sessionId = await initializeSession();
+
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: {
+          ...mcpHeaders,
+          'mcp-session-id': sessionId,
+          'mcp-protocol-version': '2025-03-26',
+        },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+      });
+      const message = parseSseMessage(await response.text());
+
+      expect(response.status).toBe(200);
+      expect(message.result.tools.map((tool) => tool.name)).toContain('search_concepts');
+    });
+
+    it('should keep separate sessions per client', async () => {
+      const first = await initializeSession();
+      const second = await initializeSession();
+
+      expect(first).not.toBe(second);
+      expect(server.sessions.size).toBe(2);
+    });
+
+    it('should reject requests without a session', async () => {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: mcpHeaders,
+        body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject unknown sessions', async () => {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: { ...mcpHeaders, 'mcp-session-id': 'unknown' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+      });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should reject malformed JSON', async () => {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: mcpHeaders,
+        body: '{not json',
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.error.code).toBe(-32700);
+    });
+
+    it('should end the session on DELETE', async () => {
+      const sessionId = await initializeSession();
+
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'DELETE',
+        headers: { 'mcp-session-id': sessionId, 'mcp-protocol-version': '2025-03-26' },
+      });
+
+      expect(response.status).toBe(200);
+      expect(server.sessions.has(sessionId)).toBe(false);
+    });
+  });
+
+  describe('legacy SSE', () => {
+    it('should announce the message endpoint when a stream is opened', async () => {
+      const controller = new AbortController();
+      const response = await fetch(`${baseUrl}/sse`, { signal: controller.signal });
+      const reader = response.body.getReader();
+      const { value } = await reader.read();
+      const text = new TextDecoder().decode(value);
+      controller.abort();
+
+      expect(response.headers.get('content-type')).toContain('text/event-stream');
+      expect(text).toContain('event: endpoint');
+      expect(text).toMatch(/\/messages\?sessionId=/);
+    });
+
+    it('should reject messages for unknown sessions', async () => {
+      const response = await fetch(`${baseUrl}/messages?sessionId=unknown`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(initializeRequest),
+      });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  it('should return 404 for unknown paths', async () => {
+    const response = await fetch(`${baseUrl}/unknown`);
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Unit tests for catalog search utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { rankCatalogEntities } from '../../../src/utils/catalog-search.js';
+
+describe('Catalog search', () => {
+  const entities = {
+    concepts: [
+      { id: 'c-1', identifier: 'CL_MUNICIPALITY', title: { de: 'Gemeinde', fr: 'Commune' } },
+      { id: 'c-2', identifier: 'CL_GENDER', title: { de: 'Geschlecht', fr: 'Sexe' } },
+    ],
+    datasets: [
+      { id: 'ds-1', identifier: 'municipalities', title: { de: 'Gemeindeverzeichnis', fr: 'Répertoire des communes' } },
+      { id: 'ds-2', identifier: 'buildings', title: { de: 'Gebäude' }, description: { de: 'Gebäude je Gemeinde' } },
+    ],
+  };
+
+  it('should rank title matches in the requested language first', () => {
+    const results = rankCatalogEntities(entities, 'Gemeinde', { language: 'de' });
+
+    expect(results.map(({ type, entity }) => `${type}/${entity.id}`)).toEqual([
+      'concepts/c-1',
+      'datasets/ds-1',
+      'datasets/ds-2',
+    ]);
+    expect(results[0].match).toEqual({ score: 1, field: 'title', language: 'de', text: 'Gemeinde' });
+    expect(results[2].match.field).toBe('description');
+  });
+
+  it('should weight matches in other languages down and ignore diacritics', () => {
+    const [result] = rankCatalogEntities(entities, 'repertoire', { language: 'de' });
+
+    expect(result.entity.id).toBe('ds-1');
+    expect(result.match).toMatchObject({ field: 'title', language: 'fr', score: 0.81 });
+  });
+
+  it('should match identifiers and tolerate typos', () => {
+    expect(rankCatalogEntities(entities, 'cl_gender')[0].match).toMatchObject({ field: 'identifier', score: 0.95 });
+    expect(rankCatalogEntities(entities, 'Geschelcht')[0].entity.id).toBe('c-2');
+  });
+
+  it('should drop results below the threshold and empty queries', () => {
+    expect(rankCatalogEntities(entities, 'Gemeinde', { threshold: 0.95 })).toHaveLength(1);
+    expect(rankCatalogEntities(entities, '  ')).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for code list diff utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffCodeLists } from '../../../src/utils/code-list-diff.js';
+
+describe('Code list diff', () => {
+  describe('diffCodeLists', () => {
+    const before = [
+      { code: '1', name: { de: 'Mann', fr: 'Homme' } },
+      { code: '2', name: { de: 'Frau', fr: 'Femme' } },
+      { code: '9', name: { de: 'Unbekannt' } },
+      { code: 10, name: { de: 'Divers' }, parentCode: '9' },
+    ];
+    const after = [
+      { code: '1', name: { de: 'Männlich', fr: 'Homme', en: 'Male' } },
+      { code: '2', name: { de: 'Frau', fr: 'Femme' }, annotations: [{ type: 'DEPRECATED', text: { de: 'Ersetzt' } }] },
+      { code: '10', name: { de: 'Divers' } },
+      { code: '3', name: { de: 'Andere' } },
+    ];
+
+    it('should report added, removed and relabelled codes per language', () => {
+      const diff = diffCodeLists(before, after);
+
+      expect(diff.added).toEqual([{ code: '3', name: { de: 'Andere' } }]);
+      expect(diff.removed).toEqual([{ code: '9', name: { de: 'Unbekannt' } }]);
+      expect(diff.relabelled).toEqual([
+        {
+          code: '1',
+          changes: [
+            { field: 'name', language: 'de', from: 'Mann', to: 'Männlich' },
+            { field: 'name', language: 'en', from: null, to: 'Male' },
+          ],
+        },
+      ]);
+      expect(diff.unchangedCount).toBe(0);
+    });
+
+    it('should report moved codes and changed annotations', () => {
+      const diff = diffCodeLists(before, after);
+
+      expect(diff.moved).toEqual([{ code: '10', from: '9', to: null }]);
+      expect(diff.annotationChanges).toEqual([
+        { code: '2', added: [{ type: 'DEPRECATED', text: { de: 'Ersetzt' } }], removed: [] },
+      ]);
+    });
+
+    it('should ignore annotation key order and count unchanged codes', () => {
+      const diff = diffCodeLists(
+        [{ code: 'A', description: 'Text', annotations: [{ type: 'NOTE', text: 'x' }] }],
+        [{ code: 'A', description: 'Text', annotations: [{ text: 'x', type: 'NOTE' }] }]
+      );
+
+      expect(diff.annotationChanges).toEqual([]);
+      expect(diff.relabelled).toEqual([]);
+      expect(diff.unchangedCount).toBe(1);
+    });
+
+    it('should only compare texts in the requested language', () => {
+      const diff = diffCodeLists(before, after, { language: 'en' });
+
+      expect(diff.relabelled).toEqual([{ code: '1', changes: [{ field: 'name', language: 'en', from: null, to: 'Male' }] }]);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for code list validation
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validateCodeListValues } from '../../../src/utils/code-list-validation.js';
+
+const entries = [
+  { code: 'ZH', name: { de: 'Zürich' } },
+  { code: 'BE', name: { de: 'Bern' } },
+  { code: 'JU', name: { de: 'Jura' }, registrationStatus: 'Retired' },
+  { code: 'OLD', name: { de: 'Alt' }, supersededBy: { code: 'BE' } },
+  { code: 'EXP', name: { de: 'Abgelaufen' }, validTo: '2020-01-01' },
+];
+
+describe('validateCodeListValues', () => {
+  it('should count valid, invalid and empty values', () => {
+    const report = validateCodeListValues(['ZH', ' BE ', 'ZH', 'XX', '', null, 'XX', 'zh'], entries);
+
+    expect(report).toMatchObject({
+      totalValues: 8,
+      distinctValues: 4,
+      validCount: 3,
+      invalidCount: 3,
+      emptyCount: 2,
+      deprecatedCount: 0,
+      truncated: false,
+    });
+    expect(report.unknownValues.map(({ value, count }) => [value, count])).toEqual([
+      ['XX', 2],
+      ['zh', 1],
+    ]);
+  });
+
+  it('should suggest near misses by code and label', () => {
+    const report = validateCodeListValues(['zh', 'Zurich', 'Bren'], entries);
+    const suggestions = Object.fromEntries(report.unknownValues.map(({ value, suggestions }) => [value, suggestions[0]?.code]));
+
+    expect(suggestions).toEqual({ zh: 'ZH', Zurich: 'ZH', Bren: 'BE' });
+  });
+
+  it('should match codes case-insensitively when requested', () => {
+    expect(validateCodeListValues(['zh'], entries, { ignoreCase: true }).validCount).toBe(1);
+  });
+
+  it('should report values mapping to retired and superseded codes', () => {
+    const report = validateCodeListValues(['JU', 'OLD', 'OLD', 'EXP'], entries, { now: new Date('2024-01-01') });
+
+    expect(report.validCount).toBe(4);
+    expect(report.deprecatedCount).toBe(4);
+    expect(report.deprecatedValues).toEqual([
+      { value: 'OLD', code: 'OLD', count: 2, status: 'superseded', replacedBy: 'BE' },
+      { value: 'EXP', code: 'EXP', count: 1, status: 'retired', replacedBy: null },
+      { value: 'JU', code: 'JU', count: 1, status: 'retired', replacedBy: null },
+    ]);
+  });
+
+  it('should limit the reported values', () => {
+    const report = validateCodeListValues(['A', 'B', 'C'], entries, { maxReported: 2 });
+
+    expect(report.unknownValues).toHaveLength(2);
+    expect(report.invalidCount).toBe(3);
+    expect(report.truncated).toBe(true);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for code list utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { lookupCodeListEntries, normalizeText, readDeprecation, readParentCode } from '../../../src/utils/code-lists.js';
+
+const entries = [
+  { code: '1', name: { de: 'Schweiz', fr: 'Suisse', it: 'Svizzera' } },
+  { code: '11', parentCode: '1', name: { de: 'Genf', fr: 'Genève' } },
+  { code: '12', parentCode: '1', name: { de: 'Graubünden', fr: 'Grisons' }, description: { de: 'Kanton im Osten' } },
+  { code: '2', name: { de: 'Österreich' } },
+];
+
+describe('code list utilities', () => {
+  it('should read parent codes from broader references', () => {
+    expect(readParentCode({ code: '1a', broader: { code: '1' } })).toBe('1');
+    expect(readParentCode({ code: '1a', broader: 1 })).toBe('1');
+  });
+
+  it('should read retired and superseded codes', () => {
+    const now = new Date('2024-01-01');
+
+    expect(readDeprecation({ code: '1' }, now)).toBeNull();
+    expect(readDeprecation({ code: '1', registrationStatus: 'Retired' }, now)).toEqual({ status: 'retired', replacedBy: null });
+    expect(readDeprecation({ code: '1', supersededBy: { code: '2' } }, now)).toEqual({ status: 'superseded', replacedBy: '2' });
+    expect(readDeprecation({ code: '1', validTo: '2023-12-31' }, now)).toEqual({ status: 'retired', replacedBy: null });
+    expect(readDeprecation({ code: '1', validTo: '2024-12-31' }, now)).toBeNull();
+  });
+
+  it('should normalize case and diacritics', () => {
+    expect(normalizeText(' Genève ')).toBe('geneve');
+    expect(normalizeText(undefined)).toBe('');
+  });
+
+  describe('lookupCodeListEntries', () => {
+    it('should rank exact codes above prefixes', () => {
+      const { items } = lookupCodeListEntries(entries, { code: '1' });
+
+      expect(items.map((item) => [item.code, item.match.score])).toEqual([
+        ['1', 1],
+        ['11', 0.8],
+        ['12', 0.8],
+      ]);
+    });
+
+    it('should match labels in any language without diacritics', () => {
+      const { items } = lookupCodeListEntries(entries, { label: 'geneve' });
+
+      expect(items[0]).toMatchObject({ code: '11', match: { field: 'name', language: 'fr', text: 'Genève', score: 1 } });
+      expect(items[0].parent).toEqual({ code: '1', name: { de: 'Schweiz', fr: 'Suisse', it: 'Svizzera' } });
+    });
+
+    it('should tolerate typos', () => {
+      const { items } = lookupCodeListEntries(entries, { label: 'Graubunden' });
+
+      expect(items[0].code).toBe('12');
+      expect(lookupCodeListEntries(entries, { label: 'Grauböndn' }).items[0].code).toBe('12');
+    });
+
+    it('should count swapped adjacent letters as one edit', () => {
+      // Two edits apart without transpositions, which would score 0.43 and miss the threshold
+      expect(lookupCodeListEntries(entries, { label: 'Gnef' }).items[0]).toMatchObject({ code: '11', match: { score: 0.64 } });
+    });
+
+    it('should weight description matches below name matches', () => {
+      const { items } = lookupCodeListEntries(entries, { label: 'osten' });
+
+      expect(items[0]).toMatchObject({ code: '12', match: { field: 'description', score: 0.72 } });
+    });
+
+    it('should apply the threshold and limit', () => {
+      expect(lookupCodeListEntries(entries, { label: 'xyz' }).matchCount).toBe(0);
+
+      const result = lookupCodeListEntries(entries, { code: '1', limit: 1 });
+      expect(result.matchCount).toBe(3);
+      expect(result.items).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Unit tests for concept history utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildConceptHistory } from '../../../src/utils/concept-history.js';
+
+describe('Concept history', () => {
+  const now = new Date('2025-06-01');
+  const concepts = [
+    { id: 'c-3', version: '3.0.0', registrationStatus: 'Candidate' },
+    { id: 'c-1', version: '1.0.0', registrationStatus: 'Superseded', validFrom: '2015-01-01', validTo: '2019-12-31' },
+    { id: 'c-2', version: '2.0.0', registrationStatus: 'Standard', validFrom: '2020-01-01', title: { de: 'Geschlecht' } },
+  ];
+
+  it('should order versions and report their validity', () => {
+    const { versions } = buildConceptHistory(concepts, { now });
+
+    expect(versions.map(({ id, valid }) => [id, valid])).toEqual([
+      ['c-1', false],
+      ['c-2', true],
+      ['c-3', true],
+    ]);
+    expect(versions[1]).toEqual({
+      id: 'c-2',
+      version: '2.0.0',
+      title: { de: 'Geschlecht' },
+      registrationStatus: 'Standard',
+      publicationLevel: null,
+      validFrom: '2020-01-01',
+      validTo: null,
+      valid: true,
+    });
+  });
+
+  it('should list the current statuses that differ between consecutive versions', () => {
+    const { statusChanges } = buildConceptHistory(concepts, { now });
+
+    expect(statusChanges).toEqual([
+      { fromVersion: '1.0.0', toVersion: '2.0.0', from: 'Superseded', to: 'Standard' },
+      { fromVersion: '2.0.0', toVersion: '3.0.0', from: 'Standard', to: 'Candidate' },
+    ]);
+  });
+
+  it('should prefer a valid PreferredStandard version over Standard versions', () => {
+    expect(buildConceptHistory(concepts, { now }).preferred.id).toBe('c-2');
+
+    const { preferred } = buildConceptHistory(
+      [...concepts, { id: 'c-0', version: '0.9', registrationStatus: 'PreferredStandard' }],
+      { now }
+    );
+    expect(preferred.id).toBe('c-0');
+  });
+
+  it('should not prefer expired standards', () => {
+    const { preferred } = buildConceptHistory(
+      [{ id: 'c-1', version: '1', registrationStatus: 'Standard', validTo: '2020-01-01' }],
+      { now }
+    );
+
+    expect(preferred).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit tests for concept usage utilities
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { findServingDataServices, scanConceptUsages } from '../../../src/utils/concept-usages.js';
+
+describe('Concept usages', () => {
+  it('should match structure properties by concept ID or identifier', async () => {
+    const structures = {
+      'ds-1': { properties: [{ path: 'gender', conceptId: 'c-1' }] },
+      'ds-2': { properties: [{ path: 'sex', concept: { id: 'c-9', identifier: 'CL_GENDER' } }, { path: 'age' }] },
+      'ds-3': { properties: [{ path: 'age', conceptId: 'c-2' }] },
+    };
+    const fetchStructure = vi.fn(async (id) => {
+      if (id === 'ds-5') throw Object.assign(new Error('Server error'), { status: 500 });
+      if (!structures[id]) throw Object.assign(new Error('Resource not found'), { status: 404 });
+      return structures[id];
+    });
+    const datasets = ['ds-1', 'ds-2', 'ds-3', 'ds-4', 'ds-5'].map((id) => ({ id }));
+
+    const { usages, withoutStructure, failedDatasetIds } = await scanConceptUsages(
+      datasets,
+      { ids: new Set(['c-1']), identifiers: new Set(['CL_GENDER']) },
+      { fetchStructure, concurrency: 2 }
+    );
+
+    expect(usages.map(({ datasetId, properties }) => [datasetId, properties.map((property) => property.path)])).toEqual([
+      ['ds-1', ['gender']],
+      ['ds-2', ['sex']],
+    ]);
+    expect(usages[0].publisher).toBeNull();
+    expect(withoutStructure).toBe(1);
+    expect(failedDatasetIds).toEqual(['ds-5']);
+    expect(fetchStructure).toHaveBeenCalledTimes(5);
+  });
+
+  it('should find data services serving the datasets', () => {
+    const services = [
+      { id: 'svc-1', servesDataset: ['https://www.i14y.admin.ch/catalog/datasets/ds-1', { id: 'ds-5' }] },
+      { id: 'svc-2', servesDataset: { '@id': 'ds-2' } },
+      { id: 'svc-3' },
+    ];
+
+    expect(findServingDataServices(services, new Set(['ds-1', 'ds-2']))).toEqual([
+      { id: 'svc-1', identifier: null, title: null, datasetIds: ['ds-1'] },
+      { id: 'svc-2', identifier: null, title: null, datasetIds: ['ds-2'] },
+    ]);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Unit tests for concurrency utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { setTimeout as delay } from 'timers/promises';
+import { mapConcurrent } from '../../../src/utils/concurrency.js';
+
+describe('mapConcurrent', () => {
+  it('should keep item order and never exceed the limit', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapConcurrent([30, 10, 20, 5, 15], 2, async (ms, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(ms);
+      running--;
+      return `${index}:${ms}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:10', '2:20', '3:5', '4:15']);
+    expect(peak).toBe(2);
+  });
+
+  it('should handle empty input and reject with the first error', async () => {
+    expect(await mapConcurrent([], 3, async () => 1)).toEqual([]);
+    await expect(
+      mapConcurrent([1, 2], 2, async (item) => {
+        if (item === 2) throw new Error('failed');
+        return item;
+      })
+    ).rejects.toThrow('failed');
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for CSV utilities
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { detectDelimiter, parseCsv, parseCsvRows, readCsvColumn, resolveDataPath } from '../../../src/utils/csv.js';
+import config from '../../../src/config.js';
+
+describe('CSV utilities', () => {
+  it('should detect the delimiter from the first line', () => {
+    expect(detectDelimiter('code;name\n1;a,b')).toBe(';');
+    expect(detectDelimiter('code\tname')).toBe('\t');
+    expect(detectDelimiter('code')).toBe(',');
+  });
+
+  it('should parse quoted fields, escaped quotes and line breaks', () => {
+    const text = '﻿code,name\r\n1,"Zürich, ""Stadt"""\r\n\r\n2,"Zeile 1\nZeile 2"\n3,';
+
+    expect(parseCsv(text)).toEqual([
+      ['code', 'name'],
+      ['1', 'Zürich, "Stadt"'],
+      ['2', 'Zeile 1\nZeile 2'],
+      ['3', ''],
+    ]);
+  });
+
+  it('should report the line each row starts on', () => {
+    const text = 'a,b\r\n1,"x\ny"\n\n3,4\r5,6';
+
+    expect(parseCsvRows(text)).toEqual([
+      { line: 1, fields: ['a', 'b'] },
+      { line: 2, fields: ['1', 'x\ny'] },
+      { line: 5, fields: ['3', '4'] },
+      { line: 6, fields: ['5', '6'] },
+    ]);
+  });
+
+  describe('readCsvColumn', () => {
+    let directory;
+    let originalDataDir;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'i14y-csv-test-'));
+      originalDataDir = config.dataDir;
+      config.dataDir = directory;
+      await writeFile(join(directory, 'data.csv'), 'id;canton\n1;ZH\n2;BE\n3;\n');
+    });
+
+    afterEach(async () => {
+      config.dataDir = originalDataDir;
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should read a column by name or index', async () => {
+      expect(await readCsvColumn(join(directory, 'data.csv'), { column: 'canton' })).toEqual(['ZH', 'BE', '']);
+      expect(await readCsvColumn(join(directory, 'data.csv'), { column: 0 })).toEqual(['1', '2', '3']);
+      expect(await readCsvColumn(join(directory, 'data.csv'), { column: 1, hasHeader: false })).toEqual([
+        'canton',
+        'ZH',
+        'BE',
+        '',
+      ]);
+    });
+
+    it('should report unknown columns', async () => {
+      await expect(readCsvColumn(join(directory, 'data.csv'), { column: 'kanton' })).rejects.toThrow(
+        'available columns: id, canton'
+      );
+    });
+
+    it('should restrict paths to the data directory', async () => {
+      expect(await readCsvColumn('data.csv', { column: 'canton' })).toHaveLength(3);
+      expect(() => resolveDataPath('../other.csv')).toThrow('inside I14Y_DATA_DIR');
+      expect(() => resolveDataPath('/etc/shadow')).toThrow('inside I14Y_DATA_DIR');
+      await expect(readCsvColumn('/etc/passwd')).rejects.toThrow('inside I14Y_DATA_DIR');
+    });
+
+    it('should refuse to read files when local data files are disabled', () => {
+      expect(() => resolveDataPath(join(directory, 'data.csv'), '')).toThrow('Reading local data files is disabled');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Unit tests for data file utilities
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { readDataRecords } from '../../../src/utils/data-files.js';
+import config from '../../../src/config.js';
+
+describe('readDataRecords', () => {
+  let directory;
+  let originalDataDir;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'i14y-data-test-'));
+    originalDataDir = config.dataDir;
+    config.dataDir = directory;
+  });
+
+  afterEach(async () => {
+    config.dataDir = originalDataDir;
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should reject files outside the data directory', async () => {
+    await expect(readDataRecords('/etc/passwd')).rejects.toThrow('inside I14Y_DATA_DIR');
+  });
+
+  it('should read CSV records with their line numbers', async () => {
+    await writeFile(join(directory, 'data.csv'), 'gender; age\n1;42\n\n2;"3\n4"\n3\n');
+
+    expect(await readDataRecords(join(directory, 'data.csv'))).toEqual({
+      format: 'csv',
+      columns: ['gender', 'age'],
+      records: [
+        { line: 2, values: { gender: '1', age: '42' } },
+        { line: 4, values: { gender: '2', age: '3\n4' } },
+        { line: 6, values: { gender: '3', age: '' } },
+      ],
+    });
+  });
+
+  it('should read JSON arrays and wrapped item lists', async () => {
+    await writeFile(join(directory, 'data.json'), JSON.stringify([{ gender: '1' }, { age: 42 }]));
+    await writeFile(join(directory, 'wrapped.txt'), JSON.stringify({ items: [{ gender: '2' }] }));
+
+    expect(await readDataRecords(join(directory, 'data.json'))).toEqual({
+      format: 'json',
+      columns: ['gender', 'age'],
+      records: [
+        { line: 1, values: { gender: '1' } },
+        { line: 2, values: { age: 42 } },
+      ],
+    });
+    expect((await readDataRecords(join(directory, 'wrapped.txt'), { fileFormat: 'json' })).records).toEqual([
+      { line: 1, values: { gender: '2' } },
+    ]);
+  });
+
+  it('should reject JSON documents that are not lists of objects', async () => {
+    await writeFile(join(directory, 'data.json'), '{"gender": "1"}');
+
+    await expect(readDataRecords(join(directory, 'data.json'))).rejects.toThrow('array of objects');
+  });
+});
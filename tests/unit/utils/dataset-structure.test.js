@@ -0,0 +1,97 @@
+/**
+ * Unit tests for dataset structure utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readDatatypeName, summarizeDatasetStructure } from '../../../src/utils/dataset-structure.js';
+
+describe('summarizeDatasetStructure', () => {
+  it('should normalize plain JSON properties', () => {
+    const result = summarizeDatasetStructure({
+      properties: [
+        {
+          path: 'gender',
+          name: { de: 'Geschlecht' },
+          datatype: 'xsd:string',
+          minCount: 1,
+          concept: { id: 'c-1', identifier: 'GENDER', name: { de: 'Geschlecht' } },
+        },
+        { path: 'age', datatype: 'xsd:integer' },
+      ],
+    });
+
+    expect(result.propertyCount).toBe(2);
+    expect(result.linkedConceptCount).toBe(1);
+    expect(result.properties[0]).toEqual({
+      path: 'gender',
+      name: { de: 'Geschlecht' },
+      description: null,
+      datatype: 'xsd:string',
+      required: true,
+      minCount: 1,
+      maxCount: null,
+      concept: { id: 'c-1', identifier: 'GENDER', name: { de: 'Geschlecht' } },
+    });
+    expect(result.properties[1]).toMatchObject({ path: 'age', required: false, concept: null });
+  });
+
+  it('should read SHACL shapes serialized as JSON-LD', () => {
+    const result = summarizeDatasetStructure({
+      '@graph': [
+        {
+          '@type': 'sh:NodeShape',
+          'sh:property': [
+            {
+              'sh:path': { '@id': 'ex:canton' },
+              'sh:name': [
+                { '@language': 'de', '@value': 'Kanton' },
+                { '@language': 'fr', '@value': 'Canton' },
+              ],
+              'sh:datatype': { '@id': 'xsd:string' },
+              'sh:minCount': 1,
+              'sh:maxCount': { '@value': '1' },
+              'qb:concept': { '@id': 'https://www.i14y.admin.ch/concepts/c-2' },
+            },
+          ],
+        },
+      ],
+    });
+
+    expect(result.properties).toEqual([
+      {
+        path: 'ex:canton',
+        name: { de: 'Kanton', fr: 'Canton' },
+        description: null,
+        datatype: 'xsd:string',
+        required: true,
+        minCount: 1,
+        maxCount: 1,
+        concept: { id: 'https://www.i14y.admin.ch/concepts/c-2', identifier: null, name: null },
+      },
+    ]);
+  });
+
+  it('should link concepts referenced by ID', () => {
+    const result = summarizeDatasetStructure({
+      nodes: [{ properties: [{ identifier: 'p1', conceptId: 'c-3' }, { identifier: 'p2', conceptId: 'c-3' }] }],
+    });
+
+    expect(result.propertyCount).toBe(2);
+    expect(result.linkedConceptCount).toBe(1);
+  });
+
+  it('should return an empty summary for unknown structures', () => {
+    expect(summarizeDatasetStructure(null)).toEqual({ propertyCount: 0, linkedConceptCount: 0, properties: [] });
+    expect(summarizeDatasetStructure({ foo: 'bar' }).propertyCount).toBe(0);
+  });
+});
+
+describe('readDatatypeName', () => {
+  it('should read the local name of prefixed names and IRIs', () => {
+    expect(readDatatypeName('xsd:integer')).toBe('integer');
+    expect(readDatatypeName('http://www.w3.org/2001/XMLSchema#date')).toBe('date');
+    expect(readDatatypeName('https://example.org/types/decimal')).toBe('decimal');
+    expect(readDatatypeName(null)).toBeNull();
+    expect(readDatatypeName('xsd:')).toBeNull();
+  });
+});
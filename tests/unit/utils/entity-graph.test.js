@@ -0,0 +1,95 @@
+/**
+ * Unit tests for entity graph utilities
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { buildEntityGraph } from '../../../src/utils/entity-graph.js';
+
+const publisher = { identifier: 'CH1', name: { de: 'BFS' } };
+
+function createFetchers() {
+  const notFound = () => Promise.reject(new Error('API request failed with status 404: Resource not found'));
+  const datasets = { 'ds-1': { id: 'ds-1', identifier: 'persons', title: { de: 'Personen', en: 'Persons' }, publisher } };
+  const concepts = {
+    'c-gender': { id: 'c-gender', identifier: 'CL_GENDER', name: { de: 'Geschlecht' }, conceptType: 'CodeList', publisher },
+    'c-age': { id: 'c-age', identifier: 'AGE', name: { de: 'Alter' }, conceptType: 'Numeric' },
+  };
+  const services = {
+    'svc-1': { id: 'svc-1', title: { de: 'Personen-API' }, servesDataset: ['https://www.i14y.admin.ch/catalog/datasets/ds-1'] },
+  };
+  return {
+    datasets: vi.fn((id) => (datasets[id] ? Promise.resolve(datasets[id]) : notFound())),
+    datasetStructure: vi.fn(() =>
+      Promise.resolve({
+        properties: [
+          { path: 'gender', conceptId: 'c-gender', conceptIdentifier: 'CL_GENDER' },
+          { path: 'age', concept: { id: 'c-age', name: { de: 'Alter' } } },
+          { path: 'comment' },
+        ],
+      })
+    ),
+    concepts: vi.fn((id) => (concepts[id] ? Promise.resolve(concepts[id]) : notFound())),
+    dataservices: vi.fn((id) => (services[id] ? Promise.resolve(services[id]) : notFound())),
+    publicservices: vi.fn(notFound),
+  };
+}
+
+describe('buildEntityGraph', () => {
+  it('should walk from a dataset to its concepts, code lists and publishers', async () => {
+    const fetchers = createFetchers();
+
+    const graph = await buildEntityGraph({ id: 'ds-1', type: 'datasets' }, { fetchers, depth: 2 });
+
+    expect(graph.nodes.map(({ key, label, depth, expanded }) => [key, label, depth, expanded])).toEqual([
+      ['datasets/ds-1', 'Personen', 0, true],
+      ['publishers/CH1', 'BFS', 1, false],
+      ['concepts/c-gender', 'Geschlecht', 1, true],
+      ['concepts/c-age', 'Alter', 1, true],
+      ['codelists/c-gender', 'Geschlecht', 2, false],
+    ]);
+    expect(graph.edges).toEqual([
+      { source: 'datasets/ds-1', target: 'publishers/CH1', relation: 'publishedBy', label: null },
+      { source: 'datasets/ds-1', target: 'concepts/c-gender', relation: 'usesConcept', label: 'gender' },
+      { source: 'datasets/ds-1', target: 'concepts/c-age', relation: 'usesConcept', label: 'age' },
+      { source: 'concepts/c-gender', target: 'publishers/CH1', relation: 'publishedBy', label: null },
+      { source: 'concepts/c-gender', target: 'codelists/c-gender', relation: 'hasCodeList', label: null },
+    ]);
+    expect(graph.truncated).toBe(false);
+  });
+
+  it('should detect the type of the start entity and fetch it once', async () => {
+    const fetchers = createFetchers();
+
+    const graph = await buildEntityGraph({ id: 'svc-1' }, { fetchers, depth: 1, language: 'en' });
+
+    expect(fetchers.dataservices).toHaveBeenCalledTimes(1);
+    expect(graph.nodes.map(({ key, expanded }) => [key, expanded])).toEqual([
+      ['dataservices/svc-1', true],
+      ['datasets/ds-1', false],
+    ]);
+    expect(graph.edges[0]).toMatchObject({ relation: 'servesDataset', target: 'datasets/ds-1' });
+  });
+
+  it('should stop at maxNodes and record errors of linked entities', async () => {
+    const fetchers = createFetchers();
+    fetchers.concepts.mockRejectedValue(new Error('Forbidden'));
+
+    const graph = await buildEntityGraph({ id: 'ds-1', type: 'datasets' }, { fetchers, maxNodes: 3 });
+
+    expect(graph.nodes.map(({ key, error }) => [key, error])).toEqual([
+      ['datasets/ds-1', null],
+      ['publishers/CH1', null],
+      ['concepts/c-gender', 'Forbidden'],
+    ]);
+    expect(graph.truncated).toBe(true);
+  });
+
+  it('should fail when the start entity is not found', async () => {
+    await expect(buildEntityGraph({ id: 'missing' }, { fetchers: createFetchers() })).rejects.toThrow(
+      'No dataset, concept, data service or public service found with ID missing'
+    );
+    await expect(
+      buildEntityGraph({ id: 'missing', type: 'concepts' }, { fetchers: createFetchers() })
+    ).rejects.toThrow('Resource not found');
+  });
+});
@@ -2,7 +2,8 @@
  * Unit tests for formatting utility
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
+import { z } from 'zod';
 import {
   formatConceptResult,
   formatDatasetResult,
@@ -10,6 +11,11 @@ import {
   formatPublicServiceResult,
   formatError,
   formatSuccess,
+  formatResult,
+  renderResult,
+  formatCodeListEntryResult,
+  isMultilingualText,
+  localizeMultilingual,
   formatPaginationInfo,
   formatMultilingualText,
   truncateText,
@@ -21,6 +27,7 @@ import {
   formatPublicServiceResponse,
   formatListResponse,
 } from '../../../src/utils/formatting.js';
+import { logger } from '../../../src/utils/logger.js';
 
 describe('Formatting Utilities', () => {
   describe('formatConceptResult', () => {
@@ -275,6 +282,37 @@ describe('Formatting Utilities', () => {
       expect(result.content[0].text).toContain('[');
       expect(result.content[0].text).toContain('1');
     });
+
+    it('should not include structured content without an output schema', () => {
+      expect(formatSuccess({ key: 'value' })).not.toHaveProperty('structuredContent');
+    });
+
+    it('should return validated structured content with an output schema', () => {
+      const schema = z.object({ key: z.string() }).passthrough();
+      const result = formatSuccess({ key: 'value', extra: 1 }, schema);
+
+      expect(result.structuredContent).toEqual({ key: 'value', extra: 1 });
+      expect(result.content[0].text).toContain('"key"');
+    });
+
+    it('should wrap array data as items in structured content', () => {
+      const schema = z.object({ items: z.array(z.number()) });
+
+      expect(formatSuccess([1, 2], schema).structuredContent).toEqual({ items: [1, 2] });
+    });
+
+    it('should return an error without structured content when data does not match the output schema', () => {
+      const schema = z.object({ key: z.string() });
+      const warn = vi.spyOn(logger, 'warn').mockImplementation(() => {});
+
+      const result = formatSuccess({ key: 1 }, schema);
+
+      expect(result.isError).toBe(true);
+      expect(result.structuredContent).toBeUndefined();
+      expect(result.content[0].text).toMatch(/^Error: Tool result does not match its output schema:\nkey: /);
+      expect(warn).toHaveBeenCalledWith(expect.objectContaining({ issues: expect.any(Array) }), expect.any(String));
+      warn.mockRestore();
+    });
   });
 
   describe('formatPaginationInfo', () => {
@@ -552,6 +590,147 @@ describe('Formatting Utilities', () => {
     });
   });
 
+  describe('display styles', () => {
+    const concept = {
+      id: 'c-1',
+      identifier: 'CONCEPT-001',
+      name: { de: 'Geschlecht', fr: 'Sexe' },
+      description: { de: 'Beschreibung', fr: 'Description' },
+      registrationStatus: 'Recorded',
+    };
+
+    it('should render markdown with a heading and bullet fields', () => {
+      const result = formatConceptResult(concept, { style: 'markdown' });
+
+      expect(result).toMatch(/^### Geschlecht\n/);
+      expect(result).toContain('- **Concept ID:** CONCEPT-001');
+      expect(result).toContain('- **Status:** Recorded');
+    });
+
+    it('should render compact output on one line', () => {
+      expect(formatConceptResult(concept, { style: 'compact' })).toBe('CONCEPT-001: Geschlecht [Recorded]');
+    });
+
+    it('should use the requested language for labels', () => {
+      const result = formatConceptResult(concept, { language: 'fr' });
+
+      expect(result).toContain('Title: Sexe');
+      expect(result).toContain('Description: Description');
+    });
+
+    it('should render code list entries of a concept', () => {
+      const result = formatConceptResult(
+        { ...concept, codeListEntries: [{ code: '1', name: { de: 'männlich' } }] },
+        { style: 'markdown' }
+      );
+
+      expect(result).toContain('- **Code List Entries:**\n  - 1: männlich');
+    });
+
+    it('should render dataset distributions in markdown', () => {
+      const result = formatDatasetResult(
+        { id: 'ds-1', title: { de: 'Daten' }, distributions: [{ format: 'CSV', accessURL: 'https://example.org/a.csv' }] },
+        { style: 'markdown' }
+      );
+
+      expect(result).toContain('  - CSV: https://example.org/a.csv');
+    });
+
+    it('should format code list entries', () => {
+      expect(formatCodeListEntryResult({ code: '2', name: { de: 'weiblich' } }, { style: 'compact' })).toBe('2: weiblich');
+    });
+
+    it('should render parent codes, annotations and matches of code list entries', () => {
+      const result = formatCodeListEntryResult(
+        {
+          code: '8100',
+          name: { de: 'Zürich' },
+          parentCode: '81',
+          parent: { code: '81', name: { de: 'Kanton Zürich' } },
+          annotations: [{ type: 'ABBREVIATION', text: { de: 'ZH' } }],
+          match: { field: 'name', language: 'de', text: 'Zürich', score: 1 },
+        },
+        { style: 'markdown' }
+      );
+
+      expect(result).toContain('- **Parent Code:** 81 (Kanton Zürich)');
+      expect(result).toContain('- **Match:** name (de) "Zürich", score 1');
+      expect(result).toContain('  - ABBREVIATION: ZH');
+    });
+  });
+
+  describe('localizeMultilingual', () => {
+    it('should detect multilingual text objects', () => {
+      expect(isMultilingualText({ de: 'a', fr: null })).toBe(true);
+      expect(isMultilingualText({ de: 'a', code: 'x' })).toBe(false);
+      expect(isMultilingualText({})).toBe(false);
+      expect(isMultilingualText(['de'])).toBe(false);
+    });
+
+    it('should collapse nested multilingual fields with fallback', () => {
+      const data = {
+        items: [{ id: '1', title: { de: 'Titel', fr: 'Titre' }, publisher: { name: { en: 'Office' } } }],
+        totalCount: 1,
+      };
+
+      expect(localizeMultilingual(data, 'fr')).toEqual({
+        items: [{ id: '1', title: 'Titre', publisher: { name: 'Office' } }],
+        totalCount: 1,
+      });
+    });
+
+    it('should leave already collapsed text untouched when formatting', () => {
+      expect(formatMultilingualText('Titel', 'fr')).toBe('Titel');
+    });
+  });
+
+  describe('renderResult', () => {
+    const page = {
+      items: [
+        { identifier: 'A', title: { de: 'Erster' } },
+        { identifier: 'B', title: { de: 'Zweiter' } },
+      ],
+      totalCount: 30,
+    };
+
+    it('should render JSON by default', () => {
+      expect(JSON.parse(renderResult(page, formatDatasetResult))).toEqual(page);
+    });
+
+    it('should render search results as a list with pagination', () => {
+      const result = renderResult(page, formatDatasetResult, { format: 'compact', page: 1, pageSize: 25 });
+
+      expect(result).toBe('A: Erster\nB: Zweiter\n\nPage 1 of 2\nTotal: 30');
+    });
+
+    it('should prefix fetch-all results with the summary', () => {
+      const result = renderResult({ ...page, summary: 'Fetched 2 of 2 datasets across 1 page' }, formatDatasetResult, {
+        format: 'markdown',
+      });
+
+      expect(result).toMatch(/^Fetched 2 of 2 datasets across 1 page\n\n### Erster/);
+    });
+
+    it('should render a single entity', () => {
+      expect(renderResult({ identifier: 'A', title: { de: 'Erster' } }, formatDatasetResult, { format: 'compact' })).toBe(
+        'A: Erster'
+      );
+    });
+  });
+
+  describe('formatResult', () => {
+    it('should keep the raw data as structured content', () => {
+      const data = { identifier: 'A', title: { de: 'Erster' } };
+      const result = formatResult(data, formatDatasetResult, {
+        format: 'markdown',
+        outputSchema: z.object({ identifier: z.string() }).passthrough(),
+      });
+
+      expect(result.content[0].text).toContain('### Erster');
+      expect(result.structuredContent).toEqual(data);
+    });
+  });
+
   describe('Edge Cases', () => {
     it('should handle null values gracefully', () => {
       const concept = {
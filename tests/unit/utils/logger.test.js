@@ -105,3 +105,24 @@ describe('Logger', () => {
     });
   });
 });
+
+describe('Logger redaction', () => {
+  it('should redact tokens and secrets', async () => {
+    const { REDACT_PATHS } = await import('../../../src/utils/logger.js');
+    const { default: realPino } = await vi.importActual('pino');
+    const lines = [];
+    const stream = { write: (line) => lines.push(JSON.parse(line)) };
+    const testLogger = realPino({ redact: { paths: REDACT_PATHS, censor: '[REDACTED]' } }, stream);
+
+    testLogger.info({
+      token: 'secret-1',
+      auth: { clientSecret: 'secret-2', accessToken: 'secret-3' },
+      request: { headers: { authorization: 'Bearer secret-4' } },
+      url: 'https://example.ch',
+    }, 'test');
+
+    const serialized = JSON.stringify(lines[0]);
+    expect(serialized).not.toMatch(/secret-\d/);
+    expect(lines[0].url).toBe('https://example.ch');
+  });
+});
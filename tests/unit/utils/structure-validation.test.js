@@ -0,0 +1,82 @@
+/**
+ * Unit tests for structure validation
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mapColumns, validateRecords } from '../../../src/utils/structure-validation.js';
+
+const property = (overrides) => ({
+  path: null,
+  name: null,
+  description: null,
+  datatype: null,
+  required: false,
+  minCount: 0,
+  maxCount: null,
+  concept: null,
+  ...overrides,
+});
+
+const properties = [
+  property({
+    path: 'https://example.org/vocab#gender',
+    name: { de: 'Geschlecht', fr: 'Sexe' },
+    required: true,
+    minCount: 1,
+    maxCount: 1,
+    concept: { id: 'c-gender', identifier: null, name: null },
+  }),
+  property({ path: 'age', datatype: 'xsd:integer' }),
+  property({ path: 'birthDate', datatype: 'http://www.w3.org/2001/XMLSchema#date' }),
+  property({ path: 'canton', required: true, minCount: 1 }),
+];
+
+describe('Structure validation', () => {
+  it('should map columns by path, path segment or name in any language', () => {
+    const mapping = mapColumns(['SEXE', 'Age', 'birthdate', 'comment'], properties);
+
+    expect([...mapping].map(([column, { path }]) => [column, path])).toEqual([
+      ['SEXE', 'https://example.org/vocab#gender'],
+      ['Age', 'age'],
+      ['birthdate', 'birthDate'],
+    ]);
+  });
+
+  it('should report datatype, required, cardinality and code list errors by line', () => {
+    const records = [
+      { line: 2, values: { Geschlecht: '1', age: '42', birthDate: '1990-02-28' } },
+      { line: 3, values: { Geschlecht: '', age: '4.5', birthDate: '1990-02-30' } },
+      { line: 4, values: { Geschlecht: ['1', '9'], age: 7, birthDate: null } },
+    ];
+    const codeLists = new Map([['c-gender', [{ code: '1' }, { code: '2' }]]]);
+
+    const report = validateRecords(records, ['Geschlecht', 'age', 'birthDate', 'note'], properties, { codeLists });
+
+    expect(report).toMatchObject({
+      recordCount: 3,
+      validRecordCount: 1,
+      errorCount: 6,
+      unmappedColumns: ['note'],
+      missingProperties: ['canton'],
+      truncated: false,
+    });
+    expect(report.errors.map(({ line, column, rule, value }) => [line, column, rule, value])).toEqual([
+      [null, null, 'missingColumn', null],
+      [3, 'Geschlecht', 'required', null],
+      [3, 'age', 'datatype', '4.5'],
+      [3, 'birthDate', 'datatype', '1990-02-30'],
+      [4, 'Geschlecht', 'maxCount', '1, 9'],
+      [4, 'Geschlecht', 'codeList', '9'],
+    ]);
+    expect(report.errors[2].message).toBe('"4.5" is not a valid xsd:integer');
+  });
+
+  it('should count all errors but report at most maxErrors', () => {
+    const records = Array.from({ length: 5 }, (_, index) => ({ line: index + 2, values: { age: 'x', canton: 'ZH' } }));
+
+    const report = validateRecords(records, ['age', 'canton'], properties.slice(1), { maxErrors: 2 });
+
+    expect(report).toMatchObject({ errorCount: 5, validRecordCount: 0, truncated: true });
+    expect(report.errors).toHaveLength(2);
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Unit tests for version utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { compareVersions } from '../../../src/utils/versions.js';
+
+describe('compareVersions', () => {
+  it('should compare versions by their numeric parts', () => {
+    const versions = ['1.10.0', '1.9', '2.0.0', '1.0.0'];
+
+    expect([...versions].sort(compareVersions)).toEqual(['1.0.0', '1.9', '1.10.0', '2.0.0']);
+    expect(compareVersions('1.0', '1.0.0')).toBeLessThan(0);
+    expect(compareVersions('1.0.0', '1.0.0')).toBe(0);
+  });
+});